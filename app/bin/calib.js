@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// calib <command> [flags]; see lib/cli.js
+require('../lib/cli').main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,227 @@
+/**
+ * MQTT Capture and Replay
+ * CaptureRecorder writes every received message to a JSON Lines file:
+ *   {"ts": 1712345678901, "topic": "gw/1", "payload": "{...}"}
+ * Binary payloads are stored as "payloadBase64". Recording windows are
+ * marked with {"ts": ..., "mark": "window-start", "label": "..."} lines, and
+ * a window that was invalidated while recording (e.g. by a broker drop) is
+ * followed by a "window-invalid" mark with its reason.
+ *
+ * ReplayClient feeds a capture back in place of an mqtt client, either at
+ * real time (speed 1, or any multiplier) or as fast as possible (speed 0)
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { matchTopic } = require('./topic');
+
+class CaptureRecorder {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+    this.count = 0;
+  }
+
+  write(topic, message, timestamp = Date.now()) {
+    const buffer = Buffer.isBuffer(message) ? message : Buffer.from(String(message));
+    const text = buffer.toString('utf8');
+    const entry = { ts: timestamp, topic };
+
+    // Keep text payloads readable; fall back to base64 when not valid UTF-8
+    if (Buffer.from(text, 'utf8').equals(buffer)) {
+      entry.payload = text;
+    } else {
+      entry.payloadBase64 = buffer.toString('base64');
+    }
+
+    this.stream.write(JSON.stringify(entry) + '\n');
+    this.count++;
+  }
+
+  mark(mark, label, timestamp = Date.now(), fields = {}) {
+    this.stream.write(JSON.stringify({ ts: timestamp, mark, label, ...fields }) + '\n');
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+class ReplayClient extends EventEmitter {
+  /**
+   * @param {string} filePath JSON Lines capture
+   * @param {object} [options]
+   * @param {number} [options.speed=1] Playback multiplier; 0 replays as fast as possible
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.speed = options.speed === undefined ? 1 : options.speed;
+    this.entries = fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`${filePath}:${index + 1}: invalid capture line`);
+        }
+      });
+    this.hasWindows = this.entries.some(entry => entry.mark === 'window-start');
+    this.windowEnded = false;
+    this.windowInvalid = null; // window-invalid mark of the current window
+    this.index = 0;
+    this.clock = this.entries.length > 0 ? this.entries[0].ts : Date.now();
+    this.filters = [];
+    this.ended = false;
+    this.connected = false;
+
+    // Behave like mqtt.connect(): announce the connection asynchronously
+    setImmediate(() => {
+      this.connected = true;
+      this.emit('connect');
+    });
+  }
+
+  get exhausted() {
+    return this.index >= this.entries.length;
+  }
+
+  subscribe(filter, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+    }
+
+    const filters = Array.isArray(filter) ? filter : [filter];
+    this.filters.push(...filters);
+    if (callback) {
+      setImmediate(() => callback(null, filters.map(topic => ({ topic, qos: 0 }))));
+    }
+    return this;
+  }
+
+  publish(topic, message, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+    }
+    // Replayed sessions are read-only; published messages go nowhere
+    if (callback) {
+      setImmediate(callback);
+    }
+    return this;
+  }
+
+  end(force, options, callback) {
+    const done = [force, options, callback].find(arg => typeof arg === 'function');
+    this.finish();
+    if (done) {
+      setImmediate(done);
+    }
+    return this;
+  }
+
+  /**
+   * Virtual time of the capture, in epoch milliseconds.
+   */
+  now() {
+    return this.clock;
+  }
+
+  /**
+   * Skip ahead to the next recorded window, if the capture has window marks.
+   * Sets windowInvalid when the window was marked invalid while recording.
+   * @returns {object|null} The window-start mark, or null when none is left
+   */
+  startWindow() {
+    if (!this.hasWindows) return null;
+
+    while (!this.exhausted) {
+      const entry = this.entries[this.index++];
+      if (entry.mark === 'window-start') {
+        this.clock = entry.ts;
+        this.windowEnded = false;
+        this.windowInvalid = this.invalidMark(this.index);
+        return entry;
+      }
+    }
+
+    this.finish();
+    return null;
+  }
+
+  /**
+   * The window-invalid mark right after the window-end of the window at `index`.
+   */
+  invalidMark(index) {
+    const end = this.entries.findIndex((entry, i) => i >= index && (entry.mark === 'window-end' || entry.mark === 'window-start'));
+    if (end === -1 || this.entries[end].mark !== 'window-end') return null;
+    const next = this.entries[end + 1];
+    return next && next.mark === 'window-invalid' ? next : null;
+  }
+
+  /**
+   * Advance virtual time by `ms`, emitting every captured message on the way.
+   * Stops at the end of a recorded window until the next startWindow().
+   */
+  async sleep(ms) {
+    if (this.windowEnded) return;
+    const target = this.clock + ms;
+
+    while (!this.exhausted && this.entries[this.index].ts <= target) {
+      const entry = this.entries[this.index++];
+      await this.wait(entry.ts - this.clock);
+      this.clock = Math.max(this.clock, entry.ts);
+
+      if (entry.mark === 'window-end') {
+        this.windowEnded = true;
+        return;
+      }
+      if (entry.mark) continue;
+      if (!this.filters.some(filter => matchTopic(filter, entry.topic))) continue;
+
+      const payload = entry.payloadBase64 !== undefined
+        ? Buffer.from(entry.payloadBase64, 'base64')
+        : Buffer.from(entry.payload || '', 'utf8');
+      this.emit('message', entry.topic, payload, { topic: entry.topic, payload });
+    }
+
+    if (this.exhausted) {
+      this.finish();
+      return;
+    }
+
+    await this.wait(target - this.clock);
+    this.clock = target;
+  }
+
+  /**
+   * Stream the rest of the capture, for consumers without recording windows.
+   * Window marks are passed through rather than stopping playback.
+   */
+  async play() {
+    while (!this.exhausted) {
+      this.windowEnded = false;
+      await this.sleep(Infinity);
+    }
+  }
+
+  wait(ms) {
+    if (this.speed > 0 && ms > 0) {
+      return new Promise(resolve => setTimeout(resolve, ms / this.speed));
+    }
+    // Yield so that handlers and timers still get a turn at full speed
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  finish() {
+    if (this.ended) return;
+    this.ended = true;
+    this.index = this.entries.length;
+    setImmediate(() => this.emit('end'));
+  }
+}
+
+module.exports = {
+  CaptureRecorder,
+  ReplayClient
+};
@@ -0,0 +1,304 @@
+/**
+ * calib CLI
+ * One entry point for every tool: calib <command> [flags] (see
+ * lib/commands.js for the commands). Flags shared by the commands (broker,
+ * topics, tag filter, duration, output) are spelled the same everywhere.
+ *
+ * Settings come from, highest first: flags, environment variables (MQTT_*,
+ * TAG_MAC), the project config file, the tools' defaults. The config file is
+ * --config <file>, or calib.config.yaml / .yml / .json in the working
+ * directory or the app directory. Its top-level keys are flag names, used by
+ * every command that takes the flag; "commands" holds per-command settings.
+ * Relative paths are resolved from the config file's directory.
+ *
+ *   broker: mqtts://broker.example.com:8883
+ *   subscribe: gateways/#
+ *   tag: AC233F000001
+ *   gateways: gateways.json
+ *   commands:
+ *     fingerprint: { headings: "N,E,S,W", output: survey/fingerprints.xlsx }
+ *     fit: { output: path-loss-model.json }
+ *
+ * Output is human-readable by default. With --json, stdout carries JSON
+ * Lines for scripts: the records of streaming commands as they happen, then
+ * one result line, {"command", "ok", "exitCode", "result" | "error"}; the
+ * human-readable progress goes to stderr.
+ *
+ * Exit codes:
+ *   0  success
+ *   1  the command failed
+ *   2  usage or configuration error (unknown command or flag, bad value, bad config file)
+ *   3  the MQTT broker could not be reached or refused the connection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const COMMANDS = require('./commands');
+const { readConfigFile } = require('./config-file');
+const { MQTT_ARG_OPTIONS, resolveMqttOptions } = require('./mqtt-connection');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  CONNECTION: 3
+};
+
+const CONFIG_FILES = ['calib.config.yaml', 'calib.config.yml', 'calib.config.json'];
+const APP_DIR = path.join(__dirname, '..');
+
+const GLOBAL_OPTIONS = {
+  config: { type: 'string', description: 'Config file (default calib.config.yaml, .yml or .json)' },
+  json: { type: 'boolean', description: 'JSON Lines on stdout, progress on stderr' },
+  help: { type: 'boolean', short: 'h', description: 'Show this help' }
+};
+
+const SHARED_OPTIONS = {
+  mqtt: MQTT_ARG_OPTIONS,
+  source: {
+    parsers: { type: 'string', description: 'Payload parser routes (YAML/JSON, default parsers.yaml)' },
+    replay: { type: 'string', description: 'Replay this capture file instead of connecting to the broker' },
+    'replay-speed': { type: 'string', description: 'Replay speed multiplier; 0 = as fast as possible (default 1)' }
+  },
+  tag: { tag: { type: 'string', description: 'Only these tag MACs, comma separated (TAG_MAC)' } },
+  duration: { duration: { type: 'string', description: 'Seconds to run (default: until Ctrl+C)' } },
+  output: { output: { type: 'string', description: 'Output file' } }
+};
+
+// Settings holding file paths, resolved from the config file's directory
+const PATH_SETTINGS = new Set([
+  'ca', 'cert', 'key', 'parsers', 'replay', 'output', 'plan', 'capture', 'gateways', 'db', 'offsets',
+  'map', 'model', 'rules', 'test', 'workbook', 'truth'
+]);
+
+// Network errors and refused CONNACKs
+const CONNECTION_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT', 'ECONNRESET']);
+
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+function isConnectionError(error) {
+  return CONNECTION_ERROR_CODES.has(error.code) || /^Connection refused/i.test(error.message || '');
+}
+
+/**
+ * parseArgs options of a command: global flags, its shared groups, its own.
+ */
+function commandOptions(command) {
+  const options = { ...GLOBAL_OPTIONS };
+  (command.groups || []).forEach(group => Object.assign(options, SHARED_OPTIONS[group]));
+  return Object.assign(options, command.options || {});
+}
+
+/**
+ * The config file to read: --config, or the first default name found.
+ */
+function findConfigFile(explicit, cwd) {
+  if (explicit) {
+    if (!fs.existsSync(explicit)) {
+      throw usageError(`Config file not found: ${explicit}`);
+    }
+    return explicit;
+  }
+  for (const dir of Array.from(new Set([cwd, APP_DIR]))) {
+    const found = CONFIG_FILES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Settings of the config file for one command, as flag values.
+ */
+function configSettings(filePath, commandName, options) {
+  if (!filePath) return {};
+
+  let document;
+  try {
+    document = readConfigFile(filePath) || {};
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    throw usageError(`${filePath} must hold a mapping of settings`);
+  }
+
+  const known = new Set(Object.values(COMMANDS).flatMap(command => Object.keys(commandOptions(command))));
+  const { commands = {}, ...shared } = document;
+  Object.keys(shared).forEach(key => {
+    if (!known.has(key) || GLOBAL_OPTIONS[key]) {
+      throw usageError(`${filePath}: unknown setting "${key}"`);
+    }
+  });
+  Object.keys(commands || {}).forEach(name => {
+    if (!COMMANDS[name]) {
+      throw usageError(`${filePath}: unknown command "${name}" under "commands"`);
+    }
+    Object.keys(commands[name] || {}).forEach(key => {
+      if (!commandOptions(COMMANDS[name])[key] || GLOBAL_OPTIONS[key]) {
+        throw usageError(`${filePath}: command "${name}" has no setting "${key}"`);
+      }
+    });
+  });
+
+  // Shared settings only apply to the commands that take them
+  const merged = { ...shared, ...((commands || {})[commandName] || {}) };
+  const settings = {};
+  Object.entries(merged).forEach(([key, value]) => {
+    const option = options[key];
+    if (!option || value === null || value === undefined) return;
+
+    if (option.type === 'boolean') {
+      settings[key] = Boolean(value);
+    } else if (option.multiple) {
+      settings[key] = [].concat(value).map(String);
+    } else {
+      settings[key] = Array.isArray(value) ? value.join(',') : String(value);
+    }
+    if (PATH_SETTINGS.has(key)) {
+      settings[key] = path.resolve(path.dirname(filePath), settings[key]);
+    }
+  });
+  return settings;
+}
+
+function describeOption(name, option) {
+  const short = option.short ? `-${option.short}, ` : '';
+  return `${short}--${name}${option.type === 'string' ? ' <value>' : ''}`;
+}
+
+// Flag list of the help, descriptions aligned
+function describeOptions(options) {
+  const entries = Object.entries(options).map(([name, option]) => [describeOption(name, option), option.description || '']);
+  const width = Math.max(...entries.map(([flag]) => flag.length));
+  return entries.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`.trimEnd());
+}
+
+function generalHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return [
+    'Usage: calib <command> [flags]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`),
+    '',
+    'Flags of every command: --config <file>, --json, --help',
+    'Run "calib <command> --help" for the flags of a command.',
+    '',
+    'Exit codes: 0 success, 1 command failed, 2 usage or configuration error, 3 broker unreachable'
+  ].join('\n');
+}
+
+function commandHelp(name, command) {
+  const lines = [`Usage: calib ${name}${command.usage ? ` ${command.usage}` : ''} [flags]`, '', command.summary, ''];
+  const list = (title, options) => {
+    if (Object.keys(options).length === 0) return;
+    lines.push(`${title}:`, ...describeOptions(options), '');
+  };
+  // Commands may reword a shared flag, e.g. what --output holds
+  const reworded = options => Object.fromEntries(Object.entries(options).map(([option, definition]) =>
+    [option, { ...definition, description: (command.sharedHelp || {})[option] || definition.description }]));
+  list('Flags', command.options || {});
+  (command.groups || []).forEach(group => list(`Shared (${group})`, reworded(SHARED_OPTIONS[group])));
+  list('Global', GLOBAL_OPTIONS);
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Run a command line.
+ * @param {string[]} argv Arguments after the program name
+ * @param {object} [io] Streams and environment (tests pass their own)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const env = io.env || process.env;
+  const cwd = io.cwd || process.cwd();
+
+  const [name, ...rest] = argv;
+  const json = rest.includes('--json');
+  const writeResult = document => {
+    if (json) stdout.write(JSON.stringify(document) + '\n');
+  };
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    (name ? stdout : stderr).write(generalHelp() + '\n');
+    return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    stderr.write(`Unknown command "${name}"\n\n${generalHelp()}\n`);
+    writeResult({ command: name, ok: false, exitCode: EXIT_CODES.USAGE, error: `Unknown command "${name}"` });
+    return EXIT_CODES.USAGE;
+  }
+
+  // With --json, human-readable output moves to stderr so stdout stays parseable
+  const originalLog = console.log;
+  if (json) {
+    console.log = (...args) => console.error(...args);
+  }
+
+  let exitCode = EXIT_CODES.OK;
+  try {
+    let tool;
+    let values;
+    try {
+      const options = commandOptions(command);
+      const parsed = parseArgs({ args: rest, options, allowPositionals: Boolean(command.usage), strict: true });
+      if (parsed.values.help) {
+        stdout.write(commandHelp(name, command) + '\n');
+        return EXIT_CODES.OK;
+      }
+
+      const required = (command.usage || '').split(' ').filter(part => part.startsWith('<'));
+      if (parsed.positionals.length < required.length) {
+        throw usageError(`Missing ${required.slice(parsed.positionals.length).join(' ')}`);
+      }
+
+      const settings = configSettings(findConfigFile(parsed.values.config, cwd), name, options);
+      values = { ...settings, ...parsed.values };
+      const mqttKeys = Object.keys(MQTT_ARG_OPTIONS);
+      const only = (source, keys) => Object.fromEntries(Object.entries(source).filter(([key]) => keys.includes(key)));
+
+      const context = {
+        env,
+        mqtt: command.groups && command.groups.includes('mqtt')
+          ? resolveMqttOptions(only(parsed.values, mqttKeys), env, only(settings, mqttKeys))
+          : null,
+        tagMacs: parsed.values.tag !== undefined ? parsed.values.tag : env.TAG_MAC !== undefined ? env.TAG_MAC : settings.tag,
+        progress: json ? stderr : stdout,
+        input: io.stdin,
+        onRecord: json ? record => stdout.write(JSON.stringify(record) + '\n') : undefined
+      };
+
+      const Tool = command.tool();
+      tool = new Tool(command.build(values, parsed.positionals, context));
+    } catch (error) {
+      throw error.exitCode ? error : Object.assign(error, { exitCode: EXIT_CODES.USAGE });
+    }
+
+    const returned = command.run ? await command.run(tool, values) : await tool.run();
+    const result = command.result ? command.result(tool, returned) : returned;
+    writeResult({ command: name, ok: true, exitCode, result: result === undefined ? null : result });
+  } catch (error) {
+    exitCode = error.exitCode || (isConnectionError(error) ? EXIT_CODES.CONNECTION : EXIT_CODES.FAILED);
+    stderr.write(`\nError: ${error.message}\n`);
+    if (exitCode === EXIT_CODES.USAGE) {
+      stderr.write(`Run "calib ${name} --help" for usage.\n`);
+    }
+    writeResult({ command: name, ok: false, exitCode, error: error.message });
+  } finally {
+    console.log = originalLog;
+  }
+  return exitCode;
+}
+
+module.exports = {
+  main,
+  EXIT_CODES
+};
@@ -0,0 +1,14 @@
+/**
+ * Clock
+ * Wall-clock time and timers for the tools. Tools take a clock option so
+ * tests can run recording windows on simulated time.
+ */
+
+const systemClock = {
+  now: () => Date.now(),
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+module.exports = {
+  systemClock
+};
@@ -0,0 +1,491 @@
+/**
+ * CLI Commands
+ * The subcommands of the calib CLI (see lib/cli.js): the tool each one
+ * runs, the flags it takes on top of the shared ones, and how flags map to
+ * the tool's constructor options.
+ *
+ * Shared flag groups a command can take:
+ *   mqtt       broker, topics, QoS, credentials, TLS (see lib/mqtt-connection.js)
+ *   source     --parsers <file>, --replay <capture>, --replay-speed <x>
+ *   tag        --tag <mac,...> (or TAG_MAC)
+ *   duration   --duration <s>
+ *   output     --output <file>
+ *
+ * Every flag has a one-line description for --help; sharedHelp rewords a
+ * shared flag for one command (e.g. what --output holds).
+ *
+ * build(values, positionals, context) returns the tool options; context
+ * carries the resolved mqtt options, tag MACs, the output streams and, in
+ * JSON mode, onRecord for streaming records. result(tool, returned) is what
+ * --json prints when the command finishes.
+ */
+
+// Numeric flags, from the command line or the config file; anything that is
+// not a number is a usage error naming the flag rather than a silent default
+function number(values, flag) {
+  const value = values[flag];
+  if (value === undefined) return undefined;
+  const parsed = typeof value === 'number' ? value : String(value).trim() === '' ? NaN : Number(value);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`--${flag} must be a number (got "${value}")`);
+  }
+  return parsed;
+}
+
+function integer(values, flag) {
+  const parsed = number(values, flag);
+  if (parsed !== undefined && !Number.isInteger(parsed)) {
+    throw new Error(`--${flag} must be a whole number (got "${values[flag]}")`);
+  }
+  return parsed;
+}
+
+function seconds(values, flag) {
+  const parsed = number(values, flag);
+  return parsed === undefined ? undefined : parsed * 1000;
+}
+
+// Options every consumer of the live stream takes
+function streamOptions(values, context) {
+  return {
+    mqtt: context.mqtt,
+    tagMacs: context.tagMacs,
+    parserFile: values.parsers,
+    replayFile: values.replay,
+    replaySpeed: number(values, 'replay-speed')
+  };
+}
+
+// Recording windows and statistics of the two survey tools
+const SURVEY_OPTIONS = {
+  plan: { type: 'string', description: 'Survey plan to walk through (YAML/JSON)' },
+  unattended: { type: 'boolean', description: 'Run the plan without prompts' },
+  capture: { type: 'string', description: 'Also write the raw MQTT traffic to this capture file' },
+  statistic: { type: 'string', description: 'Window statistic: mean, median, trimmed, mode or kalman (default median)' },
+  outliers: { type: 'string', description: 'Outlier rejection: none, mad or iqr (default mad)' },
+  'min-duration': { type: 'string', description: 'Shortest adaptive window, in seconds (default: the duration, 5 with --ci-target)' },
+  'max-duration': { type: 'string', description: 'Longest adaptive window, in seconds (default: the duration; also caps the default duration)' },
+  'min-samples': { type: 'string', description: 'Samples needed per gateway before a window may end' },
+  'ci-target': { type: 'string', description: 'End the window once the 95% CI of the mean is within this many dB' },
+  gateways: { type: 'string', description: 'Gateway registry (JSON/YAML) for names and checks' },
+  db: { type: 'string', description: 'SQLite survey database (default survey.db)' },
+  operator: { type: 'string', description: 'Name recorded with the session' }
+};
+
+function surveyOptions(values, context) {
+  return {
+    ...streamOptions(values, context),
+    outputFile: values.output,
+    registryFile: values.gateways,
+    dbFile: values.db,
+    operator: values.operator,
+    planFile: values.plan,
+    unattended: values.unattended,
+    captureFile: values.capture,
+    output: context.progress,
+    input: context.input,
+    stats: {
+      statistic: values.statistic,
+      outliers: values.outliers
+    },
+    window: {
+      duration: seconds(values, 'duration'),
+      minDuration: seconds(values, 'min-duration'),
+      maxDuration: seconds(values, 'max-duration'),
+      minSamples: integer(values, 'min-samples'),
+      minGateways: integer(values, 'min-gateways'),
+      ciTarget: number(values, 'ci-target')
+    }
+  };
+}
+
+const surveyResult = tool => ({
+  outputFile: tool.outputPath(),
+  sessionId: tool.sessionId,
+  windows: tool.windowsWritten
+});
+
+const COMMANDS = {
+  sniff: {
+    summary: 'Print every tag reading of the MQTT stream',
+    tool: () => require('../tools/sniffer-tool'),
+    groups: ['mqtt', 'source', 'tag', 'duration', 'output'],
+    sharedHelp: { output: 'Also append every reading to this JSON Lines file' },
+    build: (values, positionals, context) => ({
+      ...streamOptions(values, context),
+      // PARSER_CONFIG is what the sniffer used before the CLI
+      parserFile: values.parsers || context.env.PARSER_CONFIG,
+      durationMs: seconds(values, 'duration'),
+      outputFile: values.output,
+      onRecord: context.onRecord
+    })
+  },
+
+  gateway: {
+    summary: 'Record gateway calibration data: RSSI at known distances',
+    tool: () => require('../tools/gateway-calibration-tool'),
+    groups: ['mqtt', 'source', 'tag', 'duration', 'output'],
+    sharedHelp: {
+      duration: 'Recording window in seconds (default 60)',
+      output: 'Calibration workbook (default gateway-calibration-data.xlsx)'
+    },
+    options: SURVEY_OPTIONS,
+    build: surveyOptions,
+    result: surveyResult
+  },
+
+  fingerprint: {
+    summary: 'Record RSSI fingerprints at survey locations',
+    tool: () => require('../tools/fingerprint-collection-tool'),
+    groups: ['mqtt', 'source', 'tag', 'duration', 'output'],
+    sharedHelp: {
+      duration: 'Recording window in seconds (default 60)',
+      output: 'Fingerprint workbook (default fingerprint-collection-data.xlsx)'
+    },
+    options: {
+      ...SURVEY_OPTIONS,
+      'min-gateways': { type: 'string', description: 'Gateways that must qualify before a window may end' },
+      offsets: { type: 'string', description: 'Per-gateway RSSI offsets (default rssi-offsets.json)' },
+      headings: { type: 'string', description: 'Record one window per heading at every location, e.g. "N,E,S,W"' }
+    },
+    build: (values, positionals, context) => ({
+      ...surveyOptions(values, context),
+      offsetsFile: values.offsets,
+      headings: values.headings
+    }),
+    result: surveyResult
+  },
+
+  fit: {
+    summary: 'Fit the path-loss model per gateway to the calibration workbook',
+    usage: '[calibration.xlsx]',
+    tool: () => require('../tools/path-loss-fit-tool'),
+    groups: ['output'],
+    sharedHelp: { output: 'Model JSON (default path-loss-model.json, where trilaterate, presence and interpolate read it)' },
+    build: (values, positionals) => ({
+      inputFile: positionals[0],
+      jsonFile: values.output
+    })
+  },
+
+  offsets: {
+    summary: 'Compute per-gateway RSSI offsets from the calibration workbook',
+    usage: '[calibration.xlsx]',
+    tool: () => require('../tools/rssi-offset-tool'),
+    groups: ['output'],
+    sharedHelp: { output: 'Offsets JSON (default rssi-offsets.json)' },
+    options: {
+      reference: { type: 'string', description: 'Reference gateway the others are aligned to (default: the median)' },
+      distance: { type: 'string', description: 'Use only calibration rows at this distance, in metres' },
+      replace: { type: 'string', multiple: true, description: 'Gateway replaced by a new unit, as OLD_MAC=NEW_MAC (repeatable)' },
+      gateways: { type: 'string', description: 'Gateway registry (JSON/YAML) for names' }
+    },
+    build: (values, positionals) => ({
+      inputFile: positionals[0],
+      outputFile: values.output,
+      reference: values.reference,
+      distance: values.distance === undefined ? null : number(values, 'distance'),
+      replacements: values.replace,
+      registryFile: values.gateways
+    })
+  },
+
+  evaluate: {
+    summary: 'Measure fingerprint positioning error (leave-one-out, k-fold or a test walk)',
+    usage: '[fingerprint.xlsx]',
+    tool: () => require('../tools/fingerprint-evaluation-tool'),
+    options: {
+      test: { type: 'string', description: 'Position this test workbook against the map instead of cross-validating' },
+      folds: { type: 'string', description: 'k-fold cross-validation with this many folds (default leave-one-out)' },
+      method: { type: 'string', description: 'knn or wknn (default wknn)' },
+      k: { type: 'string', description: 'Neighbours per estimate (default 3)' },
+      'missing-rssi': { type: 'string', description: 'RSSI assumed for gateways a point did not hear (default -100)' },
+      heading: { type: 'string', description: 'merged (default), each, or one heading label such as N' },
+      offsets: { type: 'string', description: 'Per-gateway RSSI offsets (default rssi-offsets.json)' }
+    },
+    build: (values, positionals) => ({
+      mapFile: positionals[0],
+      testFile: values.test,
+      folds: integer(values, 'folds'),
+      method: values.method,
+      k: integer(values, 'k'),
+      missingRssi: number(values, 'missing-rssi'),
+      heading: values.heading,
+      offsetsFile: values.offsets
+    }),
+    result: (tool, { results, summary }) => ({
+      summary,
+      points: results.map(r => ({
+        location: r.point.id,
+        error: r.error,
+        nearest: r.nearest ? r.nearest.id : null,
+        nearestError: r.nearestError,
+        flagged: Boolean(r.flagged)
+      }))
+    })
+  },
+
+  interpolate: {
+    summary: 'Interpolate the fingerprint map onto a dense grid (IDW, Gaussian process or path-loss fill)',
+    usage: '[fingerprint.xlsx]',
+    tool: () => require('../tools/radio-map-interpolation-tool'),
+    groups: ['output'],
+    sharedHelp: { output: 'Write to this workbook instead of the input one' },
+    options: {
+      method: { type: 'string', description: 'idw (default), gp or model' },
+      spacing: { type: 'string', description: 'Grid spacing in metres (default 1)' },
+      'max-distance': { type: 'string', description: 'Leave out cells farther than this from a measured point, in metres (default 5)' },
+      power: { type: 'string', description: 'IDW distance power (default 2)' },
+      neighbours: { type: 'string', description: 'IDW neighbours per cell (default 8)' },
+      'length-scale': { type: 'string', description: 'Gaussian process length scale in metres (default 4)' },
+      noise: { type: 'string', description: 'Gaussian process measurement noise in dB (default 2)' },
+      'missing-rssi': { type: 'string', description: 'RSSI assumed for gateways a point did not hear (default -100)' },
+      model: { type: 'string', description: 'Path-loss models from the fit command (default path-loss-model.json)' },
+      gateways: { type: 'string', description: 'Gateway registry (JSON/YAML) with the gateway positions' },
+      offsets: { type: 'string', description: 'Per-gateway RSSI offsets (default rssi-offsets.json)' }
+    },
+    build: (values, positionals) => ({
+      workbookFile: positionals[0],
+      outputFile: values.output,
+      method: values.method,
+      spacing: number(values, 'spacing'),
+      maxDistance: number(values, 'max-distance'),
+      power: number(values, 'power'),
+      neighbours: integer(values, 'neighbours'),
+      lengthScale: number(values, 'length-scale'),
+      noise: number(values, 'noise'),
+      missingRssi: number(values, 'missing-rssi'),
+      modelFile: values.model,
+      registryFile: values.gateways,
+      offsetsFile: values.offsets
+    })
+  },
+
+  report: {
+    summary: 'Write an HTML report on survey quality (heatmaps, weak and ambiguous points, path-loss fits)',
+    usage: '[fingerprint.xlsx]',
+    tool: () => require('../tools/survey-report-tool'),
+    groups: ['output'],
+    sharedHelp: { output: 'HTML report (default survey-report.html next to the workbook)' },
+    options: {
+      calibration: { type: 'string', description: 'Calibration workbook for the path-loss fit plots' },
+      gateways: { type: 'string', description: 'Gateway registry (JSON/YAML) for names and heatmap positions' },
+      'weak-rssi': { type: 'string', description: 'Points whose strongest gateway is below this are weak, in dBm (default -85)' },
+      'min-gateways': { type: 'string', description: 'Points hearing fewer gateways are weak (default 3)' },
+      'ambiguous-db': { type: 'string', description: 'Fingerprints closer than this in signal space look alike, in dB (default 6)' },
+      'ambiguous-distance': { type: 'string', description: 'Only points farther apart than this can be ambiguous, in metres (default 3)' }
+    },
+    build: (values, positionals) => ({
+      workbookFile: positionals[0],
+      calibrationFile: values.calibration,
+      outputFile: values.output,
+      registryFile: values.gateways,
+      weakRssi: number(values, 'weak-rssi'),
+      minGateways: integer(values, 'min-gateways'),
+      ambiguousDb: number(values, 'ambiguous-db'),
+      ambiguousDistance: number(values, 'ambiguous-distance')
+    })
+  },
+
+  export: {
+    summary: 'Export survey sessions from the database to workbooks',
+    usage: '[output.xlsx]',
+    tool: () => require('../tools/survey-export-tool'),
+    groups: ['output'],
+    sharedHelp: { output: 'Workbook to write (default survey-<tool>-export.xlsx)' },
+    options: {
+      db: { type: 'string', description: 'SQLite survey database (default survey.db)' },
+      tool: { type: 'string', description: 'Sessions of this tool: gateway or fingerprint' },
+      session: { type: 'string', description: 'Session IDs to export, comma separated' },
+      since: { type: 'string', description: 'Sessions started on or after this date/time' },
+      until: { type: 'string', description: 'Sessions started before this date/time' },
+      statistic: { type: 'string', description: 'Re-aggregate with this statistic: mean, median, trimmed, mode or kalman' },
+      outliers: { type: 'string', description: 'Re-aggregate with this outlier rejection: none, mad or iqr' },
+      'include-invalid': { type: 'boolean', description: 'Also export windows marked invalid' },
+      samples: { type: 'boolean', description: 'Also write the raw samples' },
+      append: { type: 'boolean', description: 'Add the sessions to the rows of the output workbook instead of replacing it' },
+      list: { type: 'boolean', description: 'List the stored sessions instead of exporting' }
+    },
+    build: (values, positionals) => ({
+      dbFile: values.db,
+      tool: values.tool,
+      sessionIds: values.session
+        ? String(values.session).split(',').map(id => integer({ session: id.trim() }, 'session'))
+        : [],
+      since: values.since,
+      until: values.until,
+      outputFile: values.output || positionals[0],
+      stats: { statistic: values.statistic, outliers: values.outliers },
+      includeInvalid: values['include-invalid'],
+      samples: values.samples,
+      append: values.append
+    }),
+    run: (tool, values) => tool.run(values.list)
+  },
+
+  grid: {
+    summary: 'Preview a survey grid and the coverage of a fingerprint workbook',
+    usage: '<plan>',
+    tool: () => require('../tools/survey-grid-tool'),
+    options: {
+      workbook: { type: 'string', description: 'Fingerprint workbook to check the coverage of' },
+      list: { type: 'boolean', description: 'List every grid point' }
+    },
+    build: (values, positionals) => ({
+      planFile: positionals[0],
+      workbookFile: values.workbook,
+      list: values.list
+    }),
+    result: (tool, status) => Object.fromEntries(status)
+  },
+
+  position: {
+    summary: 'Estimate tag positions from the fingerprint map (kNN) and publish them',
+    tool: () => require('../tools/fingerprint-positioning-tool'),
+    groups: ['mqtt', 'source', 'tag', 'duration'],
+    options: {
+      map: { type: 'string', description: 'Fingerprint workbook (default fingerprint-collection-data.xlsx)' },
+      method: { type: 'string', description: 'knn or wknn (default wknn)' },
+      k: { type: 'string', description: 'Neighbours per estimate (default 3)' },
+      'missing-rssi': { type: 'string', description: 'RSSI assumed for gateways a tag did not hear (default -100)' },
+      heading: { type: 'string', description: 'merged (default), each, or one heading label such as N' },
+      offsets: { type: 'string', description: 'Per-gateway RSSI offsets (default rssi-offsets.json)' },
+      'measured-only': { type: 'boolean', description: 'Leave out the interpolated cells of the map' },
+      topic: { type: 'string', description: 'Topic template of the estimates (default positioning/fingerprint/{tag})' },
+      'zone-topic': { type: 'string', description: 'Topic template of zone events (default positioning/zones/{tag})' },
+      'zone-k': { type: 'string', description: 'Reference points voting on the zone (default 5)' },
+      'min-confidence': { type: 'string', description: 'Zone votes below this confidence do not move a tag (default 0.6)' },
+      'zone-dwell': { type: 'string', description: 'Consecutive classifications needed to enter a zone (default 2)' },
+      interval: { type: 'string', description: 'Seconds between estimates (default 1)' },
+      window: { type: 'string', description: 'Seconds a reading stays in the estimate (default 5)' }
+    },
+    build: (values, positionals, context) => ({
+      ...streamOptions(values, context),
+      mapFile: values.map,
+      method: values.method,
+      k: integer(values, 'k'),
+      missingRssi: number(values, 'missing-rssi'),
+      heading: values.heading,
+      offsetsFile: values.offsets,
+      measuredOnly: values['measured-only'],
+      topic: values.topic,
+      zoneTopic: values['zone-topic'],
+      zoneK: integer(values, 'zone-k'),
+      minConfidence: number(values, 'min-confidence'),
+      zoneDwell: integer(values, 'zone-dwell'),
+      intervalMs: seconds(values, 'interval'),
+      windowMs: seconds(values, 'window'),
+      durationMs: seconds(values, 'duration'),
+      onRecord: context.onRecord
+    }),
+    result: tool => ({ estimates: tool.published, zoneEvents: tool.zoneEvents })
+  },
+
+  trilaterate: {
+    summary: 'Estimate tag positions from path-loss distances and publish them',
+    tool: () => require('../tools/trilateration-positioning-tool'),
+    groups: ['mqtt', 'source', 'tag', 'duration'],
+    options: {
+      model: { type: 'string', description: 'Path-loss models from the fit command (default path-loss-model.json)' },
+      gateways: { type: 'string', description: 'Gateway registry (JSON/YAML) with the gateway positions' },
+      'tag-height': { type: 'string', description: 'Tag height in metres (default 0)' },
+      topic: { type: 'string', description: 'Topic template of the estimates (default positioning/trilateration/{tag})' },
+      interval: { type: 'string', description: 'Seconds between estimates (default 1)' },
+      window: { type: 'string', description: 'Seconds a reading stays in the estimate (default 5)' }
+    },
+    build: (values, positionals, context) => ({
+      ...streamOptions(values, context),
+      modelFile: values.model,
+      gatewaysFile: values.gateways,
+      tagHeight: number(values, 'tag-height'),
+      topic: values.topic,
+      intervalMs: seconds(values, 'interval'),
+      windowMs: seconds(values, 'window'),
+      durationMs: seconds(values, 'duration'),
+      onRecord: context.onRecord
+    }),
+    result: tool => ({ estimates: tool.published })
+  },
+
+  presence: {
+    summary: 'Emit enter, exit and dwell events of tags near gateways',
+    tool: () => require('../tools/presence-tool'),
+    groups: ['mqtt', 'source', 'tag', 'duration'],
+    options: {
+      model: { type: 'string', description: 'Path-loss models for the proximity thresholds (default path-loss-model.json)' },
+      rules: { type: 'string', description: 'Per-gateway presence rules (YAML/JSON)' },
+      gateways: { type: 'string', description: 'Gateway registry (JSON/YAML) for names' },
+      topic: { type: 'string', description: 'Topic template of the events (default presence/{gateway}/{tag})' },
+      webhook: { type: 'string', description: 'Also POST every event to this URL' },
+      interval: { type: 'string', description: 'Seconds between presence checks (default 1)' }
+    },
+    build: (values, positionals, context) => ({
+      ...streamOptions(values, context),
+      modelFile: values.model,
+      rulesFile: values.rules,
+      registryFile: values.gateways,
+      topic: values.topic,
+      webhookUrl: values.webhook,
+      intervalMs: seconds(values, 'interval'),
+      durationMs: seconds(values, 'duration'),
+      onRecord: context.onRecord
+    }),
+    result: tool => ({ ...tool.counts })
+  },
+
+  dashboard: {
+    summary: 'Serve the live gateway and RSSI dashboard',
+    tool: () => require('../tools/dashboard-tool'),
+    groups: ['mqtt', 'source', 'duration'],
+    options: {
+      port: { type: 'string', description: 'HTTP port (default 8080)' },
+      host: { type: 'string', description: 'Address to listen on (default 127.0.0.1)' },
+      interval: { type: 'string', description: 'Seconds between page updates (default 1)' },
+      smoothing: { type: 'string', description: 'EMA weight of the newest reading, 1 = no smoothing (default 0.3)' },
+      history: { type: 'string', description: 'Readings kept per gateway and tag (default 60)' },
+      stale: { type: 'string', description: 'Seconds after which a silent gateway or tag is shown as stale (default 10)' },
+      forget: { type: 'string', description: 'Seconds after which a silent gateway or tag is dropped (default 600)' },
+      gateways: { type: 'string', description: 'Gateway registry (JSON/YAML) for names' }
+    },
+    build: (values, positionals, context) => ({
+      mqtt: context.mqtt,
+      parserFile: values.parsers,
+      replayFile: values.replay,
+      replaySpeed: number(values, 'replay-speed'),
+      port: integer(values, 'port'),
+      host: values.host,
+      intervalMs: seconds(values, 'interval'),
+      smoothing: number(values, 'smoothing'),
+      historySize: integer(values, 'history'),
+      staleMs: seconds(values, 'stale'),
+      forgetMs: seconds(values, 'forget'),
+      registryFile: values.gateways,
+      durationMs: seconds(values, 'duration')
+    })
+  },
+
+  simulate: {
+    summary: 'Publish synthetic gateway traffic for a virtual floor',
+    usage: '<scenario>',
+    tool: () => require('../tools/simulator-tool'),
+    groups: ['mqtt', 'duration'],
+    options: {
+      rate: { type: 'string', description: 'Messages per second per gateway (default from the scenario)' },
+      seed: { type: 'string', description: 'Random seed, for repeatable traffic' },
+      capture: { type: 'string', description: 'Write the traffic to this capture file instead of publishing it' },
+      truth: { type: 'string', description: 'Write the true tag positions to this JSON Lines file' }
+    },
+    build: (values, positionals, context) => ({
+      scenarioFile: positionals[0],
+      mqtt: context.mqtt,
+      durationMs: seconds(values, 'duration') || null,
+      rateHz: number(values, 'rate') || null,
+      seed: integer(values, 'seed'),
+      captureFile: values.capture,
+      truthFile: values.truth
+    }),
+    result: tool => ({ messages: tool.published, lost: tool.lost })
+  }
+};
+
+module.exports = COMMANDS;
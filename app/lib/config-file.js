@@ -0,0 +1,35 @@
+/**
+ * Config File Loader
+ * Reads JSON or YAML documents, chosen by file extension
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Read and parse a JSON (.json) or YAML (.yaml/.yml) file.
+ * @param {string} filePath
+ * @returns {*} Parsed document
+ */
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  try {
+    if (ext === '.yaml' || ext === '.yml') {
+      return yaml.load(text);
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  readConfigFile
+};
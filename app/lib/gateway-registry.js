@@ -0,0 +1,146 @@
+/**
+ * Gateway Registry
+ * Maps gateway MACs to friendly names, positions, floor/zone and TX settings.
+ * Loaded from JSON or YAML:
+ *
+ *   gateways:
+ *     - mac: AC233FA12345
+ *       name: Lobby North
+ *       x: 0
+ *       y: 12.5
+ *       z: 2.6
+ *       floor: "1"
+ *       zone: Lobby
+ *       txPower: -4        # dBm
+ *       txInterval: 100    # advertising interval, ms
+ */
+
+const fs = require('fs');
+const { readConfigFile } = require('./config-file');
+const { normalizeMac } = require('./mac');
+
+const LABEL_PATTERN = /\(([^()]+)\)\s*$/;
+
+function optionalNumber(value, field, mac) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  if (isNaN(number)) {
+    throw new Error(`Gateway ${mac}: "${field}" must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Extract the MAC from a workbook column label such as "Lobby North (AC233FA12345)".
+ * Plain MAC headers are returned unchanged.
+ */
+function macFromLabel(label) {
+  const text = String(label).trim();
+  const match = text.match(LABEL_PATTERN);
+  return (match ? match[1] : text).toUpperCase();
+}
+
+class GatewayRegistry {
+  /**
+   * @param {object[]} entries Gateway records as found in the registry file
+   */
+  constructor(entries = []) {
+    this.gateways = new Map(); // normalized MAC -> entry
+
+    entries.forEach((entry, index) => {
+      if (!entry || !entry.mac) {
+        throw new Error(`Gateway ${index + 1}: "mac" is required`);
+      }
+
+      const mac = String(entry.mac).trim().toUpperCase();
+      const key = normalizeMac(mac);
+      if (this.gateways.has(key)) {
+        throw new Error(`Gateway ${mac} is listed twice`);
+      }
+
+      this.gateways.set(key, {
+        mac,
+        name: entry.name ? String(entry.name) : null,
+        x: optionalNumber(entry.x, 'x', mac),
+        y: optionalNumber(entry.y, 'y', mac),
+        z: optionalNumber(entry.z, 'z', mac) || 0,
+        floor: entry.floor === undefined ? null : String(entry.floor),
+        zone: entry.zone === undefined ? null : String(entry.zone),
+        txPower: optionalNumber(entry.txPower, 'txPower', mac),
+        txInterval: optionalNumber(entry.txInterval, 'txInterval', mac)
+      });
+    });
+  }
+
+  /**
+   * @param {string} filePath JSON/YAML registry; a bare list of gateways is accepted too
+   */
+  static load(filePath) {
+    const document = readConfigFile(filePath);
+    const entries = Array.isArray(document) ? document : (document && document.gateways) || [];
+    return new GatewayRegistry(entries);
+  }
+
+  /**
+   * Load the registry if the file exists, otherwise return an empty one.
+   */
+  static loadIfExists(filePath) {
+    return filePath && fs.existsSync(filePath) ? GatewayRegistry.load(filePath) : new GatewayRegistry();
+  }
+
+  get size() {
+    return this.gateways.size;
+  }
+
+  has(mac) {
+    return this.gateways.has(normalizeMac(mac));
+  }
+
+  get(mac) {
+    return this.gateways.get(normalizeMac(mac)) || null;
+  }
+
+  list() {
+    return Array.from(this.gateways.values());
+  }
+
+  /**
+   * Friendly label for console output and workbook columns: "Name (MAC)".
+   */
+  label(mac) {
+    const entry = this.get(mac);
+    return entry && entry.name ? `${entry.name} (${mac})` : mac;
+  }
+
+  /**
+   * Registered gateways with x/y coordinates, keyed by the MAC as registered.
+   * @returns {Map<string, {x: number, y: number, z: number}>}
+   */
+  positions() {
+    const positions = new Map();
+    this.list()
+      .filter(entry => entry.x !== null && entry.y !== null)
+      .forEach(entry => positions.set(entry.mac, { x: entry.x, y: entry.y, z: entry.z }));
+    return positions;
+  }
+
+  /**
+   * Registered gateways that are not in the given set of heard MACs.
+   */
+  silent(heardMacs) {
+    const heard = new Set(Array.from(heardMacs).map(normalizeMac));
+    return this.list().filter(entry => !heard.has(normalizeMac(entry.mac)));
+  }
+
+  describe(entry) {
+    const details = [
+      entry.floor !== null ? `floor ${entry.floor}` : null,
+      entry.zone,
+      entry.x !== null && entry.y !== null ? `(${entry.x}, ${entry.y}, ${entry.z})` : null
+    ].filter(Boolean).join(', ');
+    return `${entry.name || entry.mac} [${entry.mac}]${details ? ` ${details}` : ''}`;
+  }
+}
+
+module.exports = GatewayRegistry;
+module.exports.macFromLabel = macFromLabel;
@@ -0,0 +1,330 @@
+/**
+ * Radio Map Interpolation
+ * Estimates the RSSI of every gateway on a regular grid from the sparse
+ * points of a fingerprint survey, with an uncertainty (in dB) per value:
+ *
+ *   idw    inverse-distance weighting of the nearest measured points;
+ *          uncertainty = weighted spread of their readings
+ *   gp     Gaussian-process regression (kriging) with a squared-exponential
+ *          covariance, around the path-loss model where the gateway has a
+ *          model and a position, around its mean reading otherwise;
+ *          uncertainty = posterior standard deviation
+ *   model  path-loss model at the cell's distance from the gateway;
+ *          uncertainty = RMS error of the model at the measured points
+ *
+ * A gateway that a measured point did not hear counts as missingRssi there,
+ * as in kNN matching (lib/knn.js). Estimates weaker than the weakest reading
+ * the gateway gave anywhere are reported as not detected. Every floor is
+ * interpolated from its own points only.
+ */
+
+const { generateGrid } = require('./survey-grid');
+const { rssiAtDistance } = require('./path-loss');
+const { normalizeMac } = require('./mac');
+
+const METHODS = ['idw', 'gp', 'model'];
+
+const DEFAULTS = {
+  method: 'idw',
+  spacing: 1, // metres between cells
+  maxDistance: 5, // metres; cells farther from every measured point are left out
+  power: 2, // idw: weight = 1 / distance^power
+  neighbours: 8, // idw: measured points per cell
+  lengthScale: 4, // gp: metres over which readings stay correlated
+  noise: 2, // gp: standard deviation of a single measured fingerprint (dB)
+  missingRssi: -100
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// DEFAULTS overridden by the options that are set
+function settingsOf(options) {
+  const settings = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) settings[key] = value;
+  });
+  return settings;
+}
+
+function distance2d(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+}
+
+function distance3d(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + ((a.z || 0) - (b.z || 0)) ** 2);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Cholesky factor L of a symmetric positive-definite matrix (A = L Lᵀ).
+ */
+function cholesky(matrix) {
+  const size = matrix.length;
+  const lower = Array.from({ length: size }, () => new Float64Array(size));
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= lower[i][k] * lower[j][k];
+      }
+      if (i === j) {
+        if (sum <= 0) {
+          throw new Error('Covariance matrix is not positive definite; increase the noise');
+        }
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+}
+
+// Solve L y = b
+function forwardSubstitute(lower, vector) {
+  const result = new Float64Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    let sum = vector[i];
+    for (let k = 0; k < i; k++) {
+      sum -= lower[i][k] * result[k];
+    }
+    result[i] = sum / lower[i][i];
+  }
+  return result;
+}
+
+// Solve Lᵀ x = y
+function backSubstitute(lower, vector) {
+  const result = new Float64Array(vector.length);
+  for (let i = vector.length - 1; i >= 0; i--) {
+    let sum = vector[i];
+    for (let k = i + 1; k < vector.length; k++) {
+      sum -= lower[k][i] * result[k];
+    }
+    result[i] = sum / lower[i][i];
+  }
+  return result;
+}
+
+/**
+ * Gaussian process over one gateway's readings on one floor.
+ */
+class GaussianProcess {
+  /**
+   * @param {Array<{x: number, y: number}>} points
+   * @param {number[]} residuals Readings minus the mean function at each point
+   * @param {object} options
+   * @param {number} options.lengthScale Metres
+   * @param {number} options.noise dB
+   */
+  constructor(points, residuals, { lengthScale, noise }) {
+    this.points = points;
+    this.lengthScale = lengthScale;
+    // Signal variance from the data, at least 1 dB²
+    this.variance = Math.max(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length, 1);
+    const covariance = points.map((a, i) => points.map((b, j) => this.kernel(a, b) + (i === j ? noise * noise : 0)));
+    this.lower = cholesky(covariance);
+    this.alpha = backSubstitute(this.lower, forwardSubstitute(this.lower, residuals));
+  }
+
+  kernel(a, b) {
+    return this.variance * Math.exp(-(distance2d(a, b) ** 2) / (2 * this.lengthScale ** 2));
+  }
+
+  /**
+   * @returns {{residual: number, std: number}} Posterior mean (around the mean function) and standard deviation
+   */
+  predict(cell) {
+    const k = this.points.map(point => this.kernel(point, cell));
+    const residual = k.reduce((sum, value, i) => sum + value * this.alpha[i], 0);
+    const v = forwardSubstitute(this.lower, k);
+    const variance = this.variance - v.reduce((sum, value) => sum + value * value, 0);
+    return { residual, std: Math.sqrt(Math.max(variance, 0)) };
+  }
+}
+
+/**
+ * Grid cells over the surveyed area of every floor: the bounding box of the
+ * floor's points at the given spacing, without the cells farther than
+ * maxDistance from every point and those closer than half the spacing to
+ * one (the measured point stands in for them). Cells take the zone of the
+ * nearest measured point.
+ *
+ * @param {Array} points Measured points from loadRadioMap()
+ * @returns {Array<{id: string, x: number, y: number, z: number, floor: string|null,
+ *                  zone: string|null, nearest: number}>}
+ */
+function denseGrid(points, options = {}) {
+  const { spacing, maxDistance } = settingsOf(options);
+  const floors = new Map();
+  points.forEach(point => {
+    const key = point.floor || '';
+    if (!floors.has(key)) floors.set(key, []);
+    floors.get(key).push(point);
+  });
+
+  const cells = [];
+  floors.forEach((floorPoints, floor) => {
+    const xs = floorPoints.map(point => point.x);
+    const ys = floorPoints.map(point => point.y);
+    const { points: gridPoints } = generateGrid({
+      spacing,
+      z: median(floorPoints.map(point => point.z)),
+      floor: floor || null,
+      bounds: { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) },
+      idPrefix: floor ? `cell-${floor}` : 'cell'
+    });
+
+    gridPoints
+      .sort((a, b) => a.row - b.row || a.column - b.column)
+      .forEach(point => {
+        const nearest = floorPoints.reduce((best, candidate) =>
+          (distance2d(point, candidate) < distance2d(point, best) ? candidate : best));
+        const distance = distance2d(point, nearest);
+        if (distance > maxDistance || distance < spacing / 2) return;
+        cells.push({ id: point.location, x: point.x, y: point.y, z: point.z, floor: point.floor, zone: nearest.zone, nearest: distance });
+      });
+  });
+  return cells;
+}
+
+class RadioMapInterpolator {
+  /**
+   * @param {{gateways: string[], points: Array}} map Measured radio map from loadRadioMap()
+   * @param {object} [options] See DEFAULTS
+   * @param {Object<string, object>} [options.models] Path-loss models by normalized MAC (model; optional for gp)
+   * @param {Map<string, {x: number, y: number, z: number}>} [options.positions] Gateway positions (model; optional for gp)
+   */
+  constructor(map, options = {}) {
+    this.settings = settingsOf(options);
+    if (!METHODS.includes(this.settings.method)) {
+      throw new Error(`Unknown interpolation method "${this.settings.method}" (expected ${METHODS.join(', ')})`);
+    }
+    this.points = map.points;
+    this.gateways = map.gateways;
+    this.models = options.models || {};
+    this.positions = new Map();
+    (options.positions || new Map()).forEach((position, mac) => this.positions.set(normalizeMac(mac), position));
+    this.fitted = new Map(); // floor|gateway -> mean function with its GaussianProcess or RMS error
+
+    // Weakest real reading per gateway: the detection floor of its estimates
+    this.weakest = new Map();
+    this.points.forEach(point => Object.entries(point.rssi).forEach(([mac, rssi]) => {
+      this.weakest.set(mac, Math.min(rssi, this.weakest.has(mac) ? this.weakest.get(mac) : Infinity));
+    }));
+  }
+
+  /**
+   * Gateways the method can estimate; "model" needs a model and a position.
+   */
+  usableGateways() {
+    if (this.settings.method !== 'model') return this.gateways.slice();
+    return this.gateways.filter(mac => this.modelled(mac));
+  }
+
+  modelled(mac) {
+    return Boolean(this.models[mac] && this.positions.has(mac));
+  }
+
+  reading(point, mac) {
+    return point.rssi[mac] === undefined ? this.settings.missingRssi : point.rssi[mac];
+  }
+
+  floorPoints(floor) {
+    return this.points.filter(point => (point.floor || null) === (floor || null));
+  }
+
+  // Mean function: the path-loss model where there is one, the mean reading otherwise
+  meanFunction(mac, points) {
+    if (this.modelled(mac)) {
+      const position = this.positions.get(mac);
+      return cell => rssiAtDistance(this.models[mac], Math.max(distance3d(cell, position), 0.1));
+    }
+    const mean = points.reduce((sum, point) => sum + this.reading(point, mac), 0) / points.length;
+    return () => mean;
+  }
+
+  idw(cell, mac, points) {
+    const nearest = points
+      .map(point => ({ point, distance: distance2d(cell, point) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, this.settings.neighbours);
+    const weights = nearest.map(n => 1 / Math.max(n.distance, 1e-6) ** this.settings.power);
+    const total = weights.reduce((a, b) => a + b, 0);
+    const values = nearest.map(n => this.reading(n.point, mac));
+    const rssi = values.reduce((sum, value, i) => sum + value * weights[i], 0) / total;
+    const spread = values.reduce((sum, value, i) => sum + weights[i] * (value - rssi) ** 2, 0) / total;
+    return { rssi, uncertainty: Math.sqrt(spread) };
+  }
+
+  gp(cell, mac, points) {
+    const key = `${cell.floor || ''}|${mac}`;
+    if (!this.fitted.has(key)) {
+      const mean = this.meanFunction(mac, points);
+      const residuals = points.map(point => this.reading(point, mac) - mean(point));
+      this.fitted.set(key, { mean, process: new GaussianProcess(points, residuals, this.settings) });
+    }
+    const { mean, process } = this.fitted.get(key);
+    const { residual, std } = process.predict(cell);
+    return { rssi: mean(cell) + residual, uncertainty: std };
+  }
+
+  model(cell, mac, points) {
+    const key = `${cell.floor || ''}|${mac}`;
+    if (!this.fitted.has(key)) {
+      const mean = this.meanFunction(mac, points);
+      const heard = points.filter(point => point.rssi[mac] !== undefined);
+      const rmse = heard.length > 0
+        ? Math.sqrt(heard.reduce((sum, point) => sum + (point.rssi[mac] - mean(point)) ** 2, 0) / heard.length)
+        : (this.models[mac].rmse || null);
+      this.fitted.set(key, { mean, rmse });
+    }
+    const { mean, rmse } = this.fitted.get(key);
+    return { rssi: mean(cell), uncertainty: rmse };
+  }
+
+  /**
+   * Estimate every usable gateway at the cells.
+   * @param {Array} cells From denseGrid()
+   * @returns {Array} The cells with rssi (MAC -> dBm, null = not detected) and
+   *          uncertainty (MAC -> dB) added, and the cell's overall uncertainty
+   *          (RMS over its gateways)
+   */
+  interpolate(cells) {
+    const gateways = this.usableGateways();
+    const byFloor = new Map();
+
+    return cells.map(cell => {
+      const floor = cell.floor || '';
+      if (!byFloor.has(floor)) byFloor.set(floor, this.floorPoints(cell.floor));
+      const points = byFloor.get(floor);
+
+      const rssi = {};
+      const uncertainty = {};
+      gateways.forEach(mac => {
+        const estimate = this[this.settings.method](cell, mac, points);
+        const detected = this.weakest.has(mac) && estimate.rssi >= this.weakest.get(mac);
+        rssi[mac] = detected ? round(estimate.rssi) : null;
+        uncertainty[mac] = estimate.uncertainty === null ? null : round(estimate.uncertainty);
+      });
+
+      const known = Object.values(uncertainty).filter(value => value !== null);
+      const overall = known.length > 0 ? round(Math.sqrt(known.reduce((sum, value) => sum + value * value, 0) / known.length)) : null;
+      return { ...cell, rssi, uncertainty, overallUncertainty: overall };
+    });
+  }
+}
+
+module.exports = {
+  METHODS,
+  DEFAULTS,
+  cholesky,
+  GaussianProcess,
+  denseGrid,
+  RadioMapInterpolator
+};
@@ -0,0 +1,80 @@
+/**
+ * k-Nearest-Neighbour fingerprint positioning
+ * Compares a live RSSI vector with every reference point in signal space
+ * and averages the coordinates of the k closest points
+ */
+
+const DEFAULTS = {
+  k: 3,
+  weighted: true,
+  missingRssi: -100, // stands in for a gateway that one side did not hear
+  minCommonGateways: 1
+};
+
+/**
+ * Euclidean distance in signal space over every gateway heard by either side.
+ * @returns {{distance: number, common: number}}
+ */
+function signalDistance(live, reference, missingRssi) {
+  const gateways = new Set([...Object.keys(live), ...Object.keys(reference)]);
+  let sum = 0;
+  let common = 0;
+
+  gateways.forEach(mac => {
+    const a = live[mac] === undefined ? missingRssi : live[mac];
+    const b = reference[mac] === undefined ? missingRssi : reference[mac];
+    if (live[mac] !== undefined && reference[mac] !== undefined) {
+      common++;
+    }
+    sum += (a - b) ** 2;
+  });
+
+  return { distance: Math.sqrt(sum), common };
+}
+
+/**
+ * Rank reference points by signal distance to a live vector.
+ * @returns {Array<{point: object, distance: number, common: number}>}
+ */
+function rankNeighbours(live, points, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+
+  return points
+    .map(point => ({ point, ...signalDistance(live, point.rssi, settings.missingRssi) }))
+    .filter(candidate => candidate.common >= settings.minCommonGateways)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Estimate a position with kNN or weighted kNN.
+ * @param {Object<string, number>} live gatewayMac -> RSSI
+ * @param {Array} points Reference points from loadRadioMap()
+ * @param {object} [options] See DEFAULTS
+ * @returns {{x: number, y: number, z: number, neighbours: Array<{id: string, distance: number}>}|null}
+ *          null when no reference point shares a gateway with the live vector
+ */
+function estimatePosition(live, points, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  if (Object.keys(live).length === 0) return null;
+
+  const nearest = rankNeighbours(live, points, settings).slice(0, settings.k);
+  if (nearest.length === 0) return null;
+
+  // Inverse-distance weights; an exact match takes all the weight
+  const weights = nearest.map(n => (settings.weighted ? 1 / Math.max(n.distance, 1e-6) : 1));
+  const total = weights.reduce((a, b) => a + b, 0);
+  const average = axis => nearest.reduce((sum, n, i) => sum + n.point[axis] * weights[i], 0) / total;
+
+  return {
+    x: average('x'),
+    y: average('y'),
+    z: average('z'),
+    neighbours: nearest.map(n => ({ id: n.point.id, distance: n.distance }))
+  };
+}
+
+module.exports = {
+  signalDistance,
+  rankNeighbours,
+  estimatePosition
+};
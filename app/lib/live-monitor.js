@@ -0,0 +1,184 @@
+/**
+ * Live Monitor
+ * Keeps the current state of the MQTT stream for the dashboard: every
+ * gateway with its last-seen time and message rate, and a gateway x tag
+ * matrix of smoothed RSSI with a short history for sparklines.
+ */
+
+const { normalizeMac } = require('./mac');
+
+const DEFAULTS = {
+  smoothing: 0.3,     // EMA weight of the newest reading (1 = no smoothing)
+  historySize: 60,    // readings kept per gateway/tag cell
+  rateWindowMs: 10000,
+  staleMs: 10000,     // a gateway or cell unheard for this long is shown as stale
+  forgetMs: 600000    // ... and forgotten after this long, so a long-running monitor does not grow
+};
+
+class LiveMonitor {
+  /**
+   * @param {object} [options] Overrides for DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && !isNaN(value)) this.options[key] = value;
+    });
+    if (!(this.options.smoothing > 0 && this.options.smoothing <= 1)) {
+      throw new Error('smoothing must be in (0, 1]');
+    }
+    if (!(this.options.forgetMs >= this.options.staleMs)) {
+      throw new Error('the forget window must not be shorter than the stale window');
+    }
+
+    this.gateways = new Map(); // gateway MAC -> { mac, firstSeen, lastSeen, messages, arrivals[] }
+    this.cells = new Map();    // "gateway|tag" -> { gateway, tag, rssi, last, lastSeen, samples, history[] }
+  }
+
+  /**
+   * Record one parsed gateway message.
+   * @param {{gatewayMac: string, readings: Array<{mac: string, rssi: number}>}} parsed
+   * @param {number} [now]
+   */
+  ingest(parsed, now = Date.now()) {
+    const gatewayMac = normalizeMac(parsed.gatewayMac);
+    let gateway = this.gateways.get(gatewayMac);
+    if (!gateway) {
+      gateway = { mac: gatewayMac, firstSeen: now, lastSeen: now, messages: 0, arrivals: [] };
+      this.gateways.set(gatewayMac, gateway);
+    }
+    gateway.lastSeen = now;
+    gateway.messages++;
+    gateway.arrivals.push(now);
+    this.pruneArrivals(gateway, now);
+
+    parsed.readings.forEach(reading => {
+      const tag = normalizeMac(reading.mac);
+      const key = `${gatewayMac}|${tag}`;
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = { gateway: gatewayMac, tag, rssi: reading.rssi, last: reading.rssi, lastSeen: now, samples: 0, history: [] };
+        this.cells.set(key, cell);
+      }
+
+      const alpha = this.options.smoothing;
+      cell.rssi = cell.samples === 0 ? reading.rssi : alpha * reading.rssi + (1 - alpha) * cell.rssi;
+      cell.last = reading.rssi;
+      cell.lastSeen = now;
+      cell.samples++;
+      cell.history.push([now, reading.rssi]);
+      if (cell.history.length > this.options.historySize) {
+        cell.history.shift();
+      }
+    });
+  }
+
+  /**
+   * Forget gateways and cells unheard for longer than the forget window.
+   * Until then they stay listed as stale.
+   */
+  forgetSilent(now) {
+    const cutoff = now - this.options.forgetMs;
+    [this.gateways, this.cells].forEach(entries => {
+      entries.forEach((entry, key) => {
+        if (entry.lastSeen < cutoff) entries.delete(key);
+      });
+    });
+  }
+
+  pruneArrivals(gateway, now) {
+    const cutoff = now - this.options.rateWindowMs;
+    while (gateway.arrivals.length > 0 && gateway.arrivals[0] < cutoff) {
+      gateway.arrivals.shift();
+    }
+  }
+
+  /**
+   * Messages per second over the rate window, or since the gateway was first heard.
+   */
+  rate(gateway, now) {
+    const span = Math.min(this.options.rateWindowMs, now - gateway.firstSeen);
+    return gateway.arrivals.length / Math.max(span, 1000) * 1000;
+  }
+
+  /**
+   * Gateway list for the API.
+   * @param {number} [now]
+   * @param {object} [registry] GatewayRegistry for names and silent gateways
+   */
+  gatewayList(now = Date.now(), registry = null) {
+    this.forgetSilent(now);
+    const list = Array.from(this.gateways.values()).map(gateway => {
+      this.pruneArrivals(gateway, now);
+      const entry = registry ? registry.get(gateway.mac) : null;
+      return {
+        mac: gateway.mac,
+        name: entry ? entry.name : null,
+        status: now - gateway.lastSeen > this.options.staleMs ? 'stale' : 'online',
+        lastSeen: new Date(gateway.lastSeen).toISOString(),
+        ageSeconds: Math.round((now - gateway.lastSeen) / 100) / 10,
+        messages: gateway.messages,
+        rate: Math.round(this.rate(gateway, now) * 100) / 100
+      };
+    });
+
+    // Registered gateways that have not published since the monitor started,
+    // or not within the forget window
+    if (registry) {
+      registry.silent(this.gateways.keys()).forEach(entry => {
+        list.push({
+          mac: normalizeMac(entry.mac),
+          name: entry.name,
+          status: 'silent',
+          lastSeen: null,
+          ageSeconds: null,
+          messages: 0,
+          rate: 0
+        });
+      });
+    }
+
+    return list.sort((a, b) => a.mac.localeCompare(b.mac));
+  }
+
+  /**
+   * Gateway x tag matrix, optionally restricted to a TagFilter.
+   * @param {number} [now]
+   * @param {object} [tagFilter] TagFilter; inactive filters keep every tag
+   */
+  matrix(now = Date.now(), tagFilter = null) {
+    this.forgetSilent(now);
+    const keep = tag => !tagFilter || !tagFilter.isActive || tagFilter.matches(tag);
+    const cells = Array.from(this.cells.values()).filter(cell => keep(cell.tag));
+    const round = value => Math.round(value * 10) / 10;
+
+    return {
+      gateways: Array.from(new Set(cells.map(cell => cell.gateway))).sort(),
+      tags: Array.from(new Set(cells.map(cell => cell.tag))).sort(),
+      cells: cells.map(cell => ({
+        gateway: cell.gateway,
+        tag: cell.tag,
+        rssi: round(cell.rssi),
+        last: cell.last,
+        lastSeen: new Date(cell.lastSeen).toISOString(),
+        stale: now - cell.lastSeen > this.options.staleMs,
+        samples: cell.samples,
+        history: cell.history.map(([, rssi]) => rssi)
+      }))
+    };
+  }
+
+  /**
+   * Everything the dashboard page needs in one document.
+   */
+  snapshot(now = Date.now(), registry = null, tagFilter = null) {
+    return {
+      timestamp: new Date(now).toISOString(),
+      gateways: this.gatewayList(now, registry),
+      matrix: this.matrix(now, tagFilter)
+    };
+  }
+}
+
+module.exports = LiveMonitor;
+module.exports.DEFAULTS = DEFAULTS;
@@ -0,0 +1,35 @@
+/**
+ * MAC address helpers
+ * Gateways and tags report MACs with or without separators and in either case
+ */
+
+/**
+ * Normalize a MAC to uppercase hex pairs separated by colons when it is a
+ * plain 12-digit address; other identifiers are only trimmed and uppercased.
+ */
+function normalizeMac(mac) {
+  const value = String(mac || '').trim().toUpperCase();
+  const hex = value.replace(/[:\-.]/g, '');
+  if (/^[0-9A-F]{12}$/.test(hex)) {
+    return hex.match(/../g).join(':');
+  }
+  return value;
+}
+
+/**
+ * Split a comma/whitespace separated list of MACs into normalized entries.
+ */
+function parseMacList(input) {
+  if (Array.isArray(input)) {
+    return input.map(normalizeMac).filter(Boolean);
+  }
+  return String(input || '')
+    .split(/[\s,;]+/)
+    .map(normalizeMac)
+    .filter(Boolean);
+}
+
+module.exports = {
+  normalizeMac,
+  parseMacList
+};
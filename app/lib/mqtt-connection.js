@@ -0,0 +1,224 @@
+/**
+ * MQTT Connection Options
+ * Broker URL, topic filters, QoS, credentials, TLS files, keepalive and
+ * clean-session settings, from environment variables overridden by flags
+ * (and, under both, the project config file read by lib/cli.js):
+ *
+ *   MQTT_BROKER_URL           --broker           mqtt://localhost:1883 (mqtts:// for TLS)
+ *   MQTT_TOPICS               --subscribe        # (comma separated filters)
+ *   MQTT_QOS                  --qos              0
+ *   MQTT_CLIENT_ID            --client-id        <tool>-<timestamp>
+ *   MQTT_USERNAME             --username
+ *   MQTT_PASSWORD             --password
+ *   MQTT_CA                   --ca               CA certificate (PEM)
+ *   MQTT_CERT                 --cert             Client certificate (PEM)
+ *   MQTT_KEY                  --key              Client private key (PEM)
+ *   MQTT_REJECT_UNAUTHORIZED  --reject-unauthorized  true
+ *   MQTT_KEEPALIVE            --keepalive        60 (seconds)
+ *   MQTT_CLEAN_SESSION        --clean-session    true
+ */
+
+const fs = require('fs');
+
+const DEFAULT_BROKER_URL = 'mqtt://localhost:1883';
+
+/**
+ * parseArgs option definitions shared by the tools.
+ */
+const MQTT_ARG_OPTIONS = {
+  broker: { type: 'string', description: 'Broker URL (MQTT_BROKER_URL, default mqtt://localhost:1883; mqtts:// for TLS)' },
+  subscribe: { type: 'string', description: 'Topic filters, comma separated (MQTT_TOPICS, default #)' },
+  qos: { type: 'string', description: 'Subscription QoS 0, 1 or 2 (MQTT_QOS, default 0)' },
+  'client-id': { type: 'string', description: 'MQTT client ID (MQTT_CLIENT_ID, default <tool>-<timestamp>)' },
+  username: { type: 'string', description: 'Broker username (MQTT_USERNAME)' },
+  password: { type: 'string', description: 'Broker password (MQTT_PASSWORD)' },
+  ca: { type: 'string', description: 'CA certificate, PEM (MQTT_CA)' },
+  cert: { type: 'string', description: 'Client certificate, PEM (MQTT_CERT)' },
+  key: { type: 'string', description: 'Client private key, PEM (MQTT_KEY)' },
+  'reject-unauthorized': { type: 'string', description: 'Verify the broker certificate: true or false (MQTT_REJECT_UNAUTHORIZED, default true)' },
+  keepalive: { type: 'string', description: 'Keepalive in seconds (MQTT_KEEPALIVE, default 60)' },
+  'clean-session': { type: 'string', description: 'true or false; false needs --client-id (MQTT_CLEAN_SESSION, default true)' }
+};
+
+function parseBoolean(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  throw new Error(`${name} must be true or false (got "${value}")`);
+}
+
+/**
+ * Merge flags over environment variables over defaults and validate them.
+ * @param {object} [values] parseArgs values for MQTT_ARG_OPTIONS
+ * @param {object} [env=process.env]
+ * @param {object} [defaults] Values for MQTT_ARG_OPTIONS used when neither a flag nor a variable is set
+ * @returns {{brokerUrl: string, topics: string[], qos: number, clientId: string|null,
+ *            username: string|null, password: string|null, ca: string|null, cert: string|null,
+ *            key: string|null, rejectUnauthorized: boolean, keepalive: number, clean: boolean}}
+ */
+function resolveMqttOptions(values = {}, env = process.env, defaults = {}) {
+  const pick = (flag, variable) => {
+    if (values[flag] !== undefined) return values[flag];
+    return env[variable] !== undefined ? env[variable] : defaults[flag];
+  };
+
+  const topics = String(pick('subscribe', 'MQTT_TOPICS') || '#')
+    .split(',')
+    .map(topic => topic.trim())
+    .filter(Boolean);
+
+  const qos = parseInt(pick('qos', 'MQTT_QOS') || '0', 10);
+  if (![0, 1, 2].includes(qos)) {
+    throw new Error(`QoS must be 0, 1 or 2 (got "${pick('qos', 'MQTT_QOS')}")`);
+  }
+
+  const keepalive = parseInt(pick('keepalive', 'MQTT_KEEPALIVE') || '60', 10);
+  if (isNaN(keepalive) || keepalive < 0) {
+    throw new Error('Keepalive must be a number of seconds');
+  }
+
+  const options = {
+    brokerUrl: pick('broker', 'MQTT_BROKER_URL') || DEFAULT_BROKER_URL,
+    topics: topics.length > 0 ? topics : ['#'],
+    qos,
+    clientId: pick('client-id', 'MQTT_CLIENT_ID') || null,
+    username: pick('username', 'MQTT_USERNAME') || null,
+    password: pick('password', 'MQTT_PASSWORD') || null,
+    ca: pick('ca', 'MQTT_CA') || null,
+    cert: pick('cert', 'MQTT_CERT') || null,
+    key: pick('key', 'MQTT_KEY') || null,
+    rejectUnauthorized: parseBoolean(pick('reject-unauthorized', 'MQTT_REJECT_UNAUTHORIZED'), 'reject-unauthorized') !== false,
+    keepalive,
+    clean: parseBoolean(pick('clean-session', 'MQTT_CLEAN_SESSION'), 'clean-session') !== false
+  };
+
+  if (Boolean(options.cert) !== Boolean(options.key)) {
+    throw new Error('A client certificate needs both --cert and --key');
+  }
+  if (!options.clean && !options.clientId) {
+    throw new Error('A persistent session (--clean-session false) needs a fixed --client-id');
+  }
+
+  return options;
+}
+
+function readPem(filePath, what) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${what} not found: ${filePath}`);
+  }
+  return fs.readFileSync(filePath);
+}
+
+/**
+ * Options object for mqtt.connect().
+ * @param {object} options Result of resolveMqttOptions()
+ * @param {string} defaultClientId Used when no client ID is configured
+ */
+function connectOptions(options, defaultClientId) {
+  const connect = {
+    clientId: options.clientId || defaultClientId,
+    keepalive: options.keepalive,
+    clean: options.clean,
+    rejectUnauthorized: options.rejectUnauthorized
+  };
+
+  if (options.username) connect.username = options.username;
+  if (options.password) connect.password = options.password;
+  if (options.ca) connect.ca = readPem(options.ca, 'CA certificate');
+  if (options.cert) connect.cert = readPem(options.cert, 'Client certificate');
+  if (options.key) connect.key = readPem(options.key, 'Client key');
+
+  return connect;
+}
+
+/**
+ * Subscribe to the configured filters one at a time, reporting each. Brokers
+ * that restrict wildcards refuse individual filters, and mqtt.js fails a whole
+ * request when any of its filters is refused.
+ * @returns {Promise<string[]>} The filters the broker accepted
+ */
+async function subscribeTopics(client, options) {
+  const accepted = [];
+
+  for (const topic of options.topics) {
+    const granted = await new Promise(resolve => {
+      client.subscribe(topic, { qos: options.qos }, (err, grants) => {
+        if (err) {
+          console.error(`❌ Subscription to ${topic} refused: ${err.message || err}`);
+          resolve(null);
+        } else {
+          resolve(grants && grants[0] ? grants[0].qos : options.qos);
+        }
+      });
+    });
+
+    if (granted !== null) {
+      accepted.push(topic);
+      console.log(`📡 Subscribed to ${topic} (QoS ${granted})`);
+    }
+  }
+
+  if (accepted.length === 0) {
+    console.error('❌ Not subscribed to any topic; check --subscribe and the broker ACL');
+  }
+  return accepted;
+}
+
+/**
+ * Report connection drops and reconnects as they happen.
+ * @param {object} client mqtt client
+ * @param {object} [handlers]
+ * @param {function} [handlers.onDrop] Called once per drop, when the broker goes away
+ * @param {function} [handlers.onRestore] Called when the connection is back
+ */
+function watchConnection(client, handlers = {}) {
+  let dropped = false;
+  let attempts = 0;
+
+  const drop = (reason) => {
+    if (dropped) return;
+    dropped = true;
+    console.log(`\n⚠ Connection to broker lost (${reason})`);
+    if (handlers.onDrop) handlers.onDrop(reason);
+  };
+
+  client.on('offline', () => drop('offline'));
+  client.on('close', () => {
+    if (!client.disconnecting) drop('connection closed');
+  });
+  client.on('reconnect', () => {
+    attempts++;
+    console.log(`↻ Reconnecting to broker (attempt ${attempts})...`);
+  });
+  client.on('connect', () => {
+    if (!dropped) return;
+    dropped = false;
+    attempts = 0;
+    console.log('✓ Reconnected to broker');
+    if (handlers.onRestore) handlers.onRestore();
+  });
+}
+
+/**
+ * Short description for console output.
+ */
+function describeConnection(options) {
+  const details = [
+    `QoS ${options.qos}`,
+    options.username ? `user ${options.username}` : null,
+    options.cert ? 'client certificate' : null,
+    options.clean ? null : `persistent session ${options.clientId}`
+  ].filter(Boolean).join(', ');
+  return `${options.brokerUrl} (${details})`;
+}
+
+module.exports = {
+  DEFAULT_BROKER_URL,
+  MQTT_ARG_OPTIONS,
+  resolveMqttOptions,
+  connectOptions,
+  subscribeTopics,
+  watchConnection,
+  describeConnection
+};
@@ -0,0 +1,38 @@
+/**
+ * MQTT Source
+ * Returns either a live mqtt client or a ReplayClient for a capture file,
+ * so tools can consume recorded sessions without a broker
+ */
+
+const mqtt = require('mqtt');
+const { ReplayClient } = require('./capture');
+const { connectOptions, describeConnection } = require('./mqtt-connection');
+
+/**
+ * @param {object} options
+ * @param {object} options.mqtt Connection options from resolveMqttOptions()
+ * @param {string} options.clientId Client ID used when none is configured
+ * @param {string} [options.replayFile] Capture to replay instead of connecting
+ * @param {number} [options.replaySpeed=1] 1 = real time, 0 = as fast as possible
+ */
+function createClient(options) {
+  if (options.replayFile) {
+    return new ReplayClient(options.replayFile, { speed: options.replaySpeed });
+  }
+
+  return mqtt.connect(options.mqtt.brokerUrl, connectOptions(options.mqtt, options.clientId));
+}
+
+/**
+ * Describe where messages come from, for console output.
+ */
+function describeSource(options) {
+  return options.replayFile
+    ? `replay of ${options.replayFile}`
+    : `MQTT broker: ${describeConnection(options.mqtt)}`;
+}
+
+module.exports = {
+  createClient,
+  describeSource
+};
@@ -0,0 +1,34 @@
+/**
+ * BLE gateway JSON array format, as published by most commercial gateways:
+ *   [{ type: "Gateway", mac: "<gateway>", timestamp: "..." },
+ *    { type: "iBeacon", mac: "<tag>", rssi: -60, timestamp: "..." }, ...]
+ * The gateway MAC comes from the "Gateway" entry, or from the topic when the
+ * gateway does not report itself.
+ */
+
+const { parseJson, readingsFrom } = require('./common');
+
+const GATEWAY_TYPE = 'gateway';
+
+function parse(message, context) {
+  const payload = parseJson(message);
+  if (!Array.isArray(payload)) {
+    throw new Error('expected a JSON array');
+  }
+
+  const self = payload.find(item => item && String(item.type).toLowerCase() === GATEWAY_TYPE);
+  const gatewayMac = self && self.mac ? self.mac : context.gatewayMac;
+  if (!gatewayMac) {
+    throw new Error('no "Gateway" entry and no gateway MAC in topic');
+  }
+
+  return {
+    gatewayMac: String(gatewayMac).toUpperCase(),
+    readings: readingsFrom(payload.filter(item => item !== self))
+  };
+}
+
+module.exports = {
+  name: 'ble-array',
+  parse
+};
@@ -0,0 +1,36 @@
+/**
+ * Helpers shared by the payload adapters
+ */
+
+/**
+ * @param {Buffer|string} message
+ * @returns {*} Parsed JSON document
+ */
+function parseJson(message) {
+  try {
+    return JSON.parse(message.toString());
+  } catch (error) {
+    throw new Error('not valid JSON');
+  }
+}
+
+/**
+ * Keep entries that carry a tag MAC and a numeric RSSI.
+ * @returns {Array<{mac: string, rssi: number, timestamp?: string}>}
+ */
+function readingsFrom(items) {
+  return items
+    .filter(item => item && item.mac && typeof item.rssi === 'number')
+    .map(item => {
+      const reading = { mac: String(item.mac), rssi: item.rssi };
+      if (item.timestamp !== undefined) {
+        reading.timestamp = item.timestamp;
+      }
+      return reading;
+    });
+}
+
+module.exports = {
+  parseJson,
+  readingsFrom
+};
@@ -0,0 +1,30 @@
+/**
+ * mosquitto-client format (the original gateway firmware):
+ *   { device_info: { mac: "<gateway>" }, data: [{ mac: "<tag>", rssi: -60 }, ...] }
+ */
+
+const { parseJson, readingsFrom } = require('./common');
+
+function parse(message, context) {
+  const payload = parseJson(message);
+  if (!payload || Array.isArray(payload) || !Array.isArray(payload.data)) {
+    throw new Error('expected an object with a "data" array');
+  }
+
+  const gatewayMac = payload.device_info && payload.device_info.mac
+    ? payload.device_info.mac
+    : context.gatewayMac;
+  if (!gatewayMac) {
+    throw new Error('no gateway MAC in device_info or topic');
+  }
+
+  return {
+    gatewayMac: String(gatewayMac).toUpperCase(),
+    readings: readingsFrom(payload.data)
+  };
+}
+
+module.exports = {
+  name: 'device-info',
+  parse
+};
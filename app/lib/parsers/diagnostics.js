@@ -0,0 +1,67 @@
+/**
+ * Parse Diagnostics
+ * Counts messages that no adapter could parse, per reason, and samples the
+ * first few of each reason into a JSONL log for later inspection:
+ *   {"ts":...,"topic":"gw/1","format":"auto","reason":"not valid JSON","payload":"..."}
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SAMPLES_PER_REASON = 5;
+const MAX_PAYLOAD_LENGTH = 2048;
+
+class ParseDiagnostics {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.file] JSONL log; null disables sampling
+   * @param {number} [options.samplesPerReason=5]
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.samplesPerReason = options.samplesPerReason === undefined
+      ? DEFAULT_SAMPLES_PER_REASON
+      : options.samplesPerReason;
+    this.reasons = new Map(); // reason -> count
+    this.failures = 0;
+    this.sampled = 0;
+  }
+
+  record(topic, format, reason, message, ts) {
+    this.failures++;
+    const seen = this.reasons.get(reason) || 0;
+    this.reasons.set(reason, seen + 1);
+
+    if (!this.file || seen >= this.samplesPerReason) return;
+
+    const text = message.toString();
+    const printable = !/[\x00-\x08\x0e-\x1f]/.test(text);
+    const entry = {
+      ts,
+      topic,
+      format,
+      reason,
+      ...(printable
+        ? { payload: text.slice(0, MAX_PAYLOAD_LENGTH) }
+        : { payloadBase64: Buffer.from(message).subarray(0, MAX_PAYLOAD_LENGTH).toString('base64') })
+    };
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    this.sampled++;
+  }
+
+  printReport() {
+    if (this.failures === 0) return;
+
+    console.log(`⚠ ${this.failures} messages could not be parsed:`);
+    Array.from(this.reasons.entries())
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([reason, count]) => console.log(`   ${reason}: ${count}`));
+    if (this.sampled > 0) {
+      console.log(`   ${this.sampled} samples written to: ${this.file}`);
+    }
+  }
+}
+
+module.exports = ParseDiagnostics;
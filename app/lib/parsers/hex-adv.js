@@ -0,0 +1,68 @@
+/**
+ * Hex-encoded HCI LE Advertising Report events (Bluetooth Core Spec, Vol 4, Part E, 7.7.65.2),
+ * one event per message, optionally prefixed with the 0x04 HCI event packet indicator:
+ *
+ *   [04] 3E <len> 02 <num reports> <event types> <address types> <addresses> <data lengths> <data> <rssis>
+ *
+ * Each field is an array over the reports. Addresses are little-endian.
+ * The report carries no gateway MAC, so the route must take it from the topic.
+ */
+
+const HCI_EVENT_PACKET = 0x04;
+const LE_META_EVENT = 0x3e;
+const LE_ADVERTISING_REPORT = 0x02;
+const RSSI_UNAVAILABLE = 127;
+
+function decodeHex(message) {
+  const text = message.toString().replace(/\s+/g, '');
+  if (!text || text.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(text)) {
+    throw new Error('not a hex string');
+  }
+  return Buffer.from(text, 'hex');
+}
+
+function parse(message, context) {
+  let bytes = decodeHex(message);
+  if (bytes[0] === HCI_EVENT_PACKET) {
+    bytes = bytes.subarray(1);
+  }
+
+  if (bytes.length < 4 || bytes[0] !== LE_META_EVENT || bytes[2] !== LE_ADVERTISING_REPORT) {
+    throw new Error('not an LE Advertising Report event');
+  }
+  if (bytes[1] !== bytes.length - 2) {
+    throw new Error(`event length ${bytes[1]} does not match ${bytes.length - 2} bytes received`);
+  }
+  if (!context.gatewayMac) {
+    throw new Error('raw advertising reports need the gateway MAC from the topic');
+  }
+
+  const count = bytes[3];
+  let offset = 4 + count * 2; // skip event types and address types
+  const addresses = [];
+  for (let i = 0; i < count; i++) {
+    addresses.push(Buffer.from(bytes.subarray(offset, offset + 6)).reverse().toString('hex').toUpperCase());
+    offset += 6;
+  }
+
+  const lengths = Array.from(bytes.subarray(offset, offset + count));
+  offset += count + lengths.reduce((sum, length) => sum + length, 0);
+
+  if (offset + count !== bytes.length) {
+    throw new Error('advertising report is truncated');
+  }
+
+  const readings = addresses
+    .map((mac, i) => ({ mac, rssi: bytes.readInt8(offset + i) }))
+    .filter(reading => reading.rssi !== RSSI_UNAVAILABLE);
+
+  return {
+    gatewayMac: String(context.gatewayMac).toUpperCase(),
+    readings
+  };
+}
+
+module.exports = {
+  name: 'hex-adv',
+  parse
+};
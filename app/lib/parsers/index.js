@@ -0,0 +1,157 @@
+/**
+ * Payload Parsers
+ * Turns gateway MQTT messages into { gatewayMac, readings: [{ mac, rssi }] }
+ * whatever the vendor format. Adapters are chosen per topic pattern from a
+ * JSON/YAML configuration; the first matching route wins:
+ *
+ *   routes:
+ *     - topic: gw/+/adv          # MQTT filter
+ *       format: hex-adv          # device-info | ble-array | hex-adv | auto | ignore
+ *       gatewayMacSegment: 1     # zero-based topic level holding the gateway MAC
+ *     - topic: "#"
+ *       format: auto
+ *   diagnostics:
+ *     file: parse-diagnostics.jsonl
+ *     samplesPerReason: 5
+ *
+ * "auto" tries the JSON adapters in turn. Topics not matched by any route
+ * are parsed with "auto" too. Without a configuration file every topic is
+ * auto-detected and failures are sampled into parse-diagnostics.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readConfigFile } = require('../config-file');
+const { matchTopic } = require('../topic');
+const ParseDiagnostics = require('./diagnostics');
+
+const ADAPTERS = {
+  'device-info': require('./device-info'),
+  'ble-array': require('./ble-array'),
+  'hex-adv': require('./hex-adv')
+};
+const AUTO_FORMATS = ['device-info', 'ble-array'];
+const FORMATS = [...Object.keys(ADAPTERS), 'auto', 'ignore'];
+
+const APP_DIR = path.join(__dirname, '..', '..');
+const DEFAULT_CONFIG = path.join(APP_DIR, 'parsers.yaml');
+const DEFAULT_DIAGNOSTICS = path.join(APP_DIR, 'parse-diagnostics.jsonl');
+
+// Our own positioning and presence output shares the broker with the gateways
+const DEFAULT_ROUTES = [
+  { topic: 'positioning/#', format: 'ignore' },
+  { topic: 'presence/#', format: 'ignore' },
+  { topic: '#', format: 'auto' }
+];
+
+function resolveRoute(route, index) {
+  if (!route || typeof route.topic !== 'string' || !route.topic) {
+    throw new Error(`Parser route ${index + 1}: "topic" is required`);
+  }
+  const format = route.format || 'auto';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Parser route ${index + 1}: unknown format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+
+  let gatewayMacSegment = null;
+  if (route.gatewayMacSegment !== undefined && route.gatewayMacSegment !== null) {
+    gatewayMacSegment = parseInt(route.gatewayMacSegment, 10);
+    if (isNaN(gatewayMacSegment) || gatewayMacSegment < 0) {
+      throw new Error(`Parser route ${index + 1}: "gatewayMacSegment" must be a topic level index (0, 1, ...)`);
+    }
+  }
+
+  return { topic: route.topic, format, gatewayMacSegment };
+}
+
+class PayloadParser {
+  /**
+   * @param {object} [config]
+   * @param {object[]} [config.routes] Topic routes; defaults to auto-detection
+   * @param {object} [config.diagnostics] { file, samplesPerReason }
+   * @param {string} [baseDir] Directory that relative diagnostics paths resolve against
+   */
+  constructor(config = {}, baseDir = process.cwd()) {
+    const routes = config.routes || DEFAULT_ROUTES;
+    if (!Array.isArray(routes)) {
+      throw new Error('Parser "routes" must be a list');
+    }
+    this.routes = routes.map(resolveRoute);
+
+    const diagnostics = config.diagnostics || {};
+    this.diagnostics = new ParseDiagnostics({
+      file: diagnostics.file ? path.resolve(baseDir, diagnostics.file) : null,
+      samplesPerReason: diagnostics.samplesPerReason
+    });
+  }
+
+  static load(filePath) {
+    return new PayloadParser(readConfigFile(filePath) || {}, path.dirname(path.resolve(filePath)));
+  }
+
+  /**
+   * Load the configuration if the file exists, otherwise auto-detect formats.
+   */
+  static loadIfExists(filePath) {
+    if (filePath && fs.existsSync(filePath)) {
+      return PayloadParser.load(filePath);
+    }
+    return new PayloadParser({ diagnostics: { file: DEFAULT_DIAGNOSTICS } });
+  }
+
+  route(topic) {
+    return this.routes.find(route => matchTopic(route.topic, topic)) || { topic: '#', format: 'auto', gatewayMacSegment: null };
+  }
+
+  /**
+   * @param {string} topic
+   * @param {Buffer|string} message
+   * @param {number} [ts] Message time, for the diagnostics log
+   * @returns {{gatewayMac: string, readings: Array<{mac: string, rssi: number}>, format: string}|null}
+   *          null when the message is ignored or cannot be parsed
+   */
+  parse(topic, message, ts = Date.now()) {
+    const route = this.route(topic);
+    if (route.format === 'ignore') return null;
+
+    const levels = topic.split('/');
+    const context = {
+      topic,
+      gatewayMac: route.gatewayMacSegment !== null ? levels[route.gatewayMacSegment] || null : null
+    };
+
+    const formats = route.format === 'auto' ? AUTO_FORMATS : [route.format];
+    const reasons = [];
+    for (const format of formats) {
+      try {
+        return { ...ADAPTERS[format].parse(message, context), format };
+      } catch (error) {
+        reasons.push(formats.length > 1 ? `${format}: ${error.message}` : error.message);
+      }
+    }
+
+    this.diagnostics.record(topic, route.format, reasons.join('; '), message, ts);
+    return null;
+  }
+
+  get failures() {
+    return this.diagnostics.failures;
+  }
+
+  printReport() {
+    this.diagnostics.printReport();
+  }
+}
+
+/**
+ * Parser for the tools: an explicit configuration file must exist, the
+ * default one (parsers.yaml in the app directory) is optional.
+ * @param {string} [configFile]
+ */
+function createParser(configFile) {
+  return configFile ? PayloadParser.load(configFile) : PayloadParser.loadIfExists(DEFAULT_CONFIG);
+}
+
+module.exports = PayloadParser;
+module.exports.FORMATS = FORMATS;
+module.exports.createParser = createParser;
@@ -0,0 +1,142 @@
+/**
+ * Log-distance path-loss model
+ * RSSI(d) = TxPower - 10 * n * log10(d / d0), with d0 = 1 meter
+ * Fitted by ordinary least squares on (log10(d), RSSI) pairs; a fit whose
+ * exponent is not positive (RSSI not falling with distance) is unusable
+ */
+
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { normalizeMac } = require('./mac');
+
+const REFERENCE_DISTANCE = 1; // meters
+// Where the fit tool writes the models and the tools using them look first
+const DEFAULT_MODEL_FILE = path.join(__dirname, '..', 'path-loss-model.json');
+
+/**
+ * Fit the log-distance model to calibration points.
+ * @param {Array<{distance: number, rssi: number}>} points
+ * @returns {{txPower: number, pathLossExponent: number, rmse: number, r2: number|null,
+ *            samples: number, distances: number[]}}
+ */
+function fitPathLoss(points) {
+  const valid = points.filter(p =>
+    Number.isFinite(p.distance) && p.distance > 0 && Number.isFinite(p.rssi)
+  );
+
+  const distances = Array.from(new Set(valid.map(p => p.distance))).sort((a, b) => a - b);
+  if (distances.length < 2) {
+    throw new Error(`At least two distinct distances are required (got ${distances.length})`);
+  }
+
+  const xs = valid.map(p => Math.log10(p.distance / REFERENCE_DISTANCE));
+  const ys = valid.map(p => p.rssi);
+  const count = valid.length;
+
+  const meanX = xs.reduce((a, b) => a + b, 0) / count;
+  const meanY = ys.reduce((a, b) => a + b, 0) / count;
+
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = 0; i < count; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+  }
+
+  const slope = sxy / sxx;
+  const txPower = meanY - slope * meanX;
+  // Inverting it would put stronger readings farther away
+  if (!(-slope / 10 > 0)) {
+    throw new Error(`Path-loss exponent ${(-slope / 10).toFixed(3)} is not positive: RSSI does not fall over ` +
+      `${distances.join(', ')} m; check the distance and gateway of each row`);
+  }
+
+  let ssRes = 0;
+  let ssTot = 0;
+  for (let i = 0; i < count; i++) {
+    ssRes += (ys[i] - (txPower + slope * xs[i])) ** 2;
+    ssTot += (ys[i] - meanY) ** 2;
+  }
+
+  return {
+    txPower,
+    pathLossExponent: -slope / 10,
+    rmse: Math.sqrt(ssRes / count),
+    // R² is undefined when every reading is identical
+    r2: ssTot > 0 ? 1 - ssRes / ssTot : null,
+    samples: count,
+    distances
+  };
+}
+
+/**
+ * Expected RSSI at a given distance.
+ */
+function rssiAtDistance(model, distance) {
+  return model.txPower - 10 * model.pathLossExponent * Math.log10(distance / REFERENCE_DISTANCE);
+}
+
+/**
+ * Distance implied by an RSSI reading (inverse of the model).
+ */
+function distanceFromRssi(model, rssi) {
+  return REFERENCE_DISTANCE * Math.pow(10, (model.txPower - rssi) / (10 * model.pathLossExponent));
+}
+
+// Models fitted before non-positive exponents were rejected
+function checkExponents(filePath, models) {
+  const unusable = Object.keys(models).filter(mac => !(models[mac].pathLossExponent > 0));
+  if (unusable.length > 0) {
+    throw new Error(`${filePath} has a non-positive path-loss exponent for ${unusable.join(', ')}; run the path-loss fit again`);
+  }
+}
+
+/**
+ * Load per-gateway model parameters from the fit tool's JSON output or from
+ * the "Model" sheet of a calibration workbook, keyed by normalized gateway MAC.
+ * @returns {Object<string, {txPower: number, pathLossExponent: number, rmse: number|null}>}
+ */
+function loadPathLossModels(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Path-loss model not found: ${filePath}`);
+  }
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const models = {};
+    Object.entries(document.gateways || {}).forEach(([gatewayMac, model]) => {
+      models[normalizeMac(gatewayMac)] = model;
+    });
+    checkExponents(filePath, models);
+    return models;
+  }
+
+  const workbook = XLSX.readFile(filePath);
+  if (!workbook.SheetNames.includes('Model')) {
+    throw new Error(`${filePath} has no "Model" sheet; run the path-loss fit first`);
+  }
+
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets.Model, { defval: '' });
+  const models = {};
+  rows.forEach(row => {
+    const gatewayMac = String(row['Gateway MAC']).trim().toUpperCase();
+    const txPower = parseFloat(row['TX Power @1m (dBm)']);
+    const pathLossExponent = parseFloat(row['Path-Loss Exponent']);
+    if (!gatewayMac || isNaN(txPower) || isNaN(pathLossExponent)) return;
+
+    const rmse = parseFloat(row['RMSE (dB)']);
+    models[normalizeMac(gatewayMac)] = { txPower, pathLossExponent, rmse: isNaN(rmse) ? null : rmse };
+  });
+  checkExponents(filePath, models);
+  return models;
+}
+
+module.exports = {
+  REFERENCE_DISTANCE,
+  DEFAULT_MODEL_FILE,
+  fitPathLoss,
+  rssiAtDistance,
+  distanceFromRssi,
+  loadPathLossModels
+};
@@ -0,0 +1,186 @@
+/**
+ * Session Plan
+ * Loads a scripted calibration or fingerprint session from a JSON/YAML file
+ *
+ * Gateway plan:
+ *   tool: gateway
+ *   output: ./gateway-calibration-data.xlsx
+ *   operator: Jane Doe       # optional, recorded in the Sessions sheet
+ *   durationSeconds: 60
+ *   minDurationSeconds: 15   # optional adaptive window, see lib/recording-window.js
+ *   maxDurationSeconds: 120
+ *   minSamples: 20
+ *   ciTarget: 0.5
+ *   tagMacs: [AC:23:3F:A0:00:01]
+ *   statistic: median        # optional, see lib/rssi-stats.js
+ *   outliers: mad
+ *   steps:
+ *     - { gateway: AC233FA12345, distance: 1 }
+ *
+ * Fingerprint plan:
+ *   tool: fingerprint
+ *   headings: [N, E, S, W]   # optional, capture every location once per heading
+ *   floor: "1"               # optional floor/zone labels of every step
+ *   zone: Lobby
+ *   steps:
+ *     - { location: point-1-1, x: 0, y: 0, z: 0 }
+ *     - { location: door, x: 4, y: 0, headings: [N, S] }   # per-step override
+ *     - { location: office-1, x: 9, y: 2, zone: Office }  # labels override the plan's too
+ *
+ * Instead of "steps", a fingerprint plan can lay out a survey grid, with
+ * automatic location IDs (see lib/survey-grid.js):
+ *   grid: { spacing: 1.5, z: 1.2, floor: "1", bounds: { minX: 0, maxX: 12, minY: 0, maxY: 6 } }
+ */
+
+const path = require('path');
+const { readConfigFile } = require('./config-file');
+const { generateGrid } = require('./survey-grid');
+
+const TOOLS = ['gateway', 'fingerprint'];
+
+// Plan keys for the recording window (seconds in the plan, milliseconds in the tools)
+const WINDOW_KEYS = {
+  durationSeconds: ['duration', 1000],
+  minDurationSeconds: ['minDuration', 1000],
+  maxDurationSeconds: ['maxDuration', 1000],
+  minSamples: ['minSamples', 1],
+  minGateways: ['minGateways', 1],
+  ciTarget: ['ciTarget', 1]
+};
+
+/**
+ * Parse the headings of a multi-heading capture: a list or a comma separated
+ * string of labels such as "N,E,S,W". At least two distinct labels are needed.
+ * @returns {string[]} Upper-cased labels; empty when no headings are given
+ */
+function parseHeadings(input, context = 'headings') {
+  if (input === undefined || input === null || input === '') return [];
+  const labels = (Array.isArray(input) ? input : String(input).split(','))
+    .map(label => String(label).trim().toUpperCase())
+    .filter(Boolean);
+
+  if (new Set(labels).size !== labels.length) {
+    throw new Error(`${context}: duplicate heading in ${labels.join(', ')}`);
+  }
+  if (labels.length < 2) {
+    throw new Error(`${context}: give at least two headings, e.g. N,E,S,W`);
+  }
+  return labels;
+}
+
+function parseGatewayStep(step, index) {
+  const gateway = String(step.gateway || '').trim();
+  if (!gateway) {
+    throw new Error(`Step ${index + 1}: "gateway" is required`);
+  }
+
+  const distance = parseFloat(step.distance);
+  if (isNaN(distance) || distance <= 0) {
+    throw new Error(`Step ${index + 1}: "distance" must be a positive number`);
+  }
+
+  return { gateway: gateway.toUpperCase(), distance };
+}
+
+const label = value => (value === undefined || value === null || value === '' ? null : String(value).trim());
+
+function parseFingerprintStep(step, index, defaults = {}) {
+  const location = String(step.location || '').trim();
+  if (!location) {
+    throw new Error(`Step ${index + 1}: "location" is required`);
+  }
+
+  const x = parseFloat(step.x);
+  const y = parseFloat(step.y);
+  const z = step.z === undefined || step.z === '' ? 0 : parseFloat(step.z);
+  if (isNaN(x) || isNaN(y) || isNaN(z)) {
+    throw new Error(`Step ${index + 1}: "x", "y" and "z" must be numbers`);
+  }
+
+  const headings = step.headings === undefined ? null : parseHeadings(step.headings, `Step ${index + 1}`);
+  const floor = step.floor === undefined ? defaults.floor : label(step.floor);
+  const zone = step.zone === undefined ? defaults.zone : label(step.zone);
+  return { location, x, y, z, floor: floor || null, zone: zone || null, headings };
+}
+
+/**
+ * Load and validate a plan file.
+ * @param {string} filePath JSON or YAML plan
+ * @param {string} [expectedTool] 'gateway' or 'fingerprint'
+ * @returns {{tool: string, output: string|null, operator: string|null, window: object|null,
+ *            tagMacs: string[], stats: object|null, headings: string[], grid: object|null,
+ *            steps: object[]}}
+ */
+function loadPlan(filePath, expectedTool) {
+  const document = readConfigFile(filePath);
+  if (!document || typeof document !== 'object') {
+    throw new Error(`Plan ${filePath} is empty`);
+  }
+
+  const tool = document.tool || expectedTool;
+  if (!TOOLS.includes(tool)) {
+    throw new Error(`Plan "tool" must be one of: ${TOOLS.join(', ')}`);
+  }
+  if (expectedTool && tool !== expectedTool) {
+    throw new Error(`Plan is for the ${tool} tool, not the ${expectedTool} tool`);
+  }
+
+  // Grid plans generate their steps; IDs and coordinates come from the grid
+  if (document.grid && document.steps) {
+    throw new Error('Plan must contain either "steps" or a "grid", not both');
+  }
+  // The plan's floor and zone labels are the grid's defaults
+  const grid = tool === 'fingerprint' && document.grid
+    ? generateGrid(typeof document.grid === 'object' ? { floor: document.floor, zone: document.zone, ...document.grid } : document.grid)
+    : null;
+  if (!grid && (!Array.isArray(document.steps) || document.steps.length === 0)) {
+    throw new Error(tool === 'fingerprint'
+      ? 'Plan must contain a non-empty "steps" list or a "grid"'
+      : 'Plan must contain a non-empty "steps" list');
+  }
+
+  const window = {};
+  Object.entries(WINDOW_KEYS).forEach(([key, [option, scale]]) => {
+    if (document[key] === undefined) return;
+    const value = parseFloat(document[key]);
+    if (isNaN(value) || value <= 0) {
+      throw new Error(`Plan "${key}" must be a positive number`);
+    }
+    window[option] = value * scale;
+  });
+
+  // Relative output paths are resolved against the plan file
+  const output = document.output
+    ? path.resolve(path.dirname(filePath), String(document.output))
+    : null;
+
+  // Aggregation settings override the tool's defaults only where given
+  const stats = {};
+  ['statistic', 'outliers'].forEach(key => {
+    if (document[key] !== undefined) {
+      stats[key] = document[key];
+    }
+  });
+
+  const labels = { floor: label(document.floor), zone: label(document.zone) };
+  const parseStep = tool === 'gateway'
+    ? parseGatewayStep
+    : (step, index) => parseFingerprintStep(step, index, labels);
+
+  return {
+    tool,
+    output,
+    operator: document.operator ? String(document.operator) : null,
+    window: Object.keys(window).length > 0 ? window : null,
+    tagMacs: document.tagMacs || [],
+    stats: Object.keys(stats).length > 0 ? stats : null,
+    headings: parseHeadings(document.headings, 'Plan "headings"'),
+    grid,
+    steps: grid ? grid.points.map(point => ({ ...point, headings: null })) : document.steps.map(parseStep)
+  };
+}
+
+module.exports = {
+  loadPlan,
+  parseHeadings
+};
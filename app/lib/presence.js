@@ -0,0 +1,272 @@
+/**
+ * Presence Engine
+ * Turns the raw RSSI stream into "tag X is near gateway Y" events. RSSI is
+ * smoothed per gateway/tag pair (EMA) and classified into a proximity level
+ * with per-gateway thresholds: the RSSI the gateway's fitted path-loss model
+ * (see lib/path-loss.js) expects at the boundary distances, or thresholds
+ * given explicitly in the rules file.
+ *
+ *   immediate   RSSI >= threshold at distances.immediate
+ *   near        RSSI >= threshold at distances.near
+ *   far         RSSI >= threshold at distances.far
+ *   absent      weaker, or not heard for absentMs
+ *
+ * Moving to a closer level takes one smoothed reading past the boundary;
+ * moving away takes a reading `hysteresis` dB below it, so a tag standing on
+ * a boundary does not flap.
+ *
+ * Rules say which proximity counts as "present" for which gateways and tags:
+ * a pair entering it emits "enter", leaving it (or timing out) emits "exit"
+ * with the time spent, and a pair present for a rule's dwell time emits one
+ * "dwell" per stay. Rules file (JSON or YAML, every key optional):
+ *
+ *   distances: { immediate: 0.5, near: 2, far: 8 }   # meters
+ *   smoothing: 0.3                                   # EMA weight of the newest reading
+ *   hysteresis: 4                                    # dB
+ *   absentAfter: 10                                  # seconds unheard
+ *   thresholds:                                      # dBm, instead of the path-loss model
+ *     AC233FA12345: { immediate: -50, near: -65, far: -80 }
+ *   rules:
+ *     - name: reception
+ *       gateway: Reception        # registered name or MAC; omitted = every gateway
+ *       tags: [AC233F000001]      # omitted = every tag
+ *       proximity: near           # immediate, near or far: this close or closer is present
+ *       dwell: 30                 # seconds; omitted = no dwell event
+ */
+
+const { normalizeMac, parseMacList } = require('./mac');
+const { rssiAtDistance } = require('./path-loss');
+
+const LEVELS = ['immediate', 'near', 'far', 'absent']; // closest first
+
+const DEFAULTS = {
+  distances: { immediate: 0.5, near: 2, far: 8 },
+  smoothing: 0.3,
+  hysteresis: 4,
+  absentMs: 10000
+};
+
+const DEFAULT_RULES = [{ name: 'near', proximity: 'near', dwell: 60 }];
+
+const rank = level => LEVELS.indexOf(level);
+
+/**
+ * RSSI thresholds of a gateway from its path-loss model.
+ * @returns {{immediate: number, near: number, far: number}}
+ */
+function thresholdsFromModel(model, distances = DEFAULTS.distances) {
+  return {
+    immediate: rssiAtDistance(model, distances.immediate),
+    near: rssiAtDistance(model, distances.near),
+    far: rssiAtDistance(model, distances.far)
+  };
+}
+
+function levelOf(rssi, thresholds) {
+  if (rssi >= thresholds.immediate) return 'immediate';
+  if (rssi >= thresholds.near) return 'near';
+  if (rssi >= thresholds.far) return 'far';
+  return 'absent';
+}
+
+/**
+ * Proximity level of a smoothed RSSI, given the level the pair was at.
+ */
+function classifyProximity(rssi, thresholds, previous = 'absent', hysteresis = 0) {
+  const level = levelOf(rssi, thresholds);
+  if (rank(level) <= rank(previous)) {
+    return level;
+  }
+  // Moving away: only past the boundaries by the hysteresis
+  const damped = levelOf(rssi + hysteresis, thresholds);
+  return rank(damped) > rank(previous) ? damped : previous;
+}
+
+/**
+ * Validate a thresholds entry of the rules file.
+ */
+function parseThresholds(entry, gateway) {
+  const thresholds = {};
+  ['immediate', 'near', 'far'].forEach(level => {
+    const value = parseFloat(entry && entry[level]);
+    if (isNaN(value)) {
+      throw new Error(`Thresholds of gateway ${gateway}: "${level}" must be a number (dBm)`);
+    }
+    thresholds[level] = value;
+  });
+  if (!(thresholds.immediate >= thresholds.near && thresholds.near >= thresholds.far)) {
+    throw new Error(`Thresholds of gateway ${gateway} must not increase from immediate to far`);
+  }
+  return thresholds;
+}
+
+/**
+ * Rules of the rules file, with gateways resolved to MACs.
+ * @param {object[]} [rules] Rules as written in the file
+ * @param {object} [registry] GatewayRegistry, for gateways given by name
+ * @returns {Array<{name: string, gateways: Set<string>|null, tags: Set<string>|null,
+ *           proximity: string, dwellMs: number|null}>}
+ */
+function parseRules(rules = DEFAULT_RULES, registry = null) {
+  const byName = new Map((registry ? registry.list() : [])
+    .filter(entry => entry.name)
+    .map(entry => [entry.name.toLowerCase(), normalizeMac(entry.mac)]));
+
+  const resolveGateway = (value, name) => {
+    const text = String(value).trim();
+    const mac = byName.get(text.toLowerCase()) ||
+      (/^[0-9A-F]{12}$/i.test(text.replace(/[:\-.]/g, '')) ? normalizeMac(text) : null);
+    if (!mac) {
+      throw new Error(`Rule "${name}": unknown gateway "${text}"`);
+    }
+    return mac;
+  };
+
+  return rules.map((rule, index) => {
+    const name = rule.name ? String(rule.name) : `rule ${index + 1}`;
+    const proximity = String(rule.proximity || 'near').trim().toLowerCase();
+    if (!['immediate', 'near', 'far'].includes(proximity)) {
+      throw new Error(`Rule "${name}": proximity must be immediate, near or far (got "${rule.proximity}")`);
+    }
+
+    const gateways = [].concat(rule.gateways || rule.gateway || []);
+    const tags = parseMacList([].concat(rule.tags || rule.tag || []));
+    const dwell = rule.dwell === undefined || rule.dwell === null ? null : parseFloat(rule.dwell);
+    if (dwell !== null && !(dwell > 0)) {
+      throw new Error(`Rule "${name}": dwell must be a positive number of seconds`);
+    }
+
+    return {
+      name,
+      gateways: gateways.length > 0 ? new Set(gateways.map(gateway => resolveGateway(gateway, name))) : null,
+      tags: tags.length > 0 ? new Set(tags) : null,
+      proximity,
+      dwellMs: dwell === null ? null : dwell * 1000
+    };
+  });
+}
+
+class PresenceEngine {
+  /**
+   * @param {object} options
+   * @param {Map<string, object>} options.thresholds Normalized gateway MAC -> {immediate, near, far}
+   * @param {Array} [options.rules] From parseRules(); default: every tag near every gateway
+   * @param {number} [options.smoothing]
+   * @param {number} [options.hysteresis] dB
+   * @param {number} [options.absentMs]
+   */
+  constructor(options = {}) {
+    this.thresholds = options.thresholds || new Map();
+    this.rules = options.rules || parseRules();
+    this.smoothing = options.smoothing === undefined ? DEFAULTS.smoothing : options.smoothing;
+    this.hysteresis = options.hysteresis === undefined ? DEFAULTS.hysteresis : options.hysteresis;
+    this.absentMs = options.absentMs || DEFAULTS.absentMs;
+    if (!(this.smoothing > 0 && this.smoothing <= 1)) {
+      throw new Error('smoothing must be in (0, 1]');
+    }
+
+    this.pairs = new Map(); // "gateway|tag" -> { gateway, tag, rssi, lastSeen, proximity }
+    this.present = new Map(); // "rule|gateway|tag" -> { since, dwelled }
+    this.unknownGateways = new Set(); // heard, but without thresholds
+  }
+
+  /**
+   * Feed one reading.
+   * @returns {object[]} enter/exit events it caused
+   */
+  ingest(gatewayMac, tagMac, rssi, now) {
+    const gateway = normalizeMac(gatewayMac);
+    const tag = normalizeMac(tagMac);
+    const thresholds = this.thresholds.get(gateway);
+    if (!thresholds) {
+      this.unknownGateways.add(gateway);
+      return [];
+    }
+
+    const key = `${gateway}|${tag}`;
+    let pair = this.pairs.get(key);
+    if (!pair) {
+      pair = { gateway, tag, rssi, lastSeen: now, proximity: 'absent' };
+      this.pairs.set(key, pair);
+    } else {
+      pair.rssi = this.smoothing * rssi + (1 - this.smoothing) * pair.rssi;
+      pair.lastSeen = now;
+    }
+    pair.proximity = classifyProximity(pair.rssi, thresholds, pair.proximity, this.hysteresis);
+
+    return this.evaluate(pair, now);
+  }
+
+  /**
+   * Time out pairs no longer heard and emit due dwell events.
+   * @returns {object[]}
+   */
+  tick(now) {
+    const events = [];
+    this.pairs.forEach((pair, key) => {
+      if (now - pair.lastSeen >= this.absentMs) {
+        pair.proximity = 'absent';
+        events.push(...this.evaluate(pair, now));
+        this.pairs.delete(key);
+      }
+    });
+
+    this.rules.forEach(rule => {
+      if (rule.dwellMs === null) return;
+      this.pairs.forEach(pair => {
+        const state = this.present.get(`${rule.name}|${pair.gateway}|${pair.tag}`);
+        if (state && !state.dwelled && now - state.since >= rule.dwellMs) {
+          state.dwelled = true;
+          events.push(this.event('dwell', rule, pair, now, state.since));
+        }
+      });
+    });
+    return events;
+  }
+
+  applies(rule, pair) {
+    return (!rule.gateways || rule.gateways.has(pair.gateway)) && (!rule.tags || rule.tags.has(pair.tag));
+  }
+
+  evaluate(pair, now) {
+    const events = [];
+    this.rules.filter(rule => this.applies(rule, pair)).forEach(rule => {
+      const key = `${rule.name}|${pair.gateway}|${pair.tag}`;
+      const inside = rank(pair.proximity) <= rank(rule.proximity);
+      const state = this.present.get(key);
+
+      if (inside && !state) {
+        this.present.set(key, { since: now, dwelled: false });
+        events.push(this.event('enter', rule, pair, now, now));
+      } else if (!inside && state) {
+        this.present.delete(key);
+        events.push(this.event('exit', rule, pair, now, state.since));
+      }
+    });
+    return events;
+  }
+
+  event(type, rule, pair, now, since) {
+    return {
+      event: type,
+      rule: rule.name,
+      gateway: pair.gateway,
+      tag: pair.tag,
+      proximity: pair.proximity,
+      rssi: Math.round(pair.rssi * 10) / 10,
+      since,
+      duration: type === 'enter' ? 0 : Math.round((now - since) / 100) / 10,
+      timestamp: now
+    };
+  }
+}
+
+module.exports = {
+  LEVELS,
+  DEFAULTS,
+  thresholdsFromModel,
+  classifyProximity,
+  parseThresholds,
+  parseRules,
+  PresenceEngine
+};
@@ -0,0 +1,136 @@
+/**
+ * Radio Map
+ * Loads the fingerprint workbook written by FingerprintCollectionTool into
+ * reference points with per-gateway RSSI vectors. Gateway columns may be
+ * plain MACs or registry labels such as "Lobby North (AC233FA12345)";
+ * their MACs are normalized so live readings match in any notation.
+ *
+ * Locations captured in several headings have a row per heading and a
+ * merged row (blank Heading). The map uses the merged rows by default;
+ * "each" uses every heading row, a label such as "N" only that heading.
+ * Locations recorded without headings are always kept as they are.
+ *
+ * With RSSI offsets (lib/rssi-offsets.js) every value is brought to the
+ * current offsets, whatever the session recording it applied (see the
+ * "RSSI Offsets" sheet), and the columns of replaced gateways are read as
+ * their replacement's.
+ *
+ * The cells of the "Interpolated Data" sheet (see tools/radio-map-interpolation-tool.js)
+ * are only added on request, and only to merged maps: positioning uses
+ * them, evaluation and survey coverage work on measurements alone.
+ */
+
+const fs = require('fs');
+const { macFromLabel } = require('./gateway-registry');
+const { normalizeMac } = require('./mac');
+const {
+  FINGERPRINT_HEADERS, INTERPOLATED_SHEET, INTERPOLATED_HEADERS, INTERPOLATED_SESSION,
+  openSurveyWorkbook, readRows, appliedOffsets
+} = require('./workbook');
+
+const MERGED = 'merged';
+const EACH_HEADING = 'each';
+
+// Gateway columns of a header row, from the first column after the fixed headers
+function gatewayColumns(headerRow, fixedCount, offsets) {
+  return headerRow
+    .map((header, index) => ({ mac: normalizeMac(macFromLabel(String(header).trim())), index }))
+    .filter(column => column.mac && column.index >= fixedCount)
+    .map(column => ({ ...column, current: offsets ? offsets.current(column.mac) : column.mac }));
+}
+
+// "ND" (not detected) and blank (not recorded) cells carry no reading
+function readRssi(row, columns, offsets, recordedWith) {
+  const rssi = {};
+  columns.forEach(({ mac, current, index }) => {
+    const value = parseFloat(row[index]);
+    if (isNaN(value)) return;
+    rssi[current] = offsets
+      ? Math.round((value + offsets.offset(mac) - (recordedWith.get(mac) || 0)) * 100) / 100
+      : value;
+  });
+  return rssi;
+}
+
+/**
+ * @param {string} filePath Fingerprint workbook
+ * @param {object} [options]
+ * @param {string} [options.heading] 'merged' (default), 'each' or a heading label
+ * @param {RssiOffsets} [options.offsets] Offsets to normalize the map to; values are used as recorded without
+ * @param {boolean} [options.interpolated=false] Add the interpolated cells (merged maps only)
+ * @returns {{gateways: string[], points: Array<{id: string, x: number, y: number, z: number,
+ *            floor: string|null, zone: string|null, heading: string|null, rssi: Object<string, number>}>}}
+ *          interpolated cells also carry interpolated: true and their uncertainty (dB)
+ */
+function loadRadioMap(filePath, { heading = MERGED, offsets = null, interpolated = false } = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Fingerprint file not found: ${filePath}`);
+  }
+
+  // Rejects workbooks that do not have the fingerprint layout
+  const { workbook, rows } = openSurveyWorkbook(filePath, 'fingerprint');
+  const columns = gatewayColumns(rows[0], FINGERPRINT_HEADERS.length, offsets);
+  const applied = appliedOffsets(workbook);
+  const noOffsets = new Map();
+
+  // Rows of the same location and session belong to one capture
+  const captureKey = row => `${String(row[0]).trim()}|${row[4]}`;
+  const text = value => String(value === undefined ? '' : value).trim();
+  const headingOf = row => text(row[5]).toUpperCase();
+  const withHeadings = new Set(rows.slice(1).filter(headingOf).map(captureKey));
+  const wanted = String(heading || MERGED).trim().toUpperCase();
+
+  const keep = row => {
+    const label = headingOf(row);
+    if (!label) {
+      return wanted === MERGED.toUpperCase() || !withHeadings.has(captureKey(row));
+    }
+    return wanted === EACH_HEADING.toUpperCase() || wanted === label;
+  };
+
+  const points = [];
+  rows.slice(1).filter(keep).forEach(row => {
+    const id = String(row[0]).trim();
+    const x = parseFloat(row[1]);
+    const y = parseFloat(row[2]);
+    const z = row[3] === '' ? 0 : parseFloat(row[3]);
+    if (!id || isNaN(x) || isNaN(y) || isNaN(z)) return;
+
+    const rssi = readRssi(row, columns, offsets, applied.get(String(row[4])) || noOffsets);
+    points.push({ id, x, y, z, floor: text(row[6]) || null, zone: text(row[7]) || null, heading: headingOf(row) || null, rssi });
+  });
+
+  if (interpolated && wanted === MERGED.toUpperCase() && workbook.SheetNames.includes(INTERPOLATED_SHEET)) {
+    const cellRows = readRows(workbook, INTERPOLATED_SHEET);
+    const cellColumns = gatewayColumns(cellRows[0], INTERPOLATED_HEADERS.length, offsets);
+    const recordedWith = applied.get(INTERPOLATED_SESSION) || noOffsets;
+    cellRows.slice(1).forEach(row => {
+      const id = text(row[0]);
+      const [x, y, z] = [row[1], row[2], row[3]].map(value => parseFloat(value));
+      if (!id || isNaN(x) || isNaN(y) || isNaN(z)) return;
+
+      const uncertainty = parseFloat(row[7]);
+      points.push({
+        id, x, y, z,
+        floor: text(row[4]) || null,
+        zone: text(row[5]) || null,
+        heading: null,
+        rssi: readRssi(row, cellColumns, offsets, recordedWith),
+        interpolated: true,
+        uncertainty: isNaN(uncertainty) ? null : uncertainty
+      });
+    });
+    columns.push(...cellColumns);
+  }
+
+  return {
+    gateways: Array.from(new Set(columns.map(column => column.current))),
+    points
+  };
+}
+
+module.exports = {
+  loadRadioMap,
+  MERGED,
+  EACH_HEADING
+};
@@ -0,0 +1,547 @@
+/**
+ * Recording Session
+ * What the gateway calibration and fingerprint collection tools share: the
+ * MQTT (or replay) connection and its drop handling, capture marks, the
+ * survey store session, plan overrides, and the loop that runs a recording
+ * window until lib/recording-window.js says it is complete. Windows go to
+ * the store only; the session's workbook rows are exported from it when
+ * the session ends (see tools/survey-export-tool.js).
+ *
+ * A tool extends RecordingSession and provides:
+ *   handleMessage(topic, message)      collect readings while isRecording
+ *   resetRecordings()                  clear them before a window
+ *   sampleGroups()                     RSSI values per gateway, for the window rule
+ *   progress()                         sample counts for the progress line
+ *   storeMeasurement(window, fields)   save a window in the survey store
+ *   recordMeasurement()                one interactively prompted measurement
+ *   recordStep(step), describeStep(step), stepName(step)   plan steps
+ * and may extend applyPlan(plan), describePlan(plan), printSetup(),
+ * sessionOptions() and runSteps(plan). Tools count what they recorded in
+ * windowsWritten; a session without any leaves the workbook alone.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const TagFilter = require('./tag-filter');
+const GatewayRegistry = require('./gateway-registry');
+const { createParser } = require('./parsers');
+const { loadPlan } = require('./plan');
+const { resolveStatsOptions } = require('./rssi-stats');
+const { resolveWindowOptions, isAdaptive, evaluateWindow } = require('./recording-window');
+const { CaptureRecorder } = require('./capture');
+const { createClient, describeSource } = require('./mqtt-source');
+const { resolveMqttOptions, subscribeTopics, watchConnection } = require('./mqtt-connection');
+const SurveyStore = require('./survey-store');
+const { openSurveyWorkbook, backupWorkbook, writeWorkbook } = require('./workbook');
+const SurveyExportTool = require('../tools/survey-export-tool');
+const { systemClock } = require('./clock');
+
+const PROGRESS_INTERVAL = 1000; // window checks and progress updates, in milliseconds
+const CONNECTION_LOST = 'broker connection lost';
+
+class RecordingSession {
+  /**
+   * @param {object} profile What differs between the tools
+   * @param {'gateway'|'fingerprint'} profile.tool Store and plan tool name
+   * @param {'calibration'|'fingerprint'} profile.layout Workbook layout (see lib/workbook.js)
+   * @param {string} profile.title Tool name in the console banner
+   * @param {string} profile.task What a recording does, for the banner
+   * @param {string} profile.item What one recording is called in prompts ("measurement", "location")
+   * @param {string} profile.data What the session records ("calibration", "fingerprint")
+   * @param {string} profile.clientId MQTT client ID prefix
+   * @param {string} profile.defaultOutput Workbook written without --output
+   * @param {string} profile.defaultRegistry Gateway registry read without --gateways
+   * @param {string} profile.defaultDb Survey store used without --db
+   * @param {object} [options] Tool options
+   */
+  constructor(profile, options = {}) {
+    this.profile = profile;
+    this.client = null;
+    // Seams for tests: mqtt client factory, clock, prompts and progress output can be injected
+    this.createClient = options.createClient || createClient;
+    this.clock = options.clock || systemClock;
+    this.output = options.output || process.stdout;
+    this.rl = options.rl || readline.createInterface({
+      input: options.input || process.stdin,
+      output: this.output
+    });
+    this.isRecording = false;
+    this.outputFile = options.outputFile || null;
+    this.tagFilter = new TagFilter(options.tagMacs);
+    this.windowOptions = options.window || {};
+    this.window = resolveWindowOptions(this.windowOptions);
+    this.planFile = options.planFile || null;
+    this.unattended = Boolean(options.unattended);
+    this.captureFile = options.captureFile || null;
+    this.replayFile = options.replayFile || null;
+    this.replaySpeed = options.replaySpeed;
+    this.recorder = null;
+    this.statsOptions = resolveStatsOptions(options.stats);
+    this.registryFile = options.registryFile || profile.defaultRegistry;
+    this.registry = GatewayRegistry.loadIfExists(this.registryFile);
+    this.heardGateways = new Set();
+    this.parser = options.parser || createParser(options.parserFile);
+    this.mqttOptions = options.mqtt || resolveMqttOptions();
+    this.connectionLost = false;
+    this.windowInterrupted = false;
+    this.source = null;
+    this.dbFile = options.dbFile || profile.defaultDb;
+    this.store = null;
+    this.sessionId = null;
+    this.sessionStartedAt = null;
+    this.windowsWritten = 0;
+    this.operator = options.operator || null;
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      const source = {
+        mqtt: this.mqttOptions,
+        clientId: `${this.profile.clientId}-${Date.now()}`,
+        replayFile: this.replayFile,
+        replaySpeed: this.replaySpeed
+      };
+      this.source = source;
+      this.client = this.createClient(source);
+      if (!this.replayFile) {
+        watchConnection(this.client, {
+          onDrop: () => {
+            this.connectionLost = true;
+            if (this.isRecording) {
+              this.windowInterrupted = true;
+            }
+          },
+          onRestore: () => {
+            this.connectionLost = false;
+          }
+        });
+      }
+
+      if (this.captureFile) {
+        this.recorder = new CaptureRecorder(this.captureFile);
+        console.log(`● Capturing raw MQTT traffic to: ${this.captureFile}`);
+      }
+
+      this.client.once('connect', () => {
+        console.log(`✓ Connected to ${describeSource(source)}\n`);
+        resolve();
+      });
+
+      this.client.on('error', (error) => {
+        console.error('MQTT error:', error.message || error);
+        reject(error);
+      });
+
+      this.client.on('message', (topic, message) => {
+        if (this.recorder) {
+          this.recorder.write(topic, message, this.now());
+        }
+        this.handleMessage(topic, message);
+      });
+    });
+  }
+
+  subscribe() {
+    // Configured topic filters (default: all topics)
+    return subscribeTopics(this.client, this.mqttOptions);
+  }
+
+  outputPath() {
+    return this.outputFile || this.profile.defaultOutput;
+  }
+
+  /**
+   * Options stored with the session; tools add their own.
+   */
+  sessionOptions() {
+    return { window: this.window, stats: this.statsOptions };
+  }
+
+  openStore() {
+    // Without --operator, a plan "operator" or the prompt, the login name is recorded
+    this.operator = this.operator || process.env.USER || null;
+    this.store = new SurveyStore(this.dbFile);
+    this.sessionStartedAt = this.now();
+    this.sessionId = this.store.startSession({
+      tool: this.profile.tool,
+      operator: this.operator,
+      startedAt: this.sessionStartedAt,
+      outputFile: this.outputPath(),
+      planFile: this.planFile,
+      source: describeSource(this.source),
+      tagFilter: this.tagFilter.isActive ? Array.from(this.tagFilter.tagMacs).join(',') : null,
+      options: this.sessionOptions()
+    });
+    console.log(`● Storing session ${this.sessionId} in: ${this.dbFile}`);
+  }
+
+  closeStore() {
+    if (!this.store) return;
+    this.store.endSession(this.sessionId, this.now());
+    this.store.close();
+    console.log(`✓ Session ${this.sessionId} stored in: ${this.dbFile}`);
+    this.store = null;
+  }
+
+  /**
+   * Check the output workbook before anything is recorded: another layout is
+   * refused, an older one migrated now (the original is kept). A missing
+   * workbook is created by the export at the end of the session.
+   */
+  checkWorkbook() {
+    const filePath = this.outputPath();
+    if (!fs.existsSync(filePath)) return;
+
+    const { workbook, migratedFrom } = openSurveyWorkbook(filePath, this.profile.layout);
+    if (migratedFrom) {
+      const backup = backupWorkbook(filePath, migratedFrom);
+      writeWorkbook(workbook, filePath);
+      console.log(`↻ Migrated ${filePath} to the current workbook layout (original kept as ${backup})`);
+    }
+  }
+
+  async startSession() {
+    this.checkWorkbook();
+    await this.connect();
+    await this.subscribe();
+    this.openStore();
+  }
+
+  /**
+   * End the session and add its windows, with their raw samples, to the
+   * output workbook: the one place the collection tools write it.
+   * @returns {Promise<object|null>} The export result; null when nothing was recorded
+   */
+  async finishSession() {
+    const sessionId = this.sessionId;
+    this.closeStore();
+    if (this.windowsWritten === 0) {
+      console.log(`No ${this.profile.item}s recorded; ${this.outputPath()} left unchanged\n`);
+      return null;
+    }
+
+    const exporter = new SurveyExportTool({
+      dbFile: this.dbFile,
+      tool: this.profile.tool,
+      sessionIds: [sessionId],
+      outputFile: this.outputPath(),
+      samples: true,
+      append: true
+    });
+    try {
+      return await exporter.export();
+    } catch (error) {
+      this.printExportHint(sessionId);
+      throw error;
+    }
+  }
+
+  printExportHint(sessionId) {
+    console.log(`⚠ ${this.outputPath()} was not updated; the recorded windows are in the survey store. Add them with:`);
+    console.log(`   calib export --tool ${this.profile.tool} --db ${this.dbFile} --session ${sessionId} --samples --append ${this.outputPath()}`);
+  }
+
+  question(prompt) {
+    return new Promise((resolve) => {
+      this.rl.question(prompt, resolve);
+    });
+  }
+
+  // Replayed captures run on their own clock; live sessions use the tool clock (wall clock by default)
+  now() {
+    return this.client && this.client.now ? this.client.now() : this.clock.now();
+  }
+
+  sleep(ms) {
+    if (this.client && this.client.sleep) {
+      return this.client.sleep(ms);
+    }
+    return this.clock.sleep(ms);
+  }
+
+  describeWindow() {
+    const { duration, minDuration, maxDuration } = this.window;
+    if (!isAdaptive(this.window)) {
+      return `${duration / 1000}s`;
+    }
+    return `${minDuration / 1000}-${maxDuration / 1000}s (nominal ${duration / 1000}s)`;
+  }
+
+  async waitForWindow() {
+    const startTime = this.now();
+    const maxSeconds = Math.round(this.window.maxDuration / 1000);
+
+    while (true) {
+      const elapsed = this.now() - startTime;
+      const verdict = evaluateWindow(elapsed, this.sampleGroups(), this.window);
+      if (verdict.done) {
+        return { ...verdict, elapsed };
+      }
+      if (this.client.exhausted || this.client.windowEnded) {
+        return { ...verdict, done: true, reason: 'end of replayed data', elapsed };
+      }
+      if (this.windowInterrupted) {
+        return { ...verdict, done: true, reason: CONNECTION_LOST, elapsed };
+      }
+
+      // Show progress
+      const seconds = Math.floor(elapsed / 1000);
+      const ci = verdict.ci !== null && isFinite(verdict.ci) ? `, ±${verdict.ci.toFixed(2)} dB` : '';
+      this.output.write(`\rRecording... ${seconds}s / ${maxSeconds}s (${this.progress()}${ci})`);
+
+      await this.sleep(Math.min(PROGRESS_INTERVAL, this.window.maxDuration - elapsed));
+    }
+  }
+
+  async waitForConnection() {
+    if (!this.connectionLost) return;
+    console.log('⏸ Waiting for the broker connection before recording...');
+    while (this.connectionLost) {
+      await this.sleep(PROGRESS_INTERVAL);
+    }
+  }
+
+  startWindow(label) {
+    if (this.recorder) {
+      this.recorder.mark('window-start', label, this.now());
+    }
+    if (this.client && this.client.startWindow) {
+      const mark = this.client.startWindow();
+      if (mark && mark.label !== label) {
+        console.log(`⚠ Replaying captured window "${mark.label}" for "${label}"`);
+      }
+    }
+  }
+
+  endWindow(label, invalid = false) {
+    if (this.recorder) {
+      this.recorder.mark('window-end', label, this.now());
+      if (invalid) {
+        this.recorder.mark('window-invalid', label, this.now(), { reason: CONNECTION_LOST });
+      }
+    }
+  }
+
+  /**
+   * Record one window. A window the broker dropped out of (now, or when it
+   * was captured) is stored as invalid and yields null.
+   * @param {string} label Capture mark of the window
+   * @param {object} [fields] Extra measurement fields stored with an invalid window
+   * @returns {Promise<{result: object, window: {startedAt: number, endedAt: number, reason: string}}|null>}
+   */
+  async recordWindow(label, fields = {}) {
+    this.startWindow(label);
+    const startedAt = this.now();
+    this.windowInterrupted = false;
+
+    this.resetRecordings();
+    this.heardGateways.clear();
+    this.tagFilter.reset();
+    this.isRecording = true;
+
+    // Record until the window is complete
+    const result = await this.waitForWindow();
+
+    this.isRecording = false;
+    // A window invalidated while it was captured stays invalid on replay
+    const replayedInvalid = this.client.windowInvalid || null;
+    if (replayedInvalid) {
+      this.windowInterrupted = true;
+    }
+    this.endWindow(label, this.windowInterrupted);
+    const window = { startedAt, endedAt: this.now(), reason: result.reason };
+
+    // Readings around a broker drop are incomplete; keep them for the record only
+    if (this.windowInterrupted) {
+      const reason = replayedInvalid ? replayedInvalid.reason || CONNECTION_LOST : CONNECTION_LOST;
+      this.storeMeasurement(window, { valid: false, reason, ...fields });
+      if (replayedInvalid) {
+        console.log(`\n\n❌ Window was marked invalid when captured (${reason}); not saved to Excel.\n`);
+      } else {
+        console.log(`\n\n❌ Broker connection dropped during recording after ${Math.round(result.elapsed / 1000)}s; window marked invalid and not saved to Excel.`);
+        console.log('   Record this measurement again once the broker is back.\n');
+      }
+      return null;
+    }
+
+    return { result, window };
+  }
+
+  /**
+   * Store a window that heard nothing and tell the operator what to check.
+   * @param {string} check Third item of the checklist
+   */
+  rejectEmptyWindow(window, check, fields = {}) {
+    this.storeMeasurement(window, { valid: false, note: 'no readings', ...fields });
+    console.log('\n\n⚠ No RSSI readings received during recording period.');
+    console.log('Please check:');
+    console.log('  1. MQTT broker is running');
+    console.log('  2. Device is publishing RSSI data');
+    console.log(`  3. ${check}`);
+    if (this.tagFilter.isActive) {
+      console.log('  4. Target tag MAC matches');
+      this.tagFilter.printReport();
+    }
+    this.reportSilentGateways();
+    console.log();
+  }
+
+  reportTags() {
+    if (!this.tagFilter.isActive) return;
+    console.log(`   Dropped samples from other tags: ${this.tagFilter.droppedCount()}`);
+    const missing = this.tagFilter.missingTags();
+    if (missing.length > 0) {
+      console.log(`   ⚠ Target tags not seen: ${missing.join(', ')}`);
+      this.tagFilter.printReport();
+    }
+  }
+
+  reportSilentGateways() {
+    const silent = this.registry.silent(this.heardGateways);
+    if (silent.length > 0) {
+      console.log(`   ⚠ Registered gateways silent during recording: ${silent.map(entry => this.registry.label(entry.mac)).join(', ')}`);
+    }
+  }
+
+  /**
+   * Take over the session settings of a plan.
+   */
+  applyPlan(plan) {
+    // --output wins over the plan's output
+    if (plan.output && !this.outputFile) {
+      this.outputFile = plan.output;
+    }
+    if (plan.operator && !this.operator) {
+      this.operator = plan.operator;
+    }
+    if (plan.window) {
+      this.windowOptions = { ...this.windowOptions, ...plan.window };
+      this.window = resolveWindowOptions(this.windowOptions);
+    }
+    if (plan.tagMacs.length > 0) {
+      this.tagFilter = new TagFilter(plan.tagMacs);
+    }
+    if (plan.stats) {
+      this.statsOptions = resolveStatsOptions({ ...this.statsOptions, ...plan.stats });
+    }
+  }
+
+  // Tool notes on a plan and on the session setup, printed before recording starts
+  describePlan() {}
+
+  printSetup() {}
+
+  async runPlan() {
+    const plan = loadPlan(this.planFile, this.profile.tool);
+    this.applyPlan(plan);
+
+    console.log(`Plan: ${this.planFile} (${plan.steps.length} steps)`);
+    this.describePlan(plan);
+    this.printSetup();
+    console.log(`Recording tag(s): ${this.tagFilter.describe()}`);
+
+    await this.startSession();
+    await this.runSteps(plan);
+  }
+
+  async runSteps(plan) {
+    const failed = [];
+    for (let i = 0; i < plan.steps.length; i++) {
+      const step = plan.steps[i];
+      if (this.client.exhausted) {
+        console.log(`\n⚠ Replay ended before step ${i + 1}; stopping the plan.`);
+        failed.push(`${plan.steps.length - i} remaining step(s) (not replayed)`);
+        break;
+      }
+      console.log(`\n=== Step ${i + 1}/${plan.steps.length}: ${this.describeStep(step)} ===`);
+
+      if (!this.unattended) {
+        await this.question('Press Enter when the tag is in position...');
+      }
+
+      const ok = await this.recordStep(step);
+      if (!ok) {
+        failed.push(`step ${i + 1} (${this.stepName(step)})`);
+      }
+    }
+
+    console.log(`\n✓ Plan finished: ${plan.steps.length - failed.length}/${plan.steps.length} steps recorded`);
+    if (failed.length > 0) {
+      console.log(`⚠ Failed: ${failed.join(', ')}`);
+    }
+  }
+
+  async run() {
+    const { title, task, item, data } = this.profile;
+    try {
+      console.log(`=== ${title} ===\n`);
+      console.log('This tool will:');
+      console.log('  1. Connect to MQTT broker');
+      console.log(`  2. ${task}`);
+      console.log(`  3. Aggregate readings (${this.statsOptions.statistic}) over ${this.describeWindow()}`);
+      console.log('  4. Save to Excel file\n');
+
+      if (this.planFile) {
+        await this.runPlan();
+        await this.finishSession();
+        return;
+      }
+
+      if (!this.outputFile) {
+        const outputFileInput = await this.question(`Output file path (press Enter for default): `);
+        if (outputFileInput.trim()) {
+          this.outputFile = outputFileInput.trim();
+        }
+      }
+
+      if (!this.operator) {
+        this.operator = (await this.question('Operator name (press Enter to use your login name): ')).trim() || null;
+      }
+
+      if (!this.tagFilter.isActive) {
+        const tagInput = await this.question('Target tag MAC(s), comma separated (press Enter to record all tags): ');
+        this.tagFilter = new TagFilter(tagInput);
+      }
+      this.printSetup();
+      console.log(`Recording tag(s): ${this.tagFilter.describe()}`);
+
+      await this.startSession();
+
+      console.log(`\nReady to record ${data} data.\n`);
+
+      while (true) {
+        const continueRecording = await this.question(`Record another ${item}? (y/n): `);
+        if (continueRecording.toLowerCase() !== 'y') {
+          break;
+        }
+
+        await this.recordMeasurement();
+      }
+
+      console.log(`\n✓ ${data[0].toUpperCase()}${data.slice(1)} session complete!`);
+      await this.finishSession();
+
+    } finally {
+      if (this.client) {
+        this.client.end();
+      }
+      // Still open when the session was cut short: its windows are only in the store
+      if (this.store) {
+        const sessionId = this.sessionId;
+        this.closeStore();
+        if (this.windowsWritten > 0) {
+          this.printExportHint(sessionId);
+        }
+      }
+      this.parser.printReport();
+      if (this.recorder) {
+        await this.recorder.close();
+        console.log(`✓ Captured ${this.recorder.count} messages to: ${this.captureFile}`);
+      }
+      this.rl.close();
+    }
+  }
+}
+
+module.exports = RecordingSession;
+module.exports.CONNECTION_LOST = CONNECTION_LOST;
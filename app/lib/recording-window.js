@@ -0,0 +1,103 @@
+/**
+ * Adaptive Recording Window
+ * Decides when a recording has collected enough data:
+ *   - never before minDuration
+ *   - early, once every qualifying gateway's 95% CI of the mean is within ciTarget dB
+ *   - at the nominal duration, when the sample and gateway minimums are met
+ *   - otherwise extended until they are, up to maxDuration
+ * Durations are in milliseconds. With only `duration` set the window is fixed.
+ * Unset bounds are derived from the others: without a duration it is
+ * clamped into [minDuration, maxDuration] (from the 1 minute default), and a
+ * CI target without a minDuration may end the window after CI_MIN_DURATION.
+ */
+
+const { confidenceHalfWidth } = require('./rssi-stats');
+
+const DEFAULT_DURATION = 60 * 1000; // 1 minute in milliseconds
+const CI_MIN_DURATION = 5 * 1000; // the CI of the first few seconds is too noisy to stop on
+
+/**
+ * Validate and fill in window options.
+ */
+function resolveWindowOptions(options = {}) {
+  const pick = (value, fallback) =>
+    value === undefined || value === null || value === '' || Number.isNaN(value) ? fallback : Number(value);
+
+  const min = pick(options.minDuration, null);
+  const max = pick(options.maxDuration, null);
+  let duration = pick(options.duration, null);
+  if (duration === null) {
+    duration = Math.min(Math.max(DEFAULT_DURATION, min === null ? 0 : min), max === null ? Infinity : max);
+  }
+  const ciTarget = pick(options.ciTarget, null);
+
+  const resolved = {
+    duration,
+    minDuration: min !== null ? min : (ciTarget !== null ? Math.min(CI_MIN_DURATION, duration) : duration),
+    maxDuration: max !== null ? max : duration,
+    minSamples: pick(options.minSamples, 1),
+    minGateways: pick(options.minGateways, 1),
+    ciTarget
+  };
+
+  if (!(resolved.duration > 0)) {
+    throw new Error('Recording duration must be a positive number');
+  }
+  if (resolved.minDuration > resolved.duration || resolved.duration > resolved.maxDuration) {
+    throw new Error('Recording durations must satisfy min <= duration <= max');
+  }
+  if (resolved.minSamples < 1 || resolved.minGateways < 1) {
+    throw new Error('Minimum samples and gateways must be at least 1');
+  }
+  if (resolved.ciTarget !== null && !(resolved.ciTarget > 0)) {
+    throw new Error('Confidence interval target must be a positive number of dB');
+  }
+
+  return resolved;
+}
+
+function isAdaptive(options) {
+  return options.minDuration !== options.duration ||
+    options.maxDuration !== options.duration;
+}
+
+/**
+ * Check a running window.
+ * @param {number} elapsed Milliseconds since the window started
+ * @param {number[][]} groups RSSI readings per gateway
+ * @param {object} options Resolved window options
+ * @returns {{done: boolean, reason: string|null, ci: number|null, gateways: number, enough: boolean}}
+ */
+function evaluateWindow(elapsed, groups, options) {
+  const qualifying = groups.filter(values => values.length >= options.minSamples);
+  const enough = qualifying.length >= options.minGateways;
+  const ci = qualifying.length > 0
+    ? Math.max(...qualifying.map(values => confidenceHalfWidth(values)))
+    : null;
+
+  const result = { done: false, reason: null, ci, gateways: qualifying.length, enough };
+
+  if (elapsed >= options.maxDuration) {
+    result.done = true;
+    const limit = options.maxDuration === options.duration ? 'duration reached' : 'maximum duration reached';
+    result.reason = enough ? limit : `${limit} before the minimums were met`;
+  } else if (elapsed < options.minDuration) {
+    // Keep recording
+  } else if (enough && options.ciTarget !== null && ci !== null && ci <= options.ciTarget) {
+    result.done = true;
+    result.reason = `converged (95% CI ±${ci.toFixed(2)} dB)`;
+  } else if (enough && elapsed >= options.duration) {
+    result.done = true;
+    result.reason = 'duration reached';
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_DURATION,
+  CI_MIN_DURATION,
+  resolveWindowOptions,
+  isAdaptive,
+  evaluateWindow
+};
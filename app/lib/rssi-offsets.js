@@ -0,0 +1,224 @@
+/**
+ * RSSI Offsets
+ * Gateway units (and firmware versions) report systematically different RSSI
+ * for the same signal. An offset per gateway, in dB, brings every unit to the
+ * level of a reference gateway:
+ *
+ *   corrected RSSI = reported RSSI + offset
+ *
+ * Offsets come from calibration rows recorded with the tag at the same
+ * distance from each gateway (see tools/rssi-offset-tool.js). The reference
+ * is one gateway unit, or the median of all gateways at each distance.
+ * Stored as JSON:
+ *
+ *   {
+ *     "reference": "AC:23:3F:A1:23:45",          // null = median of all gateways
+ *     "gateways": {
+ *       "AC:23:3F:A1:23:46": { "offset": 2.4, "distances": [1, 2], "rows": 4 }
+ *     },
+ *     "replacements": { "AC:23:3F:A1:23:47": "AC:23:3F:A1:99:01" }   // old unit -> new unit
+ *   }
+ *
+ * A replacement lets a radio map recorded with the old unit be used with the
+ * new one: the old column is corrected with the old unit's offset and read as
+ * the new unit's column.
+ */
+
+const fs = require('fs');
+const { normalizeMac } = require('./mac');
+
+const round = value => Math.round(value * 100) / 100;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Offsets of every gateway relative to the reference, averaged over the
+ * distances both were calibrated at.
+ *
+ * @param {Map<string, Array<{distance: number, rssi: number}>>} byGateway Calibration rows per normalized MAC
+ * @param {object} [options]
+ * @param {string|null} [options.reference] Reference gateway; null = median of all gateways per distance
+ * @param {number|null} [options.distance] Only use rows at this distance
+ * @returns {{offsets: Object<string, {offset: number, distances: number[], rows: number}>,
+ *            rejected: Object<string, string>}}
+ */
+function computeOffsets(byGateway, { reference = null, distance = null } = {}) {
+  // gateway -> Map(distance -> mean RSSI), and how many rows went into it
+  const levels = new Map();
+  const rowCounts = new Map();
+  byGateway.forEach((points, gatewayMac) => {
+    const byDistance = new Map();
+    points
+      .filter(point => distance === null || point.distance === distance)
+      .forEach(point => {
+        if (!byDistance.has(point.distance)) {
+          byDistance.set(point.distance, []);
+        }
+        byDistance.get(point.distance).push(point.rssi);
+      });
+    if (byDistance.size === 0) return;
+
+    levels.set(gatewayMac, new Map(Array.from(byDistance, ([d, values]) => [d, mean(values)])));
+    rowCounts.set(gatewayMac, byDistance);
+  });
+
+  const referenceMac = reference ? normalizeMac(reference) : null;
+  const at = distance === null ? '' : ` at ${distance} m`;
+  if (referenceMac && !levels.has(referenceMac)) {
+    throw new Error(`Reference gateway ${reference} has no calibration rows${at}`);
+  }
+
+  // Level every gateway is brought to at a distance; undefined when there is none
+  const baseline = d => {
+    if (referenceMac) {
+      return levels.get(referenceMac).get(d);
+    }
+    const values = Array.from(levels.values()).filter(byDistance => byDistance.has(d)).map(byDistance => byDistance.get(d));
+    return values.length >= 2 ? median(values) : undefined;
+  };
+
+  const offsets = {};
+  const rejected = {};
+  Array.from(byGateway.keys()).sort().forEach(gatewayMac => {
+    if (!levels.has(gatewayMac)) {
+      rejected[gatewayMac] = `no calibration rows${at}`;
+      return;
+    }
+
+    const distances = Array.from(levels.get(gatewayMac).keys())
+      .filter(d => baseline(d) !== undefined)
+      .sort((a, b) => a - b);
+    if (distances.length === 0) {
+      rejected[gatewayMac] = referenceMac
+        ? 'no calibration rows at a distance the reference was calibrated at'
+        : 'no other gateway was calibrated at the same distance';
+      return;
+    }
+
+    offsets[gatewayMac] = {
+      offset: round(mean(distances.map(d => baseline(d) - levels.get(gatewayMac).get(d)))),
+      distances,
+      rows: distances.reduce((count, d) => count + rowCounts.get(gatewayMac).get(d).length, 0)
+    };
+  });
+
+  return { offsets, rejected };
+}
+
+class RssiOffsets {
+  /**
+   * @param {object} [document] Contents of an offsets file
+   */
+  constructor(document = {}) {
+    this.reference = document.reference ? normalizeMac(document.reference) : null;
+    this.gateways = new Map(); // normalized MAC -> entry
+    this.replacements = new Map(); // normalized old MAC -> normalized new MAC
+
+    Object.entries(document.gateways || {}).forEach(([gatewayMac, entry]) => {
+      const offset = parseFloat(entry && entry.offset);
+      if (isNaN(offset)) {
+        throw new Error(`RSSI offset of gateway ${gatewayMac} must be a number`);
+      }
+      this.gateways.set(normalizeMac(gatewayMac), { ...entry, offset });
+    });
+    Object.entries(document.replacements || {}).forEach(([oldMac, newMac]) => {
+      this.replacements.set(normalizeMac(oldMac), normalizeMac(newMac));
+    });
+  }
+
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`RSSI offsets not found: ${filePath}`);
+    }
+    return new RssiOffsets(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  /**
+   * Load the offsets if the file exists, otherwise return an empty set.
+   */
+  static loadIfExists(filePath) {
+    return filePath && fs.existsSync(filePath) ? RssiOffsets.load(filePath) : new RssiOffsets();
+  }
+
+  get size() {
+    return this.gateways.size;
+  }
+
+  has(gatewayMac) {
+    return this.gateways.has(normalizeMac(gatewayMac));
+  }
+
+  /**
+   * Offset of a gateway in dB; 0 for gateways without one.
+   */
+  offset(gatewayMac) {
+    const entry = this.gateways.get(normalizeMac(gatewayMac));
+    return entry ? entry.offset : 0;
+  }
+
+  apply(gatewayMac, rssi) {
+    return rssi + this.offset(gatewayMac);
+  }
+
+  /**
+   * The unit currently standing in for a gateway: the MAC of its
+   * replacement (following chains of replacements), or the MAC itself.
+   */
+  current(gatewayMac) {
+    let mac = normalizeMac(gatewayMac);
+    const seen = new Set([mac]);
+    while (this.replacements.has(mac)) {
+      mac = this.replacements.get(mac);
+      if (seen.has(mac)) {
+        throw new Error(`Gateway replacements form a loop at ${mac}`);
+      }
+      seen.add(mac);
+    }
+    return mac;
+  }
+
+  /**
+   * rssi-stats summary with every level shifted by the gateway's offset.
+   */
+  applyToStats(gatewayMac, stat) {
+    const offset = this.offset(gatewayMac);
+    const shift = value => (value === null || value === undefined ? value : value + offset);
+    return {
+      ...stat,
+      mean: shift(stat.mean),
+      value: shift(stat.value),
+      min: shift(stat.min),
+      max: shift(stat.max),
+      median: shift(stat.median),
+      p10: shift(stat.p10),
+      p25: shift(stat.p25),
+      p75: shift(stat.p75),
+      p90: shift(stat.p90)
+    };
+  }
+
+  toJSON() {
+    const gateways = {};
+    Array.from(this.gateways.keys()).sort().forEach(gatewayMac => {
+      gateways[gatewayMac] = this.gateways.get(gatewayMac);
+    });
+    const replacements = {};
+    this.replacements.forEach((newMac, oldMac) => {
+      replacements[oldMac] = newMac;
+    });
+    return { reference: this.reference, gateways, replacements };
+  }
+}
+
+module.exports = {
+  computeOffsets,
+  RssiOffsets
+};
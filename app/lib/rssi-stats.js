@@ -0,0 +1,214 @@
+/**
+ * RSSI Statistics
+ * Robust aggregation of a recording window: outlier rejection (MAD or IQR),
+ * a configurable central statistic and dispersion figures
+ */
+
+const STATISTICS = ['mean', 'median', 'trimmed', 'mode', 'kalman'];
+const OUTLIER_METHODS = ['none', 'mad', 'iqr'];
+
+const DEFAULTS = {
+  statistic: 'median',
+  outliers: 'mad',
+  madThreshold: 3.5,   // modified z-score cut-off
+  iqrFactor: 1.5,      // Tukey fences
+  trim: 0.1,           // fraction cut from each end for the trimmed mean
+  kalmanProcessNoise: 0.01,
+  kalmanMeasurementNoise: 4
+};
+
+/**
+ * Validate and fill in aggregation options.
+ */
+function resolveStatsOptions(options = {}) {
+  const resolved = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      resolved[key] = value;
+    }
+  });
+
+  if (!STATISTICS.includes(resolved.statistic)) {
+    throw new Error(`Unknown statistic "${resolved.statistic}" (expected one of: ${STATISTICS.join(', ')})`);
+  }
+  if (!OUTLIER_METHODS.includes(resolved.outliers)) {
+    throw new Error(`Unknown outlier method "${resolved.outliers}" (expected one of: ${OUTLIER_METHODS.join(', ')})`);
+  }
+  if (!(resolved.trim >= 0 && resolved.trim < 0.5)) {
+    throw new Error('Trim fraction must be between 0 and 0.5');
+  }
+
+  return resolved;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Percentile of an ascending array, with linear interpolation (p in 0..100).
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 1) return sorted[0];
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Half-width of the confidence interval of the mean (normal approximation).
+ * @param {number[]} values
+ * @param {number} [z=1.96] 95% by default
+ */
+function confidenceHalfWidth(values, z = 1.96) {
+  if (values.length < 2) return Infinity;
+  return z * standardDeviation(values) / Math.sqrt(values.length);
+}
+
+function trimmedMean(sorted, fraction) {
+  const cut = Math.floor(sorted.length * fraction);
+  const kept = sorted.slice(cut, sorted.length - cut);
+  return mean(kept.length > 0 ? kept : sorted);
+}
+
+/**
+ * Most frequent whole-dBm reading; ties are averaged.
+ */
+function mode(values) {
+  const counts = new Map();
+  values.forEach(v => {
+    const key = Math.round(v);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const best = Math.max(...counts.values());
+  const modes = Array.from(counts.entries())
+    .filter(([, count]) => count === best)
+    .map(([value]) => value);
+  return mean(modes);
+}
+
+/**
+ * One-dimensional Kalman filter over readings in arrival order.
+ * @returns {number} Final state estimate
+ */
+function kalman(values, processNoise, measurementNoise) {
+  let estimate = values[0];
+  let error = measurementNoise;
+
+  for (let i = 1; i < values.length; i++) {
+    error += processNoise;
+    const gain = error / (error + measurementNoise);
+    estimate += gain * (values[i] - estimate);
+    error *= (1 - gain);
+  }
+
+  return estimate;
+}
+
+/**
+ * Split readings into inliers and outliers.
+ * @returns {{kept: number[], rejected: number[]}}
+ */
+function rejectOutliers(values, options) {
+  if (options.outliers === 'none' || values.length < 4) {
+    return { kept: values.slice(), rejected: [] };
+  }
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  let isOutlier;
+
+  if (options.outliers === 'mad') {
+    const median = percentile(sorted, 50);
+    const deviations = values.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+    const mad = percentile(deviations, 50);
+    // A zero MAD means most readings are identical; there is no scale to judge by
+    if (mad === 0) return { kept: values.slice(), rejected: [] };
+    isOutlier = v => 0.6745 * Math.abs(v - median) / mad > options.madThreshold;
+  } else {
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    const iqr = q3 - q1;
+    isOutlier = v => v < q1 - options.iqrFactor * iqr || v > q3 + options.iqrFactor * iqr;
+  }
+
+  const kept = [];
+  const rejected = [];
+  values.forEach(v => (isOutlier(v) ? rejected : kept).push(v));
+  return { kept, rejected };
+}
+
+/**
+ * Summarize the RSSI readings of one recording window.
+ * `mean`, `min` and `max` cover every reading, as the plain average always did;
+ * `value`, `std`, `median` and the percentiles are computed on the inliers.
+ *
+ * @param {number[]} values Readings in arrival order
+ * @param {object} [options] See DEFAULTS
+ * @param {number} [durationMs] Window length, used for the sample rate
+ */
+function summarize(values, options = {}, durationMs) {
+  if (values.length === 0) {
+    throw new Error('Cannot summarize an empty recording');
+  }
+
+  const settings = resolveStatsOptions(options);
+  const { kept, rejected } = rejectOutliers(values, settings);
+  const sorted = kept.slice().sort((a, b) => a - b);
+
+  let value;
+  switch (settings.statistic) {
+    case 'median':
+      value = percentile(sorted, 50);
+      break;
+    case 'trimmed':
+      value = trimmedMean(sorted, settings.trim);
+      break;
+    case 'mode':
+      value = mode(kept);
+      break;
+    case 'kalman':
+      value = kalman(kept, settings.kalmanProcessNoise, settings.kalmanMeasurementNoise);
+      break;
+    default:
+      value = mean(kept);
+  }
+
+  return {
+    statistic: settings.statistic,
+    outliers: settings.outliers,
+    value,
+    mean: mean(values),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    median: percentile(sorted, 50),
+    std: standardDeviation(kept),
+    p10: percentile(sorted, 10),
+    p25: percentile(sorted, 25),
+    p75: percentile(sorted, 75),
+    p90: percentile(sorted, 90),
+    samples: values.length,
+    kept: kept.length,
+    rejected: rejected.length,
+    rate: durationMs > 0 ? values.length / (durationMs / 1000) : null
+  };
+}
+
+module.exports = {
+  STATISTICS,
+  OUTLIER_METHODS,
+  resolveStatsOptions,
+  summarize,
+  percentile,
+  standardDeviation,
+  confidenceHalfWidth,
+  rejectOutliers
+};
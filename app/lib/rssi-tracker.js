@@ -0,0 +1,68 @@
+/**
+ * RSSI Tracker
+ * Keeps a sliding window of recent readings per tag and gateway, for
+ * consumers of the live stream (positioning, monitoring)
+ */
+
+class RssiTracker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.windowMs=5000] How long a reading stays in the window
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 5000;
+    this.samples = new Map(); // tagMac -> Map(gatewayMac -> [{ rssi, timestamp }])
+  }
+
+  add(tagMac, gatewayMac, rssi, timestamp = Date.now()) {
+    if (!this.samples.has(tagMac)) {
+      this.samples.set(tagMac, new Map());
+    }
+    const byGateway = this.samples.get(tagMac);
+    if (!byGateway.has(gatewayMac)) {
+      byGateway.set(gatewayMac, []);
+    }
+    byGateway.get(gatewayMac).push({ rssi, timestamp });
+  }
+
+  /**
+   * Drop readings older than the window.
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.windowMs;
+    this.samples.forEach((byGateway, tagMac) => {
+      byGateway.forEach((values, gatewayMac) => {
+        const recent = values.filter(v => v.timestamp >= cutoff);
+        if (recent.length > 0) {
+          byGateway.set(gatewayMac, recent);
+        } else {
+          byGateway.delete(gatewayMac);
+        }
+      });
+      if (byGateway.size === 0) {
+        this.samples.delete(tagMac);
+      }
+    });
+  }
+
+  tags() {
+    return Array.from(this.samples.keys());
+  }
+
+  /**
+   * Mean RSSI per gateway for one tag over the current window.
+   * @returns {Object<string, number>} gatewayMac -> mean RSSI
+   */
+  vector(tagMac) {
+    const vector = {};
+    const byGateway = this.samples.get(tagMac);
+    if (!byGateway) return vector;
+
+    byGateway.forEach((values, gatewayMac) => {
+      vector[gatewayMac] = values.reduce((sum, v) => sum + v.rssi, 0) / values.length;
+    });
+    return vector;
+  }
+}
+
+module.exports = RssiTracker;
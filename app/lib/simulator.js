@@ -0,0 +1,338 @@
+/**
+ * Radio Simulator
+ * Synthesizes gateway messages for a virtual floor, so the tools can be
+ * checked against known ground truth without hardware. RSSI follows the
+ * log-distance model of lib/path-loss.js plus:
+ *   shadowing    spatially correlated offset per gateway (same place, same offset)
+ *   noise        per-reading fast fading
+ *   packetLoss   probability that a gateway misses a tag's advertisement
+ *   sensitivity  weaker readings are not reported
+ *
+ * Scenario (JSON/YAML):
+ *   seed: 42
+ *   rateHz: 2                     # messages per gateway per second
+ *   topic: gw/{gateway}
+ *   pathLoss: { txPower: -59, exponent: 2.2, noise: 2, shadowing: 4,
+ *               shadowingCell: 2, packetLoss: 0.1, sensitivity: -100 }
+ *   gateways: gateways.yaml       # registry file, or an inline list of registry entries
+ *                                 # (entries may override "pathLossExponent")
+ *   tags:
+ *     - mac: AC233FA00001
+ *       position: { x: 2, y: 3, z: 1.2 }
+ *     - mac: AC233FA00002
+ *       speed: 1.2                # m/s along the path
+ *       loop: true                # walk back to the first waypoint and repeat
+ *       path:
+ *         - { x: 0, y: 0 }
+ *         - { x: 6, y: 0, hold: 10, label: desk }   # stand still for 10 s
+ *
+ * Messages use the mosquitto-client format:
+ *   { device_info: { mac: "<gateway>" }, data: [{ mac: "<tag>", rssi: -67 }, ...] }
+ */
+
+const path = require('path');
+const { readConfigFile } = require('./config-file');
+const GatewayRegistry = require('./gateway-registry');
+const { normalizeMac } = require('./mac');
+const { rssiAtDistance } = require('./path-loss');
+
+const PATH_LOSS_DEFAULTS = {
+  txPower: -59,        // RSSI at 1 m, dBm
+  exponent: 2.2,
+  noise: 2,            // dB, per reading
+  shadowing: 4,        // dB, per place
+  shadowingCell: 2,    // m, distance over which shadowing decorrelates
+  packetLoss: 0.1,
+  sensitivity: -100    // dBm
+};
+
+const DEFAULT_RATE_HZ = 1;
+const DEFAULT_TOPIC = 'gw/{gateway}';
+const DEFAULT_SPEED = 1; // m/s
+
+// --- Deterministic randomness -------------------------------------------
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * mulberry32: small seeded PRNG returning floats in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  const u = Math.max(random(), Number.EPSILON);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// --- Scenario ------------------------------------------------------------
+
+function number(value, name, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const parsed = parseFloat(value);
+  if (isNaN(parsed)) {
+    throw new Error(`Scenario "${name}" must be a number`);
+  }
+  return parsed;
+}
+
+function parsePoint(point, name) {
+  if (!point || typeof point !== 'object') {
+    throw new Error(`${name} needs x and y`);
+  }
+  const x = parseFloat(point.x);
+  const y = parseFloat(point.y);
+  const z = point.z === undefined ? 0 : parseFloat(point.z);
+  if (isNaN(x) || isNaN(y) || isNaN(z)) {
+    throw new Error(`${name}: "x", "y" and "z" must be numbers`);
+  }
+  return { x, y, z };
+}
+
+/**
+ * Phases of a tag's movement: holds at waypoints and moves between them.
+ */
+function buildTimeline(tag, name) {
+  const speed = number(tag.speed, `${name} speed`, DEFAULT_SPEED);
+  if (speed <= 0) {
+    throw new Error(`${name}: "speed" must be positive`);
+  }
+
+  const waypoints = tag.path.map((waypoint, i) => ({
+    ...parsePoint(waypoint, `${name} waypoint ${i + 1}`),
+    hold: number(waypoint.hold, `${name} waypoint ${i + 1} hold`, 0),
+    label: waypoint.label === undefined ? null : String(waypoint.label)
+  }));
+  if (tag.loop) {
+    waypoints.push({ ...waypoints[0], hold: 0, label: null });
+  }
+
+  const phases = [];
+  let start = 0;
+  waypoints.forEach((waypoint, i) => {
+    if (waypoint.hold > 0) {
+      phases.push({ start, duration: waypoint.hold, from: waypoint, to: waypoint, label: waypoint.label });
+      start += waypoint.hold;
+    }
+    const next = waypoints[i + 1];
+    if (next) {
+      const length = Math.hypot(next.x - waypoint.x, next.y - waypoint.y, next.z - waypoint.z);
+      phases.push({ start, duration: length / speed, from: waypoint, to: next, label: null });
+      start += length / speed;
+    }
+  });
+
+  return { phases, period: start, loop: Boolean(tag.loop), end: waypoints[waypoints.length - 1] };
+}
+
+function parseTag(tag, index) {
+  const name = `Tag ${index + 1}`;
+  if (!tag || !tag.mac) {
+    throw new Error(`${name}: "mac" is required`);
+  }
+
+  const parsed = {
+    mac: String(tag.mac).trim(),
+    txPower: number(tag.txPower, `${name} txPower`, null),
+    position: null,
+    timeline: null
+  };
+
+  if (Array.isArray(tag.path) && tag.path.length > 0) {
+    parsed.timeline = buildTimeline(tag, name);
+  } else {
+    parsed.position = parsePoint(tag.position, `${name} position`);
+  }
+  return parsed;
+}
+
+/**
+ * Load and validate a scenario file. Relative gateway files are resolved
+ * against the scenario.
+ */
+function loadScenario(filePath) {
+  const document = readConfigFile(filePath);
+  if (!document || typeof document !== 'object') {
+    throw new Error(`Scenario ${filePath} is empty`);
+  }
+
+  let entries = document.gateways;
+  if (typeof entries === 'string') {
+    const registryFile = path.resolve(path.dirname(filePath), entries);
+    const registryDocument = readConfigFile(registryFile);
+    entries = Array.isArray(registryDocument) ? registryDocument : registryDocument.gateways;
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Scenario needs a "gateways" list or registry file');
+  }
+
+  const registry = new GatewayRegistry(entries);
+  const gateways = entries.map(entry => {
+    const registered = registry.get(entry.mac);
+    if (registered.x === null || registered.y === null) {
+      throw new Error(`Gateway ${registered.mac}: the simulator needs its "x" and "y"`);
+    }
+    return {
+      mac: registered.mac,
+      x: registered.x,
+      y: registered.y,
+      z: registered.z,
+      exponent: number(entry.pathLossExponent, `${registered.mac} pathLossExponent`, null)
+    };
+  });
+
+  if (!Array.isArray(document.tags) || document.tags.length === 0) {
+    throw new Error('Scenario needs a non-empty "tags" list');
+  }
+
+  const pathLoss = { ...PATH_LOSS_DEFAULTS };
+  Object.keys(PATH_LOSS_DEFAULTS).forEach(key => {
+    pathLoss[key] = number((document.pathLoss || {})[key], `pathLoss.${key}`, PATH_LOSS_DEFAULTS[key]);
+  });
+  if (pathLoss.packetLoss < 0 || pathLoss.packetLoss >= 1) {
+    throw new Error('Scenario "pathLoss.packetLoss" must be in [0, 1)');
+  }
+
+  const rateHz = number(document.rateHz, 'rateHz', DEFAULT_RATE_HZ);
+  if (rateHz <= 0) {
+    throw new Error('Scenario "rateHz" must be positive');
+  }
+
+  return {
+    seed: Math.floor(number(document.seed, 'seed', 1)),
+    rateHz,
+    topic: document.topic ? String(document.topic) : DEFAULT_TOPIC,
+    pathLoss,
+    gateways,
+    tags: document.tags.map(parseTag)
+  };
+}
+
+// --- Simulation ----------------------------------------------------------
+
+class RadioSimulator {
+  /**
+   * @param {object} scenario From loadScenario()
+   * @param {object} [options]
+   * @param {number} [options.seed] Overrides the scenario seed
+   */
+  constructor(scenario, options = {}) {
+    this.scenario = scenario;
+    this.seed = options.seed === undefined ? scenario.seed : options.seed;
+    this.random = createRandom(hashString(`seed|${this.seed}`));
+  }
+
+  /**
+   * Where a tag is, `t` seconds into the simulation.
+   * @returns {{x: number, y: number, z: number, label: string|null}}
+   */
+  positionAt(tag, t) {
+    if (!tag.timeline) {
+      return { ...tag.position, label: null };
+    }
+
+    const { phases, period, loop, end } = tag.timeline;
+    if (t >= period && !loop) {
+      return { x: end.x, y: end.y, z: end.z, label: null };
+    }
+    const time = period > 0 ? t % period : 0;
+    const phase = phases.find(p => time < p.start + p.duration) || phases[phases.length - 1];
+    const f = phase.duration > 0 ? Math.min(1, (time - phase.start) / phase.duration) : 1;
+    return {
+      x: phase.from.x + (phase.to.x - phase.from.x) * f,
+      y: phase.from.y + (phase.to.y - phase.from.y) * f,
+      z: phase.from.z + (phase.to.z - phase.from.z) * f,
+      label: phase.label
+    };
+  }
+
+  /**
+   * Shadowing of a gateway at a place: Gaussian values on a grid of
+   * `shadowingCell` metres, seeded per gateway, interpolated bilinearly.
+   */
+  shadowingAt(gateway, x, y) {
+    const { shadowing, shadowingCell } = this.scenario.pathLoss;
+    if (shadowing === 0) return 0;
+
+    const base = hashString(`${this.seed}|${normalizeMac(gateway.mac)}`);
+    const node = (ix, iy) => {
+      const random = createRandom(base ^ Math.imul(ix, 73856093) ^ Math.imul(iy, 19349663));
+      return gaussian(random);
+    };
+
+    const gx = x / shadowingCell;
+    const gy = y / shadowingCell;
+    const ix = Math.floor(gx);
+    const iy = Math.floor(gy);
+    const fx = gx - ix;
+    const fy = gy - iy;
+    const value = node(ix, iy) * (1 - fx) * (1 - fy) + node(ix + 1, iy) * fx * (1 - fy) +
+      node(ix, iy + 1) * (1 - fx) * fy + node(ix + 1, iy + 1) * fx * fy;
+    return value * shadowing;
+  }
+
+  /**
+   * Mean RSSI (no fast fading) of a tag at `position`, as heard by a gateway.
+   */
+  expectedRssi(gateway, tag, position) {
+    const { pathLoss } = this.scenario;
+    const model = {
+      txPower: tag.txPower === null ? pathLoss.txPower : tag.txPower,
+      pathLossExponent: gateway.exponent === null ? pathLoss.exponent : gateway.exponent
+    };
+    // Closer than 10 cm the model is meaningless; clamp
+    const distance = Math.max(0.1, Math.hypot(position.x - gateway.x, position.y - gateway.y, position.z - gateway.z));
+    return rssiAtDistance(model, distance) + this.shadowingAt(gateway, position.x, position.y);
+  }
+
+  /**
+   * One reporting interval: a message per gateway and the true tag positions.
+   * @param {number} t Seconds since the start of the simulation
+   * @returns {{messages: Array<{topic: string, payload: object}>,
+   *            truth: Array<{tag: string, x: number, y: number, z: number, label: string|null}>}}
+   */
+  tick(t) {
+    const { pathLoss, topic } = this.scenario;
+    const truth = this.scenario.tags.map(tag => ({ tag: tag.mac, ...this.positionAt(tag, t) }));
+
+    const messages = this.scenario.gateways.map(gateway => {
+      const data = [];
+      this.scenario.tags.forEach((tag, i) => {
+        if (this.random() < pathLoss.packetLoss) return;
+        const rssi = Math.round(this.expectedRssi(gateway, tag, truth[i]) + gaussian(this.random) * pathLoss.noise);
+        if (rssi < pathLoss.sensitivity) return;
+        data.push({ mac: tag.mac, rssi });
+      });
+
+      return {
+        topic: topic.replace('{gateway}', gateway.mac),
+        payload: { device_info: { mac: gateway.mac }, data }
+      };
+    });
+
+    return { messages, truth };
+  }
+}
+
+module.exports = {
+  PATH_LOSS_DEFAULTS,
+  loadScenario,
+  createRandom,
+  RadioSimulator
+};
@@ -0,0 +1,284 @@
+/**
+ * Survey Grid
+ * Generates the reference points of a fingerprint survey from a room's
+ * bounds and spacing, or from polygons with excluded areas, and tracks
+ * which points a workbook already covers.
+ *
+ * Grid spec (the "grid" section of a fingerprint plan):
+ *   grid:
+ *     spacing: 1.5             # metres; or spacingX / spacingY
+ *     z: 1.2                   # optional tag height, default 0
+ *     floor: "2"               # optional floor label of every point
+ *     zone: Office             # optional zone label; areas can set their own
+ *     bounds: { minX: 0, maxX: 12, minY: 0, maxY: 6 }
+ *     exclude: [[[4, 2], [6, 2], [6, 4], [4, 4]]]   # optional areas to leave out
+ *     # or, for irregular rooms:
+ *     areas:
+ *       - polygon: [[0, 0], [12, 0], [12, 6], [0, 6]]
+ *         zone: Open Space     # optional zone label of the area's points
+ *         exclude:
+ *           - [[4, 2], [6, 2], [6, 4], [4, 4]]   # pillar, stairwell...
+ *     idPrefix: point          # optional, IDs are <prefix>-<row>-<column>
+ *
+ * Rows run along Y and columns along X, both counted from 1 at the lower
+ * left of the grid, so "point-2-3" is the third point of the second row.
+ * Points are walked row by row, alternating direction (serpentine).
+ */
+
+const EPSILON = 1e-6;
+
+// Coordinates to the micrometre, so 0.1 spacing does not print 0.30000000000000004
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function positiveNumber(value, name) {
+  const number = parseFloat(value);
+  if (isNaN(number) || number <= 0) {
+    throw new Error(`Grid "${name}" must be a positive number`);
+  }
+  return number;
+}
+
+function parsePolygon(input, name) {
+  if (!Array.isArray(input) || input.length < 3) {
+    throw new Error(`Grid ${name} needs at least three [x, y] corners`);
+  }
+  return input.map(corner => {
+    const [x, y] = Array.isArray(corner) ? corner.map(Number) : [Number(corner.x), Number(corner.y)];
+    if (isNaN(x) || isNaN(y)) {
+      throw new Error(`Grid ${name} has an invalid corner: ${JSON.stringify(corner)}`);
+    }
+    return [x, y];
+  });
+}
+
+/**
+ * Validate a grid spec.
+ * @returns {{spacingX: number, spacingY: number, z: number, floor: string|null, idPrefix: string,
+ *            areas: Array<{polygon: number[][], exclude: number[][][], zone: string|null}>}}
+ */
+function parseGrid(spec) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('Grid must be an object with "spacing" and "bounds" or "areas"');
+  }
+
+  const spacing = spec.spacing === undefined ? undefined : positiveNumber(spec.spacing, 'spacing');
+  const spacingX = spec.spacingX === undefined ? spacing : positiveNumber(spec.spacingX, 'spacingX');
+  const spacingY = spec.spacingY === undefined ? spacing : positiveNumber(spec.spacingY, 'spacingY');
+  if (spacingX === undefined || spacingY === undefined) {
+    throw new Error('Grid needs a "spacing" (or "spacingX" and "spacingY")');
+  }
+
+  const z = spec.z === undefined ? 0 : parseFloat(spec.z);
+  if (isNaN(z)) {
+    throw new Error('Grid "z" must be a number');
+  }
+
+  const label = value => (value === undefined || value === null || value === '' ? null : String(value));
+
+  let areas;
+  if (spec.bounds) {
+    const { minX, maxX, minY, maxY } = spec.bounds;
+    const box = [minX, maxX, minY, maxY].map(Number);
+    if (box.some(isNaN) || box[0] > box[1] || box[2] > box[3]) {
+      throw new Error('Grid "bounds" needs numeric minX <= maxX and minY <= maxY');
+    }
+    areas = [{
+      polygon: [[box[0], box[2]], [box[1], box[2]], [box[1], box[3]], [box[0], box[3]]],
+      exclude: (spec.exclude || []).map((polygon, i) => parsePolygon(polygon, `exclusion ${i + 1}`)),
+      zone: label(spec.zone)
+    }];
+  } else if (Array.isArray(spec.areas) && spec.areas.length > 0) {
+    areas = spec.areas.map((area, i) => ({
+      polygon: parsePolygon(area.polygon, `area ${i + 1}`),
+      exclude: (area.exclude || []).map((polygon, j) => parsePolygon(polygon, `area ${i + 1} exclusion ${j + 1}`)),
+      zone: label(area.zone) || label(spec.zone)
+    }));
+  } else {
+    throw new Error('Grid needs "bounds" or a non-empty "areas" list');
+  }
+
+  return {
+    spacingX,
+    spacingY,
+    z,
+    floor: label(spec.floor),
+    idPrefix: spec.idPrefix ? String(spec.idPrefix) : 'point',
+    areas
+  };
+}
+
+function onSegment([px, py], [ax, ay], [bx, by]) {
+  const cross = (bx - ax) * (py - ay) - (by - ay) * (px - ax);
+  if (Math.abs(cross) > EPSILON) return false;
+  return px >= Math.min(ax, bx) - EPSILON && px <= Math.max(ax, bx) + EPSILON &&
+    py >= Math.min(ay, by) - EPSILON && py <= Math.max(ay, by) + EPSILON;
+}
+
+/**
+ * Point in polygon by ray casting; points on an edge count as inside.
+ */
+function insidePolygon(point, polygon) {
+  const [px, py] = point;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    if (onSegment(point, polygon[i], polygon[j])) return true;
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * The first area a point is inside of and not excluded from (exclusion edges
+ * included), or null.
+ */
+function surveyArea(point, areas) {
+  return areas.find(area =>
+    insidePolygon(point, area.polygon) && !area.exclude.some(polygon => insidePolygon(point, polygon))
+  ) || null;
+}
+
+/**
+ * Lay out the grid.
+ * @param {object} spec Grid spec, see above
+ * @returns {{rows: number, columns: number, points: Array<{location: string, x: number, y: number,
+ *            z: number, floor: string|null, zone: string|null, row: number, column: number}>}} points in walking order
+ */
+function generateGrid(spec) {
+  const grid = parseGrid(spec);
+  const corners = grid.areas.flatMap(area => area.polygon);
+  const minX = Math.min(...corners.map(([x]) => x));
+  const maxX = Math.max(...corners.map(([x]) => x));
+  const minY = Math.min(...corners.map(([, y]) => y));
+  const maxY = Math.max(...corners.map(([, y]) => y));
+
+  const columns = Math.floor((maxX - minX) / grid.spacingX + EPSILON) + 1;
+  const rows = Math.floor((maxY - minY) / grid.spacingY + EPSILON) + 1;
+
+  const points = [];
+  for (let row = 1; row <= rows; row++) {
+    const y = round(minY + (row - 1) * grid.spacingY);
+    const line = [];
+    for (let column = 1; column <= columns; column++) {
+      const x = round(minX + (column - 1) * grid.spacingX);
+      const area = surveyArea([x, y], grid.areas);
+      if (area) {
+        line.push({ location: `${grid.idPrefix}-${row}-${column}`, x, y, z: grid.z, floor: grid.floor, zone: area.zone, row, column });
+      }
+    }
+    // Serpentine: every other row is walked backwards
+    points.push(...(row % 2 === 0 ? line.reverse() : line));
+  }
+
+  if (points.length === 0) {
+    throw new Error('Grid has no points inside the survey area; check "spacing" and the area corners');
+  }
+
+  return { rows, columns, points };
+}
+
+/**
+ * Status of every grid point against the locations already in a workbook.
+ * A location ID recorded at other coordinates is reported for redoing.
+ * @param {Array<{location: string, x: number, y: number, z: number}>} points
+ * @param {Array<{id: string, x: number, y: number, z: number}>} recorded Radio map points
+ * @returns {Map<string, 'done'|'missing'|'redo'>} location ID -> status
+ */
+function coverage(points, recorded) {
+  const byId = new Map();
+  recorded.forEach(point => {
+    if (!byId.has(point.id)) byId.set(point.id, []);
+    byId.get(point.id).push(point);
+  });
+
+  const same = (a, b) => Math.abs(a - b) < 1e-3;
+  const status = new Map();
+  points.forEach(point => {
+    const rows = byId.get(point.location) || [];
+    if (rows.length === 0) {
+      status.set(point.location, 'missing');
+    } else if (rows.some(row => same(row.x, point.x) && same(row.y, point.y) && same(row.z, point.z))) {
+      status.set(point.location, 'done');
+    } else {
+      status.set(point.location, 'redo');
+    }
+  });
+  return status;
+}
+
+const MAP_SYMBOLS = { done: '#', missing: '.', redo: 'R', next: '@' };
+
+/**
+ * ASCII map of the grid, north (highest Y) up: # done, . missing,
+ * R redo, @ next point, blank outside the survey area.
+ * @param {{rows: number, columns: number, points: object[]}} grid From generateGrid()
+ * @param {Map<string, string>} status From coverage()
+ * @param {string} [next] Location ID to mark as the next point
+ */
+function renderCoverageMap(grid, status, next = null) {
+  const cells = new Map(grid.points.map(point => [`${point.row}|${point.column}`, point]));
+  const lines = [];
+  for (let row = grid.rows; row >= 1; row--) {
+    let line = `${String(row).padStart(3)} `;
+    for (let column = 1; column <= grid.columns; column++) {
+      const point = cells.get(`${row}|${column}`);
+      if (!point) {
+        line += '  ';
+      } else {
+        line += ` ${point.location === next ? MAP_SYMBOLS.next : MAP_SYMBOLS[status.get(point.location)]}`;
+      }
+    }
+    lines.push(line.trimEnd());
+  }
+
+  const ruler = Array.from({ length: grid.columns }, (_, i) => String((i + 1) % 10)).join(' ');
+  lines.push(`     ${ruler}`);
+  return lines.join('\n');
+}
+
+/**
+ * Counts for the coverage summary.
+ */
+function coverageCounts(status) {
+  const counts = { total: status.size, done: 0, missing: 0, redo: 0 };
+  status.forEach(value => {
+    counts[value]++;
+  });
+  return counts;
+}
+
+/**
+ * Coverage summary: counts, the ASCII map with its legend, and the points to redo.
+ */
+function coverageReport(grid, status, next = null) {
+  const counts = coverageCounts(status);
+  const percent = Math.round(counts.done / counts.total * 100);
+  const lines = [
+    `Coverage: ${counts.done}/${counts.total} points (${percent}%), ${counts.missing} missing, ${counts.redo} to redo`,
+    renderCoverageMap(grid, status, next),
+    `     ${MAP_SYMBOLS.done} done  ${MAP_SYMBOLS.missing} missing  ${MAP_SYMBOLS.redo} redo` +
+      (next ? `  ${MAP_SYMBOLS.next} next` : '')
+  ];
+
+  const redo = grid.points.filter(point => status.get(point.location) === 'redo');
+  if (redo.length > 0) {
+    lines.push(`⚠ To redo: ${redo.map(point => point.location).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseGrid,
+  generateGrid,
+  insidePolygon,
+  coverage,
+  coverageCounts,
+  renderCoverageMap,
+  coverageReport,
+  MAP_SYMBOLS
+};
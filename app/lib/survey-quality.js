@@ -0,0 +1,103 @@
+/**
+ * Survey Quality
+ * Checks the fingerprints of a radio map for the problems that make kNN
+ * positioning fail before anyone walks the floor with a tag:
+ *
+ *   weak       the point hears fewer than minGateways gateways, or none of
+ *              them louder than weakRssi
+ *   ambiguous  another point more than ambiguousDistance metres away, or on
+ *              another floor, has almost the same fingerprint (signal
+ *              distance below ambiguousDb), so a tag at either one may be
+ *              placed at the other
+ *
+ * Also summarizes how well every gateway covers the surveyed points.
+ */
+
+const { signalDistance } = require('./knn');
+
+const DEFAULTS = {
+  weakRssi: -85, // dBm
+  minGateways: 3,
+  ambiguousDb: 6, // signal distance (dB) below which two fingerprints look alike
+  ambiguousDistance: 3, // metres between points that should not look alike
+  missingRssi: -100
+};
+
+function distance3d(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * @param {Array} points Radio map points from loadRadioMap()
+ * @param {object} [options] See DEFAULTS
+ * @returns {Array<{point: object, heard: number, strongest: number|null, weak: boolean, problems: string[],
+ *                  twin: {point: object, signal: number, distance: number|null}|null}>}
+ *          twin: the most similar fingerprint of a distant point, when it is too similar
+ *          (distance null for a point on another floor)
+ */
+function assessFingerprints(points, options = {}) {
+  const settings = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) settings[key] = value;
+  });
+
+  return points.map(point => {
+    const values = Object.values(point.rssi);
+    const strongest = values.length > 0 ? Math.max(...values) : null;
+    const problems = [];
+    if (values.length < settings.minGateways) {
+      problems.push(`hears ${values.length} gateway${values.length === 1 ? '' : 's'} (< ${settings.minGateways})`);
+    }
+    if (strongest !== null && strongest < settings.weakRssi) {
+      problems.push(`strongest ${strongest} dBm (< ${settings.weakRssi})`);
+    }
+    const weak = problems.length > 0;
+
+    let twin = null;
+    points.forEach(other => {
+      if (other === point) return;
+      const distance = other.floor === point.floor ? distance3d(point, other) : null;
+      if (distance !== null && distance <= settings.ambiguousDistance) return;
+      const signal = signalDistance(point.rssi, other.rssi, settings.missingRssi).distance;
+      if (!twin || signal < twin.signal) {
+        twin = { point: other, signal, distance };
+      }
+    });
+    if (twin && twin.signal < settings.ambiguousDb) {
+      const where = twin.distance === null ? `on floor ${twin.point.floor || '-'}` : `${twin.distance.toFixed(1)} m away`;
+      problems.push(`looks like ${twin.point.id} ${where} (${twin.signal.toFixed(1)} dB apart)`);
+    } else {
+      twin = null;
+    }
+
+    return { point, heard: values.length, strongest, weak, problems, twin };
+  });
+}
+
+/**
+ * How many points hear every gateway, and how loud.
+ * @returns {Array<{gateway: string, heard: number, strongest: number|null, median: number|null}>}
+ */
+function gatewayCoverage(map) {
+  return map.gateways.map(gateway => {
+    const values = map.points.map(point => point.rssi[gateway]).filter(value => value !== undefined);
+    return {
+      gateway,
+      heard: values.length,
+      strongest: values.length > 0 ? Math.max(...values) : null,
+      median: values.length > 0 ? median(values) : null
+    };
+  });
+}
+
+module.exports = {
+  DEFAULTS,
+  assessFingerprints,
+  gatewayCoverage
+};
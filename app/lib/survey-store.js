@@ -0,0 +1,376 @@
+/**
+ * Survey Store
+ * SQLite database that keeps every survey session, the gateways heard, each
+ * recording window (a distance for calibration, a location for fingerprints),
+ * the raw samples and the aggregates written to Excel. Each window is
+ * committed in one transaction, so a crash never leaves a half-written entry.
+ *
+ * Tables:
+ *   sessions      one tool run: tool, operator, start/end, output file, options
+ *   gateways      every gateway heard, with registry name/position when known
+ *   measurements  one recording window: target gateway + distance, or location + x/y/z
+ *                 with optional floor and zone labels;
+ *                 a multi-heading capture stores each heading as a window and the
+ *                 merged fingerprint as their parent (no samples of its own)
+ *   samples       raw RSSI readings of a window
+ *   aggregates    per-gateway statistics of a window, as exported to Excel
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { normalizeMac } = require('./mac');
+
+const SCHEMA_VERSION = 4;
+
+// Statements that bring a database from the previous version to the key version
+const MIGRATIONS = {
+  2: 'ALTER TABLE sessions ADD COLUMN operator TEXT',
+  3: `
+    ALTER TABLE measurements ADD COLUMN heading TEXT;
+    ALTER TABLE measurements ADD COLUMN parent_id INTEGER REFERENCES measurements(id);
+  `,
+  4: `
+    ALTER TABLE measurements ADD COLUMN floor TEXT;
+    ALTER TABLE measurements ADD COLUMN zone TEXT;
+  `
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tool TEXT NOT NULL,
+    operator TEXT,
+    started_at TEXT NOT NULL,
+    ended_at TEXT,
+    output_file TEXT,
+    plan_file TEXT,
+    source TEXT,
+    tag_filter TEXT,
+    options TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS gateways (
+    mac TEXT PRIMARY KEY,
+    name TEXT,
+    floor TEXT,
+    zone TEXT,
+    x REAL,
+    y REAL,
+    z REAL,
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS measurements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL REFERENCES sessions(id),
+    kind TEXT NOT NULL CHECK (kind IN ('distance', 'location')),
+    gateway_mac TEXT,
+    distance REAL,
+    location_id TEXT,
+    x REAL,
+    y REAL,
+    z REAL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT NOT NULL,
+    duration_ms INTEGER NOT NULL,
+    reason TEXT,
+    valid INTEGER NOT NULL DEFAULT 1,
+    note TEXT,
+    heading TEXT,
+    parent_id INTEGER REFERENCES measurements(id),
+    floor TEXT,
+    zone TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS samples (
+    measurement_id INTEGER NOT NULL REFERENCES measurements(id),
+    gateway_mac TEXT NOT NULL,
+    tag_mac TEXT NOT NULL,
+    rssi REAL NOT NULL,
+    ts TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS aggregates (
+    measurement_id INTEGER NOT NULL REFERENCES measurements(id),
+    gateway_mac TEXT NOT NULL,
+    statistic TEXT NOT NULL,
+    outliers TEXT NOT NULL,
+    value REAL,
+    mean REAL,
+    std REAL,
+    min REAL,
+    max REAL,
+    p10 REAL,
+    median REAL,
+    p90 REAL,
+    samples INTEGER NOT NULL,
+    rejected INTEGER NOT NULL,
+    rate REAL,
+    PRIMARY KEY (measurement_id, gateway_mac)
+  );
+
+  CREATE INDEX IF NOT EXISTS measurements_session ON measurements(session_id);
+  CREATE INDEX IF NOT EXISTS samples_measurement ON samples(measurement_id);
+`;
+
+const iso = ts => new Date(ts).toISOString();
+
+class SurveyStore {
+  /**
+   * @param {string} filePath SQLite database file, created when missing
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`${filePath} was written by a newer version (schema ${version}, expected ${SCHEMA_VERSION})`);
+    }
+
+    this.db.transaction(() => {
+      // A new database gets the current schema; older ones are migrated step by step
+      if (version > 0) {
+        for (let next = version + 1; next <= SCHEMA_VERSION; next++) {
+          this.db.exec(MIGRATIONS[next]);
+        }
+      }
+      this.db.exec(SCHEMA);
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+  }
+
+  /**
+   * @param {object} session
+   * @param {string} session.tool 'gateway' or 'fingerprint'
+   * @returns {number} Session ID
+   */
+  startSession(session) {
+    const result = this.db.prepare(`
+      INSERT INTO sessions (tool, operator, started_at, output_file, plan_file, source, tag_filter, options)
+      VALUES (@tool, @operator, @startedAt, @outputFile, @planFile, @source, @tagFilter, @options)
+    `).run({
+      tool: session.tool,
+      operator: session.operator || null,
+      startedAt: iso(session.startedAt || Date.now()),
+      outputFile: session.outputFile ? path.resolve(session.outputFile) : null,
+      planFile: session.planFile ? path.resolve(session.planFile) : null,
+      source: session.source || null,
+      tagFilter: session.tagFilter || null,
+      options: session.options ? JSON.stringify(session.options) : null
+    });
+    return Number(result.lastInsertRowid);
+  }
+
+  endSession(sessionId, endedAt = Date.now()) {
+    this.db.prepare('UPDATE sessions SET ended_at = ? WHERE id = ?').run(iso(endedAt), sessionId);
+  }
+
+  /**
+   * Record that gateways were heard, with registry details when available.
+   * @param {string[]} gatewayMacs
+   * @param {number} ts
+   * @param {object} [registry] GatewayRegistry
+   */
+  touchGateways(gatewayMacs, ts, registry = null) {
+    const upsert = this.db.prepare(`
+      INSERT INTO gateways (mac, name, floor, zone, x, y, z, first_seen, last_seen)
+      VALUES (@mac, @name, @floor, @zone, @x, @y, @z, @seen, @seen)
+      ON CONFLICT(mac) DO UPDATE SET
+        first_seen = MIN(gateways.first_seen, excluded.first_seen),
+        last_seen = MAX(gateways.last_seen, excluded.last_seen),
+        name = COALESCE(excluded.name, gateways.name),
+        floor = COALESCE(excluded.floor, gateways.floor),
+        zone = COALESCE(excluded.zone, gateways.zone),
+        x = COALESCE(excluded.x, gateways.x),
+        y = COALESCE(excluded.y, gateways.y),
+        z = COALESCE(excluded.z, gateways.z)
+    `);
+
+    gatewayMacs.forEach(mac => {
+      const entry = registry ? registry.get(mac) : null;
+      upsert.run({
+        mac: normalizeMac(mac),
+        name: entry ? entry.name : null,
+        floor: entry ? entry.floor : null,
+        zone: entry ? entry.zone : null,
+        x: entry ? entry.x : null,
+        y: entry ? entry.y : null,
+        z: entry && entry.x !== null ? entry.z : null,
+        seen: iso(ts)
+      });
+    });
+  }
+
+  /**
+   * Store one recording window with its raw samples and aggregates, atomically.
+   * @param {object} measurement
+   * @param {number} measurement.sessionId
+   * @param {'distance'|'location'} measurement.kind
+   * @param {Array<{gatewayMac: string, tagMac: string, rssi: number, timestamp: number}>} measurement.samples
+   * @param {Object<string, object>} [measurement.aggregates] gateway MAC -> summarize() result
+   * @param {object} [measurement.coordinates] {x, y, z} of a location, with optional floor and zone labels
+   * @param {string} [measurement.heading] Heading of one window of a multi-heading capture
+   * @param {number[]} [measurement.children] Heading windows merged into this measurement
+   * @returns {number} Measurement ID
+   */
+  saveMeasurement(measurement) {
+    const insertMeasurement = this.db.prepare(`
+      INSERT INTO measurements (session_id, kind, gateway_mac, distance, location_id, x, y, z, floor, zone,
+        started_at, ended_at, duration_ms, reason, valid, note, heading)
+      VALUES (@sessionId, @kind, @gatewayMac, @distance, @locationId, @x, @y, @z, @floor, @zone,
+        @startedAt, @endedAt, @durationMs, @reason, @valid, @note, @heading)
+    `);
+    const insertSample = this.db.prepare(`
+      INSERT INTO samples (measurement_id, gateway_mac, tag_mac, rssi, ts)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const insertAggregate = this.db.prepare(`
+      INSERT INTO aggregates (measurement_id, gateway_mac, statistic, outliers, value, mean, std,
+        min, max, p10, median, p90, samples, rejected, rate)
+      VALUES (@measurementId, @gatewayMac, @statistic, @outliers, @value, @mean, @std,
+        @min, @max, @p10, @median, @p90, @samples, @rejected, @rate)
+    `);
+
+    const linkChild = this.db.prepare('UPDATE measurements SET parent_id = ? WHERE id = ?');
+
+    const save = this.db.transaction(() => {
+      const coordinates = measurement.coordinates || {};
+      const result = insertMeasurement.run({
+        sessionId: measurement.sessionId,
+        kind: measurement.kind,
+        gatewayMac: measurement.gatewayMac ? normalizeMac(measurement.gatewayMac) : null,
+        distance: measurement.distance === undefined ? null : measurement.distance,
+        locationId: measurement.locationId || null,
+        x: coordinates.x === undefined ? null : coordinates.x,
+        y: coordinates.y === undefined ? null : coordinates.y,
+        z: coordinates.z === undefined ? null : coordinates.z,
+        floor: coordinates.floor === undefined || coordinates.floor === null ? null : String(coordinates.floor),
+        zone: coordinates.zone || null,
+        startedAt: iso(measurement.startedAt),
+        endedAt: iso(measurement.endedAt),
+        durationMs: Math.round(measurement.endedAt - measurement.startedAt),
+        reason: measurement.reason || null,
+        valid: measurement.valid === false ? 0 : 1,
+        note: measurement.note || null,
+        heading: measurement.heading || null
+      });
+      const measurementId = Number(result.lastInsertRowid);
+
+      (measurement.children || []).forEach(childId => {
+        linkChild.run(measurementId, childId);
+      });
+
+      measurement.samples.forEach(sample => {
+        insertSample.run(measurementId, normalizeMac(sample.gatewayMac), normalizeMac(sample.tagMac), sample.rssi, iso(sample.timestamp));
+      });
+
+      Object.entries(measurement.aggregates || {}).forEach(([gatewayMac, stat]) => {
+        insertAggregate.run({
+          measurementId,
+          gatewayMac: normalizeMac(gatewayMac),
+          statistic: stat.statistic,
+          outliers: stat.outliers,
+          value: stat.value,
+          mean: stat.mean,
+          std: stat.std,
+          min: stat.min,
+          max: stat.max,
+          p10: stat.p10,
+          median: stat.median,
+          p90: stat.p90,
+          samples: stat.samples,
+          rejected: stat.rejected,
+          rate: stat.rate
+        });
+      });
+
+      return measurementId;
+    });
+
+    return save();
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.tool]
+   * @returns {object[]} Sessions with their measurement counts, oldest first
+   */
+  listSessions(filter = {}) {
+    return this.db.prepare(`
+      SELECT s.*, COUNT(m.id) AS measurements, COALESCE(SUM(m.valid = 0), 0) AS invalid
+      FROM sessions s LEFT JOIN measurements m ON m.session_id = s.id
+      WHERE (@tool IS NULL OR s.tool = @tool)
+      GROUP BY s.id
+      ORDER BY s.id
+    `).all({ tool: filter.tool || null });
+  }
+
+  /**
+   * Measurements matching a filter, oldest first; a merged multi-heading
+   * measurement ends with its last heading and follows it.
+   * @param {object} [filter]
+   * @param {string} [filter.tool] Session tool
+   * @param {number[]} [filter.sessionIds]
+   * @param {string} [filter.since] ISO date/time, inclusive
+   * @param {string} [filter.until] ISO date/time, exclusive
+   * @param {boolean} [filter.includeInvalid=false]
+   */
+  measurements(filter = {}) {
+    const sessionIds = filter.sessionIds && filter.sessionIds.length > 0 ? filter.sessionIds : null;
+    return this.db.prepare(`
+      SELECT m.*, s.tool FROM measurements m JOIN sessions s ON s.id = m.session_id
+      WHERE (@tool IS NULL OR s.tool = @tool)
+        AND (@sessions IS NULL OR m.session_id IN (SELECT value FROM json_each(@sessions)))
+        AND (@since IS NULL OR m.started_at >= @since)
+        AND (@until IS NULL OR m.started_at < @until)
+        AND (@includeInvalid = 1 OR m.valid = 1)
+      ORDER BY m.ended_at, m.id
+    `).all({
+      tool: filter.tool || null,
+      sessions: sessionIds ? JSON.stringify(sessionIds) : null,
+      since: filter.since ? iso(filter.since) : null,
+      until: filter.until ? iso(filter.until) : null,
+      includeInvalid: filter.includeInvalid ? 1 : 0
+    });
+  }
+
+  /**
+   * Raw samples of a window; for a merged multi-heading measurement, those of its headings.
+   */
+  samples(measurementId) {
+    return this.db.prepare(`
+      SELECT * FROM samples
+      WHERE measurement_id = @id OR measurement_id IN (SELECT id FROM measurements WHERE parent_id = @id)
+      ORDER BY ts
+    `).all({ id: measurementId });
+  }
+
+  /**
+   * Mark windows invalid after the fact, e.g. the headings of an abandoned capture.
+   */
+  invalidate(measurementIds, note) {
+    const update = this.db.prepare('UPDATE measurements SET valid = 0, note = ? WHERE id = ?');
+    this.db.transaction(() => measurementIds.forEach(id => update.run(note, id)))();
+  }
+
+  aggregates(measurementId) {
+    return this.db.prepare('SELECT * FROM aggregates WHERE measurement_id = ? ORDER BY gateway_mac').all(measurementId);
+  }
+
+  gateway(mac) {
+    return this.db.prepare('SELECT * FROM gateways WHERE mac = ?').get(normalizeMac(mac)) || null;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SurveyStore;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
@@ -0,0 +1,202 @@
+/**
+ * SVG Charts
+ * Static charts for the survey report (tools/survey-report-tool.js), as
+ * SVG markup with no scripts or external resources: RSSI heatmaps, bar
+ * charts and path-loss fit plots with their residuals.
+ */
+
+const { rssiAtDistance } = require('./path-loss');
+
+// Same RSSI range as the live dashboard
+const RSSI_MIN = -100;
+const RSSI_MAX = -30;
+
+// Weak (blue) to strong (red)
+const PALETTE = [[49, 54, 149], [69, 117, 180], [116, 173, 209], [254, 224, 144], [244, 109, 67], [165, 0, 38]];
+
+const FONT = 'font-family="system-ui, sans-serif" font-size="11"';
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Numbers in SVG attributes, without float noise
+const n = value => String(Math.round(value * 100) / 100);
+
+/**
+ * Fill colour of an RSSI value.
+ */
+function rssiColour(rssi) {
+  const t = Math.min(Math.max((rssi - RSSI_MIN) / (RSSI_MAX - RSSI_MIN), 0), 1) * (PALETTE.length - 1);
+  const index = Math.min(Math.floor(t), PALETTE.length - 2);
+  const f = t - index;
+  const channel = i => Math.round(PALETTE[index][i] + (PALETTE[index + 1][i] - PALETTE[index][i]) * f);
+  return `#${[0, 1, 2].map(i => channel(i).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Horizontal colour bar from RSSI_MIN to RSSI_MAX.
+ */
+function colourLegend(width = 300) {
+  const steps = 35;
+  const barWidth = width - 60;
+  const rects = Array.from({ length: steps }, (_, i) => {
+    const rssi = RSSI_MIN + (RSSI_MAX - RSSI_MIN) * (i + 0.5) / steps;
+    return `<rect x="${n(30 + barWidth * i / steps)}" y="4" width="${n(barWidth / steps + 0.5)}" height="12" fill="${rssiColour(rssi)}"/>`;
+  }).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="34" ${FONT}>${rects}` +
+    `<text x="30" y="29" text-anchor="middle">${RSSI_MIN}</text>` +
+    `<text x="${30 + barWidth}" y="29" text-anchor="middle">${RSSI_MAX} dBm</text></svg>`;
+}
+
+/**
+ * RSSI of one gateway over the surveyed area, y pointing up.
+ * @param {object} chart
+ * @param {{minX: number, maxX: number, minY: number, maxY: number}} chart.bounds Area in metres
+ * @param {Array<{x: number, y: number, size: number, rssi: number|null}>} chart.cells Background raster, null = not heard
+ * @param {Array<{id: string, x: number, y: number, rssi: number|null}>} chart.points Measured points, null = not heard
+ * @param {{x: number, y: number, label: string}|null} [chart.gateway] Gateway position
+ */
+function heatmap({ bounds, cells, points, gateway = null, width = 360 }) {
+  const margin = 14;
+  const spanX = Math.max(bounds.maxX - bounds.minX, 1);
+  const spanY = Math.max(bounds.maxY - bounds.minY, 1);
+  const scale = (width - 2 * margin) / spanX;
+  const height = spanY * scale + 2 * margin;
+  const sx = x => margin + (x - bounds.minX) * scale;
+  const sy = y => height - margin - (y - bounds.minY) * scale;
+
+  const raster = cells.map(cell => {
+    const half = cell.size / 2;
+    const fill = cell.rssi === null ? '#eeeeee' : rssiColour(cell.rssi);
+    return `<rect x="${n(sx(cell.x - half))}" y="${n(sy(cell.y + half))}" width="${n(cell.size * scale)}" height="${n(cell.size * scale)}" fill="${fill}"/>`;
+  }).join('');
+
+  const markers = points.map(point => {
+    const fill = point.rssi === null ? 'none' : rssiColour(point.rssi);
+    const label = point.rssi === null ? 'not heard' : `${point.rssi} dBm`;
+    return `<circle cx="${n(sx(point.x))}" cy="${n(sy(point.y))}" r="4" fill="${fill}" stroke="#222" stroke-width="1">` +
+      `<title>${escapeXml(point.id)}: ${label}</title></circle>`;
+  }).join('');
+
+  const station = gateway
+    ? `<rect x="${n(sx(gateway.x) - 5)}" y="${n(sy(gateway.y) - 5)}" width="10" height="10" fill="#222">` +
+      `<title>${escapeXml(gateway.label)}</title></rect>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${n(height)}" ${FONT}>` +
+    `<rect x="0" y="0" width="${width}" height="${n(height)}" fill="#fff" stroke="#ddd"/>${raster}${markers}${station}</svg>`;
+}
+
+/**
+ * Vertical bars with an optional threshold line; bars under it are red.
+ * @param {object} chart
+ * @param {string[]} chart.labels
+ * @param {number[]} chart.values
+ * @param {number} [chart.threshold]
+ * @param {string} [chart.unit] Y axis label
+ */
+function barChart({ labels, values, threshold = null, unit = '' }) {
+  const left = 34;
+  const bottom = 70;
+  const plotHeight = 140;
+  const barWidth = 14;
+  const width = Math.max(left + labels.length * barWidth + 10, 240);
+  const height = plotHeight + bottom + 10;
+  const maxValue = Math.max(...values, threshold || 0, 1);
+  const y = value => 10 + plotHeight - (value / maxValue) * plotHeight;
+
+  const ticks = Array.from({ length: maxValue + 1 }, (_, value) => value)
+    .filter(value => maxValue <= 10 || value % Math.ceil(maxValue / 10) === 0)
+    .map(value => `<text x="${left - 4}" y="${n(y(value) + 4)}" text-anchor="end">${value}</text>` +
+      `<line x1="${left}" x2="${width}" y1="${n(y(value))}" y2="${n(y(value))}" stroke="#eee"/>`)
+    .join('');
+
+  const bars = values.map((value, i) => {
+    const x = left + i * barWidth;
+    const colour = threshold !== null && value < threshold ? '#b00020' : '#1a73e8';
+    return `<rect x="${x + 2}" y="${n(y(value))}" width="${barWidth - 4}" height="${n(y(0) - y(value))}" fill="${colour}">` +
+      `<title>${escapeXml(labels[i])}: ${value}</title></rect>` +
+      `<text transform="translate(${x + barWidth / 2 + 3},${n(y(0) + 6)}) rotate(-60)" text-anchor="end">${escapeXml(labels[i])}</text>`;
+  }).join('');
+
+  const line = threshold === null
+    ? ''
+    : `<line x1="${left}" x2="${width}" y1="${n(y(threshold))}" y2="${n(y(threshold))}" stroke="#b00020" stroke-dasharray="4 3"/>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ${FONT}>${ticks}${bars}${line}` +
+    `<text transform="translate(10,${10 + plotHeight / 2}) rotate(-90)" text-anchor="middle">${escapeXml(unit)}</text></svg>`;
+}
+
+/**
+ * Calibration readings against the fitted path-loss curve on a log distance
+ * axis, with the residuals (reading - model) below.
+ * @param {object} chart
+ * @param {Array<{distance: number, rssi: number}>} chart.points
+ * @param {{txPower: number, pathLossExponent: number}} chart.model
+ */
+function fitPlot({ points, model, width = 420 }) {
+  const left = 44;
+  const right = 10;
+  const fitHeight = 180;
+  const residualHeight = 90;
+  const gap = 30;
+  const height = 10 + fitHeight + gap + residualHeight + 30;
+
+  const distances = points.map(point => point.distance);
+  const minLog = Math.log10(Math.min(...distances)) - 0.1;
+  const maxLog = Math.log10(Math.max(...distances)) + 0.1;
+  const sx = distance => left + (Math.log10(distance) - minLog) / (maxLog - minLog) * (width - left - right);
+
+  const curve = Array.from({ length: 41 }, (_, i) => 10 ** (minLog + (maxLog - minLog) * i / 40));
+  const modelled = curve.map(distance => rssiAtDistance(model, distance));
+  const readings = points.map(point => point.rssi);
+  const minRssi = Math.floor(Math.min(...readings, ...modelled) / 5) * 5;
+  const maxRssi = Math.ceil(Math.max(...readings, ...modelled) / 5) * 5;
+  const sy = rssi => 10 + fitHeight - (rssi - minRssi) / Math.max(maxRssi - minRssi, 1) * fitHeight;
+
+  const residuals = points.map(point => point.rssi - rssiAtDistance(model, point.distance));
+  const limit = Math.max(Math.ceil(Math.max(...residuals.map(Math.abs), 1)), 1);
+  const top = 10 + fitHeight + gap;
+  const sr = residual => top + residualHeight / 2 - residual / limit * (residualHeight / 2);
+
+  const xTicks = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100]
+    .filter(distance => Math.log10(distance) >= minLog && Math.log10(distance) <= maxLog)
+    .map(distance => `<line x1="${n(sx(distance))}" x2="${n(sx(distance))}" y1="10" y2="${top + residualHeight}" stroke="#eee"/>` +
+      `<text x="${n(sx(distance))}" y="${top + residualHeight + 14}" text-anchor="middle">${distance}</text>`)
+    .join('');
+  const yTicks = [minRssi, (minRssi + maxRssi) / 2, maxRssi]
+    .map(rssi => `<text x="${left - 4}" y="${n(sy(rssi) + 4)}" text-anchor="end">${n(rssi)}</text>`)
+    .join('');
+  const rTicks = [-limit, 0, limit]
+    .map(residual => `<text x="${left - 4}" y="${n(sr(residual) + 4)}" text-anchor="end">${residual > 0 ? '+' : ''}${residual}</text>`)
+    .join('');
+
+  const path = curve.map((distance, i) => `${n(sx(distance))},${n(sy(modelled[i]))}`).join(' ');
+  const dots = points.map(point =>
+    `<circle cx="${n(sx(point.distance))}" cy="${n(sy(point.rssi))}" r="3" fill="#1a73e8" fill-opacity="0.6">` +
+    `<title>${point.distance} m: ${point.rssi} dBm</title></circle>`).join('');
+  const residualDots = points.map((point, i) =>
+    `<circle cx="${n(sx(point.distance))}" cy="${n(sr(residuals[i]))}" r="3" fill="#b06000" fill-opacity="0.7">` +
+    `<title>${point.distance} m: ${residuals[i] > 0 ? '+' : ''}${n(residuals[i])} dB</title></circle>`).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ${FONT}>${xTicks}${yTicks}${rTicks}` +
+    `<rect x="${left}" y="10" width="${width - left - right}" height="${fitHeight}" fill="none" stroke="#ccc"/>` +
+    `<rect x="${left}" y="${top}" width="${width - left - right}" height="${residualHeight}" fill="none" stroke="#ccc"/>` +
+    `<line x1="${left}" x2="${width - right}" y1="${n(sr(0))}" y2="${n(sr(0))}" stroke="#888"/>` +
+    `<polyline fill="none" stroke="#222" stroke-width="1.5" points="${path}"/>${dots}${residualDots}` +
+    `<text transform="translate(10,${10 + fitHeight / 2}) rotate(-90)" text-anchor="middle">RSSI (dBm)</text>` +
+    `<text transform="translate(10,${top + residualHeight / 2}) rotate(-90)" text-anchor="middle">Residual (dB)</text>` +
+    `<text x="${(left + width - right) / 2}" y="${height - 2}" text-anchor="middle">Distance (m, log scale)</text></svg>`;
+}
+
+module.exports = {
+  RSSI_MIN,
+  RSSI_MAX,
+  escapeXml,
+  rssiColour,
+  colourLegend,
+  heatmap,
+  barChart,
+  fitPlot
+};
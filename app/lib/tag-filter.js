@@ -0,0 +1,84 @@
+/**
+ * Tag Filter
+ * Restricts recordings to one target tag MAC (or an allow-list of them)
+ * and keeps per-tag counts of what was seen and dropped
+ */
+
+const { normalizeMac, parseMacList } = require('./mac');
+
+class TagFilter {
+  /**
+   * @param {string|string[]} [tagMacs] Allowed tag MACs; empty allows every tag
+   */
+  constructor(tagMacs) {
+    this.tagMacs = new Set(parseMacList(tagMacs));
+    this.seen = new Map(); // tagMac -> { accepted, dropped }
+  }
+
+  get isActive() {
+    return this.tagMacs.size > 0;
+  }
+
+  /**
+   * Check a tag MAC against the allow-list and count the outcome.
+   * @returns {boolean} true when the sample should be recorded
+   */
+  accept(mac) {
+    const tagMac = normalizeMac(mac);
+    const accepted = !this.isActive || this.tagMacs.has(tagMac);
+
+    const key = tagMac || '(no MAC)';
+    if (!this.seen.has(key)) {
+      this.seen.set(key, { accepted: 0, dropped: 0 });
+    }
+    this.seen.get(key)[accepted ? 'accepted' : 'dropped']++;
+
+    return accepted;
+  }
+
+  /**
+   * Check a tag MAC against the allow-list without counting it.
+   */
+  matches(mac) {
+    return !this.isActive || this.tagMacs.has(normalizeMac(mac));
+  }
+
+  reset() {
+    this.seen.clear();
+  }
+
+  /**
+   * Target tags that produced no accepted sample since the last reset.
+   */
+  missingTags() {
+    return Array.from(this.tagMacs).filter(mac => !this.seen.has(mac));
+  }
+
+  droppedCount() {
+    return Array.from(this.seen.values()).reduce((sum, counts) => sum + counts.dropped, 0);
+  }
+
+  describe() {
+    return this.isActive ? Array.from(this.tagMacs).join(', ') : 'all tags';
+  }
+
+  /**
+   * Print what was seen and dropped per tag, busiest first.
+   */
+  printReport() {
+    if (this.seen.size === 0) {
+      console.log('   No tags were seen at all.');
+      return;
+    }
+
+    console.log('   Tags seen during recording:');
+    Array.from(this.seen.entries())
+      .sort((a, b) => (b[1].accepted + b[1].dropped) - (a[1].accepted + a[1].dropped))
+      .forEach(([tagMac, counts]) => {
+        const status = counts.accepted > 0 ? 'recorded' : 'dropped';
+        console.log(`     ${tagMac}: ${counts.accepted + counts.dropped} samples (${status})`);
+      });
+  }
+}
+
+module.exports = TagFilter;
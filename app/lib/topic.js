@@ -0,0 +1,32 @@
+/**
+ * MQTT topic filter matching ('+' single level, '#' multi level)
+ */
+
+/**
+ * @param {string} filter Subscription filter, e.g. "gw/+/adv" or "#"
+ * @param {string} topic Concrete topic name
+ * @returns {boolean}
+ */
+function matchTopic(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < filterLevels.length; i++) {
+    const level = filterLevels[i];
+    if (level === '#') {
+      return true;
+    }
+    if (i >= topicLevels.length) {
+      return false;
+    }
+    if (level !== '+' && level !== topicLevels[i]) {
+      return false;
+    }
+  }
+
+  return filterLevels.length === topicLevels.length;
+}
+
+module.exports = {
+  matchTopic
+};
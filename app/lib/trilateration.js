@@ -0,0 +1,142 @@
+/**
+ * Trilateration
+ * Solves a tag's horizontal position from distances to gateways with known
+ * coordinates, using weighted least squares (Gauss-Newton). The tag height
+ * is fixed; distances are reduced to the horizontal plane first.
+ *
+ * Fewer than three gateways cannot fix a position, so:
+ *   2 gateways -> point on the segment between them, split by the distances
+ *   1 gateway  -> the gateway's own position
+ */
+
+const MAX_ITERATIONS = 50;
+const CONVERGENCE = 1e-4; // meters
+
+/**
+ * Distance standard deviation implied by an RSSI error of `rmse` dB.
+ * d = 10^((P - RSSI) / 10n), so dd/dRSSI = d * ln(10) / (10n).
+ */
+function distanceSigma(distance, model) {
+  const rmse = model.rmse > 0 ? model.rmse : 3;
+  return Math.max(distance * Math.LN10 / (10 * model.pathLossExponent) * rmse, 0.1);
+}
+
+function horizontalDistance(anchor, tagHeight) {
+  const dz = anchor.z - tagHeight;
+  return Math.sqrt(Math.max(anchor.distance ** 2 - dz ** 2, 0));
+}
+
+/**
+ * Root-mean-square of (geometric distance - measured distance), in meters.
+ */
+function residualError(position, anchors) {
+  const sum = anchors.reduce((acc, a) => {
+    const geometric = Math.hypot(position.x - a.x, position.y - a.y);
+    return acc + (geometric - a.range) ** 2;
+  }, 0);
+  return Math.sqrt(sum / anchors.length);
+}
+
+function solveLeastSquares(anchors) {
+  // Start from the weighted centroid of the gateways
+  const totalWeight = anchors.reduce((sum, a) => sum + a.weight, 0);
+  let x = anchors.reduce((sum, a) => sum + a.x * a.weight, 0) / totalWeight;
+  let y = anchors.reduce((sum, a) => sum + a.y * a.weight, 0) / totalWeight;
+
+  let iterations = 0;
+  for (; iterations < MAX_ITERATIONS; iterations++) {
+    // Normal equations J^T W J * step = -J^T W r
+    let a11 = 0;
+    let a12 = 0;
+    let a22 = 0;
+    let b1 = 0;
+    let b2 = 0;
+
+    anchors.forEach(anchor => {
+      const dx = x - anchor.x;
+      const dy = y - anchor.y;
+      const geometric = Math.max(Math.hypot(dx, dy), 1e-6);
+      const r = geometric - anchor.range;
+      const jx = dx / geometric;
+      const jy = dy / geometric;
+
+      a11 += anchor.weight * jx * jx;
+      a12 += anchor.weight * jx * jy;
+      a22 += anchor.weight * jy * jy;
+      b1 -= anchor.weight * jx * r;
+      b2 -= anchor.weight * jy * r;
+    });
+
+    // Small damping keeps collinear layouts solvable
+    const damping = 1e-6 * (a11 + a22);
+    a11 += damping;
+    a22 += damping;
+
+    const det = a11 * a22 - a12 * a12;
+    if (Math.abs(det) < 1e-12) break;
+
+    const stepX = (a22 * b1 - a12 * b2) / det;
+    const stepY = (a11 * b2 - a12 * b1) / det;
+    x += stepX;
+    y += stepY;
+
+    if (Math.hypot(stepX, stepY) < CONVERGENCE) {
+      iterations++;
+      break;
+    }
+  }
+
+  return { x, y, iterations };
+}
+
+/**
+ * @param {Array<{mac: string, x: number, y: number, z: number, distance: number, model: object}>} anchors
+ *        Gateways with coordinates, the RSSI-derived distance and their path-loss model
+ * @param {object} [options]
+ * @param {number} [options.tagHeight=0] Height of the tag, in meters
+ * @returns {{x: number, y: number, z: number, residual: number, mode: string,
+ *            gateways: number, iterations: number}|null}
+ */
+function trilaterate(anchors, options = {}) {
+  const tagHeight = options.tagHeight || 0;
+  if (anchors.length === 0) return null;
+
+  const prepared = anchors.map(anchor => {
+    const sigma = distanceSigma(anchor.distance, anchor.model);
+    return { ...anchor, range: horizontalDistance(anchor, tagHeight), weight: 1 / (sigma * sigma) };
+  });
+
+  let position;
+  let mode;
+  let iterations = 0;
+
+  if (prepared.length === 1) {
+    position = { x: prepared[0].x, y: prepared[0].y };
+    mode = 'single-gateway';
+  } else if (prepared.length === 2) {
+    const [a, b] = prepared;
+    const share = a.range + b.range > 0 ? a.range / (a.range + b.range) : 0.5;
+    position = { x: a.x + (b.x - a.x) * share, y: a.y + (b.y - a.y) * share };
+    mode = 'two-gateway';
+  } else {
+    const solved = solveLeastSquares(prepared);
+    position = { x: solved.x, y: solved.y };
+    iterations = solved.iterations;
+    mode = 'wls';
+  }
+
+  return {
+    x: position.x,
+    y: position.y,
+    z: tagHeight,
+    residual: residualError(position, prepared),
+    mode,
+    gateways: prepared.length,
+    iterations
+  };
+}
+
+module.exports = {
+  trilaterate,
+  distanceSigma
+};
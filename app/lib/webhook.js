@@ -0,0 +1,49 @@
+/**
+ * Webhook
+ * POSTs JSON documents to a local HTTP(S) endpoint, for applications that
+ * would rather receive events than subscribe to MQTT
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON body.
+ * @param {string} url
+ * @param {*} body
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=5000]
+ * @returns {Promise<number>} HTTP status; rejects on network errors, timeouts and non-2xx answers
+ */
+function postJson(url, body, { timeoutMs = 5000 } = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : target.protocol === 'http:' ? http : null;
+  if (!transport) {
+    return Promise.reject(new Error(`Unsupported webhook URL ${url} (expected http or https)`));
+  }
+
+  const payload = Buffer.from(JSON.stringify(body));
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': payload.length },
+      timeout: timeoutMs
+    }, response => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(response.statusCode);
+        } else {
+          reject(new Error(`Webhook answered HTTP ${response.statusCode}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Webhook did not answer within ${timeoutMs} ms`)));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+module.exports = {
+  postJson
+};
@@ -0,0 +1,556 @@
+/**
+ * Survey Workbook Layout
+ * Versioned layout of the calibration and fingerprint workbooks, shared by
+ * the recording tools, the store export and the tools that read them back.
+ *
+ * Schema v4 (current) workbooks carry:
+ *   Schema                 layout name and schema version, checked on open
+ *   Calibration Data       one row per distance window        (calibration layout)
+ *   Fingerprint Data       one row per location, a column per gateway (fingerprint layout)
+ *   Fingerprint Stats      per-gateway statistics of each location    (fingerprint layout)
+ *   RSSI Offsets           gateway offsets applied by each session    (fingerprint layout, optional)
+ *   Interpolated Data      grid cells estimated from the locations, a column per gateway (fingerprint layout, optional)
+ *   Interpolated Stats     uncertainty of every interpolated value   (fingerprint layout, optional)
+ *   Sessions               operator, date, tag, window, broker of each session
+ *   Samples                every raw reading behind the rows above
+ *
+ * In "Fingerprint Data" a gateway cell holds the RSSI, NOT_DETECTED when the
+ * gateway was listening but did not hear the tag, and stays blank only for
+ * rows recorded before the gateway's column existed (no information).
+ * Locations captured in several headings (v3) have one row per heading plus
+ * a merged row with a blank Heading, which is also what single captures get.
+ * Floor and Zone (v4) label the area of a location; both may stay blank.
+ * Gateway cells and stats of sessions listed in "RSSI Offsets" include that
+ * gateway's offset; the Samples sheet always holds the reported readings.
+ * Interpolated cells (see lib/interpolation.js) are estimates, not
+ * measurements: they live in their own sheets, with NOT_DETECTED where the
+ * estimate is below anything the gateway was heard at, and list the offsets
+ * they include under the "interpolated" session.
+ *
+ * Workbooks without a Schema sheet are the original (v1) layout. Older
+ * layouts are migrated on open when their headers match; anything else is
+ * rejected.
+ */
+
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { normalizeMac } = require('./mac');
+const { macFromLabel } = require('./gateway-registry');
+
+const WORKBOOK_SCHEMA_VERSION = 4;
+const SCHEMA_SHEET = 'Schema';
+const NOT_DETECTED = 'ND';
+
+const CALIBRATION_SHEET = 'Calibration Data';
+const CALIBRATION_HEADERS = [
+  'Gateway MAC', 'Distance (m)', 'RSSI (dBm)', 'Notes', 'Timestamp',
+  'Statistic', 'Value (dBm)', 'Std Dev (dB)', 'P10 (dBm)', 'Median (dBm)', 'P90 (dBm)',
+  'Samples', 'Rejected', 'Rate (Hz)', 'Gateway Name', 'Session ID'
+];
+
+const FINGERPRINT_SHEET = 'Fingerprint Data';
+const COORDINATE_HEADERS = ['Location ID', 'X (m)', 'Y (m)', 'Z (m)'];
+const FINGERPRINT_HEADERS = [...COORDINATE_HEADERS, 'Session ID', 'Heading', 'Floor', 'Zone']; // gateway columns follow
+const STATS_SHEET = 'Fingerprint Stats';
+const STATS_HEADERS = [
+  'Location ID', 'Gateway MAC', 'Average (dBm)', 'Statistic', 'Value (dBm)', 'Std Dev (dB)',
+  'P10 (dBm)', 'Median (dBm)', 'P90 (dBm)', 'Samples', 'Rejected', 'Rate (Hz)', 'Timestamp', 'Session ID', 'Heading'
+];
+
+const SESSIONS_SHEET = 'Sessions';
+const SESSIONS_HEADERS = [
+  'Session ID', 'Tool', 'Operator', 'Started', 'Ended', 'Tag MAC', 'Window', 'Statistic', 'Broker', 'Plan', 'Windows'
+];
+
+const OFFSETS_SHEET = 'RSSI Offsets';
+const OFFSETS_HEADERS = ['Session ID', 'Gateway MAC', 'Offset (dB)', 'Reference'];
+
+const INTERPOLATED_SHEET = 'Interpolated Data';
+const INTERPOLATED_HEADERS = [
+  'Cell ID', 'X (m)', 'Y (m)', 'Z (m)', 'Floor', 'Zone', 'Method', 'Uncertainty (dB)', 'Nearest Point (m)'
+]; // gateway columns follow
+const INTERPOLATED_STATS_SHEET = 'Interpolated Stats';
+const INTERPOLATED_STATS_HEADERS = ['Cell ID', 'Gateway MAC', 'RSSI (dBm)', 'Uncertainty (dB)'];
+const INTERPOLATED_SESSION = 'interpolated'; // Session ID of the interpolated cells in "RSSI Offsets"
+
+const SAMPLES_SHEET = 'Samples';
+const SAMPLES_HEADERS = [
+  'Measurement ID', 'Session ID', 'Location ID', 'Distance (m)', 'Gateway MAC', 'Tag MAC', 'RSSI (dBm)', 'Timestamp', 'Heading'
+];
+
+/**
+ * Sheets of each layout. `headers` is the fixed header row (the fingerprint
+ * sheet adds a column per gateway); `baseHeaders` is what the sheet starts
+ * with in every older layout, the check before migrating it.
+ */
+const LAYOUTS = {
+  calibration: {
+    main: CALIBRATION_SHEET,
+    sheets: [
+      { name: CALIBRATION_SHEET, headers: CALIBRATION_HEADERS, baseHeaders: CALIBRATION_HEADERS.slice(0, 5) }
+    ]
+  },
+  fingerprint: {
+    main: FINGERPRINT_SHEET,
+    sheets: [
+      { name: FINGERPRINT_SHEET, headers: FINGERPRINT_HEADERS, baseHeaders: COORDINATE_HEADERS, extraColumns: true },
+      { name: STATS_SHEET, headers: STATS_HEADERS, baseHeaders: STATS_HEADERS.slice(0, 13), optional: true },
+      { name: OFFSETS_SHEET, headers: OFFSETS_HEADERS, baseHeaders: OFFSETS_HEADERS, optional: true },
+      { name: INTERPOLATED_SHEET, headers: INTERPOLATED_HEADERS, baseHeaders: INTERPOLATED_HEADERS, extraColumns: true, optional: true },
+      { name: INTERPOLATED_STATS_SHEET, headers: INTERPOLATED_STATS_HEADERS, baseHeaders: INTERPOLATED_STATS_HEADERS, optional: true }
+    ]
+  }
+};
+const SHARED_SHEETS = [
+  { name: SESSIONS_SHEET, headers: SESSIONS_HEADERS, baseHeaders: SESSIONS_HEADERS, optional: true },
+  { name: SAMPLES_SHEET, headers: SAMPLES_HEADERS, baseHeaders: SAMPLES_HEADERS.slice(0, 8), optional: true }
+];
+
+const round = value => Math.round(value * 100) / 100; // Round to 2 decimals
+const blankIfMissing = value => (value === null || value === undefined ? '' : value);
+
+function readRows(workbook, sheetName) {
+  return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: true });
+}
+
+/**
+ * Replace (or add) a sheet with the given rows.
+ */
+function setSheet(workbook, sheetName, rows, columnWidths) {
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  if (columnWidths) {
+    worksheet['!cols'] = columnWidths;
+  }
+  if (workbook.SheetNames.includes(sheetName)) {
+    workbook.Sheets[sheetName] = worksheet;
+  } else {
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  }
+}
+
+function startsWith(row, headers) {
+  return headers.every((header, index) => String(row[index] === undefined ? '' : row[index]).trim() === header);
+}
+
+function writeSchema(workbook, layout) {
+  const rows = [
+    ['Property', 'Value'],
+    ['Layout', layout],
+    ['Schema Version', WORKBOOK_SCHEMA_VERSION]
+  ];
+  if (layout === 'fingerprint') {
+    rows.push(['Not Detected Marker', NOT_DETECTED]);
+    rows.push(['Blank Gateway Cell', 'not recorded (gateway column added after the row)']);
+    rows.push(['Blank Heading', 'single capture, or the merged fingerprint of a multi-heading capture']);
+    rows.push(['Blank Floor / Zone', 'location not labelled with a floor or zone']);
+    rows.push(['RSSI Offsets', 'gateway columns include the offsets listed per session in the RSSI Offsets sheet']);
+    rows.push(['Interpolated Data', 'grid cells estimated from the measured locations, not measurements']);
+  }
+  setSheet(workbook, SCHEMA_SHEET, rows, [{ wch: 22 }, { wch: 50 }]);
+}
+
+function readSchema(workbook) {
+  if (!workbook.SheetNames.includes(SCHEMA_SHEET)) return null;
+  const properties = new Map(readRows(workbook, SCHEMA_SHEET).map(row => [String(row[0]).trim(), row[1]]));
+  return {
+    layout: String(properties.get('Layout') || ''),
+    version: parseInt(properties.get('Schema Version'), 10)
+  };
+}
+
+/**
+ * Rewrite an older sheet into the current header order, matching columns by
+ * header. Columns the fixed headers do not know (gateways) are kept after them.
+ */
+function migrateRows(rows, sheet) {
+  const source = rows[0].map(header => String(header).trim());
+  const extras = sheet.extraColumns
+    ? source.filter(header => header && !sheet.headers.includes(header))
+    : [];
+  const headers = [...sheet.headers, ...extras];
+  const indexes = headers.map(header => source.indexOf(header));
+
+  return [headers, ...rows.slice(1).map(row => indexes.map(index => (index === -1 ? '' : blankIfMissing(row[index]))))];
+}
+
+/**
+ * Open a survey workbook, validating its layout. v1 workbooks are migrated
+ * in memory; anything else that does not match the schema is rejected.
+ *
+ * @param {string} filePath
+ * @param {'calibration'|'fingerprint'} layout
+ * @param {object} [options]
+ * @param {boolean} [options.create=false] Start a new workbook when the file is missing
+ * @returns {{workbook: object, rows: any[][], migratedFrom: number|null}} rows of the main sheet
+ */
+function openSurveyWorkbook(filePath, layout, options = {}) {
+  const definition = LAYOUTS[layout];
+  if (!definition) {
+    throw new Error(`Unknown workbook layout "${layout}"`);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    if (!options.create) {
+      throw new Error(`Workbook not found: ${filePath}`);
+    }
+    const workbook = XLSX.utils.book_new();
+    setSheet(workbook, definition.main, [definition.sheets[0].headers.slice()]);
+    writeSchema(workbook, layout);
+    return { workbook, rows: [definition.sheets[0].headers.slice()], migratedFrom: null };
+  }
+
+  const workbook = XLSX.readFile(filePath);
+  const schema = readSchema(workbook);
+  let migratedFrom = null;
+
+  if (schema) {
+    if (schema.layout !== layout) {
+      throw new Error(`${filePath} is a ${schema.layout || 'unknown'} workbook, not a ${layout} workbook`);
+    }
+    if (!(schema.version >= 2)) {
+      throw new Error(`${filePath} has an invalid schema version: ${schema.version}`);
+    }
+    if (schema.version > WORKBOOK_SCHEMA_VERSION) {
+      throw new Error(`${filePath} was written with workbook schema v${schema.version}; this version reads up to v${WORKBOOK_SCHEMA_VERSION}`);
+    }
+  }
+  const version = schema ? schema.version : 1;
+  // v1 workbooks predate the Sessions and Samples sheets
+  const sheets = version === 1 ? definition.sheets : [...definition.sheets, ...SHARED_SHEETS];
+
+  sheets.forEach(sheet => {
+    if (!workbook.SheetNames.includes(sheet.name)) {
+      if (sheet.optional) return;
+      throw new Error(`${filePath} is not a ${layout} workbook: no "${sheet.name}" sheet (found: ${workbook.SheetNames.join(', ')})`);
+    }
+    const rows = readRows(workbook, sheet.name);
+    const header = rows[0] || [];
+
+    if (version === WORKBOOK_SCHEMA_VERSION) {
+      if (!startsWith(header, sheet.headers) || (!sheet.extraColumns && header.length !== sheet.headers.length)) {
+        throw new Error(`Sheet "${sheet.name}" in ${filePath} does not match schema v${WORKBOOK_SCHEMA_VERSION}: expected headers ${sheet.headers.join(', ')}`);
+      }
+      return;
+    }
+
+    if (!startsWith(header, sheet.baseHeaders)) {
+      throw new Error(`Sheet "${sheet.name}" in ${filePath} has an incompatible layout: expected headers starting with ${sheet.baseHeaders.join(', ')}`);
+    }
+    setSheet(workbook, sheet.name, migrateRows(rows, sheet));
+  });
+
+  if (version < WORKBOOK_SCHEMA_VERSION) {
+    writeSchema(workbook, layout);
+    migratedFrom = version;
+  }
+
+  return { workbook, rows: readRows(workbook, definition.main), migratedFrom };
+}
+
+/**
+ * Keep a copy of a workbook before it is rewritten in a newer layout.
+ * @returns {string} Backup file path
+ */
+function backupWorkbook(filePath, version) {
+  const extension = path.extname(filePath);
+  const backup = `${filePath.slice(0, filePath.length - extension.length)}.v${version}${extension}`;
+  fs.copyFileSync(filePath, backup);
+  return backup;
+}
+
+/**
+ * One "Calibration Data" row.
+ * @param {object} row
+ * @param {object|null} row.stats summarize() result; blank statistic columns when null
+ */
+function calibrationRow({ gatewayMac, distance, rssi, note = '', timestamp, stats = null, name = '', sessionId = '' }) {
+  const statsColumns = stats
+    ? [
+      stats.statistic,
+      round(stats.value),
+      round(stats.std),
+      round(stats.p10),
+      round(stats.median),
+      round(stats.p90),
+      stats.samples,
+      stats.rejected,
+      stats.rate === null || stats.rate === undefined ? '' : round(stats.rate)
+    ]
+    : CALIBRATION_HEADERS.slice(5, 14).map(() => '');
+
+  return [gatewayMac, distance, round(rssi), note || '', timestamp, ...statsColumns, name || '', blankIfMissing(sessionId)];
+}
+
+/**
+ * (distance, RSSI) points of every gateway in "Calibration Data" rows. Rows
+ * recorded with robust statistics carry the chosen value next to the average.
+ * @param {any[][]} rows Header first
+ * @returns {Map<string, Array<{distance: number, rssi: number}>>} normalized gateway MAC -> points
+ */
+function calibrationPoints(rows) {
+  const headers = rows[0];
+  const macCol = headers.indexOf('Gateway MAC');
+  const distanceCol = headers.indexOf('Distance (m)');
+  const rssiCol = headers.indexOf('RSSI (dBm)');
+  const valueCol = headers.indexOf('Value (dBm)');
+
+  const byGateway = new Map();
+  rows.slice(1).forEach(row => {
+    const gatewayMac = normalizeMac(row[macCol]);
+    const distance = parseFloat(row[distanceCol]);
+    const rssi = valueCol !== -1 && row[valueCol] !== ''
+      ? parseFloat(row[valueCol])
+      : parseFloat(row[rssiCol]);
+    if (!gatewayMac || isNaN(distance) || isNaN(rssi)) return;
+
+    if (!byGateway.has(gatewayMac)) {
+      byGateway.set(gatewayMac, []);
+    }
+    byGateway.get(gatewayMac).push({ distance, rssi });
+  });
+
+  return byGateway;
+}
+
+function calibrationColumnWidths() {
+  return [
+    { wch: 18 }, // Gateway MAC
+    { wch: 12 }, // Distance
+    { wch: 12 }, // RSSI
+    { wch: 40 }, // Notes
+    { wch: 25 }, // Timestamp
+    ...CALIBRATION_HEADERS.slice(5, 14).map(() => ({ wch: 12 })), // Statistics
+    { wch: 24 }, // Gateway Name
+    { wch: 10 }  // Session ID
+  ];
+}
+
+/**
+ * Index of a gateway's column in a "Fingerprint Data" header row, or -1.
+ * Headers may be a bare MAC or a registry label such as "Lobby North (AC233FA12345)".
+ */
+function gatewayColumn(headers, mac) {
+  return headers.findIndex((header, index) =>
+    index >= FINGERPRINT_HEADERS.length && normalizeMac(macFromLabel(header)) === normalizeMac(mac)
+  );
+}
+
+/**
+ * One "Fingerprint Data" row in header order: the RSSI of every gateway
+ * heard, NOT_DETECTED for the other gateway columns.
+ * @param {string[]} headers Header row, already extended with the gateways heard
+ * @param {object} location coordinates: {x, y, z} plus the optional floor and zone labels
+ * @param {Object<string, number>} rssiReadings gateway MAC -> RSSI
+ */
+function fingerprintRow(headers, { locationId, coordinates, sessionId = '', heading = '' }, rssiReadings) {
+  const row = headers.map((header, index) => (index < FINGERPRINT_HEADERS.length ? '' : NOT_DETECTED));
+  row[0] = locationId;
+  row[1] = coordinates.x;
+  row[2] = coordinates.y;
+  row[3] = coordinates.z;
+  row[4] = blankIfMissing(sessionId);
+  row[5] = heading || '';
+  row[6] = blankIfMissing(coordinates.floor);
+  row[7] = blankIfMissing(coordinates.zone);
+  Object.entries(rssiReadings).forEach(([mac, rssi]) => {
+    row[gatewayColumn(headers, mac)] = round(rssi);
+  });
+  return row;
+}
+
+function fingerprintColumnWidths(headers) {
+  return [
+    { wch: 15 }, // Location ID
+    { wch: 10 }, // X
+    { wch: 10 }, // Y
+    { wch: 10 }, // Z
+    { wch: 10 }, // Session ID
+    { wch: 10 }, // Heading
+    { wch: 10 }, // Floor
+    { wch: 15 }, // Zone
+    ...headers.slice(FINGERPRINT_HEADERS.length).map(header => ({ wch: Math.max(18, String(header).length + 2) })) // RSSI columns
+  ];
+}
+
+function statsColumnWidths() {
+  return STATS_HEADERS.map((header, i) => ({ wch: i < 2 ? 18 : 12 }));
+}
+
+/**
+ * One "Fingerprint Stats" row.
+ */
+function statsRow(locationId, gatewayMac, stat, timestamp, sessionId = '', heading = '') {
+  return [
+    locationId,
+    gatewayMac,
+    round(stat.mean),
+    stat.statistic,
+    round(stat.value),
+    round(stat.std),
+    round(stat.p10),
+    round(stat.median),
+    round(stat.p90),
+    stat.samples,
+    stat.rejected,
+    stat.rate === null || stat.rate === undefined ? '' : round(stat.rate),
+    timestamp,
+    blankIfMissing(sessionId),
+    heading || ''
+  ];
+}
+
+/**
+ * One "Sessions" row.
+ */
+function sessionRow(session) {
+  return [
+    session.id,
+    session.tool,
+    session.operator || '',
+    session.startedAt,
+    session.endedAt || '',
+    session.tagMacs || 'all tags',
+    session.window || '',
+    session.statistic || '',
+    session.broker || '',
+    session.plan || '',
+    session.windows || 0
+  ];
+}
+
+function sessionsColumnWidths() {
+  return SESSIONS_HEADERS.map((header, i) => ({ wch: [3, 4, 8].includes(i) ? 25 : 12 }));
+}
+
+function samplesColumnWidths() {
+  return SAMPLES_HEADERS.map((header, i) => ({ wch: i >= 4 ? 20 : 12 }));
+}
+
+/**
+ * Add rows after those a sheet already has (creating the sheet if needed).
+ * @param {any[][]} rows Header row, then the new rows; the header replaces the sheet's
+ * @returns {number} Rows in the sheet, header excluded
+ */
+function appendRows(workbook, sheetName, rows, columnWidths) {
+  const existing = workbook.SheetNames.includes(sheetName) ? readRows(workbook, sheetName).slice(1) : [];
+  setSheet(workbook, sheetName, [rows[0], ...existing, ...rows.slice(1)], columnWidths);
+  return existing.length + rows.length - 1;
+}
+
+/**
+ * Record the RSSI offsets a session applied to its gateway columns
+ * (see lib/rssi-offsets.js), replacing earlier entries of the same gateway.
+ * @param {Object<string, number>} offsets gateway MAC -> offset (dB)
+ * @param {string|null} reference Reference gateway of the offsets; null = median of all gateways
+ */
+function upsertOffsets(workbook, sessionId, offsets, reference) {
+  const rows = workbook.SheetNames.includes(OFFSETS_SHEET)
+    ? readRows(workbook, OFFSETS_SHEET)
+    : [OFFSETS_HEADERS.slice()];
+  Object.entries(offsets).forEach(([gatewayMac, offset]) => {
+    const row = [blankIfMissing(sessionId), gatewayMac, round(offset), reference || 'median'];
+    const index = rows.findIndex((existing, i) =>
+      i > 0 && String(existing[0]) === String(row[0]) && normalizeMac(existing[1]) === normalizeMac(gatewayMac)
+    );
+    if (index === -1) {
+      rows.push(row);
+    } else {
+      rows[index] = row;
+    }
+  });
+  setSheet(workbook, OFFSETS_SHEET, rows, [{ wch: 10 }, { wch: 20 }, { wch: 12 }, { wch: 20 }]);
+}
+
+/**
+ * Drop a session's entries from the RSSI Offsets sheet.
+ */
+function removeOffsets(workbook, sessionId) {
+  if (!workbook.SheetNames.includes(OFFSETS_SHEET)) return;
+  const rows = readRows(workbook, OFFSETS_SHEET);
+  setSheet(workbook, OFFSETS_SHEET, rows.filter((row, i) => i === 0 || String(row[0]) !== String(sessionId)),
+    [{ wch: 10 }, { wch: 20 }, { wch: 12 }, { wch: 20 }]);
+}
+
+/**
+ * RSSI offsets already included in the gateway columns, per session.
+ * Sessions without entries (and workbooks without the sheet) hold reported RSSI.
+ * @returns {Map<string, Map<string, number>>} session ID -> normalized gateway MAC -> offset
+ */
+function appliedOffsets(workbook) {
+  const applied = new Map();
+  if (!workbook.SheetNames.includes(OFFSETS_SHEET)) return applied;
+
+  readRows(workbook, OFFSETS_SHEET).slice(1).forEach(row => {
+    const sessionId = String(row[0]);
+    const offset = parseFloat(row[2]);
+    if (!row[1] || isNaN(offset)) return;
+    if (!applied.has(sessionId)) {
+      applied.set(sessionId, new Map());
+    }
+    applied.get(sessionId).set(normalizeMac(row[1]), offset);
+  });
+  return applied;
+}
+
+/**
+ * Write through a temporary file and rename it into place, so a crash
+ * mid-write leaves the previous workbook intact.
+ */
+function writeWorkbook(workbook, filePath, bookType = 'xlsx') {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+  try {
+    XLSX.writeFile(workbook, tempFile, { bookType });
+    fs.renameSync(tempFile, filePath);
+  } finally {
+    if (fs.existsSync(tempFile)) {
+      fs.unlinkSync(tempFile);
+    }
+  }
+}
+
+module.exports = {
+  WORKBOOK_SCHEMA_VERSION,
+  SCHEMA_SHEET,
+  NOT_DETECTED,
+  CALIBRATION_SHEET,
+  CALIBRATION_HEADERS,
+  FINGERPRINT_SHEET,
+  COORDINATE_HEADERS,
+  FINGERPRINT_HEADERS,
+  STATS_SHEET,
+  STATS_HEADERS,
+  SESSIONS_SHEET,
+  SESSIONS_HEADERS,
+  SAMPLES_SHEET,
+  SAMPLES_HEADERS,
+  OFFSETS_SHEET,
+  OFFSETS_HEADERS,
+  INTERPOLATED_SHEET,
+  INTERPOLATED_HEADERS,
+  INTERPOLATED_STATS_SHEET,
+  INTERPOLATED_STATS_HEADERS,
+  INTERPOLATED_SESSION,
+  openSurveyWorkbook,
+  backupWorkbook,
+  readRows,
+  setSheet,
+  writeSchema,
+  calibrationRow,
+  calibrationPoints,
+  calibrationColumnWidths,
+  gatewayColumn,
+  fingerprintRow,
+  fingerprintColumnWidths,
+  statsRow,
+  statsColumnWidths,
+  sessionRow,
+  sessionsColumnWidths,
+  samplesColumnWidths,
+  appendRows,
+  upsertOffsets,
+  removeOffsets,
+  appliedOffsets,
+  writeWorkbook
+};
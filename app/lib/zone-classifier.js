@@ -0,0 +1,186 @@
+/**
+ * Zone Classifier
+ * Hierarchical fingerprint positioning for maps whose reference points carry
+ * floor and zone labels (see lib/radio-map.js): the floor is decided first by
+ * a weighted vote of the nearest reference points in signal space, then the
+ * zone by a vote among that floor's points, and only then are coordinates
+ * estimated with kNN among the points of that zone. A wrong floor can then
+ * no longer pull the coordinates between two storeys.
+ *
+ * Confidence is the share of the vote the winner took, on the floor and on
+ * the zone; the overall confidence is their product.
+ *
+ * ZoneTracker turns successive classifications of a tag into zone entry and
+ * exit events, with hysteresis so a tag on a boundary does not flap.
+ */
+
+const { rankNeighbours, estimatePosition } = require('./knn');
+
+const DEFAULTS = {
+  k: 5, // reference points voting on the floor and on the zone
+  positionK: 3, // reference points averaged for the coordinates
+  weighted: true,
+  missingRssi: -100,
+  minCommonGateways: 1
+};
+
+// Points without a label vote for "unlabelled" (null)
+const labelOf = (point, field) => point[field] || null;
+
+/**
+ * Weighted vote over the labels of the nearest candidates.
+ * @returns {{label: string|null, confidence: number}}
+ */
+function vote(nearest, field, weighted) {
+  const tally = new Map();
+  nearest.forEach(candidate => {
+    const label = labelOf(candidate.point, field);
+    const weight = weighted ? 1 / Math.max(candidate.distance, 1e-6) : 1;
+    tally.set(label, (tally.get(label) || 0) + weight);
+  });
+
+  const total = Array.from(tally.values()).reduce((a, b) => a + b, 0);
+  let best = { label: null, weight: -1 };
+  tally.forEach((weight, label) => {
+    if (weight > best.weight) {
+      best = { label, weight };
+    }
+  });
+  return { label: best.label, confidence: best.weight / total };
+}
+
+class ZoneClassifier {
+  /**
+   * @param {Array} points Reference points from loadRadioMap()
+   * @param {object} [options] See DEFAULTS
+   */
+  constructor(points, options = {}) {
+    this.points = points;
+    this.settings = { ...DEFAULTS, ...options };
+    this.floors = Array.from(new Set(points.map(point => labelOf(point, 'floor')).filter(Boolean))).sort();
+    this.zones = Array.from(new Set(points.map(point => labelOf(point, 'zone')).filter(Boolean))).sort();
+  }
+
+  /**
+   * True when any reference point has a floor or zone label.
+   */
+  static isLabelled(points) {
+    return points.some(point => labelOf(point, 'floor') || labelOf(point, 'zone'));
+  }
+
+  /**
+   * @param {Object<string, number>} live gatewayMac -> RSSI
+   * @returns {{floor: string|null, zone: string|null, floorConfidence: number, zoneConfidence: number,
+   *            confidence: number, x: number, y: number, z: number,
+   *            neighbours: Array<{id: string, distance: number}>}|null}
+   *          null when no reference point shares a gateway with the live vector
+   */
+  classify(live) {
+    const { k, positionK, weighted } = this.settings;
+    if (Object.keys(live).length === 0) return null;
+
+    const ranked = rankNeighbours(live, this.points, this.settings);
+    if (ranked.length === 0) return null;
+
+    const floor = vote(ranked.slice(0, k), 'floor', weighted);
+    const onFloor = ranked.filter(candidate => labelOf(candidate.point, 'floor') === floor.label);
+    const zone = vote(onFloor.slice(0, k), 'zone', weighted);
+    const inZone = onFloor
+      .filter(candidate => labelOf(candidate.point, 'zone') === zone.label)
+      .map(candidate => candidate.point);
+
+    const position = estimatePosition(live, inZone, { ...this.settings, k: positionK });
+    if (!position) return null;
+
+    return {
+      floor: floor.label,
+      zone: zone.label,
+      floorConfidence: floor.confidence,
+      zoneConfidence: zone.confidence,
+      confidence: floor.confidence * zone.confidence,
+      ...position
+    };
+  }
+}
+
+class ZoneTracker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.minConfidence=0.6] Classifications below this do not move a tag
+   * @param {number} [options.dwell=2] Consecutive classifications needed to enter a zone
+   */
+  constructor(options = {}) {
+    this.minConfidence = options.minConfidence === undefined ? 0.6 : options.minConfidence;
+    this.dwell = options.dwell || 2;
+    this.tags = new Map(); // tagMac -> { area, candidate, count }
+  }
+
+  /**
+   * Feed one classification of a tag.
+   * @returns {Array<{event: 'enter'|'exit', tag: string, floor: string|null, zone: string|null,
+   *           confidence: number|null, timestamp: number}>}
+   */
+  update(tagMac, result, timestamp) {
+    if (!this.tags.has(tagMac)) {
+      this.tags.set(tagMac, { area: null, candidate: null, count: 0 });
+    }
+    const state = this.tags.get(tagMac);
+    if (!result || result.confidence < this.minConfidence) {
+      return [];
+    }
+
+    const area = { floor: result.floor, zone: result.zone };
+    const key = `${area.floor}|${area.zone}`;
+    if (state.area && key === state.area.key) {
+      state.candidate = null;
+      state.count = 0;
+      return [];
+    }
+
+    if (state.candidate === key) {
+      state.count++;
+    } else {
+      state.candidate = key;
+      state.count = 1;
+    }
+    if (state.count < this.dwell) {
+      return [];
+    }
+
+    const events = this.leave(tagMac, state, timestamp);
+    state.area = { ...area, key };
+    state.candidate = null;
+    state.count = 0;
+    events.push({ event: 'enter', tag: tagMac, ...area, confidence: result.confidence, timestamp });
+    return events;
+  }
+
+  /**
+   * A tag no longer heard leaves its zone.
+   */
+  lost(tagMac, timestamp) {
+    const state = this.tags.get(tagMac);
+    if (!state) return [];
+    this.tags.delete(tagMac);
+    return this.leave(tagMac, state, timestamp);
+  }
+
+  /**
+   * Tags currently tracked, for finding the ones no longer heard.
+   */
+  tracked() {
+    return Array.from(this.tags.keys());
+  }
+
+  leave(tagMac, state, timestamp) {
+    if (!state.area) return [];
+    const { floor, zone } = state.area;
+    state.area = null;
+    return [{ event: 'exit', tag: tagMac, floor, zone, confidence: null, timestamp }];
+  }
+}
+
+module.exports = {
+  ZoneClassifier,
+  ZoneTracker
+};
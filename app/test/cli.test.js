@@ -0,0 +1,142 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { Writable } = require('stream');
+const { main, EXIT_CODES } = require('../lib/cli');
+const COMMANDS = require('../lib/commands');
+const { tempDir, quietConsole, deviceInfo } = require('./helpers');
+
+const GATEWAY = 'AC:23:3F:A1:00:01';
+const TAG_1 = 'BB:00:00:00:00:01';
+const TAG_2 = 'BB:00:00:00:00:02';
+
+/**
+ * Writable keeping what was written.
+ */
+function collect() {
+  const chunks = [];
+  const stream = new Writable({
+    write: (chunk, encoding, callback) => {
+      chunks.push(chunk.toString());
+      callback();
+    }
+  });
+  stream.text = () => chunks.join('');
+  stream.lines = () => stream.text().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return stream;
+}
+
+async function calib(argv, io = {}) {
+  const stdout = collect();
+  const stderr = collect();
+  const code = await main(argv, { stdout, stderr, env: {}, ...io });
+  return { code, stdout, stderr };
+}
+
+// Capture with one message hearing both tags
+function writeCapture(dir) {
+  const file = path.join(dir, 'capture.jsonl');
+  const payload = deviceInfo(GATEWAY.replace(/:/g, ''), [[TAG_1, -60], [TAG_2, -70]]);
+  fs.writeFileSync(file, JSON.stringify({ ts: Date.UTC(2024, 0, 15, 9), topic: 'gw/1', payload: JSON.stringify(payload) }) + '\n');
+  return file;
+}
+
+function closedPort() {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+describe('calib CLI', () => {
+  before(() => quietConsole());
+
+  it('exits with the usage code on unknown commands, flags and missing arguments', async () => {
+    assert.equal((await calib(['nope'])).code, EXIT_CODES.USAGE);
+    assert.equal((await calib(['sniff', '--no-such-flag'])).code, EXIT_CODES.USAGE);
+
+    const missing = await calib(['grid']);
+    assert.equal(missing.code, EXIT_CODES.USAGE);
+    assert.match(missing.stderr.text(), /Missing <plan>/);
+
+    const method = await calib(['evaluate', '--method', 'wkn']);
+    assert.equal(method.code, EXIT_CODES.USAGE);
+    assert.match(method.stderr.text(), /Unknown method "wkn"/);
+
+    const k = await calib(['evaluate', '--k', 'abc']);
+    assert.equal(k.code, EXIT_CODES.USAGE);
+    assert.match(k.stderr.text(), /--k must be a number \(got "abc"\)/);
+    assert.match((await calib(['sniff', '--duration', '10s'])).stderr.text(), /--duration must be a number/);
+    assert.match((await calib(['interpolate', '--neighbours', '2.5'])).stderr.text(), /--neighbours must be a whole number/);
+  });
+
+  it('prints help for a command', async () => {
+    const { code, stdout } = await calib(['sniff', '--help']);
+    assert.equal(code, EXIT_CODES.OK);
+    assert.match(stdout.text(), /Usage: calib sniff/);
+    assert.match(stdout.text(), /--broker <value> +Broker URL/);
+    assert.match(stdout.text(), /--output <value> +Also append every reading/);
+  });
+
+  it('describes every flag of every command', async () => {
+    for (const name of Object.keys(COMMANDS)) {
+      const { stdout } = await calib([name, '--help']);
+      const flags = stdout.text().split('\n').filter(line => /^ {2}(-\w, )?--/.test(line));
+      assert.ok(flags.length > 0);
+      flags.forEach(line => assert.match(line, /^ {2}(-\w, )?--[\w-]+( <value>)? {2,}\S/, `${name}: ${line}`));
+    }
+  });
+
+  it('streams records and a result line as JSON', async (t) => {
+    const capture = writeCapture(tempDir(t));
+    const { code, stdout } = await calib(['sniff', '--replay', capture, '--replay-speed', '0', '--json']);
+
+    assert.equal(code, EXIT_CODES.OK);
+    const lines = stdout.lines();
+    assert.deepEqual(lines.slice(0, 2).map(line => [line.tag, line.rssi]), [[TAG_1, -60], [TAG_2, -70]]);
+    assert.deepEqual(lines[2], {
+      command: 'sniff',
+      ok: true,
+      exitCode: 0,
+      result: { readings: 2, gateways: [GATEWAY], tags: [TAG_1, TAG_2] }
+    });
+  });
+
+  it('takes settings from flags over environment over the config file', async (t) => {
+    const dir = tempDir(t);
+    const capture = writeCapture(dir);
+    fs.writeFileSync(path.join(dir, 'calib.config.yaml'), `tag: ${TAG_1}\ncommands:\n  sniff: { replay-speed: 0 }\n`);
+    const tags = async (argv, env = {}) => {
+      const { code, stdout } = await calib(['sniff', '--replay', capture, '--json', ...argv], { cwd: dir, env });
+      assert.equal(code, EXIT_CODES.OK);
+      return stdout.lines().pop().result.tags;
+    };
+
+    assert.deepEqual(await tags([]), [TAG_1]);
+    assert.deepEqual(await tags([], { TAG_MAC: TAG_2 }), [TAG_2]);
+    assert.deepEqual(await tags(['--tag', `${TAG_1},${TAG_2}`], { TAG_MAC: TAG_2 }), [TAG_1, TAG_2]);
+  });
+
+  it('rejects unknown config settings', async (t) => {
+    const dir = tempDir(t);
+    const config = path.join(dir, 'project.json');
+    fs.writeFileSync(config, JSON.stringify({ brokr: 'mqtt://localhost' }));
+
+    const { code, stdout } = await calib(['sniff', '--config', config, '--json']);
+    assert.equal(code, EXIT_CODES.USAGE);
+    assert.match(stdout.lines()[0].error, /unknown setting "brokr"/);
+  });
+
+  it('exits with the connection code when the broker is unreachable', async () => {
+    const port = await closedPort();
+    const { code, stdout } = await calib(['sniff', '--broker', `mqtt://127.0.0.1:${port}`, '--duration', '1', '--json']);
+
+    assert.equal(code, EXIT_CODES.CONNECTION);
+    assert.equal(stdout.lines()[0].ok, false);
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const FingerprintCollectionTool = require('../tools/fingerprint-collection-tool');
+const SurveyStore = require('../lib/survey-store');
+const { normalizeMac } = require('../lib/mac');
+const { openSurveyWorkbook, readRows, FINGERPRINT_HEADERS, STATS_SHEET, NOT_DETECTED } = require('../lib/workbook');
+const {
+  startBroker, ManualClock, waitFor, createSurveyTool, tempDir, quietConsole, deviceInfo
+} = require('./helpers');
+
+const NORTH = 'AA0000000001';
+const SOUTH = 'AA0000000002';
+const EAST = 'AA0000000003';
+
+const message = payload => Buffer.from(JSON.stringify(payload));
+const sampleCount = tool => Array.from(tool.recordings.values()).reduce((count, values) => count + values.length, 0);
+
+describe('FingerprintCollectionTool.handleMessage', () => {
+  before(quietConsole);
+
+  it('groups readings per gateway', t => {
+    const tool = createSurveyTool(FingerprintCollectionTool, tempDir(t), { tagMacs: 'T1' });
+    tool.isRecording = true;
+
+    tool.handleMessage('gw/1', message(deviceInfo(NORTH, [['T1', -60], ['T2', -80]])));
+    tool.handleMessage('gw/2', message(deviceInfo(SOUTH, [['T1', -70]])));
+    tool.handleMessage('gw/1', message(deviceInfo(NORTH, [['T1', -62]])));
+    tool.handleMessage('gw/3', message(deviceInfo(EAST, [['T2', -50]])));
+
+    assert.deepEqual(Array.from(tool.recordings.keys()).sort(), [NORTH, SOUTH]);
+    assert.deepEqual(tool.recordings.get(NORTH).map(r => r.rssi), [-60, -62]);
+    assert.deepEqual(tool.recordings.get(SOUTH).map(r => r.rssi), [-70]);
+    // Heard, but not the target tag: not a gateway of the fingerprint
+    assert.ok(tool.heardGateways.has(EAST));
+    assert.ok(!tool.gatewayMacs.has(EAST));
+  });
+
+  it('drops malformed and foreign payloads', t => {
+    const tool = createSurveyTool(FingerprintCollectionTool, tempDir(t));
+    tool.isRecording = true;
+
+    tool.handleMessage('gw/1', Buffer.from('not json'));
+    tool.handleMessage('weather/now', message({ temperature: 21.5 }));
+
+    assert.equal(tool.recordings.size, 0);
+    assert.equal(tool.parser.failures, 2);
+  });
+});
+
+describe('FingerprintCollectionTool over MQTT', () => {
+  let broker;
+
+  before(async () => {
+    quietConsole();
+    broker = await startBroker();
+  });
+
+  after(() => broker.close());
+
+  async function connectTool(t, options) {
+    const dir = tempDir(t);
+    const clock = new ManualClock();
+    const tool = createSurveyTool(FingerprintCollectionTool, dir, { brokerUrl: broker.url, clock, ...options });
+    await tool.connect();
+    await tool.subscribe();
+    tool.openStore();
+    t.after(() => {
+      tool.closeStore();
+      tool.client.end(true);
+    });
+    return { tool, clock };
+  }
+
+  // Publish the messages of one window and let it run to its end
+  async function recordWindow(tool, clock, messages) {
+    await waitFor(() => tool.isRecording);
+    for (const payload of messages) {
+      await broker.publish(`gw/${payload.device_info.mac}`, payload);
+    }
+    const expected = messages.reduce((count, payload) => count + payload.data.length, 0);
+    await waitFor(() => sampleCount(tool) === expected);
+    await clock.advance(tool.window.duration);
+  }
+
+  it('writes the aggregated RSSI per gateway at the end of the session and marks silent gateway columns', async t => {
+    const { tool, clock } = await connectTool(t);
+
+    // A multipath dip pulls the mean of NORTH down to -68; the median stays at -62
+    const first = tool.recordAt('p1', { x: 1, y: 2, z: 0 });
+    await recordWindow(tool, clock, [
+      deviceInfo(NORTH, [['T1', -60]]),
+      deviceInfo(SOUTH, [['T1', -70]]),
+      deviceInfo(NORTH, [['T1', -62]]),
+      deviceInfo(NORTH, [['T1', -82]])
+    ]);
+    assert.equal(await first, true);
+
+    // A gateway heard only at the second location gets a new column
+    const second = tool.recordAt('p2', { x: 4, y: 2, z: 0 });
+    await recordWindow(tool, clock, [
+      deviceInfo(NORTH, [['T1', -75]]),
+      deviceInfo(EAST, [['T1', -55]])
+    ]);
+    assert.equal(await second, true);
+    assert.equal(fs.existsSync(tool.outputPath()), false);
+
+    const sessionId = tool.sessionId;
+    await tool.finishSession();
+    const { workbook, rows } = openSurveyWorkbook(tool.outputPath(), 'fingerprint');
+    const [north, south, east] = [NORTH, SOUTH, EAST].map(normalizeMac);
+    assert.deepEqual(rows[0], [...FINGERPRINT_HEADERS, north, south, east]);
+    // Every gateway of the session was listening: the ones that did not hear the tag are marked
+    assert.deepEqual(rows[1], ['p1', 1, 2, 0, sessionId, '', '', '', -62, -70, NOT_DETECTED]);
+    assert.deepEqual(rows[2], ['p2', 4, 2, 0, sessionId, '', '', '', -75, NOT_DETECTED, -55]);
+
+    const stats = readRows(workbook, STATS_SHEET);
+    assert.deepEqual(stats.slice(1).map(row => [row[0], row[1], row[9]]),
+      [['p1', north, 3], ['p1', south, 1], ['p2', north, 1], ['p2', east, 1]]);
+    assert.deepEqual(stats[1].slice(2, 5), [-68, 'median', -62]);
+  });
+
+  it('keeps a row per heading and the merged fingerprint', async t => {
+    const { tool, clock } = await connectTool(t, { headings: 'N,S' });
+
+    const recording = tool.recordAt('p1', { x: 0, y: 0, z: 0 });
+    await recordWindow(tool, clock, [deviceInfo(NORTH, [['T1', -60]]), deviceInfo(NORTH, [['T1', -62]])]);
+    await waitFor(() => !tool.isRecording);
+    await recordWindow(tool, clock, [deviceInfo(NORTH, [['T1', -70]]), deviceInfo(NORTH, [['T1', -72]])]);
+    assert.equal(await recording, true);
+
+    await tool.finishSession();
+    const { rows } = openSurveyWorkbook(tool.outputPath(), 'fingerprint');
+    assert.deepEqual(rows.slice(1).map(row => [row[5], row[FINGERPRINT_HEADERS.length]]), [['N', -61], ['S', -71], ['', -66]]);
+    assert.equal(tool.rl.prompts.filter(prompt => /Rotate/.test(prompt)).length, 2);
+  });
+});
+
+describe('FingerprintCollectionTool replay', () => {
+  before(() => quietConsole());
+
+  it('keeps a window invalidated during capture invalid', async t => {
+    const dir = tempDir(t);
+    const start = Date.UTC(2024, 0, 15, 9, 0, 0);
+    const reading = (ts, gatewayMac, rssi) => ({ ts, topic: `gw/${gatewayMac}`, payload: JSON.stringify(deviceInfo(gatewayMac, [['T1', rssi]])) });
+    const replayFile = path.join(dir, 'capture.jsonl');
+    fs.writeFileSync(replayFile, [
+      { ts: start, mark: 'window-start', label: 'p1' },
+      reading(start + 100, NORTH, -60),
+      reading(start + 500, SOUTH, -70),
+      { ts: start + 800, mark: 'window-end', label: 'p1' },
+      { ts: start + 800, mark: 'window-invalid', label: 'p1', reason: 'broker connection lost' },
+      { ts: start + 5000, mark: 'window-start', label: 'p2' },
+      reading(start + 5100, NORTH, -75),
+      { ts: start + 7000, mark: 'window-end', label: 'p2' }
+    ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+    const tool = createSurveyTool(FingerprintCollectionTool, dir, { replayFile });
+    await tool.connect();
+    await tool.subscribe();
+    tool.openStore();
+    t.after(() => tool.closeStore());
+
+    assert.equal(await tool.recordAt('p1', { x: 1, y: 2, z: 0 }), false);
+    assert.equal(await tool.recordAt('p2', { x: 4, y: 2, z: 0 }), true);
+
+    await tool.finishSession();
+    const { rows } = openSurveyWorkbook(tool.outputPath(), 'fingerprint');
+    assert.deepEqual(rows.slice(1).map(row => row[0]), ['p2']);
+
+    const store = new SurveyStore(tool.dbFile);
+    t.after(() => store.close());
+    const measurements = store.measurements({ tool: 'fingerprint', includeInvalid: true });
+    assert.deepEqual(measurements.map(m => [m.location_id, m.valid, m.reason]),
+      [['p1', 0, 'broker connection lost'], ['p2', 1, 'duration reached']]);
+  });
+});
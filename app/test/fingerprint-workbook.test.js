@@ -0,0 +1,194 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const SurveyExportTool = require('../tools/survey-export-tool');
+const SurveyStore = require('../lib/survey-store');
+const { summarize } = require('../lib/rssi-stats');
+const { normalizeMac } = require('../lib/mac');
+const {
+  openSurveyWorkbook, readRows, writeWorkbook, WORKBOOK_SCHEMA_VERSION, FINGERPRINT_HEADERS, FINGERPRINT_SHEET, STATS_SHEET, SCHEMA_SHEET, OFFSETS_SHEET,
+  SESSIONS_SHEET, NOT_DETECTED
+} = require('../lib/workbook');
+const { RssiOffsets } = require('../lib/rssi-offsets');
+const { tempDir, quietConsole } = require('./helpers');
+
+const NORTH = normalizeMac('AA0000000001');
+const SOUTH = normalizeMac('AA0000000002');
+const START = Date.UTC(2024, 0, 15, 9, 0, 0);
+
+/**
+ * Store a fingerprint session as the collection tool does: a window per
+ * location with its samples and aggregates.
+ * @param {Array<[string, object, Object<string, number[]>]>} locations [location ID, coordinates, gateway MAC -> RSSI values]
+ * @returns {number} Session ID
+ */
+function storeSession(dbFile, locations, options = {}) {
+  const store = new SurveyStore(dbFile);
+  try {
+    const sessionId = store.startSession({ tool: 'fingerprint', operator: 'tester', startedAt: START, options });
+    locations.forEach(([locationId, coordinates, readings], i) => {
+      const startedAt = START + i * 10000;
+      const samples = Object.entries(readings).flatMap(([gatewayMac, values]) =>
+        values.map(rssi => ({ gatewayMac, tagMac: 'T1', rssi, timestamp: startedAt })));
+      const aggregates = Object.fromEntries(Object.entries(readings).map(([mac, values]) => [mac, summarize(values, {}, 2000)]));
+      store.saveMeasurement({
+        sessionId, kind: 'location', locationId, coordinates, startedAt, endedAt: startedAt + 2000, samples, aggregates
+      });
+    });
+    store.endSession(sessionId, START + locations.length * 10000);
+    return sessionId;
+  } finally {
+    store.close();
+  }
+}
+
+function exportSession(dir, sessionId) {
+  return new SurveyExportTool({
+    dbFile: path.join(dir, 'survey.db'),
+    tool: 'fingerprint',
+    sessionIds: [sessionId],
+    outputFile: path.join(dir, 'fingerprint.xlsx'),
+    append: true
+  }).export();
+}
+
+function writeSheets(filePath, sheets) {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  writeWorkbook(workbook, filePath);
+}
+
+function schemaRows(layout, version) {
+  return [['Property', 'Value'], ['Layout', layout], ['Schema Version', version]];
+}
+
+describe('SurveyExportTool appending to a fingerprint workbook', () => {
+  before(quietConsole);
+
+  it('appends each session and adds columns for new gateways', async t => {
+    const dir = tempDir(t);
+    const dbFile = path.join(dir, 'survey.db');
+    const first = storeSession(dbFile, [['p1', { x: 0, y: 0, z: 0 }, { [NORTH]: [-60, -62] }]]);
+    const second = storeSession(dbFile, [['p2', { x: 1, y: 0, z: 0 }, { [SOUTH]: [-70] }]]);
+
+    await exportSession(dir, first);
+    const result = await exportSession(dir, second);
+
+    assert.equal(result.rows, 1);
+    const { workbook, rows } = openSurveyWorkbook(path.join(dir, 'fingerprint.xlsx'), 'fingerprint');
+    assert.deepEqual(rows, [
+      [...FINGERPRINT_HEADERS, NORTH, SOUTH],
+      ['p1', 0, 0, 0, first, '', '', '', -61, ''],
+      ['p2', 1, 0, 0, second, '', '', '', NOT_DETECTED, -70]
+    ]);
+    assert.equal(readRows(workbook, STATS_SHEET).length, 1 + 2);
+    assert.deepEqual(readRows(workbook, SESSIONS_SHEET).slice(1).map(row => row[0]), [first, second]);
+  });
+
+  it('matches gateway columns headed by a label or another MAC notation', async t => {
+    const dir = tempDir(t);
+    writeSheets(path.join(dir, 'fingerprint.xlsx'), {
+      [FINGERPRINT_SHEET]: [
+        [...FINGERPRINT_HEADERS, 'Lobby North (aa:00:00:00:00:01)', 'aa-00-00-00-00-02'],
+        ['p1', 0, 0, 0, 1, '', '', '', -61, -70]
+      ],
+      [SCHEMA_SHEET]: schemaRows('fingerprint', WORKBOOK_SCHEMA_VERSION)
+    });
+    const sessionId = storeSession(path.join(dir, 'survey.db'), [['p2', { x: 1, y: 0, z: 0 }, { [NORTH]: [-65], [SOUTH]: [-75] }]]);
+
+    await exportSession(dir, sessionId);
+
+    const { rows } = openSurveyWorkbook(path.join(dir, 'fingerprint.xlsx'), 'fingerprint');
+    assert.equal(rows[0].length, FINGERPRINT_HEADERS.length + 2);
+    assert.deepEqual(rows[2].slice(FINGERPRINT_HEADERS.length), [-65, -75]);
+  });
+
+  it('migrates a v1 workbook with untidy headers and keeps a backup', async t => {
+    const dir = tempDir(t);
+    const outputFile = path.join(dir, 'fingerprint.xlsx');
+    writeSheets(outputFile, {
+      [FINGERPRINT_SHEET]: [
+        ['Location ID ', ' X (m)', 'Y (m)', 'Z (m)', NORTH],
+        ['old-1', 2, 3, 0, -58]
+      ]
+    });
+    const sessionId = storeSession(path.join(dir, 'survey.db'), [['p1', { x: 0, y: 0, z: 0 }, { [NORTH]: [-60] }]]);
+
+    await exportSession(dir, sessionId);
+
+    assert.ok(fs.existsSync(outputFile.replace(/\.xlsx$/, '.v1.xlsx')));
+    const { rows, migratedFrom } = openSurveyWorkbook(outputFile, 'fingerprint');
+    assert.equal(migratedFrom, null);
+    assert.deepEqual(rows, [
+      [...FINGERPRINT_HEADERS, NORTH],
+      ['old-1', 2, 3, 0, '', '', '', '', -58],
+      ['p1', 0, 0, 0, sessionId, '', '', '', -60]
+    ]);
+  });
+
+  it('migrates a v3 workbook by inserting the Floor and Zone columns', async t => {
+    const dir = tempDir(t);
+    const outputFile = path.join(dir, 'fingerprint.xlsx');
+    const v3Headers = FINGERPRINT_HEADERS.filter(header => header !== 'Floor' && header !== 'Zone');
+    writeSheets(outputFile, {
+      [FINGERPRINT_SHEET]: [
+        [...v3Headers, NORTH, SOUTH],
+        ['old-1', 2, 3, 0, 1, 90, -58, NOT_DETECTED]
+      ],
+      [SCHEMA_SHEET]: schemaRows('fingerprint', 3)
+    });
+    const sessionId = storeSession(path.join(dir, 'survey.db'), [['p2', { x: 1, y: 0, z: 0 }, { [SOUTH]: [-66] }]]);
+
+    await exportSession(dir, sessionId);
+
+    assert.ok(fs.existsSync(outputFile.replace(/\.xlsx$/, '.v3.xlsx')));
+    const { rows, migratedFrom } = openSurveyWorkbook(outputFile, 'fingerprint');
+    assert.equal(migratedFrom, null);
+    assert.deepEqual(rows[0], [...FINGERPRINT_HEADERS, NORTH, SOUTH]);
+    assert.deepEqual(rows[1], ['old-1', 2, 3, 0, 1, 90, '', '', -58, NOT_DETECTED]);
+    assert.deepEqual(rows[2].slice(FINGERPRINT_HEADERS.length), [NOT_DETECTED, -66]);
+  });
+
+  it('adds the RSSI offsets stored with a session and records them for it', async t => {
+    const dir = tempDir(t);
+    const offsets = new RssiOffsets({ reference: SOUTH, gateways: { [NORTH]: { offset: -2.5 } } });
+    const sessionId = storeSession(path.join(dir, 'survey.db'), [['p1', { x: 0, y: 0, z: 0 }, { [NORTH]: [-60], [SOUTH]: [-70] }]],
+      { offsets: offsets.toJSON() });
+
+    await exportSession(dir, sessionId);
+
+    const { workbook, rows } = openSurveyWorkbook(path.join(dir, 'fingerprint.xlsx'), 'fingerprint');
+    assert.deepEqual(rows[1].slice(FINGERPRINT_HEADERS.length), [-62.5, -70]);
+    assert.equal(readRows(workbook, STATS_SHEET)[1][2], -62.5);
+    assert.deepEqual(readRows(workbook, OFFSETS_SHEET).slice(1), [[sessionId, NORTH, -2.5, SOUTH]]);
+  });
+
+  it('refuses a workbook of another layout', async t => {
+    const dir = tempDir(t);
+    const outputFile = path.join(dir, 'fingerprint.xlsx');
+    writeSheets(outputFile, {
+      'Calibration Data': [['Gateway MAC', 'Distance (m)', 'RSSI (dBm)', 'Notes', 'Timestamp']]
+    });
+    const original = fs.readFileSync(outputFile);
+    const sessionId = storeSession(path.join(dir, 'survey.db'), [['p1', { x: 0, y: 0, z: 0 }, { [NORTH]: [-60] }]]);
+
+    await assert.rejects(exportSession(dir, sessionId), /not a fingerprint workbook/);
+    assert.deepEqual(fs.readFileSync(outputFile), original);
+  });
+
+  it('refuses a current workbook whose header row was edited', async t => {
+    const dir = tempDir(t);
+    writeSheets(path.join(dir, 'fingerprint.xlsx'), {
+      [FINGERPRINT_SHEET]: [['Location', 'X', 'Y', 'Z', 'Session ID', 'Heading', 'Floor', 'Zone', NORTH]],
+      [SCHEMA_SHEET]: schemaRows('fingerprint', WORKBOOK_SCHEMA_VERSION)
+    });
+    const sessionId = storeSession(path.join(dir, 'survey.db'), [['p1', { x: 0, y: 0, z: 0 }, { [NORTH]: [-60] }]]);
+
+    await assert.rejects(exportSession(dir, sessionId),
+      new RegExp(`does not match schema v${WORKBOOK_SCHEMA_VERSION}`));
+  });
+});
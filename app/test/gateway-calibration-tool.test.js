@@ -0,0 +1,260 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const GatewayCalibrationTool = require('../tools/gateway-calibration-tool');
+const SurveyStore = require('../lib/survey-store');
+const { normalizeMac } = require('../lib/mac');
+const {
+  openSurveyWorkbook, readRows, writeWorkbook, CALIBRATION_HEADERS, CALIBRATION_SHEET, FINGERPRINT_HEADERS, FINGERPRINT_SHEET, SAMPLES_SHEET
+} = require('../lib/workbook');
+const {
+  startBroker, ManualClock, waitFor, createSurveyTool, tempDir, quietConsole, deviceInfo
+} = require('./helpers');
+
+const GATEWAY = 'AA0000000001';
+const OTHER_GATEWAY = 'AA0000000002';
+
+function startRecording(tool, gatewayMac) {
+  tool.isRecording = true;
+  tool.currentGatewayMac = gatewayMac;
+  tool.recordings = [];
+}
+
+const message = payload => Buffer.from(JSON.stringify(payload));
+
+describe('GatewayCalibrationTool.handleMessage', () => {
+  before(quietConsole);
+
+  it('records readings of the target gateway', t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t));
+    startRecording(tool, GATEWAY);
+
+    tool.handleMessage('gw/1', message(deviceInfo(GATEWAY.toLowerCase(), [['T1', -61], ['T2', -75]])));
+
+    assert.deepEqual(tool.recordings.map(r => [r.tagMac, r.rssi]), [['T1', -61], ['T2', -75]]);
+    assert.ok(tool.recordings.every(r => r.timestamp === tool.now()));
+  });
+
+  it('ignores other gateways but reports them as heard', t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t));
+    startRecording(tool, GATEWAY);
+
+    tool.handleMessage('gw/2', message(deviceInfo(OTHER_GATEWAY, [['T1', -50]])));
+
+    assert.equal(tool.recordings.length, 0);
+    assert.ok(tool.heardGateways.has(OTHER_GATEWAY));
+  });
+
+  it('matches the target gateway in any MAC notation', t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t));
+    startRecording(tool, 'aa:00:00:00:00:01');
+
+    tool.handleMessage('gw/1', message(deviceInfo(GATEWAY, [['T1', -61]])));
+
+    assert.equal(tool.recordings.length, 1);
+  });
+
+  it('drops malformed payloads and counts them', t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t));
+    startRecording(tool, GATEWAY);
+
+    tool.handleMessage('gw/1', Buffer.from('{"device_info": {"mac": '));
+    tool.handleMessage('gw/1', Buffer.from([0xff, 0x00, 0x13]));
+
+    assert.equal(tool.recordings.length, 0);
+    assert.equal(tool.parser.failures, 2);
+  });
+
+  it('drops foreign payloads without a gateway or readings', t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t));
+    startRecording(tool, GATEWAY);
+
+    tool.handleMessage('home/thermostat', message({ temperature: 21.5 }));
+    tool.handleMessage('gw/1', message({ device_info: { mac: GATEWAY }, data: [{ mac: 'T1', rssi: 'strong' }] }));
+
+    assert.equal(tool.recordings.length, 0);
+    assert.equal(tool.parser.failures, 1);
+  });
+
+  it('ignores messages outside a recording window', t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t));
+    tool.currentGatewayMac = GATEWAY;
+
+    tool.handleMessage('gw/1', message(deviceInfo(GATEWAY, [['T1', -61]])));
+
+    assert.equal(tool.recordings.length, 0);
+  });
+
+  it('keeps only the target tags', t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t), { tagMacs: 'T1' });
+    startRecording(tool, GATEWAY);
+
+    tool.handleMessage('gw/1', message(deviceInfo(GATEWAY, [['T1', -61], ['T2', -75], ['t1', -63]])));
+
+    assert.deepEqual(tool.recordings.map(r => r.rssi), [-61, -63]);
+    assert.equal(tool.tagFilter.droppedCount(), 1);
+  });
+});
+
+describe('GatewayCalibrationTool session start', () => {
+  before(quietConsole);
+
+  function writeSheet(filePath, name, rows) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+    writeWorkbook(workbook, filePath);
+  }
+
+  it('refuses a workbook of another layout before connecting', async t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t));
+    writeSheet(tool.outputPath(), FINGERPRINT_SHEET, [FINGERPRINT_HEADERS]);
+
+    await assert.rejects(tool.startSession(), /not a calibration workbook/);
+    assert.equal(tool.client, null);
+    assert.equal(tool.store, null);
+  });
+
+  it('migrates an original-layout workbook and keeps a backup', t => {
+    const tool = createSurveyTool(GatewayCalibrationTool, tempDir(t));
+    writeSheet(tool.outputPath(), CALIBRATION_SHEET, [CALIBRATION_HEADERS.slice(0, 5), [GATEWAY, 1, -60, '', '2024-01-15T09:00:00.000Z']]);
+
+    tool.checkWorkbook();
+
+    assert.ok(fs.existsSync(tool.outputPath().replace(/\.xlsx$/, '.v1.xlsx')));
+    const { rows, migratedFrom } = openSurveyWorkbook(tool.outputPath(), 'calibration');
+    assert.equal(migratedFrom, null);
+    assert.deepEqual(rows[0], CALIBRATION_HEADERS);
+    assert.deepEqual(rows[1].slice(0, 3), [GATEWAY, 1, -60]);
+  });
+});
+
+describe('GatewayCalibrationTool over MQTT', () => {
+  let broker;
+
+  before(async () => {
+    quietConsole();
+    broker = await startBroker();
+  });
+
+  after(() => broker.close());
+
+  async function record(tool, clock, gatewayMac, distance, messages) {
+    const recording = tool.recordAt(gatewayMac, distance);
+    await waitFor(() => tool.isRecording);
+    for (const [topic, payload] of messages) {
+      await broker.publish(topic, payload);
+    }
+    const expected = messages.filter(([, payload]) => payload.device_info.mac === gatewayMac)
+      .reduce((count, [, payload]) => count + payload.data.length, 0);
+    await waitFor(() => tool.recordings.length === expected);
+    await clock.advance(tool.window.duration);
+    return recording;
+  }
+
+  it('aggregates the windows of the target gateway and writes them to the workbook at the end of the session', async t => {
+    const dir = tempDir(t);
+    const clock = new ManualClock();
+    const tool = createSurveyTool(GatewayCalibrationTool, dir, { brokerUrl: broker.url, clock });
+    await tool.connect();
+    await tool.subscribe();
+    tool.openStore();
+    t.after(() => {
+      tool.closeStore();
+      tool.client.end(true);
+    });
+
+    const first = await record(tool, clock, GATEWAY, 1, [
+      ['gw/1', deviceInfo(GATEWAY, [['T1', -60]])],
+      ['gw/2', deviceInfo(OTHER_GATEWAY, [['T1', -40]])],
+      ['gw/1', deviceInfo(GATEWAY, [['T1', -62]])],
+      ['gw/1', deviceInfo(GATEWAY, [['T1', -64]])]
+    ]);
+    assert.equal(first, true);
+
+    const second = await record(tool, clock, GATEWAY, 2, [
+      ['gw/1', deviceInfo(GATEWAY, [['T1', -70]])],
+      ['gw/1', deviceInfo(GATEWAY, [['T1', -72]])]
+    ]);
+    assert.equal(second, true);
+    assert.equal(fs.existsSync(tool.outputPath()), false);
+
+    await tool.finishSession();
+    const { workbook, rows } = openSurveyWorkbook(tool.outputPath(), 'calibration');
+    const column = header => CALIBRATION_HEADERS.indexOf(header);
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows.slice(1).map(row => [row[column('Gateway MAC')], row[column('Distance (m)')], row[column('RSSI (dBm)')]]),
+      [[normalizeMac(GATEWAY), 1, -62], [normalizeMac(GATEWAY), 2, -71]]);
+    assert.deepEqual(rows.slice(1).map(row => row[column('Samples')]), [3, 2]);
+    assert.ok(rows.slice(1).every(row => row[column('Session ID')] === tool.sessionId));
+    assert.equal(readRows(workbook, SAMPLES_SHEET).length, 1 + 5);
+
+    const store = new SurveyStore(tool.dbFile);
+    t.after(() => store.close());
+    const measurements = store.measurements({ tool: 'gateway' });
+    assert.deepEqual(measurements.map(m => m.distance), [1, 2]);
+    assert.equal(store.samples(measurements[0].id).length, 3);
+  });
+
+  it('reports an empty window without writing the workbook', async t => {
+    const dir = tempDir(t);
+    const clock = new ManualClock();
+    const tool = createSurveyTool(GatewayCalibrationTool, dir, { brokerUrl: broker.url, clock });
+    await tool.connect();
+    await tool.subscribe();
+    tool.openStore();
+    t.after(() => {
+      tool.closeStore();
+      tool.client.end(true);
+    });
+
+    const ok = await record(tool, clock, GATEWAY, 1, [
+      ['gw/2', deviceInfo(OTHER_GATEWAY, [['T1', -40]])]
+    ]);
+
+    assert.equal(ok, false);
+    assert.equal(await tool.finishSession(), null);
+    assert.throws(() => openSurveyWorkbook(tool.outputPath(), 'calibration'), /Workbook not found/);
+  });
+});
+
+describe('GatewayCalibrationTool replay', () => {
+  before(() => quietConsole());
+
+  it('keeps a window invalidated during capture invalid', async t => {
+    const dir = tempDir(t);
+    const start = Date.UTC(2024, 0, 15, 9, 0, 0);
+    const reading = (ts, rssi) => ({ ts, topic: 'gw/1', payload: JSON.stringify(deviceInfo(GATEWAY, [['T1', rssi]])) });
+    const replayFile = path.join(dir, 'capture.jsonl');
+    fs.writeFileSync(replayFile, [
+      { ts: start, mark: 'window-start', label: `${GATEWAY}@1m` },
+      reading(start + 100, -60),
+      reading(start + 500, -62),
+      { ts: start + 800, mark: 'window-end', label: `${GATEWAY}@1m` },
+      { ts: start + 800, mark: 'window-invalid', label: `${GATEWAY}@1m`, reason: 'broker connection lost' },
+      { ts: start + 5000, mark: 'window-start', label: `${GATEWAY}@2m` },
+      reading(start + 5100, -70),
+      reading(start + 5500, -72),
+      { ts: start + 7000, mark: 'window-end', label: `${GATEWAY}@2m` }
+    ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+
+    const tool = createSurveyTool(GatewayCalibrationTool, dir, { replayFile });
+    await tool.connect();
+    await tool.subscribe();
+    tool.openStore();
+    t.after(() => tool.closeStore());
+
+    assert.equal(await tool.recordAt(GATEWAY, 1), false);
+    assert.equal(await tool.recordAt(GATEWAY, 2), true);
+
+    await tool.finishSession();
+    const { rows } = openSurveyWorkbook(tool.outputPath(), 'calibration');
+    assert.deepEqual(rows.slice(1).map(row => row[CALIBRATION_HEADERS.indexOf('Distance (m)')]), [2]);
+
+    const store = new SurveyStore(tool.dbFile);
+    t.after(() => store.close());
+    const measurements = store.measurements({ tool: 'gateway', includeInvalid: true });
+    assert.deepEqual(measurements.map(m => [m.distance, m.valid, m.reason]), [[1, 0, 'broker connection lost'], [2, 1, 'duration reached']]);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Test helpers: an in-process MQTT broker, a manual clock for recording
+ * windows, scripted prompts, collection tools wired to them, temporary
+ * directories and radio map fixtures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { Writable } = require('stream');
+const { mock } = require('node:test');
+const mqtt = require('mqtt');
+const XLSX = require('xlsx');
+const PayloadParser = require('../lib/parsers');
+const { resolveMqttOptions } = require('../lib/mqtt-connection');
+const { writeWorkbook, writeSchema, FINGERPRINT_HEADERS, FINGERPRINT_SHEET } = require('../lib/workbook');
+
+/**
+ * Start an aedes broker on a free local port, with a connected publisher.
+ * @returns {Promise<{url: string, publish: function, close: function}>}
+ */
+async function startBroker() {
+  const { Aedes } = await import('aedes');
+  const aedes = await Aedes.createBroker();
+  const server = net.createServer(socket => aedes.handle(socket));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+  const publisher = mqtt.connect(url, { clientId: `test-publisher-${process.pid}` });
+  await new Promise((resolve, reject) => {
+    publisher.once('connect', resolve);
+    publisher.once('error', reject);
+  });
+
+  return {
+    url,
+    // QoS 1, so the broker has the message once the promise resolves
+    publish(topic, payload) {
+      const message = typeof payload === 'string' || Buffer.isBuffer(payload) ? payload : JSON.stringify(payload);
+      return publisher.publishAsync(topic, message, { qos: 1 });
+    },
+    async close() {
+      await publisher.endAsync();
+      await new Promise(resolve => aedes.close(resolve));
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Clock whose sleeps only end when the test advances time.
+ */
+class ManualClock {
+  constructor(start = Date.UTC(2024, 0, 15, 9, 0, 0)) {
+    this.time = start;
+    this.sleepers = [];
+  }
+
+  now() {
+    return this.time;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.sleepers.push({ until: this.time + ms, resolve }));
+  }
+
+  /**
+   * Move time forward, waking every sleeper that comes due on the way and
+   * letting it run (and sleep again) before going further.
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+    while (true) {
+      await new Promise(resolve => setImmediate(resolve));
+      this.sleepers.sort((a, b) => a.until - b.until);
+      const next = this.sleepers[0];
+      if (!next || next.until > target) break;
+      this.sleepers.shift();
+      this.time = next.until;
+      next.resolve();
+    }
+    this.time = target;
+  }
+}
+
+/**
+ * Poll until `condition()` holds; fails after `timeoutMs`.
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * readline stand-in answering prompts from a script (then with empty answers).
+ */
+function scriptedPrompts(answers = []) {
+  const queue = answers.slice();
+  return {
+    prompts: [],
+    question(prompt, callback) {
+      this.prompts.push(prompt);
+      setImmediate(() => callback(queue.length > 0 ? queue.shift() : ''));
+    },
+    close() {}
+  };
+}
+
+/**
+ * Writable that discards progress output.
+ */
+function nullOutput() {
+  return new Writable({ write: (chunk, encoding, callback) => callback() });
+}
+
+/**
+ * Collection tool (gateway calibration or fingerprint) with a manual clock,
+ * scripted prompts, 2 s windows and its files in `dir`; the workbook is
+ * named after the tool's layout, e.g. calibration.xlsx.
+ * @param {function} Tool Tool class
+ * @param {string} dir
+ * @param {object} [options] Tool options, plus:
+ * @param {string} [options.brokerUrl] Broker to connect to (default: nothing listening)
+ * @param {string[]} [options.answers] Answers to the tool's prompts
+ */
+function createSurveyTool(Tool, dir, { brokerUrl = 'mqtt://127.0.0.1:1', answers, ...options } = {}) {
+  const tool = new Tool({
+    mqtt: resolveMqttOptions({ broker: brokerUrl }, {}),
+    clock: new ManualClock(),
+    rl: scriptedPrompts(answers),
+    output: nullOutput(),
+    parser: new PayloadParser(),
+    registryFile: path.join(dir, 'no-registry.json'),
+    offsetsFile: path.join(dir, 'rssi-offsets.json'),
+    dbFile: path.join(dir, 'survey.db'),
+    operator: 'tester',
+    replaySpeed: 0,
+    window: { duration: 2000 },
+    ...options
+  });
+  tool.outputFile = path.join(dir, `${tool.profile.layout}.xlsx`);
+  return tool;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rssi-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Silence console output of the tools for the rest of the test file.
+ */
+function quietConsole() {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+}
+
+/**
+ * mosquitto-client payload: { device_info: { mac }, data: [{ mac, rssi }] }
+ * @param {string} gatewayMac
+ * @param {Array<[string, number]>} readings [tag MAC, RSSI] pairs
+ */
+function deviceInfo(gatewayMac, readings) {
+  return {
+    device_info: { mac: gatewayMac },
+    data: readings.map(([mac, rssi]) => ({ mac, rssi }))
+  };
+}
+
+/**
+ * Write a current-schema fingerprint workbook into `dir`.
+ * @param {string} dir
+ * @param {string[]} gateways Gateway column headers
+ * @param {Array<Array>} rows Location ID, X, Y, Z, Session ID, Heading, Floor, Zone, then one RSSI per gateway
+ * @param {Object} [options]
+ * @param {string} [options.name='survey.xlsx']
+ * @param {function} [options.prepare] Called with the workbook before it is written
+ * @returns {string} Path of the workbook
+ */
+function writeFingerprintWorkbook(dir, gateways, rows, { name = 'survey.xlsx', prepare } = {}) {
+  const filePath = path.join(dir, name);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    [...FINGERPRINT_HEADERS, ...gateways],
+    ...rows
+  ]), FINGERPRINT_SHEET);
+  writeSchema(workbook, 'fingerprint');
+  if (prepare) prepare(workbook);
+  writeWorkbook(workbook, filePath);
+  return filePath;
+}
+
+/**
+ * Radio map point as loadRadioMap returns it, at z = 1 without labels
+ * unless `fields` sets them.
+ */
+function radioMapPoint(id, x, y, rssi, fields = {}) {
+  return { id, x, y, z: 1, floor: null, zone: null, heading: null, rssi, ...fields };
+}
+
+module.exports = {
+  startBroker,
+  ManualClock,
+  waitFor,
+  scriptedPrompts,
+  nullOutput,
+  createSurveyTool,
+  tempDir,
+  quietConsole,
+  deviceInfo,
+  writeFingerprintWorkbook,
+  radioMapPoint
+};
@@ -0,0 +1,181 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const RadioMapInterpolationTool = require('../tools/radio-map-interpolation-tool');
+const { RssiOffsets } = require('../lib/rssi-offsets');
+const { loadRadioMap } = require('../lib/radio-map');
+const { rssiAtDistance } = require('../lib/path-loss');
+const { denseGrid, RadioMapInterpolator } = require('../lib/interpolation');
+const { readRows, INTERPOLATED_SHEET, OFFSETS_SHEET, NOT_DETECTED } = require('../lib/workbook');
+const { tempDir, quietConsole, writeFingerprintWorkbook, radioMapPoint: point } = require('./helpers');
+
+const WEST = 'AA:00:00:00:00:01';
+const EAST = 'AA:00:00:00:00:02';
+
+// A 4 m corridor surveyed at its ends and middle
+const CORRIDOR = {
+  gateways: [WEST, EAST],
+  points: [
+    point('p1', 0, 0, { [WEST]: -50, [EAST]: -80 }),
+    point('p2', 2, 0, { [WEST]: -65, [EAST]: -65 }),
+    point('p3', 4, 0, { [WEST]: -80 })
+  ]
+};
+
+describe('denseGrid', () => {
+  it('leaves out cells next to a measured point or too far from all of them', () => {
+    const cells = denseGrid([point('a', 0, 0, {}), point('b', 4, 0, {}), point('c', 0, 4, {})], { spacing: 1, maxDistance: 2 });
+    const ids = cells.map(cell => cell.id);
+
+    assert.ok(ids.includes('cell-1-2'));
+    assert.ok(!ids.includes('cell-1-1'), 'cell at a measured point');
+    assert.ok(!ids.includes('cell-5-5'), 'cell 4 m from every point');
+    assert.ok(cells.every(cell => cell.nearest >= 0.5 && cell.nearest <= 2));
+  });
+
+  it('lays out every floor on its own and labels cells with the nearest zone', () => {
+    const cells = denseGrid([
+      point('a', 0, 0, {}, { floor: '1', zone: 'Lobby' }),
+      point('b', 2, 0, {}, { floor: '1', zone: 'Hall' }),
+      point('c', 0, 0, {}, { floor: '2', zone: 'Office' }),
+      point('d', 0, 2, {}, { floor: '2', zone: 'Office' })
+    ], { spacing: 0.5 });
+
+    assert.deepEqual(cells.filter(cell => cell.floor === '1').map(cell => [cell.x, cell.zone]), [[0.5, 'Lobby'], [1, 'Lobby'], [1.5, 'Hall']]);
+    assert.deepEqual(cells.filter(cell => cell.floor === '2').map(cell => cell.id), ['cell-2-2-1', 'cell-2-3-1', 'cell-2-4-1']);
+  });
+});
+
+describe('RadioMapInterpolator', () => {
+  it('weights the nearest points by inverse distance and reports their spread', () => {
+    const interpolator = new RadioMapInterpolator(CORRIDOR, { method: 'idw', neighbours: 2 });
+    const [cell] = interpolator.interpolate([{ id: 'c', x: 1, y: 0, z: 1, floor: null }]);
+
+    assert.equal(cell.rssi[WEST], -57.5);
+    assert.equal(cell.uncertainty[WEST], 7.5);
+    // EAST was not heard at p3; -100 does not reach the two nearest points here
+    assert.equal(cell.rssi[EAST], -72.5);
+  });
+
+  it('reports estimates below the weakest reading as not detected', () => {
+    const interpolator = new RadioMapInterpolator(CORRIDOR, { method: 'idw', neighbours: 2 });
+    const [cell] = interpolator.interpolate([{ id: 'c', x: 3, y: 0, z: 1, floor: null }]);
+
+    // Halfway between -65 and the missing -100, weaker than EAST's weakest -80
+    assert.equal(cell.rssi[EAST], null);
+    assert.equal(cell.rssi[WEST], -72.5);
+  });
+
+  it('follows the measurements near them and grows uncertain away from them', () => {
+    const interpolator = new RadioMapInterpolator(CORRIDOR, { method: 'gp', lengthScale: 2, noise: 0.5 });
+    const [near, far] = interpolator.interpolate([
+      { id: 'near', x: 0.1, y: 0, z: 1, floor: null },
+      { id: 'far', x: 2, y: 6, z: 1, floor: null }
+    ]);
+
+    assert.ok(Math.abs(near.rssi[WEST] - -50) < 1.5, `got ${near.rssi[WEST]}`);
+    assert.ok(near.uncertainty[WEST] < far.uncertainty[WEST]);
+  });
+
+  it('falls back to the path-loss model far from the measurements', () => {
+    const model = { txPower: -45, pathLossExponent: 2 };
+    const options = { models: { [WEST]: model }, positions: new Map([['aa0000000001', { x: -1, y: 0, z: 1 }]]) };
+    const far = { id: 'far', x: 2, y: 30, z: 1, floor: null };
+
+    const [gp] = new RadioMapInterpolator(CORRIDOR, { ...options, method: 'gp', lengthScale: 2 }).interpolate([far]);
+    const [fill] = new RadioMapInterpolator(CORRIDOR, { ...options, method: 'model' }).interpolate([far]);
+    const expected = rssiAtDistance(model, Math.sqrt(9 + 900));
+
+    assert.ok(Math.abs(fill.rssi[WEST] - expected) < 0.01);
+    assert.ok(Math.abs(gp.rssi[WEST] - expected) < 0.01);
+    // Only gateways with a model and a position are filled by the model
+    assert.deepEqual(Object.keys(fill.rssi), [WEST]);
+  });
+
+  it('rejects unknown methods', () => {
+    assert.throws(() => new RadioMapInterpolator(CORRIDOR, { method: 'spline' }), /Unknown interpolation method "spline"/);
+  });
+});
+
+describe('RadioMapInterpolationTool', () => {
+  before(() => quietConsole());
+
+  function writeSurvey(dir) {
+    return writeFingerprintWorkbook(dir, [`West (${WEST.replace(/:/g, '')})`, EAST], [
+      ['p1', 0, 0, 1, 1, '', '1', 'A', -50, -80],
+      ['p2', 4, 0, 1, 1, '', '1', 'B', -80, -50],
+      ['p3', 0, 4, 1, 1, '', '1', 'A', -60, NOT_DETECTED]
+    ]);
+  }
+
+  function createTool(dir, options = {}) {
+    return new RadioMapInterpolationTool({
+      modelFile: path.join(dir, 'none.json'),
+      registryFile: path.join(dir, 'none.json'),
+      offsetsFile: path.join(dir, 'none.json'),
+      spacing: 2,
+      maxDistance: 2.5,
+      neighbours: 2,
+      ...options,
+      workbookFile: options.workbookFile || writeSurvey(dir)
+    });
+  }
+
+  it('writes the cells next to the measurements, read only on request', async t => {
+    const dir = tempDir(t);
+    const tool = createTool(dir);
+    const result = await tool.run();
+
+    const rows = readRows(XLSX.readFile(tool.workbookFile), INTERPOLATED_SHEET);
+    assert.equal(rows[0][9], `West (${WEST.replace(/:/g, '')})`);
+    assert.deepEqual(rows.slice(1).map(row => row[0]), ['cell-1-1-2', 'cell-1-2-1', 'cell-1-2-3', 'cell-1-3-2']);
+    assert.equal(result.cells, 4);
+
+    const measured = loadRadioMap(tool.workbookFile);
+    assert.equal(measured.points.length, 3);
+
+    const dense = loadRadioMap(tool.workbookFile, { interpolated: true });
+    const cells = dense.points.filter(p => p.interpolated);
+    assert.equal(cells.length, 4);
+    assert.deepEqual(cells[0], {
+      id: 'cell-1-1-2', x: 2, y: 0, z: 1, floor: '1', zone: 'A', heading: null,
+      rssi: { [WEST]: -65, [EAST]: -65 }, interpolated: true, uncertainty: rows[1][7]
+    });
+
+    // Heading rows have no interpolated counterpart
+    assert.equal(loadRadioMap(tool.workbookFile, { interpolated: true, heading: 'each' }).points.length, 3);
+  });
+
+  it('writes to another workbook and leaves the survey untouched', async t => {
+    const dir = tempDir(t);
+    const output = path.join(dir, 'dense.xlsx');
+    const tool = createTool(dir, { outputFile: output });
+    await tool.run();
+
+    assert.ok(!XLSX.readFile(tool.workbookFile).SheetNames.includes(INTERPOLATED_SHEET));
+    assert.equal(loadRadioMap(output, { interpolated: true }).points.length, 7);
+  });
+
+  it('records the offsets of the cells and brings them to later offsets', async t => {
+    const dir = tempDir(t);
+    const offsetsFile = path.join(dir, 'offsets.json');
+    fs.writeFileSync(offsetsFile, JSON.stringify({ reference: WEST, gateways: { [EAST]: { offset: 2 } } }));
+    const tool = createTool(dir, { offsetsFile });
+    await tool.run();
+
+    const offsetRows = readRows(XLSX.readFile(tool.workbookFile), OFFSETS_SHEET);
+    assert.deepEqual(offsetRows.slice(1), [['interpolated', EAST, 2, WEST]]);
+
+    const cellAt = offsets => loadRadioMap(tool.workbookFile, { interpolated: true, offsets })
+      .points.find(p => p.id === 'cell-1-1-2');
+    const before = cellAt(RssiOffsets.load(offsetsFile));
+    const after = cellAt(new RssiOffsets({ reference: WEST, gateways: { [EAST]: { offset: 5 } } }));
+    assert.equal(after.rssi[EAST] - before.rssi[EAST], 3);
+
+    // Interpolating again without offsets drops the entries
+    await createTool(dir, { workbookFile: tool.workbookFile }).run();
+    assert.equal(readRows(XLSX.readFile(tool.workbookFile), OFFSETS_SHEET).length, 1);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LiveMonitor = require('../lib/live-monitor');
+
+const GATEWAY = 'AA:00:00:00:00:01';
+const OTHER = 'AA:00:00:00:00:02';
+const TAG = 'BB:00:00:00:00:01';
+const GONE = 'BB:00:00:00:00:02';
+
+function createMonitor() {
+  const monitor = new LiveMonitor({ staleMs: 10000, forgetMs: 60000 });
+  monitor.ingest({ gatewayMac: OTHER, readings: [{ mac: TAG, rssi: -70 }] }, 0);
+  monitor.ingest({ gatewayMac: GATEWAY, readings: [{ mac: GONE, rssi: -80 }] }, 0);
+  monitor.ingest({ gatewayMac: GATEWAY, readings: [{ mac: TAG, rssi: -60 }] }, 50000);
+  return monitor;
+}
+
+describe('LiveMonitor', () => {
+  it('lists a gateway that went silent as stale', () => {
+    const snapshot = createMonitor().snapshot(55000);
+
+    assert.deepEqual(snapshot.gateways.map(gateway => [gateway.mac, gateway.status]), [[GATEWAY, 'online'], [OTHER, 'stale']]);
+    assert.deepEqual(snapshot.matrix.cells.map(cell => [cell.gateway, cell.tag, cell.stale]),
+      [[OTHER, TAG, true], [GATEWAY, GONE, true], [GATEWAY, TAG, false]]);
+  });
+
+  it('forgets gateways and cells unheard for the forget window on every view', () => {
+    const monitor = createMonitor();
+
+    assert.deepEqual(monitor.gatewayList(65000).map(gateway => [gateway.mac, gateway.status]), [[GATEWAY, 'stale']]);
+    assert.deepEqual(monitor.matrix(65000).cells.map(cell => [cell.gateway, cell.tag, cell.stale]), [[GATEWAY, TAG, true]]);
+    assert.deepEqual([monitor.gateways.size, monitor.cells.size], [1, 1]);
+    assert.deepEqual(monitor.snapshot(120000).gateways, []);
+  });
+
+  it('refuses a forget window shorter than the stale window', () => {
+    assert.throws(() => new LiveMonitor({ staleMs: 20000, forgetMs: 10000 }), /forget window/);
+  });
+});
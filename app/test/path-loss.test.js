@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { fitPathLoss, rssiAtDistance, loadPathLossModels } = require('../lib/path-loss');
+const { tempDir } = require('./helpers');
+
+const points = (model, distances) => distances.map(distance => ({ distance, rssi: rssiAtDistance(model, distance) }));
+
+describe('fitPathLoss', () => {
+  it('recovers the parameters of a log-distance decay', () => {
+    const model = fitPathLoss(points({ txPower: -59, pathLossExponent: 2.2 }, [1, 2, 4, 8]));
+
+    assert.ok(Math.abs(model.txPower + 59) < 1e-9);
+    assert.ok(Math.abs(model.pathLossExponent - 2.2) < 1e-9);
+    assert.deepEqual(model.distances, [1, 2, 4, 8]);
+  });
+
+  it('rejects RSSI that gets stronger with distance', () => {
+    assert.throws(() => fitPathLoss([
+      { distance: 1, rssi: -70 },
+      { distance: 2, rssi: -68 },
+      { distance: 4, rssi: -66 }
+    ]), /exponent -0\.664 is not positive/);
+  });
+
+  it('rejects RSSI that does not change with distance', () => {
+    assert.throws(() => fitPathLoss(points({ txPower: -65, pathLossExponent: 0 }, [1, 3])), /not positive/);
+  });
+});
+
+describe('loadPathLossModels', () => {
+  it('refuses a model with a non-positive exponent', t => {
+    const file = path.join(tempDir(t), 'path-loss-model.json');
+    fs.writeFileSync(file, JSON.stringify({
+      gateways: {
+        AA0000000001: { txPower: -59, pathLossExponent: 2 },
+        AA0000000002: { txPower: -62, pathLossExponent: -0.369 }
+      }
+    }));
+
+    assert.throws(() => loadPathLossModels(file), /non-positive path-loss exponent for AA:00:00:00:00:02/);
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const PresenceTool = require('../tools/presence-tool');
+const PayloadParser = require('../lib/parsers');
+const GatewayRegistry = require('../lib/gateway-registry');
+const { thresholdsFromModel, classifyProximity, parseRules, PresenceEngine } = require('../lib/presence');
+const { tempDir, quietConsole, deviceInfo, waitFor } = require('./helpers');
+
+const DESK = 'AA:00:00:00:00:01';
+const DOOR = 'AA:00:00:00:00:02';
+const TAG = 'BB:00:00:00:00:01';
+const THRESHOLDS = { immediate: -50, near: -65, far: -80 };
+
+function createEngine(rules, options = {}) {
+  return new PresenceEngine({
+    thresholds: new Map([[DESK, THRESHOLDS]]),
+    rules: parseRules(rules),
+    smoothing: 1,
+    hysteresis: 4,
+    absentMs: 5000,
+    ...options
+  });
+}
+
+describe('proximity', () => {
+  it('places the thresholds where the path-loss model expects the boundaries', () => {
+    const thresholds = thresholdsFromModel({ txPower: -60, pathLossExponent: 2 }, { immediate: 1, near: 10, far: 100 });
+    assert.deepEqual(thresholds, { immediate: -60, near: -80, far: -100 });
+  });
+
+  it('moves closer at the boundary but away only past the hysteresis', () => {
+    assert.equal(classifyProximity(-64, THRESHOLDS, 'far', 4), 'near');
+    assert.equal(classifyProximity(-67, THRESHOLDS, 'near', 4), 'near');
+    assert.equal(classifyProximity(-70, THRESHOLDS, 'near', 4), 'far');
+    assert.equal(classifyProximity(-90, THRESHOLDS, 'immediate', 4), 'absent');
+  });
+
+  it('resolves rule gateways by registered name or MAC', () => {
+    const registry = new GatewayRegistry([{ mac: 'AA0000000001', name: 'Reception' }]);
+    const [rule] = parseRules([{ name: 'desk', gateway: 'reception', tags: 'bb0000000001', dwell: 2 }], registry);
+
+    assert.deepEqual(Array.from(rule.gateways), [DESK]);
+    assert.deepEqual(Array.from(rule.tags), [TAG]);
+    assert.equal(rule.proximity, 'near');
+    assert.equal(rule.dwellMs, 2000);
+    assert.throws(() => parseRules([{ name: 'x', gateway: 'Kitchen' }], registry), /unknown gateway "Kitchen"/);
+    assert.throws(() => parseRules([{ name: 'x', proximity: 'close' }]), /immediate, near or far/);
+  });
+});
+
+describe('PresenceEngine', () => {
+  it('emits enter, dwell and exit once per stay', () => {
+    const engine = createEngine([{ name: 'desk', proximity: 'near', dwell: 3 }]);
+
+    assert.deepEqual(engine.ingest(DESK, TAG, -75, 0), []);
+    const [enter] = engine.ingest(DESK, TAG, -60, 1000);
+    assert.equal(enter.event, 'enter');
+    assert.equal(enter.proximity, 'near');
+
+    assert.deepEqual(engine.tick(2000), []);
+    engine.ingest(DESK, TAG, -48, 3000);
+    const [dwell] = engine.tick(4000);
+    assert.deepEqual([dwell.event, dwell.duration], ['dwell', 3]);
+    assert.deepEqual(engine.tick(5000), []);
+
+    // Within the hysteresis of the near boundary: still present
+    assert.deepEqual(engine.ingest(DESK, TAG, -68, 6000), []);
+    const [exit] = engine.ingest(DESK, TAG, -72, 7000);
+    assert.deepEqual([exit.event, exit.proximity, exit.duration], ['exit', 'far', 6]);
+  });
+
+  it('exits a tag that is no longer heard', () => {
+    const engine = createEngine([{ name: 'desk' }]);
+    engine.ingest(DESK, TAG, -55, 0);
+
+    assert.deepEqual(engine.tick(4000), []);
+    const [exit] = engine.tick(5000);
+    assert.deepEqual([exit.event, exit.proximity, exit.duration], ['exit', 'absent', 5]);
+    assert.equal(engine.pairs.size, 0);
+  });
+
+  it('smooths readings per gateway and tag', () => {
+    const engine = createEngine([{ name: 'desk' }], { smoothing: 0.5 });
+    engine.ingest(DESK, TAG, -60, 0);
+
+    // A single weak reading only pulls the average to -68, within the hysteresis
+    assert.deepEqual(engine.ingest(DESK, TAG, -76, 1000), []);
+    assert.equal(engine.pairs.get(`${DESK}|${TAG}`).rssi, -68);
+  });
+
+  it('only applies rules to their gateways and tags, and skips gateways without thresholds', () => {
+    const engine = createEngine([{ name: 'other-tag', tags: ['BB0000000002'] }, { name: 'desk', gateway: DESK }]);
+
+    assert.deepEqual(engine.ingest(DESK, TAG, -55, 0).map(e => e.rule), ['desk']);
+    assert.deepEqual(engine.ingest(DOOR, TAG, -40, 0), []);
+    assert.deepEqual(Array.from(engine.unknownGateways), [DOOR]);
+  });
+});
+
+describe('PresenceTool', () => {
+  before(quietConsole);
+
+  async function startWebhook(t) {
+    const received = [];
+    const server = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        received.push({ url: request.url, body: JSON.parse(body) });
+        response.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}/presence`, received };
+  }
+
+  it('publishes events to MQTT and POSTs them to the webhook', async t => {
+    const dir = tempDir(t);
+    const rulesFile = path.join(dir, 'presence.yaml');
+    fs.writeFileSync(rulesFile, [
+      'smoothing: 1',
+      'absentAfter: 5',
+      'thresholds:',
+      '  AA0000000001: { immediate: -50, near: -65, far: -80 }',
+      'rules:',
+      '  - name: desk',
+      '    gateway: Reception'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'gateways.json'), JSON.stringify([{ mac: 'AA0000000001', name: 'Reception' }]));
+    const webhook = await startWebhook(t);
+
+    const tool = new PresenceTool({
+      modelFile: path.join(dir, 'no-model.json'),
+      rulesFile,
+      registryFile: path.join(dir, 'gateways.json'),
+      webhookUrl: webhook.url,
+      parser: new PayloadParser()
+    });
+    tool.configure();
+    let time = 0;
+    const published = [];
+    tool.client = { now: () => time, publish: (topic, message) => published.push({ topic, message: JSON.parse(message) }) };
+
+    const message = readings => Buffer.from(JSON.stringify(deviceInfo(DESK, readings)));
+    tool.handleMessage('gw/1', message([[TAG, -60]]));
+    time = 6000;
+    tool.handleMessage('gw/1', message([['BB0000000009', -90]]));
+    await tool.delivery;
+
+    assert.deepEqual(published.map(p => [p.topic, p.message.event]), [
+      ['presence/AA0000000001/BB0000000001', 'enter'],
+      ['presence/AA0000000001/BB0000000001', 'exit']
+    ]);
+    assert.equal(published[1].message.gatewayName, 'Reception');
+    assert.equal(published[1].message.since, new Date(0).toISOString());
+
+    // The events come back on a "#" subscription and are not taken for gateway messages
+    const echo = new PayloadParser();
+    assert.equal(echo.parse(published[0].topic, JSON.stringify(published[0].message)), null);
+    assert.equal(echo.failures, 0);
+    await waitFor(() => webhook.received.length === 2);
+    assert.deepEqual(webhook.received.map(r => [r.url, r.body.event, r.body.tag]), [
+      ['/presence', 'enter', TAG],
+      ['/presence', 'exit', TAG]
+    ]);
+  });
+
+  it('keeps going when the webhook fails', async t => {
+    const dir = tempDir(t);
+    const tool = new PresenceTool({
+      modelFile: path.join(dir, 'no-model.json'),
+      registryFile: path.join(dir, 'gateways.json'),
+      webhookUrl: 'http://127.0.0.1:1/presence',
+      parser: new PayloadParser()
+    });
+    tool.engine = createEngine([{ name: 'desk' }]);
+    tool.client = { now: () => 0, publish: () => {} };
+
+    tool.handleMessage('gw/1', Buffer.from(JSON.stringify(deviceInfo(DESK, [[TAG, -55]]))));
+    await tool.delivery;
+
+    assert.equal(tool.counts.enter, 1);
+    assert.equal(tool.counts.webhookFailures, 1);
+  });
+
+  it('needs thresholds from a model or the rules file', t => {
+    const dir = tempDir(t);
+    const tool = new PresenceTool({
+      modelFile: path.join(dir, 'no-model.json'),
+      registryFile: path.join(dir, 'gateways.json'),
+      parser: new PayloadParser()
+    });
+    assert.throws(() => tool.configure(), /No proximity thresholds/);
+  });
+});
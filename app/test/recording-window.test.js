@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveWindowOptions, evaluateWindow, isAdaptive, DEFAULT_DURATION, CI_MIN_DURATION
+} = require('../lib/recording-window');
+
+describe('resolveWindowOptions', () => {
+  it('keeps a fixed window by default', () => {
+    const window = resolveWindowOptions({});
+    assert.deepEqual([window.minDuration, window.duration, window.maxDuration], [DEFAULT_DURATION, DEFAULT_DURATION, DEFAULT_DURATION]);
+    assert.equal(isAdaptive(window), false);
+  });
+
+  it('lets a CI target end the window early without a minimum duration', () => {
+    const window = resolveWindowOptions({ ciTarget: 1 });
+    assert.equal(window.minDuration, CI_MIN_DURATION);
+    assert.equal(window.duration, DEFAULT_DURATION);
+
+    const steady = [Array(20).fill(-60), Array(20).fill(-70)];
+    assert.equal(evaluateWindow(CI_MIN_DURATION - 1000, steady, window).done, false);
+    const verdict = evaluateWindow(CI_MIN_DURATION, steady, window);
+    assert.equal(verdict.done, true);
+    assert.match(verdict.reason, /converged/);
+  });
+
+  it('caps the default duration at a maximum given alone', () => {
+    const window = resolveWindowOptions({ maxDuration: 30000 });
+    assert.deepEqual([window.minDuration, window.duration, window.maxDuration], [30000, 30000, 30000]);
+  });
+
+  it('raises the default duration to a minimum given alone', () => {
+    const window = resolveWindowOptions({ minDuration: 90000 });
+    assert.deepEqual([window.minDuration, window.duration, window.maxDuration], [90000, 90000, 90000]);
+  });
+
+  it('refuses bounds that contradict an explicit duration', () => {
+    assert.throws(() => resolveWindowOptions({ duration: 60000, maxDuration: 30000 }), /min <= duration <= max/);
+    assert.throws(() => resolveWindowOptions({ minDuration: 40000, maxDuration: 30000 }), /min <= duration <= max/);
+  });
+});
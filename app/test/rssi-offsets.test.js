@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeOffsets, RssiOffsets } = require('../lib/rssi-offsets');
+const { loadRadioMap } = require('../lib/radio-map');
+const { upsertOffsets, NOT_DETECTED } = require('../lib/workbook');
+const { tempDir, writeFingerprintWorkbook } = require('./helpers');
+
+const REFERENCE = 'AA:00:00:00:00:01';
+const LOUD = 'AA:00:00:00:00:02';
+const QUIET = 'AA:00:00:00:00:03';
+const SPARE = 'AA:00:00:00:00:04';
+
+const points = (...pairs) => pairs.map(([distance, rssi]) => ({ distance, rssi }));
+
+describe('computeOffsets', () => {
+  const byGateway = new Map([
+    [REFERENCE, points([1, -60], [1, -62], [2, -68])],
+    [LOUD, points([1, -57], [2, -65])],
+    [QUIET, points([1, -66])],
+    [SPARE, points([3, -70])]
+  ]);
+
+  it('brings every gateway to the reference over the shared distances', () => {
+    const { offsets, rejected } = computeOffsets(byGateway, { reference: 'aa0000000001' });
+
+    assert.deepEqual(offsets[LOUD], { offset: -3.5, distances: [1, 2], rows: 2 });
+    assert.deepEqual(offsets[QUIET], { offset: 5, distances: [1], rows: 1 });
+    assert.equal(offsets[REFERENCE].offset, 0);
+    assert.match(rejected[SPARE], /reference/);
+  });
+
+  it('uses only the requested distance', () => {
+    const { offsets } = computeOffsets(byGateway, { reference: REFERENCE, distance: 2 });
+
+    assert.deepEqual(Object.keys(offsets), [REFERENCE, LOUD]);
+    assert.equal(offsets[LOUD].offset, -3);
+  });
+
+  it('uses the median of all gateways without a reference', () => {
+    const { offsets, rejected } = computeOffsets(byGateway);
+
+    // At 1 m the levels are -61, -57 and -66: median -61
+    assert.equal(offsets[QUIET].offset, 5);
+    assert.equal(offsets[REFERENCE].distances.length, 2);
+    assert.match(rejected[SPARE], /no other gateway/);
+  });
+
+  it('rejects a reference without calibration rows', () => {
+    assert.throws(() => computeOffsets(byGateway, { reference: QUIET, distance: 2 }), /has no calibration rows at 2 m/);
+  });
+});
+
+describe('RssiOffsets', () => {
+  const offsets = new RssiOffsets({
+    reference: REFERENCE,
+    gateways: { [LOUD]: { offset: -3 }, [QUIET]: { offset: 5 } },
+    replacements: { [QUIET]: SPARE }
+  });
+
+  it('adds the offset of a gateway in any MAC notation', () => {
+    assert.equal(offsets.apply('aa-00-00-00-00-02', -60), -63);
+    assert.equal(offsets.apply(REFERENCE, -60), -60);
+  });
+
+  it('follows replacements to the unit in place', () => {
+    const chained = new RssiOffsets({ replacements: { [LOUD]: QUIET, [QUIET]: SPARE } });
+    assert.equal(chained.current(LOUD), SPARE);
+    assert.equal(chained.current(REFERENCE), REFERENCE);
+
+    const loop = new RssiOffsets({ replacements: { [LOUD]: QUIET, [QUIET]: LOUD } });
+    assert.throws(() => loop.current(LOUD), /loop/);
+  });
+
+  it('shifts the levels of a summary but not its spread', () => {
+    const stat = { mean: -70, value: -69, min: -75, max: -66, median: -69, p10: -74, p25: -72, p75: -68, p90: -67, std: 2 };
+    const shifted = offsets.applyToStats(QUIET, stat);
+    assert.equal(shifted.mean, -65);
+    assert.equal(shifted.p90, -62);
+    assert.equal(shifted.std, 2);
+  });
+});
+
+describe('loadRadioMap with offsets', () => {
+  // Session 1 recorded reported RSSI; session 2 applied the offsets of the day
+  function writeMap(dir) {
+    return writeFingerprintWorkbook(dir, [LOUD, QUIET], [
+      ['p1', 0, 0, 0, 1, '', '', '', -60, -70],
+      ['p2', 1, 0, 0, 2, '', '', '', -62, NOT_DETECTED]
+    ], { name: 'map.xlsx', prepare: workbook => upsertOffsets(workbook, 2, { [LOUD]: -2 }, REFERENCE) });
+  }
+
+  it('keeps the values as recorded without offsets', t => {
+    const map = loadRadioMap(writeMap(tempDir(t)));
+    assert.deepEqual(map.points.map(point => point.rssi), [{ [LOUD]: -60, [QUIET]: -70 }, { [LOUD]: -62 }]);
+  });
+
+  it('brings every session to the current offsets and reads replaced columns as the new unit', t => {
+    const offsets = new RssiOffsets({
+      reference: REFERENCE,
+      gateways: { [LOUD]: { offset: -3 }, [QUIET]: { offset: 5 } },
+      replacements: { [QUIET]: SPARE }
+    });
+    const map = loadRadioMap(writeMap(tempDir(t)), { offsets });
+
+    assert.deepEqual(map.gateways, [LOUD, SPARE]);
+    assert.deepEqual(map.points.map(point => point.rssi), [{ [LOUD]: -63, [SPARE]: -65 }, { [LOUD]: -63 }]);
+  });
+
+  it('takes recorded offsets back out when there are none now', t => {
+    const map = loadRadioMap(writeMap(tempDir(t)), { offsets: new RssiOffsets() });
+    assert.equal(map.points[1].rssi[LOUD], -60);
+  });
+});
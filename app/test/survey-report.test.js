@@ -0,0 +1,128 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const SurveyReportTool = require('../tools/survey-report-tool');
+const { assessFingerprints, gatewayCoverage } = require('../lib/survey-quality');
+const { rssiColour, escapeXml, RSSI_MIN, RSSI_MAX } = require('../lib/svg-charts');
+const {
+  writeWorkbook, writeSchema, CALIBRATION_HEADERS, CALIBRATION_SHEET, NOT_DETECTED
+} = require('../lib/workbook');
+const { tempDir, quietConsole, writeFingerprintWorkbook, radioMapPoint: point } = require('./helpers');
+
+const A = 'AA:00:00:00:00:01';
+const B = 'AA:00:00:00:00:02';
+const C = 'AA:00:00:00:00:03';
+
+describe('assessFingerprints', () => {
+  it('flags points that hear too few or only faint gateways', () => {
+    const [few, faint, fine] = assessFingerprints([
+      point('few', 0, 0, { [A]: -60, [B]: -70 }),
+      point('faint', 0, 2, { [A]: -90, [B]: -88, [C]: -92 }),
+      point('fine', 2, 0, { [A]: -55, [B]: -65, [C]: -75 })
+    ]);
+
+    assert.deepEqual([few.weak, faint.weak, fine.weak], [true, true, false]);
+    assert.deepEqual(few.problems, ['hears 2 gateways (< 3)']);
+    assert.deepEqual(faint.problems, ['strongest -88 dBm (< -85)']);
+    assert.equal(fine.strongest, -55);
+  });
+
+  it('flags distant points, and points on other floors, with look-alike fingerprints', () => {
+    const points = [
+      point('hall', 0, 0, { [A]: -60, [B]: -70, [C]: -80 }),
+      point('next', 1, 0, { [A]: -61, [B]: -70, [C]: -80 }),
+      point('far', 10, 0, { [A]: -62, [B]: -71, [C]: -80 }),
+      point('upstairs', 0, 0, { [A]: -80, [B]: -60, [C]: -60 }, { floor: '2' }),
+      point('other', 20, 0, { [A]: -81, [B]: -60, [C]: -61 })
+    ];
+    const byId = Object.fromEntries(assessFingerprints(points).map(a => [a.point.id, a]));
+
+    // "next" is within ambiguousDistance of "hall", which does not count
+    assert.equal(byId.hall.twin.point.id, 'far');
+    assert.equal(byId.hall.twin.distance, 10);
+    assert.equal(byId.upstairs.twin.point.id, 'other');
+    assert.equal(byId.upstairs.twin.distance, null);
+    assert.match(byId.upstairs.problems[0], /^looks like other on floor - /);
+
+    assert.equal(assessFingerprints(points, { ambiguousDb: 0.5 }).filter(a => a.twin).length, 0);
+  });
+
+  it('summarizes the coverage of every gateway', () => {
+    const map = { gateways: [A, B], points: [point('p1', 0, 0, { [A]: -60, [B]: -70 }), point('p2', 1, 0, { [A]: -50 })] };
+    assert.deepEqual(gatewayCoverage(map), [
+      { gateway: A, heard: 2, strongest: -50, median: -55 },
+      { gateway: B, heard: 1, strongest: -70, median: -70 }
+    ]);
+  });
+});
+
+describe('svg-charts', () => {
+  it('colours the ends of the RSSI range and clamps beyond them', () => {
+    assert.equal(rssiColour(RSSI_MIN), '#313695');
+    assert.equal(rssiColour(RSSI_MAX), '#a50026');
+    assert.equal(rssiColour(RSSI_MIN - 20), rssiColour(RSSI_MIN));
+    assert.equal(rssiColour(0), rssiColour(RSSI_MAX));
+  });
+
+  it('escapes markup in labels', () => {
+    assert.equal(escapeXml('<Lab "A" & \'B\'>'), '&lt;Lab &quot;A&quot; &amp; &#39;B&#39;&gt;');
+  });
+});
+
+describe('SurveyReportTool', () => {
+  before(() => quietConsole());
+
+  function writeSurvey(dir) {
+    return writeFingerprintWorkbook(dir, [A, B, C], [
+      ['p1', 0, 0, 1, 1, '', '', '', -50, -80, -70],
+      ['p2', 4, 0, 1, 1, '', '', '', -80, -50, NOT_DETECTED],
+      ['p3 <lobby>', 0, 4, 1, 1, '', '', '', -60, NOT_DETECTED, NOT_DETECTED]
+    ]);
+  }
+
+  function writeCalibration(dir) {
+    const filePath = path.join(dir, 'calibration.xlsx');
+    const workbook = XLSX.utils.book_new();
+    const row = (mac, distance, rssi) => [mac, distance, rssi, ...CALIBRATION_HEADERS.slice(3).map(() => '')];
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      CALIBRATION_HEADERS,
+      row(A, 1, -59),
+      row(A, 2, -66),
+      row(A, 4, -71),
+      row(B, 1, -60)
+    ]), CALIBRATION_SHEET);
+    writeSchema(workbook, 'calibration');
+    writeWorkbook(workbook, filePath);
+    return filePath;
+  }
+
+  it('writes a self-contained report next to the survey', async t => {
+    const dir = tempDir(t);
+    const tool = new SurveyReportTool({
+      workbookFile: writeSurvey(dir),
+      calibrationFile: writeCalibration(dir),
+      registryFile: path.join(dir, 'none.json')
+    });
+    const result = await tool.run();
+
+    assert.equal(result.outputFile, path.join(dir, 'survey-report.html'));
+    assert.deepEqual(result.weak, ['p2', 'p3 <lobby>']);
+    assert.equal(result.calibratedGateways, 2);
+
+    const html = fs.readFileSync(result.outputFile, 'utf8');
+    assert.ok(html.includes('<svg'));
+    assert.ok(html.includes('p3 &lt;lobby&gt;'));
+    assert.ok(html.includes(`${A}: TX power`));
+    assert.match(html, new RegExp(`Not fitted:.*${B}: At least two distinct distances`));
+    assert.ok(!html.includes('<script'));
+    assert.deepEqual(html.match(/https?:\/\/[^"]*/g).filter(url => url !== 'http://www.w3.org/2000/svg'), []);
+  });
+
+  it('rejects a workbook that was asked for but does not exist', async t => {
+    const dir = tempDir(t);
+    const tool = new SurveyReportTool({ workbookFile: path.join(dir, 'missing.xlsx') });
+    await assert.rejects(() => tool.run(), /Workbook not found: .*missing\.xlsx/);
+  });
+});
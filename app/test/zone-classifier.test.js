@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ZoneClassifier, ZoneTracker } = require('../lib/zone-classifier');
+const { radioMapPoint } = require('./helpers');
+
+const G1 = 'AA:00:00:00:00:01';
+const G2 = 'AA:00:00:00:00:02';
+const G3 = 'AA:00:00:00:00:03';
+
+const point = (id, x, y, z, floor, zone, rssi) => radioMapPoint(id, x, y, rssi, { z, floor, zone });
+
+// Two rooms on the ground floor, one room upstairs right above room "Lab"
+const POINTS = [
+  point('lab-1', 0, 0, 0, '0', 'Lab', { [G1]: -50, [G2]: -75, [G3]: -80 }),
+  point('lab-2', 2, 0, 0, '0', 'Lab', { [G1]: -54, [G2]: -72, [G3]: -80 }),
+  point('hall-1', 8, 0, 0, '0', 'Hall', { [G1]: -72, [G2]: -52, [G3]: -82 }),
+  point('hall-2', 10, 0, 0, '0', 'Hall', { [G1]: -76, [G2]: -50, [G3]: -84 }),
+  point('office-1', 0, 0, 3, '1', 'Office', { [G1]: -62, [G2]: -80, [G3]: -50 }),
+  point('office-2', 2, 0, 3, '1', 'Office', { [G1]: -64, [G2]: -78, [G3]: -53 })
+];
+
+describe('ZoneClassifier', () => {
+  const classifier = new ZoneClassifier(POINTS, { k: 3, positionK: 2 });
+
+  it('decides floor and zone before the coordinates', () => {
+    const result = classifier.classify({ [G1]: -52, [G2]: -74, [G3]: -80 });
+
+    assert.equal(result.floor, '0');
+    assert.equal(result.zone, 'Lab');
+    assert.deepEqual(result.neighbours.map(n => n.id).sort(), ['lab-1', 'lab-2']);
+    assert.ok(result.x >= 0 && result.x <= 2);
+    assert.equal(result.z, 0);
+  });
+
+  it('keeps the coordinates on the floor it decided on', () => {
+    const result = classifier.classify({ [G1]: -63, [G2]: -79, [G3]: -52 });
+
+    assert.equal(result.floor, '1');
+    assert.equal(result.zone, 'Office');
+    assert.ok(Math.abs(result.z - 3) < 1e-9);
+  });
+
+  it('scores the confidence as the share of the vote', () => {
+    const clear = classifier.classify({ [G1]: -50, [G2]: -75, [G3]: -80 });
+    // Between the lab and the hall
+    const boundary = classifier.classify({ [G1]: -63, [G2]: -62, [G3]: -81 });
+
+    assert.ok(clear.confidence > 0.9);
+    assert.equal(clear.confidence, clear.floorConfidence * clear.zoneConfidence);
+    assert.ok(boundary.zoneConfidence < 0.75);
+    assert.ok(boundary.confidence < clear.confidence);
+  });
+
+  it('lists the labels of the map', () => {
+    assert.deepEqual(classifier.floors, ['0', '1']);
+    assert.deepEqual(classifier.zones, ['Hall', 'Lab', 'Office']);
+    assert.equal(ZoneClassifier.isLabelled(POINTS), true);
+    assert.equal(ZoneClassifier.isLabelled(POINTS.map(p => ({ ...p, floor: null, zone: null }))), false);
+  });
+
+  it('returns null when no reference point shares a gateway', () => {
+    assert.equal(classifier.classify({}), null);
+    assert.equal(classifier.classify({ 'BB:00:00:00:00:09': -60 }), null);
+  });
+});
+
+describe('ZoneTracker', () => {
+  const lab = { floor: '0', zone: 'Lab', confidence: 0.9 };
+  const hall = { floor: '0', zone: 'Hall', confidence: 0.8 };
+
+  it('enters a zone after the dwell and leaves the previous one', () => {
+    const tracker = new ZoneTracker({ dwell: 2, minConfidence: 0.6 });
+
+    assert.deepEqual(tracker.update('T', lab, 1), []);
+    assert.deepEqual(tracker.update('T', lab, 2).map(e => [e.event, e.zone]), [['enter', 'Lab']]);
+    assert.deepEqual(tracker.update('T', lab, 3), []);
+
+    // A single classification in the hall is not enough
+    assert.deepEqual(tracker.update('T', hall, 4), []);
+    assert.deepEqual(tracker.update('T', lab, 5), []);
+    assert.deepEqual(tracker.update('T', hall, 6), []);
+    assert.deepEqual(tracker.update('T', hall, 7).map(e => [e.event, e.zone, e.timestamp]),
+      [['exit', 'Lab', 7], ['enter', 'Hall', 7]]);
+  });
+
+  it('ignores classifications below the minimum confidence', () => {
+    const tracker = new ZoneTracker({ dwell: 1, minConfidence: 0.85 });
+
+    assert.deepEqual(tracker.update('T', hall, 1), []);
+    assert.deepEqual(tracker.update('T', null, 2), []);
+    assert.equal(tracker.update('T', lab, 3)[0].event, 'enter');
+  });
+
+  it('exits the zone of a tag no longer heard', () => {
+    const tracker = new ZoneTracker({ dwell: 1 });
+    tracker.update('T', lab, 1);
+
+    assert.deepEqual(tracker.tracked(), ['T']);
+    assert.deepEqual(tracker.lost('T', 9), [{ event: 'exit', tag: 'T', floor: '0', zone: 'Lab', confidence: null, timestamp: 9 }]);
+    assert.deepEqual(tracker.tracked(), []);
+    assert.deepEqual(tracker.lost('T', 10), []);
+  });
+});
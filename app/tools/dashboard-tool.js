@@ -0,0 +1,228 @@
+/**
+ * Live Dashboard Tool
+ * Serves a local web page fed from the MQTT stream: every gateway with its
+ * last-seen time and message rate, and a gateway x tag matrix of smoothed
+ * RSSI with sparkline history. A tag filter (in the page or ?tags=) narrows
+ * the matrix so installers can walk the floor and watch the numbers react.
+ *
+ * HTTP API:
+ *   GET /                  dashboard page
+ *   GET /api/snapshot      gateways + matrix       (?tags=MAC,MAC)
+ *   GET /api/gateways      gateway list
+ *   GET /api/matrix        gateway x tag matrix    (?tags=MAC,MAC)
+ *   GET /api/events        Server-Sent Events, one "snapshot" event per interval (?tags=MAC,MAC)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const TagFilter = require('../lib/tag-filter');
+const LiveMonitor = require('../lib/live-monitor');
+const GatewayRegistry = require('../lib/gateway-registry');
+const { createParser } = require('../lib/parsers');
+const { createClient, describeSource } = require('../lib/mqtt-source');
+const { resolveMqttOptions, subscribeTopics, watchConnection } = require('../lib/mqtt-connection');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_REGISTRY = path.join(__dirname, '..', 'gateways.json');
+const PAGE_FILE = path.join(__dirname, '..', 'public', 'dashboard.html');
+
+class DashboardTool {
+  constructor(options = {}) {
+    this.client = null;
+    this.server = null;
+    this.port = options.port || DEFAULT_PORT;
+    this.host = options.host || '127.0.0.1';
+    this.intervalMs = options.intervalMs || 1000;
+    this.monitor = new LiveMonitor({
+      smoothing: options.smoothing,
+      historySize: options.historySize,
+      staleMs: options.staleMs,
+      forgetMs: options.forgetMs
+    });
+    this.registryFile = options.registryFile || DEFAULT_REGISTRY;
+    this.registry = GatewayRegistry.loadIfExists(this.registryFile);
+    this.durationMs = options.durationMs || null; // null = until Ctrl+C
+    this.replayFile = options.replayFile || null;
+    this.replaySpeed = options.replaySpeed;
+    this.parser = createParser(options.parserFile);
+    this.mqttOptions = options.mqtt || resolveMqttOptions();
+    this.streams = new Set(); // open SSE responses
+    this.ticker = null;
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      const source = {
+        mqtt: this.mqttOptions,
+        clientId: `dashboard-${Date.now()}`,
+        replayFile: this.replayFile,
+        replaySpeed: this.replaySpeed
+      };
+      this.client = createClient(source);
+      if (!this.replayFile) {
+        watchConnection(this.client);
+      }
+
+      this.client.once('connect', () => {
+        console.log(`✓ Connected to ${describeSource(source)}\n`);
+        resolve();
+      });
+
+      this.client.on('error', (error) => {
+        console.error('MQTT error:', error.message || error);
+        reject(error);
+      });
+
+      this.client.on('message', (topic, message) => {
+        this.handleMessage(topic, message);
+      });
+    });
+  }
+
+  subscribe() {
+    return subscribeTopics(this.client, this.mqttOptions);
+  }
+
+  now() {
+    return this.client && this.client.now ? this.client.now() : Date.now();
+  }
+
+  handleMessage(topic, message) {
+    const parsed = this.parser.parse(topic, message, this.now());
+    if (parsed) {
+      this.monitor.ingest(parsed, this.now());
+    }
+  }
+
+  snapshot(tagFilter) {
+    return this.monitor.snapshot(this.now(), this.registry, tagFilter);
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+
+  openStream(req, res, tagFilter) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    res.write(`retry: ${this.intervalMs * 2}\n\n`);
+
+    const stream = { res, tagFilter };
+    this.streams.add(stream);
+    this.push(stream);
+    req.on('close', () => this.streams.delete(stream));
+  }
+
+  push(stream) {
+    stream.res.write(`event: snapshot\ndata: ${JSON.stringify(this.snapshot(stream.tagFilter))}\n\n`);
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const tagFilter = new TagFilter(url.searchParams.get('tags') || undefined);
+
+    if (req.method !== 'GET') {
+      this.sendJson(res, 405, { error: 'Only GET is supported' });
+      return;
+    }
+
+    switch (url.pathname) {
+      case '/':
+      case '/index.html':
+        fs.readFile(PAGE_FILE, (err, html) => {
+          if (err) {
+            this.sendJson(res, 500, { error: `Cannot read ${PAGE_FILE}` });
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+          res.end(html);
+        });
+        return;
+      case '/api/snapshot':
+        this.sendJson(res, 200, this.snapshot(tagFilter));
+        return;
+      case '/api/gateways':
+        this.sendJson(res, 200, this.monitor.gatewayList(this.now(), this.registry));
+        return;
+      case '/api/matrix':
+        this.sendJson(res, 200, this.monitor.matrix(this.now(), tagFilter));
+        return;
+      case '/api/events':
+        this.openStream(req, res, tagFilter);
+        return;
+      default:
+        this.sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+    }
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        console.log(`✓ Dashboard at http://${this.host}:${this.port}/`);
+        resolve();
+      });
+    });
+  }
+
+  waitForShutdown() {
+    return new Promise(resolve => {
+      const stop = () => {
+        clearTimeout(timer);
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        resolve();
+      };
+      const timer = this.durationMs ? setTimeout(stop, this.durationMs) : null;
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+  }
+
+  async run() {
+    try {
+      console.log('=== Live Dashboard ===\n');
+      if (this.registry.size > 0) {
+        console.log(`Gateway registry: ${this.registryFile} (${this.registry.size} gateways)`);
+      }
+
+      await this.listen();
+      this.ticker = setInterval(() => this.streams.forEach(stream => this.push(stream)), this.intervalMs);
+
+      await this.connect();
+      await this.subscribe();
+
+      if (this.client.play) {
+        await this.client.play();
+        console.log('✓ Replay finished; the dashboard shows its final state.');
+      }
+      console.log(this.durationMs ? `Running for ${this.durationMs / 1000}s (Ctrl+C to stop early)\n` : 'Press Ctrl+C to stop.\n');
+      await this.waitForShutdown();
+    } finally {
+      clearInterval(this.ticker);
+      this.streams.forEach(stream => stream.res.end());
+      if (this.server) {
+        this.server.close();
+      }
+      if (this.client) {
+        this.client.end();
+      }
+      this.parser.printReport();
+    }
+  }
+}
+
+// Run if executed directly; same as "calib dashboard"
+if (require.main === module) {
+  require('../lib/cli').main(['dashboard', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = DashboardTool;
@@ -1,117 +1,152 @@
 /**
  * Fingerprint Collection Tool
  * Listens to MQTT RSSI data, records at specific locations for 1 minute,
- * averages readings from all gateways, and writes to Excel file
+ * aggregates readings from all gateways, and writes them to an Excel file
+ * when the session ends
  * Adapted for mosquitto-client message format
+ * Sessions can be scripted with a plan file (--plan <file> [--unattended])
+ * Raw traffic can be captured (--capture <file>) and replayed (--replay <file>)
+ * Gateway columns are labelled from a registry file (--gateways <file>)
+ * Other gateway message formats are handled by payload parsers (--parsers <file>)
+ * Broker topics, QoS, credentials and TLS are configurable (see lib/mqtt-connection.js);
+ * a broker drop during a recording invalidates that window, also when replayed
+ * (the session, window and plan handling is shared, see lib/recording-session.js)
+ * Every window, with its raw samples, is stored in a SQLite survey database
+ * (--db <file>), and the workbook is exported from it at the end of the
+ * session (see tools/survey-export-tool.js, also to export history)
+ * The workbook layout is versioned and checked when the session starts,
+ * before the first window (see lib/workbook.js);
+ * gateways that did not hear the tag at a location are marked "ND"
+ * Each location can be captured once per heading (--headings N,E,S,W): the
+ * operator rotates between windows, and the workbook keeps a row per heading
+ * plus the merged fingerprint (blank Heading)
+ * Plans can generate a survey grid with automatic location IDs (see
+ * lib/survey-grid.js); points already in the workbook are skipped, so an
+ * interrupted survey resumes where it stopped, and coverage is mapped in ASCII
+ * Per-gateway RSSI offsets (--offsets <file>, see tools/rssi-offset-tool.js)
+ * are stored with the session and added to the gateway columns and stats on
+ * export, and listed per session in the "RSSI Offsets" sheet; the Samples
+ * sheet and the database keep reported RSSI
+ * Locations can be labelled with a floor and zone (prompted, or from the plan
+ * or grid), which the zone classifier learns from (see lib/zone-classifier.js)
  */
 
-const mqtt = require('mqtt');
-const XLSX = require('xlsx');
-const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-
-const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883';
-const RECORDING_DURATION = 60 * 1000; // 1 minute in milliseconds
-
-class FingerprintCollectionTool {
-  constructor() {
-    this.client = null;
-    this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
+const fs = require('fs');
+const RecordingSession = require('../lib/recording-session');
+const { RssiOffsets } = require('../lib/rssi-offsets');
+const { parseHeadings } = require('../lib/plan');
+const { loadRadioMap } = require('../lib/radio-map');
+const { coverage, coverageCounts, coverageReport } = require('../lib/survey-grid');
+const { summarize } = require('../lib/rssi-stats');
+
+const DEFAULT_OFFSETS = path.join(__dirname, '..', 'rssi-offsets.json');
+const PROFILE = {
+  tool: 'fingerprint',
+  layout: 'fingerprint',
+  title: 'Fingerprint Collection Tool',
+  task: 'Record RSSI from all gateways at specified locations',
+  item: 'location',
+  data: 'fingerprint',
+  clientId: 'fingerprint-tool',
+  defaultOutput: path.join(__dirname, '..', 'fingerprint-collection-data.xlsx'),
+  defaultRegistry: path.join(__dirname, '..', 'gateways.json'),
+  defaultDb: path.join(__dirname, '..', 'survey.db')
+};
+
+class FingerprintCollectionTool extends RecordingSession {
+  constructor(options = {}) {
+    super(PROFILE, options);
     this.recordings = new Map(); // gatewayMac -> [rssi values]
-    this.isRecording = false;
-    this.recordingStartTime = null;
     this.currentLocationId = null;
     this.currentCoordinates = null;
-    this.outputFile = null;
     this.gatewayMacs = new Set();
+    this.lastFloor = null;
+    this.lastZone = null;
+    this.offsetsFile = options.offsetsFile || DEFAULT_OFFSETS;
+    this.offsets = RssiOffsets.loadIfExists(this.offsetsFile);
+    this.headings = parseHeadings(options.headings, '--headings');
   }
 
-  async connect() {
-    return new Promise((resolve, reject) => {
-      this.client = mqtt.connect(brokerUrl, {
-        clientId: `fingerprint-tool-${Date.now()}`
-      });
+  handleMessage(topic, message) {
+    if (!this.isRecording) return;
 
-      this.client.on('connect', () => {
-        console.log(`✓ Connected to MQTT broker: ${brokerUrl}\n`);
-        this.   client.subscribe('#', (err) => {
-          if (!err) {
-              console.log('📡 Subscribed to all topics');
-          } else {
-              console.error('❌ Subscription error:', err);
-          }
-      });
-        resolve();
-      });
+    // Any supported gateway format; unparseable messages go to the diagnostics log
+    const parsed = this.parser.parse(topic, message, this.now());
+    if (!parsed) return;
 
-      this.client.on('error', (error) => {
-        console.error('MQTT error:', error);
-        reject(error);
-      });
+    const { gatewayMac } = parsed;
+    this.heardGateways.add(gatewayMac);
 
-      this.client.on('message', (topic, message) => {
-        this.handleMessage(topic, message);
-      });
+    // Collect RSSI values from the target tag(s) detected by this gateway
+    parsed.readings.forEach(item => {
+      if (this.tagFilter.accept(item.mac)) {
+        this.gatewayMacs.add(gatewayMac);
+        if (!this.recordings.has(gatewayMac)) {
+          this.recordings.set(gatewayMac, []);
+        }
+
+        this.recordings.get(gatewayMac).push({
+          tagMac: item.mac,
+          rssi: item.rssi,
+          timestamp: this.now()
+        });
+      }
     });
   }
 
-  handleMessage(topic, message) {
-    if (!this.isRecording) return;
-
-    try {
-      const payload = JSON.parse(message.toString());
-      
-      // Parse mosquitto-client message format:
-      // { device_info: {mac: "..."}, data: [{mac: "...", rssi: ...}] }
-      // device_info.mac is the GATEWAY MAC
-      // data array contains tags/devices detected by that gateway
-      if (!payload.device_info || !payload.device_info.mac) return;
-      if (!Array.isArray(payload.data)) return;
-
-      const gatewayMac = payload.device_info.mac.toUpperCase();
-      this.gatewayMacs.add(gatewayMac);
-
-      // Collect RSSI values from all tags detected by this gateway
-      payload.data.forEach(item => {
-        const rssi = item.rssi;
-
-        if (typeof rssi === 'number') {
-          if (!this.recordings.has(gatewayMac)) {
-            this.recordings.set(gatewayMac, []);
-          }
-          
-          this.recordings.get(gatewayMac).push({
-            rssi,
-            timestamp: Date.now()
-          });
-        }
-      });
-    } catch (error) {
-      // Ignore parse errors
-    }
+  sessionOptions() {
+    return {
+      ...super.sessionOptions(),
+      headings: this.headings,
+      offsets: this.offsets.size > 0 ? this.offsets.toJSON() : null
+    };
   }
 
-  subscribe() {
-    // Subscribe to all topics (mosquitto-client format)
-    this.client.subscribe('#', (err) => {
-      if (err) {
-        console.error(`Error subscribing to topics:`, err);
-      } else {
-        console.log(`✓ Subscribed to all topics (#)`);
-      }
+  /**
+   * Raw readings of the current window, flattened across gateways.
+   */
+  samples() {
+    const samples = [];
+    this.recordings.forEach((values, gatewayMac) => {
+      values.forEach(value => samples.push({ gatewayMac, ...value }));
     });
+    return samples;
   }
 
-  question(prompt) {
-    return new Promise((resolve) => {
-      this.rl.question(prompt, resolve);
+  /**
+   * Store the window just recorded, valid or not, with its raw samples.
+   */
+  storeMeasurement(window, fields) {
+    this.store.touchGateways(Array.from(this.heardGateways), window.endedAt, this.registry);
+    return this.store.saveMeasurement({
+      sessionId: this.sessionId,
+      kind: 'location',
+      locationId: this.currentLocationId,
+      coordinates: this.currentCoordinates,
+      startedAt: window.startedAt,
+      endedAt: window.endedAt,
+      reason: window.reason,
+      samples: this.samples(),
+      ...fields
     });
   }
 
+  resetRecordings() {
+    this.recordings.clear();
+    this.gatewayMacs.clear();
+  }
+
+  sampleGroups() {
+    return Array.from(this.recordings.values()).map(values => values.map(v => v.rssi));
+  }
+
+  progress() {
+    const totalSamples = Array.from(this.recordings.values())
+      .reduce((sum, arr) => sum + arr.length, 0);
+    return `${totalSamples} samples, ${this.gatewayMacs.size} gateways`;
+  }
+
   async recordMeasurement() {
     console.log('\n=== Fingerprint Collection Recording ===\n');
 
@@ -142,216 +177,290 @@ class FingerprintCollectionTool {
       return false;
     }
 
-    console.log(`\nRecording RSSI from all gateways at location ${locationId} (${x}, ${y}, ${z})...`);
-    console.log('Recording for 1 minute. Please ensure device is at the specified location.\n');
+    // Floor and zone carry over to the next location; "-" clears them
+    this.lastFloor = await this.askLabel('floor', this.lastFloor);
+    this.lastZone = await this.askLabel('zone', this.lastZone);
 
-    // Reset recordings
-    this.recordings.clear();
-    this.gatewayMacs.clear();
-    this.isRecording = true;
-    this.currentLocationId = locationId.trim();
-    this.currentCoordinates = { x, y, z };
-    this.recordingStartTime = Date.now();
-
-    // Show progress
-    const progressInterval = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - this.recordingStartTime) / 1000);
-      const remaining = 60 - elapsed;
-      const totalSamples = Array.from(this.recordings.values())
-        .reduce((sum, arr) => sum + arr.length, 0);
-      if (remaining > 0) {
-        process.stdout.write(`\rRecording... ${elapsed}s / 60s (${totalSamples} samples, ${this.gatewayMacs.size} gateways)`);
+    return this.recordAt(locationId.trim(), { x, y, z, floor: this.lastFloor, zone: this.lastZone });
+  }
+
+  async askLabel(name, previous) {
+    const keep = previous ? `press Enter to keep "${previous}", - for none` : 'optional, press Enter for none';
+    const input = (await this.question(`Enter ${name} label (${keep}): `)).trim();
+    if (input === '-') return null;
+    return input || previous || null;
+  }
+
+  /**
+   * Record a location: one window, or one per heading plus their merged fingerprint.
+   * @param {string[]} [headings] Overrides the session headings for this location
+   */
+  async recordAt(locationId, coordinates, headings = this.headings) {
+    this.currentLocationId = locationId;
+    this.currentCoordinates = { ...coordinates };
+
+    if (headings.length === 0) {
+      const capture = await this.captureWindow(locationId, coordinates, null);
+      if (!capture) return false;
+      this.windowsWritten++;
+      return true;
+    }
+
+    const captures = [];
+    for (let i = 0; i < headings.length; i++) {
+      const heading = headings[i];
+      if (this.unattended) {
+        console.log(`\n↻ Heading ${heading} (${i + 1}/${headings.length})`);
+      } else {
+        await this.question(`\nRotate to heading ${heading} (${i + 1}/${headings.length}) and press Enter...`);
+      }
+
+      const capture = await this.captureWindow(locationId, coordinates, heading);
+      if (!capture) {
+        // A merged fingerprint with a heading missing would be biased; drop the whole location
+        if (captures.length > 0) {
+          this.store.invalidate(captures.map(c => c.measurementId), 'heading capture incomplete');
+        }
+        console.log(`⚠ Heading ${heading} failed; location ${locationId} not saved. Record all headings again.\n`);
+        return false;
       }
-    }, 1000);
+      captures.push(capture);
+    }
 
-    // Wait for 1 minute
-    await new Promise(resolve => setTimeout(resolve, RECORDING_DURATION));
+    this.mergeCaptures(captures);
+    this.windowsWritten++;
+    return true;
+  }
 
-    clearInterval(progressInterval);
-    this.isRecording = false;
+  /**
+   * Record one window at the current location.
+   * @returns {Promise<object|null>} The capture, or null when the window was invalid or empty
+   */
+  async captureWindow(locationId, coordinates, heading) {
+    await this.waitForConnection();
+
+    const facing = heading ? `, heading ${heading}` : '';
+    console.log(`\nRecording RSSI from all gateways at location ${locationId} ${describePlace(coordinates)}${facing}...`);
+    console.log(`Target tag: ${this.tagFilter.describe()}`);
+    console.log(`Recording for ${this.describeWindow()}. Please ensure device is at the specified location.\n`);
+
+    const recorded = await this.recordWindow(heading ? `${locationId} ${heading}` : locationId, { heading });
+    if (!recorded) {
+      return null;
+    }
+    const { result, window } = recorded;
 
     // Calculate averages per gateway
     if (this.recordings.size === 0) {
-      console.log('\n\n⚠ No RSSI readings received during recording period.');
-      console.log('Please check:');
-      console.log('  1. MQTT broker is running');
-      console.log('  2. Device is publishing RSSI data');
-      console.log('  3. Gateways are active\n');
-      return false;
+      this.rejectEmptyWindow(window, 'Gateways are active', { heading });
+      return null;
     }
 
-    const rssiReadings = {};
     const stats = {};
-
     this.recordings.forEach((values, gatewayMac) => {
-      const rssiValues = values.map(v => v.rssi);
-      const avgRssi = rssiValues.reduce((a, b) => a + b, 0) / rssiValues.length;
-      const minRssi = Math.min(...rssiValues);
-      const maxRssi = Math.max(...rssiValues);
-
-      rssiReadings[gatewayMac] = Math.round(avgRssi * 100) / 100;
-      stats[gatewayMac] = {
-        samples: rssiValues.length,
-        avg: avgRssi,
-        min: minRssi,
-        max: maxRssi
-      };
+      stats[gatewayMac] = summarize(values.map(v => v.rssi), this.statsOptions, result.elapsed);
     });
 
-    console.log(`\n\n✓ Recording complete!`);
+    console.log(`\n\n✓ Recording complete! (${Math.round(result.elapsed / 1000)}s, ${result.reason})`);
+    if (!result.enough) {
+      console.log(`   ⚠ Fewer than ${this.window.minGateways} gateways reached ${this.window.minSamples} samples`);
+    }
     console.log(`   Gateways detected: ${this.gatewayMacs.size}`);
-    Object.entries(stats).forEach(([mac, stat]) => {
-      console.log(`   ${mac}: ${stat.samples} samples, avg: ${stat.avg.toFixed(2)} dBm (${stat.min.toFixed(2)} to ${stat.max.toFixed(2)})`);
-    });
+    this.printStats(stats);
+    this.reportTags();
+    this.reportSilentGateways();
     console.log();
 
-    // Write to Excel
-    await this.writeToExcel(this.currentLocationId, this.currentCoordinates, rssiReadings);
+    const measurementId = this.storeMeasurement(window, {
+      note: result.enough ? null : `fewer than ${this.window.minGateways} gateways reached ${this.window.minSamples} samples`,
+      heading,
+      aggregates: stats
+    });
 
-    return true;
+    return {
+      measurementId,
+      heading,
+      samples: this.samples(),
+      startedAt: window.startedAt,
+      endedAt: window.endedAt,
+      elapsed: result.elapsed
+    };
   }
 
-  async writeToExcel(locationId, coordinates, rssiReadings) {
-    const filePath = this.outputFile || path.join(__dirname, '..', 'fingerprint-collection-data.xlsx');
+  /**
+   * Combine the heading windows of a location into one fingerprint: the
+   * samples of all headings are pooled per gateway and summarized again.
+   * @returns {number} Measurement ID of the merged fingerprint
+   */
+  mergeCaptures(captures) {
+    const pooled = new Map();
+    captures.forEach(capture => {
+      capture.samples.forEach(sample => {
+        if (!pooled.has(sample.gatewayMac)) {
+          pooled.set(sample.gatewayMac, []);
+        }
+        pooled.get(sample.gatewayMac).push(sample.rssi);
+      });
+    });
 
-    // Ensure directory exists
-    const dir = path.dirname(filePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+    const elapsed = captures.reduce((sum, capture) => sum + capture.elapsed, 0);
+    const stats = {};
+    pooled.forEach((values, gatewayMac) => {
+      stats[gatewayMac] = summarize(values, this.statsOptions, elapsed);
+    });
 
-    let workbook;
-    let worksheet;
-    let data;
-    let headers;
-
-    // Read existing file or create new
-    if (fs.existsSync(filePath)) {
-      workbook = XLSX.readFile(filePath);
-      const existingSheetName = workbook.SheetNames.find(name => 
-        name.toLowerCase().includes('fingerprint') || 
-        name.toLowerCase().includes('data')
-      ) || workbook.SheetNames[0] || 'Fingerprint Data';
-      
-      worksheet = workbook.Sheets[existingSheetName];
-      
-      // Read all data including empty cells, preserving all rows
-      data = XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1,
-        defval: '',  // Default value for empty cells
-        raw: false   // Convert values to strings/numbers
-      });
-      
-      headers = data[0] || [];
-      
-      // Ensure we have headers
-      if (data.length === 0 || headers.length === 0) {
-        headers = ['Location ID', 'X (m)', 'Y (m)', 'Z (m)'];
-        data = [headers];
-      }
-    } else {
-      workbook = XLSX.utils.book_new();
-      headers = ['Location ID', 'X (m)', 'Y (m)', 'Z (m)'];
-      data = [headers];
-    }
+    const headings = captures.map(capture => capture.heading).join(', ');
+    console.log(`✓ Merged fingerprint of headings ${headings}`);
+    this.printStats(stats);
+    console.log();
 
-    // Ensure all gateway columns exist in headers
-    const gatewayMacs = Array.from(this.gatewayMacs).sort();
-    gatewayMacs.forEach(mac => {
-      if (!headers.includes(mac)) {
-        headers.push(mac);
-      }
+    const window = {
+      startedAt: captures[0].startedAt,
+      endedAt: captures[captures.length - 1].endedAt,
+      reason: 'merged'
+    };
+    const measurementId = this.store.saveMeasurement({
+      sessionId: this.sessionId,
+      kind: 'location',
+      locationId: this.currentLocationId,
+      coordinates: this.currentCoordinates,
+      ...window,
+      samples: [],
+      children: captures.map(capture => capture.measurementId),
+      note: `merged headings ${headings}`,
+      aggregates: stats
     });
 
-    // Build new row
-    const newRow = [locationId, coordinates.x, coordinates.y, coordinates.z];
-    gatewayMacs.forEach(mac => {
-      newRow.push(rssiReadings[mac] || '');
+    return measurementId;
+  }
+
+  printStats(stats) {
+    Object.entries(stats).forEach(([mac, stat]) => {
+      console.log(`   ${this.registry.label(mac)}: ${stat.samples} samples (${stat.rejected} rejected), avg: ${stat.mean.toFixed(2)} dBm, ` +
+        `${stat.statistic}: ${stat.value.toFixed(2)} ± ${stat.std.toFixed(2)} dB (${stat.min.toFixed(2)} to ${stat.max.toFixed(2)})`);
     });
+  }
+
+  printOffsets() {
+    if (this.offsets.size > 0) {
+      console.log(`RSSI offsets: ${this.offsetsFile} (${this.offsets.size} gateways, reference ${this.offsets.reference || 'median'})`);
+    }
+  }
 
-    // Update header row if needed
-    if (data.length === 0 || data[0].length !== headers.length) {
-      data[0] = headers;
+  applyPlan(plan) {
+    super.applyPlan(plan);
+    if (plan.headings.length > 0) {
+      this.headings = plan.headings;
     }
+  }
 
-    // Append new row
-    data.push(newRow);
-
-    // Create new worksheet from updated data
-    const newWorksheet = XLSX.utils.aoa_to_sheet(data);
-    
-    // Set column widths
-    const colWidths = [
-      { wch: 15 }, // Location ID
-      { wch: 10 }, // X
-      { wch: 10 }, // Y
-      { wch: 10 }, // Z
-      ...gatewayMacs.map(() => ({ wch: 18 })) // RSSI columns (MAC addresses)
-    ];
-    newWorksheet['!cols'] = colWidths;
-
-    // Update or add sheet to workbook
-    const sheetName = 'Fingerprint Data';
-    if (workbook.SheetNames.includes(sheetName)) {
-      workbook.Sheets[sheetName] = newWorksheet;
-    } else {
-      XLSX.utils.book_append_sheet(workbook, newWorksheet, sheetName);
+  describePlan() {
+    if (this.registry.size > 0) {
+      console.log(`Gateway registry: ${this.registryFile} (${this.registry.size} gateways)`);
+    }
+    if (this.headings.length > 0) {
+      console.log(`Headings: ${this.headings.join(', ')}`);
     }
+  }
 
-    // Write file
-    XLSX.writeFile(workbook, filePath);
-    console.log(`✓ Data saved to: ${filePath} (${data.length - 1} total locations)\n`);
+  printSetup() {
+    this.printOffsets();
   }
 
-  async run() {
-    try {
-      console.log('=== Fingerprint Collection Tool ===\n');
-      console.log('This tool will:');
-      console.log('  1. Connect to MQTT broker');
-      console.log('  2. Record RSSI from all gateways at specified locations');
-      console.log('  3. Average readings over 1 minute');
-      console.log('  4. Save to Excel file\n');
-
-      const outputFileInput = await this.question(`Output file path (press Enter for default): `);
-      if (outputFileInput.trim()) {
-        this.outputFile = outputFileInput.trim();
-      }
+  runSteps(plan) {
+    return plan.grid ? this.runGrid(plan.grid) : super.runSteps(plan);
+  }
+
+  describeStep(step) {
+    return `location ${step.location} ${describePlace(step)}`;
+  }
+
+  stepName(step) {
+    return step.location;
+  }
 
-      await this.connect();
-      this.subscribe();
+  recordStep(step) {
+    return this.recordAt(step.location, placeOf(step), step.headings || this.headings);
+  }
 
-      console.log('\nReady to record fingerprint data.\n');
+  /**
+   * Status of every grid point against the output workbook.
+   */
+  gridCoverage(grid) {
+    const filePath = this.outputPath();
+    const recorded = fs.existsSync(filePath) ? loadRadioMap(filePath).points : [];
+    return coverage(grid.points, recorded);
+  }
 
-      while (true) {
-        const continueRecording = await this.question('Record another location? (y/n): ');
-        if (continueRecording.toLowerCase() !== 'y') {
-          break;
-        }
+  /**
+   * Walk the operator through the grid points not yet in the workbook.
+   * Failed points are marked for redoing and offered again at the end.
+   */
+  async runGrid(grid) {
+    const status = this.gridCoverage(grid);
+    const done = coverageCounts(status).done;
+    if (done > 0) {
+      console.log(`↻ Resuming: ${done}/${grid.points.length} grid points already in ${this.outputPath()}`);
+    }
+    const recordedElsewhere = grid.points.filter(point => status.get(point.location) === 'redo');
+    if (recordedElsewhere.length > 0) {
+      console.log(`⚠ Recorded at other coordinates than the grid: ${recordedElsewhere.map(point => point.location).join(', ')}`);
+    }
+
+    let queue = grid.points.filter(point => status.get(point.location) !== 'done');
+    while (queue.length > 0) {
+      const stopped = await this.walkGrid(grid, status, queue);
+      queue = grid.points.filter(point => status.get(point.location) === 'redo');
+      if (stopped || queue.length === 0 || this.unattended || this.client.exhausted) break;
+
+      const again = await this.question(`\nRedo ${queue.length} point(s) now? (y/n): `);
+      if (again.toLowerCase() !== 'y') break;
+    }
+
+    console.log(`\n${coverageReport(grid, status)}\n`);
+  }
 
-        await this.recordMeasurement();
+  /**
+   * @returns {Promise<boolean>} true when the operator stopped the survey
+   */
+  async walkGrid(grid, status, queue) {
+    for (let i = 0; i < queue.length; i++) {
+      const point = queue[i];
+      if (this.client.exhausted) {
+        console.log(`\n⚠ Replay ended before ${point.location}; stopping the survey.`);
+        return true;
       }
 
-      console.log('\n✓ Fingerprint collection session complete!');
-      console.log(`Data saved to: ${this.outputFile || path.join(__dirname, '..', 'fingerprint-collection-data.xlsx')}\n`);
+      console.log(`\n${coverageReport(grid, status, point.location)}`);
+      console.log(`\n=== Point ${i + 1}/${queue.length}: ${point.location} ${describePlace(point)} ===`);
 
-    } catch (error) {
-      console.error('\nError:', error.message);
-      process.exit(1);
-    } finally {
-      if (this.client) {
-        this.client.end();
+      if (!this.unattended) {
+        const answer = (await this.question('Press Enter when the tag is in position (s = skip, q = stop)...')).trim().toLowerCase();
+        if (answer === 'q') return true;
+        if (answer === 's') continue;
       }
-      this.rl.close();
+
+      const ok = await this.recordAt(point.location, placeOf(point));
+      status.set(point.location, ok ? 'done' : 'redo');
     }
+    return false;
   }
 }
 
-// Run if executed directly
+// Location of a plan step or grid point: coordinates plus floor and zone labels
+function placeOf({ x, y, z, floor = null, zone = null }) {
+  return { x, y, z, floor, zone };
+}
+
+function describePlace({ x, y, z, floor, zone }) {
+  const area = [floor ? `floor ${floor}` : null, zone].filter(Boolean).join(', ');
+  return `(${x}, ${y}, ${z})${area ? ` ${area}` : ''}`;
+}
+
+// Run if executed directly; same as "calib fingerprint"
 if (require.main === module) {
-  const tool = new FingerprintCollectionTool();
-  tool.run().catch(error => {
-    console.error('Fatal error:', error);
-    process.exit(1);
+  require('../lib/cli').main(['fingerprint', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
   });
 }
 
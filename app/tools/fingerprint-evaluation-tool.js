@@ -0,0 +1,262 @@
+/**
+ * Fingerprint Evaluation Tool
+ * Estimates how accurate a fingerprint radio map is before deployment:
+ * runs leave-one-out (or k-fold) kNN positioning over the recorded points,
+ * or positions a separate test workbook against the map, and reports the
+ * error per point. Results go to the console and to an "Evaluation" sheet.
+ * Multi-heading maps are evaluated on their merged fingerprints by default;
+ * --heading each (or a label such as N) evaluates the heading rows, and
+ * the other headings of a point's location are never used to position it.
+ * Both workbooks are brought to the same per-gateway RSSI offsets
+ * (--offsets <file>), so a test walk recorded after a gateway was replaced
+ * can be checked against the original map (see lib/rssi-offsets.js).
+ * Only measured points are evaluated and used: interpolated cells of the
+ * map are estimates derived from those very points.
+ */
+
+const path = require('path');
+const { loadRadioMap, MERGED } = require('../lib/radio-map');
+const { RssiOffsets } = require('../lib/rssi-offsets');
+const { estimatePosition, rankNeighbours } = require('../lib/knn');
+const { percentile } = require('../lib/rssi-stats');
+const { openSurveyWorkbook, backupWorkbook, setSheet, writeWorkbook } = require('../lib/workbook');
+
+const DEFAULT_MAP = path.join(__dirname, '..', 'fingerprint-collection-data.xlsx');
+const DEFAULT_OFFSETS = path.join(__dirname, '..', 'rssi-offsets.json');
+const EVALUATION_SHEET = 'Evaluation';
+
+function distance3d(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+function pointLabel(point) {
+  return point.heading ? `${point.id} (${point.heading})` : point.id;
+}
+
+// Heading rows of one location share its position; they must not position each other
+function sameLocation(a, b) {
+  return a === b || (a.id === b.id && Boolean(a.heading || b.heading));
+}
+
+class FingerprintEvaluationTool {
+  constructor(options = {}) {
+    this.mapFile = options.mapFile || DEFAULT_MAP;
+    this.testFile = options.testFile || null;
+    this.folds = options.folds || 0; // 0 = leave-one-out
+    this.method = options.method || 'wknn';
+    this.k = options.k || 3;
+    this.missingRssi = options.missingRssi === undefined ? -100 : options.missingRssi;
+    this.heading = options.heading || MERGED;
+    this.offsetsFile = options.offsetsFile || DEFAULT_OFFSETS;
+
+    if (!['knn', 'wknn'].includes(this.method)) {
+      throw new Error(`Unknown method "${this.method}" (expected knn or wknn)`);
+    }
+  }
+
+  describeMode() {
+    if (this.testFile) return `test workbook ${this.testFile}`;
+    return this.folds >= 2 ? `${this.folds}-fold cross-validation` : 'leave-one-out';
+  }
+
+  /**
+   * Pair every evaluated point with the reference points it may be compared to.
+   */
+  buildCases(map, testMap) {
+    if (testMap) {
+      return testMap.points.map(point => ({ point, training: map.points }));
+    }
+
+    if (this.folds >= 2) {
+      if (this.folds > map.points.length) {
+        throw new Error(`Cannot split ${map.points.length} points into ${this.folds} folds`);
+      }
+      const fold = new Map(map.points.map((point, index) => [point, index % this.folds]));
+      return map.points.map(point => ({
+        point,
+        training: map.points.filter(other => fold.get(other) !== fold.get(point) && !sameLocation(point, other))
+      }));
+    }
+
+    return map.points.map(point => ({
+      point,
+      training: map.points.filter(other => !sameLocation(point, other))
+    }));
+  }
+
+  evaluate(cases) {
+    const options = {
+      k: this.k,
+      weighted: this.method === 'wknn',
+      missingRssi: this.missingRssi
+    };
+
+    return cases.map(({ point, training }) => {
+      const estimate = estimatePosition(point.rssi, training, options);
+      if (!estimate) {
+        return { point, estimate: null, error: null, nearest: null, nearestError: null };
+      }
+
+      const nearest = rankNeighbours(point.rssi, training, options)[0].point;
+      return {
+        point,
+        estimate,
+        error: distance3d(point, estimate),
+        nearest,
+        nearestError: distance3d(point, nearest)
+      };
+    });
+  }
+
+  /**
+   * Flag points whose nearest neighbour in signal space is abnormally far away
+   * in physical space: above the upper Tukey fence of all such distances, and
+   * at least twice their median so that regular grids do not flag every diagonal.
+   */
+  flagOutliers(results) {
+    const values = results
+      .filter(r => r.nearestError !== null)
+      .map(r => r.nearestError)
+      .sort((a, b) => a - b);
+    if (values.length < 4) return null;
+
+    const q1 = percentile(values, 25);
+    const q3 = percentile(values, 75);
+    const fence = Math.max(q3 + 1.5 * (q3 - q1), 2 * percentile(values, 50));
+    results.forEach(r => {
+      r.flagged = r.nearestError !== null && r.nearestError > fence;
+    });
+    return fence;
+  }
+
+  summarize(results) {
+    const errors = results.filter(r => r.error !== null).map(r => r.error).sort((a, b) => a - b);
+    if (errors.length === 0) {
+      throw new Error('No point could be positioned; check that the map shares gateways with the test points');
+    }
+
+    return {
+      points: results.length,
+      positioned: errors.length,
+      mean: errors.reduce((a, b) => a + b, 0) / errors.length,
+      median: percentile(errors, 50),
+      p90: percentile(errors, 90),
+      max: errors[errors.length - 1]
+    };
+  }
+
+  writeEvaluationSheet(filePath, results, summary, fence) {
+    const round = value => (value === null || value === undefined ? '' : Math.round(value * 100) / 100);
+    const data = [
+      ['Mode', this.describeMode()],
+      ['Radio map', path.resolve(this.mapFile)],
+      ['Headings', this.heading],
+      ['Method', `${this.method} (k = ${this.k})`],
+      ['Points evaluated', summary.points],
+      ['Points positioned', summary.positioned],
+      ['Mean error (m)', round(summary.mean)],
+      ['Median error (m)', round(summary.median)],
+      ['P90 error (m)', round(summary.p90)],
+      ['Max error (m)', round(summary.max)],
+      ['NN outlier threshold (m)', round(fence)],
+      ['Evaluated at', new Date().toISOString()],
+      [],
+      ['Location ID', 'X (m)', 'Y (m)', 'Z (m)', 'Est. X (m)', 'Est. Y (m)', 'Est. Z (m)',
+        'Error (m)', 'Nearest Neighbour', 'NN Error (m)', 'Flagged']
+    ];
+
+    results.forEach(r => {
+      data.push([
+        pointLabel(r.point),
+        r.point.x,
+        r.point.y,
+        r.point.z,
+        r.estimate ? round(r.estimate.x) : '',
+        r.estimate ? round(r.estimate.y) : '',
+        r.estimate ? round(r.estimate.z) : '',
+        round(r.error),
+        r.nearest ? pointLabel(r.nearest) : '',
+        round(r.nearestError),
+        r.flagged ? 'YES' : ''
+      ]);
+    });
+
+    // Validates the layout; older workbooks are migrated, others rejected
+    const { workbook, migratedFrom } = openSurveyWorkbook(filePath, 'fingerprint');
+    if (migratedFrom) {
+      const backup = backupWorkbook(filePath, migratedFrom);
+      console.log(`↻ Migrated ${filePath} to the current workbook layout (original kept as ${backup})`);
+    }
+    setSheet(workbook, EVALUATION_SHEET, data, [
+      { wch: 24 }, // Location ID / labels
+      ...Array(7).fill({ wch: 10 }),
+      { wch: 18 }, // Nearest Neighbour
+      { wch: 12 }, // NN Error
+      { wch: 8 }   // Flagged
+    ]);
+
+    // Write file (atomically, so an interrupted write keeps the survey intact)
+    writeWorkbook(workbook, filePath);
+  }
+
+  printReport(results, summary, fence) {
+    console.log('Per-point error:');
+    results.forEach(r => {
+      if (!r.estimate) {
+        console.log(`   ${pointLabel(r.point)}: not positioned (no common gateways)`);
+        return;
+      }
+      const flag = r.flagged ? '  ⚠ nearest neighbour abnormally far' : '';
+      console.log(`   ${pointLabel(r.point)}: error ${r.error.toFixed(2)} m, nearest ${pointLabel(r.nearest)} (${r.nearestError.toFixed(2)} m)${flag}`);
+    });
+
+    console.log(`\nSummary (${summary.positioned}/${summary.points} points positioned):`);
+    console.log(`   Mean error:   ${summary.mean.toFixed(2)} m`);
+    console.log(`   Median error: ${summary.median.toFixed(2)} m`);
+    console.log(`   P90 error:    ${summary.p90.toFixed(2)} m`);
+    console.log(`   Max error:    ${summary.max.toFixed(2)} m`);
+
+    const flagged = results.filter(r => r.flagged);
+    if (fence !== null) {
+      console.log(`   Flagged points (NN error > ${fence.toFixed(2)} m): ${flagged.length > 0 ? flagged.map(r => pointLabel(r.point)).join(', ') : 'none'}`);
+    }
+  }
+
+  async run() {
+    console.log('=== Fingerprint Evaluation Tool ===\n');
+
+    const offsets = RssiOffsets.loadIfExists(this.offsetsFile);
+    const map = loadRadioMap(this.mapFile, { heading: this.heading, offsets });
+    const testMap = this.testFile ? loadRadioMap(this.testFile, { heading: this.heading, offsets }) : null;
+    if (map.points.length < 2) {
+      throw new Error(`At least two reference points are needed (found ${map.points.length})`);
+    }
+
+    console.log(`Radio map: ${this.mapFile} (${map.points.length} points, ${map.gateways.length} gateways)`);
+    if (offsets.size > 0) {
+      console.log(`RSSI offsets: ${this.offsetsFile} (${offsets.size} gateways, ${offsets.replacements.size} replaced)`);
+    }
+    console.log(`Mode: ${this.describeMode()}, method ${this.method}, k = ${this.k}, headings: ${this.heading}\n`);
+
+    const results = this.evaluate(this.buildCases(map, testMap));
+    const fence = this.flagOutliers(results);
+    const summary = this.summarize(results);
+
+    this.printReport(results, summary, fence);
+
+    const outputFile = this.testFile || this.mapFile;
+    this.writeEvaluationSheet(outputFile, results, summary, fence);
+    console.log(`\n✓ Evaluation sheet written to: ${outputFile}\n`);
+
+    return { results, summary };
+  }
+}
+
+// Run if executed directly; same as "calib evaluate"
+if (require.main === module) {
+  require('../lib/cli').main(['evaluate', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = FingerprintEvaluationTool;
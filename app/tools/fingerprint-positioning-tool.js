@@ -0,0 +1,288 @@
+/**
+ * Fingerprint Positioning Tool
+ * Loads the fingerprint radio map, listens to live MQTT RSSI data and
+ * estimates each tag's (x, y, z) with kNN or weighted kNN.
+ * Broker topics, QoS, credentials and TLS are configurable (see lib/mqtt-connection.js).
+ * Every estimate is published back to MQTT with its nearest reference points.
+ * Multi-heading maps use their merged fingerprints unless --heading selects
+ * "each" heading row or a single heading (see lib/radio-map.js).
+ * Per-gateway RSSI offsets (--offsets <file>) are added to live readings and
+ * the radio map is brought to the same offsets; map columns of replaced
+ * gateways are matched with their replacement (see lib/rssi-offsets.js).
+ * Maps with floor and zone labels are classified floor first, then zone,
+ * then coordinates within the zone (see lib/zone-classifier.js); estimates
+ * then carry floor, zone and confidence, and zone entry and exit events are
+ * published to --zone-topic.
+ * Interpolated cells of the map (see tools/radio-map-interpolation-tool.js)
+ * are used as reference points too, unless --measured-only.
+ */
+
+const path = require('path');
+const TagFilter = require('../lib/tag-filter');
+const RssiTracker = require('../lib/rssi-tracker');
+const { normalizeMac } = require('../lib/mac');
+const { RssiOffsets } = require('../lib/rssi-offsets');
+const { createParser } = require('../lib/parsers');
+const { loadRadioMap, MERGED } = require('../lib/radio-map');
+const { estimatePosition } = require('../lib/knn');
+const { ZoneClassifier, ZoneTracker } = require('../lib/zone-classifier');
+const { createClient, describeSource } = require('../lib/mqtt-source');
+const { resolveMqttOptions, subscribeTopics, watchConnection } = require('../lib/mqtt-connection');
+
+const DEFAULT_MAP = path.join(__dirname, '..', 'fingerprint-collection-data.xlsx');
+const DEFAULT_OFFSETS = path.join(__dirname, '..', 'rssi-offsets.json');
+const DEFAULT_TOPIC = 'positioning/fingerprint/{tag}';
+const DEFAULT_ZONE_TOPIC = 'positioning/zones/{tag}';
+
+function describeArea({ floor, zone }) {
+  return [floor ? `floor ${floor}` : null, zone || null].filter(Boolean).join(', ') || 'unlabelled';
+}
+
+class FingerprintPositioningTool {
+  constructor(options = {}) {
+    this.client = null;
+    this.mapFile = options.mapFile || DEFAULT_MAP;
+    this.method = options.method || 'wknn';
+    this.k = options.k || 3;
+    this.missingRssi = options.missingRssi === undefined ? -100 : options.missingRssi;
+    this.heading = options.heading || MERGED;
+    this.offsetsFile = options.offsetsFile || DEFAULT_OFFSETS;
+    this.offsets = null;
+    this.measuredOnly = Boolean(options.measuredOnly); // skip the interpolated cells of the map
+    this.topicTemplate = options.topic || DEFAULT_TOPIC;
+    this.zoneTopicTemplate = options.zoneTopic || DEFAULT_ZONE_TOPIC;
+    this.zoneK = options.zoneK || 5;
+    this.zoneTracker = new ZoneTracker({ minConfidence: options.minConfidence, dwell: options.zoneDwell });
+    this.classifier = null;
+    this.intervalMs = options.intervalMs || 1000;
+    this.tracker = new RssiTracker({ windowMs: options.windowMs });
+    this.tagFilter = new TagFilter(options.tagMacs);
+    this.durationMs = options.durationMs || null; // null = until Ctrl+C
+    this.onRecord = options.onRecord || null;
+    this.replayFile = options.replayFile || null;
+    this.replaySpeed = options.replaySpeed;
+    this.parser = createParser(options.parserFile);
+    this.mqttOptions = options.mqtt || resolveMqttOptions();
+    this.radioMap = null;
+    this.lastEstimateTime = 0;
+    this.published = 0;
+    this.zoneEvents = 0;
+
+    if (!['knn', 'wknn'].includes(this.method)) {
+      throw new Error(`Unknown method "${this.method}" (expected knn or wknn)`);
+    }
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      const source = {
+        mqtt: this.mqttOptions,
+        clientId: `fingerprint-positioning-${Date.now()}`,
+        replayFile: this.replayFile,
+        replaySpeed: this.replaySpeed
+      };
+      this.client = createClient(source);
+      if (!this.replayFile) {
+        watchConnection(this.client);
+      }
+
+      this.client.once('connect', () => {
+        console.log(`✓ Connected to ${describeSource(source)}\n`);
+        resolve();
+      });
+
+      this.client.on('error', (error) => {
+        console.error('MQTT error:', error.message || error);
+        reject(error);
+      });
+
+      this.client.on('message', (topic, message) => {
+        this.handleMessage(topic, message);
+      });
+    });
+  }
+
+  subscribe() {
+    // Configured topic filters (default: all topics)
+    return subscribeTopics(this.client, this.mqttOptions);
+  }
+
+  now() {
+    return this.client && this.client.now ? this.client.now() : Date.now();
+  }
+
+  handleMessage(topic, message) {
+    const parsed = this.parser.parse(topic, message, this.now());
+    if (!parsed) return;
+
+    const now = this.now();
+    const gatewayMac = normalizeMac(parsed.gatewayMac);
+    parsed.readings.forEach(item => {
+      if (this.tagFilter.accept(item.mac)) {
+        this.tracker.add(normalizeMac(item.mac), gatewayMac, this.offsets.apply(gatewayMac, item.rssi), now);
+      }
+    });
+
+    // Estimates are paced by message time so replays behave like live data
+    if (now - this.lastEstimateTime >= this.intervalMs) {
+      this.lastEstimateTime = now;
+      this.estimateAll(now);
+    }
+  }
+
+  estimateAll(now) {
+    this.tracker.prune(now);
+
+    const heard = this.tracker.tags();
+    heard.forEach(tagMac => {
+      const vector = this.tracker.vector(tagMac);
+      const estimate = this.classifier
+        ? this.classifier.classify(vector)
+        : estimatePosition(vector, this.radioMap.points, {
+          k: this.k,
+          weighted: this.method === 'wknn',
+          missingRssi: this.missingRssi
+        });
+
+      if (estimate) {
+        this.publish(tagMac, estimate, vector, now);
+      }
+      if (this.classifier) {
+        this.zoneTracker.update(tagMac, estimate, now).forEach(event => this.publishZoneEvent(event));
+      }
+    });
+
+    this.zoneTracker.tracked()
+      .filter(tagMac => !heard.includes(tagMac))
+      .forEach(tagMac => {
+        this.zoneTracker.lost(tagMac, now).forEach(event => this.publishZoneEvent(event));
+      });
+  }
+
+  publish(tagMac, estimate, vector, now) {
+    const round = value => Math.round(value * 100) / 100;
+    const topic = this.topicTemplate.replace('{tag}', tagMac.replace(/:/g, ''));
+    const message = {
+      tag: tagMac,
+      x: round(estimate.x),
+      y: round(estimate.y),
+      z: round(estimate.z),
+      method: this.method,
+      k: this.k,
+      neighbours: estimate.neighbours.map(n => ({ location: n.id, distance: round(n.distance) })),
+      gateways: Object.keys(vector).length,
+      timestamp: new Date(now).toISOString()
+    };
+    if (this.classifier) {
+      Object.assign(message, {
+        floor: estimate.floor,
+        zone: estimate.zone,
+        confidence: round(estimate.confidence),
+        floorConfidence: round(estimate.floorConfidence),
+        zoneConfidence: round(estimate.zoneConfidence)
+      });
+    }
+
+    this.client.publish(topic, JSON.stringify(message));
+    this.published++;
+    if (this.onRecord) {
+      this.onRecord({ type: 'estimate', ...message });
+    }
+
+    const nearest = message.neighbours.map(n => `${n.location} (${n.distance} dB)`).join(', ');
+    const area = this.classifier
+      ? ` [${describeArea(message)}, ${Math.round(message.confidence * 100)}%]`
+      : '';
+    console.log(`📍 ${tagMac} → (${message.x}, ${message.y}, ${message.z})${area} via ${nearest}`);
+  }
+
+  publishZoneEvent(event) {
+    const topic = this.zoneTopicTemplate.replace('{tag}', event.tag.replace(/:/g, ''));
+    const message = {
+      ...event,
+      confidence: event.confidence === null ? null : Math.round(event.confidence * 100) / 100,
+      timestamp: new Date(event.timestamp).toISOString()
+    };
+
+    // Retained, so a subscriber joining later sees the zone a tag is in
+    this.client.publish(topic, JSON.stringify(message), { retain: true });
+    this.zoneEvents++;
+    if (this.onRecord) {
+      this.onRecord({ type: 'zone', ...message });
+    }
+
+    const arrow = event.event === 'enter' ? '→' : '←';
+    console.log(`🚪 ${event.tag} ${arrow} ${event.event} ${describeArea(event)}`);
+  }
+
+  waitForShutdown() {
+    return new Promise(resolve => {
+      const stop = () => {
+        clearTimeout(timer);
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        resolve();
+      };
+      const timer = this.durationMs ? setTimeout(stop, this.durationMs) : null;
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+  }
+
+  async run() {
+    try {
+      console.log('=== Fingerprint Positioning Tool ===\n');
+
+      this.offsets = RssiOffsets.loadIfExists(this.offsetsFile);
+      if (this.offsets.size > 0 || this.offsets.replacements.size > 0) {
+        console.log(`✓ Loaded RSSI offsets of ${this.offsets.size} gateways (${this.offsets.replacements.size} replaced) from ${this.offsetsFile}`);
+      }
+      this.radioMap = loadRadioMap(this.mapFile, { heading: this.heading, offsets: this.offsets, interpolated: !this.measuredOnly });
+      if (this.radioMap.points.length === 0) {
+        throw new Error(`No reference points found in ${this.mapFile}`);
+      }
+      const cells = this.radioMap.points.filter(point => point.interpolated).length;
+      console.log(`✓ Loaded ${this.radioMap.points.length} reference points${cells > 0 ? ` (${cells} interpolated)` : ''} ` +
+        `and ${this.radioMap.gateways.length} gateways from ${this.mapFile}`);
+      console.log(`Method: ${this.method}, k = ${this.k}, headings: ${this.heading}, tags: ${this.tagFilter.describe()}`);
+      if (ZoneClassifier.isLabelled(this.radioMap.points)) {
+        this.classifier = new ZoneClassifier(this.radioMap.points, {
+          k: this.zoneK,
+          positionK: this.k,
+          weighted: this.method === 'wknn',
+          missingRssi: this.missingRssi
+        });
+        console.log(`Floors: ${this.classifier.floors.join(', ') || '-'}; zones: ${this.classifier.zones.join(', ') || '-'} ` +
+          `(vote k = ${this.zoneK}, min confidence ${this.zoneTracker.minConfidence}, dwell ${this.zoneTracker.dwell})`);
+        console.log(`Publishing zone events to: ${this.zoneTopicTemplate}`);
+      }
+      console.log(`Publishing estimates to: ${this.topicTemplate}\n`);
+
+      await this.connect();
+      await this.subscribe();
+
+      if (this.client.play) {
+        await this.client.play();
+      } else {
+        console.log(this.durationMs ? `Running for ${this.durationMs / 1000}s (Ctrl+C to stop early)\n` : 'Press Ctrl+C to stop.\n');
+        await this.waitForShutdown();
+      }
+
+      console.log(`\n✓ Positioning stopped (${this.published} estimates, ${this.zoneEvents} zone events published)`);
+    } finally {
+      if (this.client) {
+        this.client.end();
+      }
+      this.parser.printReport();
+    }
+  }
+}
+
+// Run if executed directly; same as "calib position"
+if (require.main === module) {
+  require('../lib/cli').main(['position', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = FingerprintPositioningTool;
@@ -1,114 +1,149 @@
 /**
  * Gateway Calibration Tool
  * Listens to MQTT RSSI data, records at specific distances for 1 minute,
- * averages readings, and writes to Excel file
+ * averages readings, and writes them to an Excel file when the session ends
  * Adapted for mosquitto-client message format
+ * Sessions can be scripted with a plan file (--plan <file> [--unattended])
+ * Raw traffic can be captured (--capture <file>) and replayed (--replay <file>)
+ * Gateways are labelled and validated from a registry file (--gateways <file>)
+ * Other gateway message formats are handled by payload parsers (--parsers <file>)
+ * Broker topics, QoS, credentials and TLS are configurable (see lib/mqtt-connection.js);
+ * a broker drop during a recording invalidates that window, also when replayed
+ * (the session, window and plan handling is shared, see lib/recording-session.js)
+ * Every window, with its raw samples, is stored in a SQLite survey database
+ * (--db <file>), and the workbook is exported from it at the end of the
+ * session (see tools/survey-export-tool.js, also to export history)
+ * The workbook layout is versioned and checked when the session starts,
+ * before the first window (see lib/workbook.js)
+ * Recording every gateway at the same distance gives the per-unit RSSI
+ * offsets (see tools/rssi-offset-tool.js)
  */
 
-const mqtt = require('mqtt');
-const XLSX = require('xlsx');
-const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-
-const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883';
-const RECORDING_DURATION = 60 * 1000; // 1 minute in milliseconds
-
-class GatewayCalibrationTool {
-  constructor() {
-    this.client = null;
-    this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
+const RecordingSession = require('../lib/recording-session');
+const { normalizeMac } = require('../lib/mac');
+const { summarize } = require('../lib/rssi-stats');
+
+const PROFILE = {
+  tool: 'gateway',
+  layout: 'calibration',
+  title: 'Gateway Calibration Tool',
+  task: 'Record RSSI at specified distances',
+  item: 'measurement',
+  data: 'calibration',
+  clientId: 'calibration-tool',
+  defaultOutput: path.join(__dirname, '..', 'gateway-calibration-data.xlsx'),
+  defaultRegistry: path.join(__dirname, '..', 'gateways.json'),
+  defaultDb: path.join(__dirname, '..', 'survey.db')
+};
+
+class GatewayCalibrationTool extends RecordingSession {
+  constructor(options = {}) {
+    super(PROFILE, options);
     this.recordings = [];
-    this.isRecording = false;
-    this.recordingStartTime = null;
     this.currentGatewayMac = null;
     this.currentDistance = null;
-    this.outputFile = null;
   }
 
-  async connect() {
-    return new Promise((resolve, reject) => {
-      this.client = mqtt.connect(brokerUrl, {
-        clientId: `calibration-tool-${Date.now()}`
-      });
-
-      this.client.on('connect', () => {
-        console.log(`✓ Connected to MQTT broker: ${brokerUrl}\n`);
-        resolve();
-      });
+  handleMessage(topic, message) {
+    if (!this.isRecording) return;
 
-      this.client.on('error', (error) => {
-        console.error('MQTT error:', error);
-        reject(error);
-      });
+    // Any supported gateway format; unparseable messages go to the diagnostics log
+    const parsed = this.parser.parse(topic, message, this.now());
+    if (!parsed) return;
+
+    const { gatewayMac } = parsed;
+    this.heardGateways.add(gatewayMac);
+
+    // Only process messages from the target gateway
+    if (normalizeMac(gatewayMac) !== normalizeMac(this.currentGatewayMac)) return;
+
+    // Collect RSSI values from the target tag(s) detected by this gateway
+    parsed.readings.forEach(item => {
+      if (this.tagFilter.accept(item.mac)) {
+        this.recordings.push({
+          gatewayMac,
+          tagMac: item.mac,
+          rssi: item.rssi,
+          timestamp: this.now()
+        });
+      }
+    });
+  }
 
-      this.client.on('message', (topic, message) => {
-        this.handleMessage(topic, message);
-      });
+  /**
+   * Store the window just recorded, valid or not, with its raw samples.
+   */
+  storeMeasurement(window, fields) {
+    this.store.touchGateways(Array.from(this.heardGateways), window.endedAt, this.registry);
+    return this.store.saveMeasurement({
+      sessionId: this.sessionId,
+      kind: 'distance',
+      gatewayMac: this.currentGatewayMac,
+      distance: this.currentDistance,
+      startedAt: window.startedAt,
+      endedAt: window.endedAt,
+      reason: window.reason,
+      samples: this.recordings,
+      ...fields
     });
   }
 
-  handleMessage(topic, message) {
-    if (!this.isRecording) return;
+  resetRecordings() {
+    this.recordings = [];
+  }
+
+  sampleGroups() {
+    return [this.recordings.map(r => r.rssi)];
+  }
+
+  progress() {
+    return `${this.recordings.length} samples`;
+  }
 
-    try {
-      const payload = JSON.parse(message.toString());
-      
-      // Parse mosquitto-client message format:
-      // { device_info: {mac: "..."}, data: [{mac: "...", rssi: ...}] }
-      // device_info.mac is the GATEWAY MAC
-      // data array contains tags/devices detected by that gateway
-      if (!payload.device_info || !payload.device_info.mac) return;
-      if (!Array.isArray(payload.data)) return;
-
-      const gatewayMac = payload.device_info.mac.toUpperCase();
-      
-      // Only process messages from the target gateway
-      if (gatewayMac !== this.currentGatewayMac) return;
-
-      // Collect RSSI values from all tags detected by this gateway
-      payload.data.forEach(item => {
-        const rssi = item.rssi;
-
-        if (typeof rssi === 'number') {
-          this.recordings.push({
-            gatewayMac,
-            rssi,
-            timestamp: Date.now()
-          });
-        }
+  async promptGateway() {
+    const entries = this.registry.list();
+    if (entries.length > 0) {
+      console.log('Registered gateways:');
+      entries.forEach((entry, i) => {
+        console.log(`  ${i + 1}. ${this.registry.describe(entry)}`);
       });
-    } catch (error) {
-      // Ignore parse errors
     }
-  }
 
-  subscribe() {
-    // Subscribe to all topics (mosquitto-client format)
-    this.client.subscribe('#', (err) => {
-      if (err) {
-        console.error(`Error subscribing to topics:`, err);
-      } else {
-        console.log(`✓ Subscribed to all topics (#)`);
+    const prompt = entries.length > 0
+      ? 'Select gateway number or enter MAC address: '
+      : 'Enter Gateway MAC address: ';
+    const input = (await this.question(prompt)).trim();
+    if (!input) {
+      console.log('Gateway MAC is required. Skipping...\n');
+      return null;
+    }
+
+    if (entries.length > 0 && /^\d{1,3}$/.test(input)) {
+      const entry = entries[parseInt(input, 10) - 1];
+      if (!entry) {
+        console.log('Invalid selection. Skipping...\n');
+        return null;
       }
-    });
-  }
+      return entry.mac;
+    }
 
-  question(prompt) {
-    return new Promise((resolve) => {
-      this.rl.question(prompt, resolve);
-    });
+    const gatewayMac = input.toUpperCase();
+    if (entries.length > 0 && !this.registry.has(gatewayMac)) {
+      const answer = await this.question(`⚠ ${gatewayMac} is not in the gateway registry. Record anyway? (y/n): `);
+      if (answer.toLowerCase() !== 'y') {
+        console.log('Skipping...\n');
+        return null;
+      }
+    }
+    return gatewayMac;
   }
 
   async recordMeasurement() {
     console.log('\n=== Gateway Calibration Recording ===\n');
 
-    const gatewayMac = await this.question('Enter Gateway MAC address: ');
-    if (!gatewayMac.trim()) {
-      console.log('Gateway MAC is required. Skipping...\n');
+    const gatewayMac = await this.promptGateway();
+    if (!gatewayMac) {
       return false;
     }
 
@@ -119,187 +154,80 @@ class GatewayCalibrationTool {
       return false;
     }
 
-    console.log(`\nRecording RSSI for gateway ${gatewayMac} at ${distance}m distance...`);
-    console.log('Recording for 1 minute. Please ensure device is at the specified distance.\n');
+    return this.recordAt(gatewayMac, distance);
+  }
 
-    // Reset recordings
-    this.recordings = [];
-    this.isRecording = true;
-    this.currentGatewayMac = gatewayMac.trim().toUpperCase();
-    this.currentDistance = distance;
-    this.recordingStartTime = Date.now();
-
-    // Show progress
-    const progressInterval = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - this.recordingStartTime) / 1000);
-      const remaining = 60 - elapsed;
-      if (remaining > 0) {
-        process.stdout.write(`\rRecording... ${elapsed}s / 60s (${this.recordings.length} samples)`);
-      }
-    }, 1000);
+  async recordAt(gatewayMac, distance) {
+    await this.waitForConnection();
 
-    // Wait for 1 minute
-    await new Promise(resolve => setTimeout(resolve, RECORDING_DURATION));
+    console.log(`\nRecording RSSI for gateway ${this.registry.label(gatewayMac)} at ${distance}m distance...`);
+    console.log(`Target tag: ${this.tagFilter.describe()}`);
+    console.log(`Recording for ${this.describeWindow()}. Please ensure device is at the specified distance.\n`);
 
-    clearInterval(progressInterval);
-    this.isRecording = false;
+    this.currentGatewayMac = gatewayMac;
+    this.currentDistance = distance;
+    const recorded = await this.recordWindow(`${gatewayMac}@${distance}m`);
+    if (!recorded) {
+      return false;
+    }
+    const { result, window } = recorded;
 
     // Calculate average
     if (this.recordings.length === 0) {
-      console.log('\n\n⚠ No RSSI readings received during recording period.');
-      console.log('Please check:');
-      console.log('  1. MQTT broker is running');
-      console.log('  2. Device is publishing RSSI data');
-      console.log('  3. Gateway MAC address matches\n');
+      this.rejectEmptyWindow(window, 'Gateway MAC address matches');
       return false;
     }
 
     const rssiValues = this.recordings.map(r => r.rssi);
-    const avgRssi = rssiValues.reduce((a, b) => a + b, 0) / rssiValues.length;
-    const minRssi = Math.min(...rssiValues);
-    const maxRssi = Math.max(...rssiValues);
+    const stats = summarize(rssiValues, this.statsOptions, result.elapsed);
 
-    console.log(`\n\n✓ Recording complete!`);
-    console.log(`   Samples collected: ${this.recordings.length}`);
-    console.log(`   Average RSSI: ${avgRssi.toFixed(2)} dBm`);
-    console.log(`   Min RSSI: ${minRssi.toFixed(2)} dBm`);
-    console.log(`   Max RSSI: ${maxRssi.toFixed(2)} dBm\n`);
-
-    // Write to Excel
-    await this.writeToExcel(this.currentGatewayMac, this.currentDistance, avgRssi);
+    console.log(`\n\n✓ Recording complete! (${Math.round(result.elapsed / 1000)}s, ${result.reason})`);
+    if (!result.enough) {
+      console.log(`   ⚠ Fewer than ${this.window.minSamples} samples were collected`);
+    }
+    console.log(`   Samples collected: ${stats.samples} (${stats.rejected} rejected as outliers, ${stats.rate.toFixed(2)} Hz)`);
+    console.log(`   Average RSSI: ${stats.mean.toFixed(2)} dBm`);
+    console.log(`   ${stats.statistic} RSSI: ${stats.value.toFixed(2)} dBm (std dev ${stats.std.toFixed(2)} dB)`);
+    console.log(`   P10 / median / P90: ${stats.p10.toFixed(2)} / ${stats.median.toFixed(2)} / ${stats.p90.toFixed(2)} dBm`);
+    console.log(`   Min RSSI: ${stats.min.toFixed(2)} dBm`);
+    console.log(`   Max RSSI: ${stats.max.toFixed(2)} dBm`);
+    this.reportTags();
+    this.reportSilentGateways();
+    console.log();
+
+    this.storeMeasurement(window, {
+      note: result.enough ? null : `fewer than ${this.window.minSamples} samples`,
+      aggregates: { [this.currentGatewayMac]: stats }
+    });
+    this.windowsWritten++;
 
     return true;
   }
 
-  async writeToExcel(gatewayMac, distance, rssi) {
-    const filePath = this.outputFile || path.join(__dirname, '..', 'gateway-calibration-data.xlsx');
-
-    // Ensure directory exists
-    const dir = path.dirname(filePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-
-    let workbook;
-    let data;
-    const sheetName = 'Calibration Data';
-
-    // Read existing file or create new
-    if (fs.existsSync(filePath)) {
-      workbook = XLSX.readFile(filePath);
-      
-      // Find existing sheet or use first sheet
-      const existingSheetName = workbook.SheetNames.find(name => 
-        name.toLowerCase().includes('calibration') || 
-        name.toLowerCase().includes('data')
-      ) || workbook.SheetNames[0];
-      
-      const worksheet = workbook.Sheets[existingSheetName];
-      
-      // Read all data including empty cells, preserving all rows
-      data = XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1, 
-        defval: '',  // Default value for empty cells
-        raw: false   // Convert values to strings/numbers
-      });
-      
-      // Ensure we have at least headers
-      if (data.length === 0) {
-        data = [['Gateway MAC', 'Distance (m)', 'RSSI (dBm)', 'Notes', 'Timestamp']];
-      }
-      
-      // If first row doesn't look like headers, add them
-      if (data.length > 0 && !data[0].includes('Gateway MAC')) {
-        data.unshift(['Gateway MAC', 'Distance (m)', 'RSSI (dBm)', 'Notes', 'Timestamp']);
-      }
-    } else {
-      workbook = XLSX.utils.book_new();
-      data = [['Gateway MAC', 'Distance (m)', 'RSSI (dBm)', 'Notes', 'Timestamp']];
-    }
-
-    // Append new row
-    const newRow = [
-      gatewayMac,
-      distance,
-      Math.round(rssi * 100) / 100, // Round to 2 decimals
-      '',
-      new Date().toISOString()
-    ];
-    data.push(newRow);
-
-    // Create new worksheet from updated data
-    const newWorksheet = XLSX.utils.aoa_to_sheet(data);
-    
-    // Set column widths
-    newWorksheet['!cols'] = [
-      { wch: 18 }, // Gateway MAC
-      { wch: 12 }, // Distance
-      { wch: 12 }, // RSSI
-      { wch: 40 }, // Notes
-      { wch: 25 }  // Timestamp
-    ];
-
-    // Update or add sheet to workbook
-    if (workbook.SheetNames.includes(sheetName)) {
-      workbook.Sheets[sheetName] = newWorksheet;
-    } else {
-      XLSX.utils.book_append_sheet(workbook, newWorksheet, sheetName);
+  describePlan(plan) {
+    if (this.registry.size > 0) {
+      const unknown = plan.steps.filter(step => !this.registry.has(step.gateway));
+      unknown.forEach(step => console.log(`⚠ Plan gateway ${step.gateway} is not in the gateway registry`));
     }
-
-    // Write file
-    XLSX.writeFile(workbook, filePath);
-    console.log(`✓ Data saved to: ${filePath} (${data.length - 1} total entries)\n`);
   }
 
-  async run() {
-    try {
-      console.log('=== Gateway Calibration Tool ===\n');
-      console.log('This tool will:');
-      console.log('  1. Connect to MQTT broker');
-      console.log('  2. Record RSSI at specified distances');
-      console.log('  3. Average readings over 1 minute');
-      console.log('  4. Save to Excel file\n');
-
-      const outputFileInput = await this.question(`Output file path (press Enter for default): `);
-      if (outputFileInput.trim()) {
-        this.outputFile = outputFileInput.trim();
-      }
-
-      await this.connect();
-      this.subscribe();
-
-      console.log('\nReady to record calibration data.\n');
-
-      while (true) {
-        const continueRecording = await this.question('Record another measurement? (y/n): ');
-        if (continueRecording.toLowerCase() !== 'y') {
-          break;
-        }
-
-        await this.recordMeasurement();
-      }
+  describeStep(step) {
+    return `gateway ${this.registry.label(step.gateway)} at ${step.distance}m`;
+  }
 
-      console.log('\n✓ Calibration session complete!');
-      console.log(`Data saved to: ${this.outputFile || path.join(__dirname, '..', 'gateway-calibration-data.xlsx')}\n`);
+  stepName(step) {
+    return `${step.gateway} at ${step.distance}m`;
+  }
 
-    } catch (error) {
-      console.error('\nError:', error.message);
-      process.exit(1);
-    } finally {
-      if (this.client) {
-        this.client.end();
-      }
-      this.rl.close();
-    }
+  recordStep(step) {
+    return this.recordAt(step.gateway, step.distance);
   }
 }
 
-// Run if executed directly
+// Run if executed directly; same as "calib gateway"
 if (require.main === module) {
-  const tool = new GatewayCalibrationTool();
-  tool.run().catch(error => {
-    console.error('Fatal error:', error);
-    process.exit(1);
+  require('../lib/cli').main(['gateway', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
   });
 }
 
@@ -0,0 +1,172 @@
+/**
+ * Path-Loss Fit Tool
+ * Reads every (distance, RSSI) row from the gateway calibration workbook,
+ * fits the log-distance path-loss model per gateway, and writes the
+ * parameters to a "Model" sheet and to a JSON file for positioning code
+ * (path-loss-model.json in the app directory by default, where the
+ * trilaterate, presence and interpolate commands read it)
+ */
+
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const { fitPathLoss, REFERENCE_DISTANCE, DEFAULT_MODEL_FILE } = require('../lib/path-loss');
+const { openSurveyWorkbook, backupWorkbook, writeWorkbook, calibrationPoints } = require('../lib/workbook');
+
+const DEFAULT_INPUT = path.join(__dirname, '..', 'gateway-calibration-data.xlsx');
+const MODEL_SHEET = 'Model';
+
+class PathLossFitTool {
+  constructor(options = {}) {
+    this.inputFile = options.inputFile || DEFAULT_INPUT;
+    this.jsonFile = options.jsonFile || DEFAULT_MODEL_FILE;
+  }
+
+  /**
+   * @param {any[][]} rows "Calibration Data" rows, header first
+   * @returns {Map<string, Array<{distance: number, rssi: number}>>} gatewayMac -> points
+   */
+  readCalibrationData(rows) {
+    return calibrationPoints(rows);
+  }
+
+  fit(byGateway) {
+    const models = {};
+    const rejected = {};
+
+    Array.from(byGateway.keys()).sort().forEach(gatewayMac => {
+      try {
+        models[gatewayMac] = fitPathLoss(byGateway.get(gatewayMac));
+      } catch (error) {
+        rejected[gatewayMac] = error.message;
+      }
+    });
+
+    return { models, rejected };
+  }
+
+  writeModelSheet(workbook, models) {
+    const fittedAt = new Date().toISOString();
+    const data = [[
+      'Gateway MAC',
+      'TX Power @1m (dBm)',
+      'Path-Loss Exponent',
+      'RMSE (dB)',
+      'R²',
+      'Samples',
+      'Distances (m)',
+      'Fitted At'
+    ]];
+
+    Object.entries(models).forEach(([gatewayMac, model]) => {
+      data.push([
+        gatewayMac,
+        Math.round(model.txPower * 100) / 100,
+        Math.round(model.pathLossExponent * 1000) / 1000,
+        Math.round(model.rmse * 100) / 100,
+        model.r2 === null ? '' : Math.round(model.r2 * 1000) / 1000,
+        model.samples,
+        model.distances.join(', '),
+        fittedAt
+      ]);
+    });
+
+    const worksheet = XLSX.utils.aoa_to_sheet(data);
+    worksheet['!cols'] = [
+      { wch: 18 }, // Gateway MAC
+      { wch: 18 }, // TX Power
+      { wch: 18 }, // Exponent
+      { wch: 10 }, // RMSE
+      { wch: 8 },  // R²
+      { wch: 8 },  // Samples
+      { wch: 30 }, // Distances
+      { wch: 25 }  // Fitted At
+    ];
+
+    if (workbook.SheetNames.includes(MODEL_SHEET)) {
+      workbook.Sheets[MODEL_SHEET] = worksheet;
+    } else {
+      XLSX.utils.book_append_sheet(workbook, worksheet, MODEL_SHEET);
+    }
+  }
+
+  writeModelJson(models) {
+    const gateways = {};
+    Object.entries(models).forEach(([gatewayMac, model]) => {
+      gateways[gatewayMac] = {
+        txPower: model.txPower,
+        pathLossExponent: model.pathLossExponent,
+        rmse: model.rmse,
+        r2: model.r2,
+        samples: model.samples,
+        distances: model.distances
+      };
+    });
+
+    const document = {
+      model: 'log-distance',
+      referenceDistance: REFERENCE_DISTANCE,
+      source: path.resolve(this.inputFile),
+      generatedAt: new Date().toISOString(),
+      gateways
+    };
+
+    fs.writeFileSync(this.jsonFile, JSON.stringify(document, null, 2) + '\n');
+  }
+
+  async run() {
+    console.log('=== Path-Loss Fit Tool ===\n');
+
+    if (!fs.existsSync(this.inputFile)) {
+      throw new Error(`Calibration file not found: ${this.inputFile}`);
+    }
+
+    // Rejects workbooks that do not have the calibration layout
+    const { workbook, rows, migratedFrom } = openSurveyWorkbook(this.inputFile, 'calibration');
+    const byGateway = this.readCalibrationData(rows);
+    if (byGateway.size === 0) {
+      throw new Error(`No calibration rows found in ${this.inputFile}`);
+    }
+
+    const { models, rejected } = this.fit(byGateway);
+
+    Object.entries(models).forEach(([gatewayMac, model]) => {
+      const r2 = model.r2 === null ? 'n/a' : model.r2.toFixed(3);
+      console.log(`✓ ${gatewayMac}: TX power ${model.txPower.toFixed(2)} dBm, n = ${model.pathLossExponent.toFixed(3)}, ` +
+        `RMSE ${model.rmse.toFixed(2)} dB, R² ${r2} (${model.samples} rows)`);
+    });
+    Object.entries(rejected).forEach(([gatewayMac, reason]) => {
+      console.log(`⚠ ${gatewayMac}: not fitted. ${reason}`);
+    });
+
+    if (Object.keys(models).length === 0) {
+      throw new Error('No gateway has enough calibration data to fit');
+    }
+
+    if (migratedFrom) {
+      const backup = backupWorkbook(this.inputFile, migratedFrom);
+      console.log(`↻ Migrated ${this.inputFile} to the current workbook layout (original kept as ${backup})`);
+    }
+    this.writeModelSheet(workbook, models);
+    writeWorkbook(workbook, this.inputFile);
+    this.writeModelJson(models);
+
+    console.log(`\n✓ Model sheet written to: ${this.inputFile}`);
+    console.log(`✓ Model JSON written to: ${this.jsonFile}`);
+    if (path.resolve(this.jsonFile) !== DEFAULT_MODEL_FILE) {
+      console.log(`  Not the default model file: pass --model ${this.jsonFile} to the trilaterate, presence and interpolate commands`);
+    }
+    console.log();
+
+    return { models, rejected };
+  }
+}
+
+// Run if executed directly; same as "calib fit"
+if (require.main === module) {
+  require('../lib/cli').main(['fit', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = PathLossFitTool;
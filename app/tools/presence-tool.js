@@ -0,0 +1,277 @@
+/**
+ * Presence Tool
+ * Listens to the same MQTT stream as the sniffer and turns it into presence
+ * and proximity events: "tag X entered / left / is dwelling near gateway Y".
+ * RSSI is smoothed per gateway/tag pair and classified as immediate, near,
+ * far or absent with per-gateway thresholds from the path-loss models fitted
+ * on the calibration workbook (npm run fit; --model accepts the JSON or the
+ * workbook's "Model" sheet), or from the rules file (see lib/presence.js).
+ * Broker topics, QoS, credentials and TLS are configurable (see lib/mqtt-connection.js).
+ *
+ * Events are published to --topic ({gateway}, {tag} and {rule} are filled
+ * in) and, with --webhook <url>, POSTed as JSON to a local endpoint.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TagFilter = require('../lib/tag-filter');
+const GatewayRegistry = require('../lib/gateway-registry');
+const { normalizeMac } = require('../lib/mac');
+const { readConfigFile } = require('../lib/config-file');
+const { createParser } = require('../lib/parsers');
+const { loadPathLossModels, DEFAULT_MODEL_FILE } = require('../lib/path-loss');
+const { postJson } = require('../lib/webhook');
+const {
+  DEFAULTS, thresholdsFromModel, parseThresholds, parseRules, PresenceEngine
+} = require('../lib/presence');
+const { createClient, describeSource } = require('../lib/mqtt-source');
+const { resolveMqttOptions, subscribeTopics, watchConnection } = require('../lib/mqtt-connection');
+
+const DEFAULT_REGISTRY = path.join(__dirname, '..', 'gateways.json');
+const DEFAULT_TOPIC = 'presence/{gateway}/{tag}';
+
+const EVENT_ICONS = { enter: '→', exit: '←', dwell: '⏸' };
+
+class PresenceTool {
+  constructor(options = {}) {
+    this.client = null;
+    this.createClient = options.createClient || createClient;
+    this.modelFile = options.modelFile || DEFAULT_MODEL_FILE;
+    this.rulesFile = options.rulesFile || null;
+    this.registry = GatewayRegistry.loadIfExists(options.registryFile || DEFAULT_REGISTRY);
+    this.topicTemplate = options.topic || DEFAULT_TOPIC;
+    this.webhookUrl = options.webhookUrl || null;
+    this.intervalMs = options.intervalMs || 1000;
+    this.tagFilter = new TagFilter(options.tagMacs);
+    this.durationMs = options.durationMs || null; // null = until Ctrl+C
+    this.onRecord = options.onRecord || null;
+    this.replayFile = options.replayFile || null;
+    this.replaySpeed = options.replaySpeed;
+    this.parser = options.parser || createParser(options.parserFile);
+    this.mqttOptions = options.mqtt || resolveMqttOptions();
+    this.engine = null;
+    this.ticker = null;
+    this.lastTickTime = 0;
+    this.delivery = Promise.resolve(); // webhook POSTs, in event order
+    this.counts = { enter: 0, exit: 0, dwell: 0, webhookFailures: 0 };
+    this.warnedGateways = new Set();
+  }
+
+  /**
+   * Build the engine from the rules file and the path-loss models.
+   */
+  configure() {
+    const document = this.rulesFile ? readConfigFile(this.rulesFile) || {} : {};
+    const distances = { ...DEFAULTS.distances, ...(document.distances || {}) };
+    if (!(distances.immediate > 0 && distances.immediate < distances.near && distances.near < distances.far)) {
+      throw new Error('distances must be positive and increase from immediate to far');
+    }
+
+    const thresholds = new Map();
+    const models = fs.existsSync(this.modelFile) ? loadPathLossModels(this.modelFile) : {};
+    Object.entries(models).forEach(([gatewayMac, model]) => {
+      thresholds.set(normalizeMac(gatewayMac), thresholdsFromModel(model, distances));
+    });
+    Object.entries(document.thresholds || {}).forEach(([gatewayMac, entry]) => {
+      thresholds.set(normalizeMac(gatewayMac), parseThresholds(entry, gatewayMac));
+    });
+    if (thresholds.size === 0) {
+      throw new Error(`No proximity thresholds: fit the path-loss model (${this.modelFile} not found) ` +
+        'or list thresholds in the rules file');
+    }
+
+    this.engine = new PresenceEngine({
+      thresholds,
+      rules: parseRules(document.rules, this.registry),
+      smoothing: document.smoothing,
+      hysteresis: document.hysteresis,
+      absentMs: document.absentAfter === undefined ? undefined : document.absentAfter * 1000
+    });
+
+    console.log(`✓ Proximity thresholds for ${thresholds.size} gateways ` +
+      `(${Object.keys(models).length} from ${this.modelFile})`);
+    console.log(`   immediate ≤ ${distances.immediate} m, near ≤ ${distances.near} m, far ≤ ${distances.far} m; ` +
+      `hysteresis ${this.engine.hysteresis} dB, absent after ${this.engine.absentMs / 1000}s`);
+    this.engine.rules.forEach(rule => {
+      const gateways = rule.gateways ? Array.from(rule.gateways).map(mac => this.registry.label(mac)).join(', ') : 'every gateway';
+      const tags = rule.tags ? Array.from(rule.tags).join(', ') : 'every tag';
+      const dwell = rule.dwellMs === null ? '' : `, dwell ${rule.dwellMs / 1000}s`;
+      console.log(`   Rule "${rule.name}": ${rule.proximity} or closer to ${gateways}; ${tags}${dwell}`);
+    });
+    return this.engine;
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      const source = {
+        mqtt: this.mqttOptions,
+        clientId: `presence-${Date.now()}`,
+        replayFile: this.replayFile,
+        replaySpeed: this.replaySpeed
+      };
+      this.client = this.createClient(source);
+      if (!this.replayFile) {
+        watchConnection(this.client);
+      }
+
+      this.client.once('connect', () => {
+        console.log(`✓ Connected to ${describeSource(source)}\n`);
+        resolve();
+      });
+
+      this.client.on('error', (error) => {
+        console.error('MQTT error:', error.message || error);
+        reject(error);
+      });
+
+      this.client.on('message', (topic, message) => {
+        this.handleMessage(topic, message);
+      });
+    });
+  }
+
+  subscribe() {
+    // Configured topic filters (default: all topics)
+    return subscribeTopics(this.client, this.mqttOptions);
+  }
+
+  now() {
+    return this.client && this.client.now ? this.client.now() : Date.now();
+  }
+
+  handleMessage(topic, message) {
+    const parsed = this.parser.parse(topic, message, this.now());
+    if (!parsed) return;
+
+    const now = this.now();
+    parsed.readings.forEach(item => {
+      if (this.tagFilter.accept(item.mac)) {
+        this.emit(this.engine.ingest(parsed.gatewayMac, item.mac, item.rssi, now));
+      }
+    });
+    this.warnUnknownGateways();
+
+    // Timeouts are paced by message time so replays behave like live data
+    if (now - this.lastTickTime >= this.intervalMs) {
+      this.tick(now);
+    }
+  }
+
+  tick(now = this.now()) {
+    this.lastTickTime = now;
+    this.emit(this.engine.tick(now));
+  }
+
+  warnUnknownGateways() {
+    this.engine.unknownGateways.forEach(gatewayMac => {
+      if (!this.warnedGateways.has(gatewayMac)) {
+        this.warnedGateways.add(gatewayMac);
+        console.log(`⚠ Ignoring gateway ${this.registry.label(gatewayMac)}: no path-loss model or thresholds`);
+      }
+    });
+  }
+
+  emit(events) {
+    events.forEach(event => {
+      const message = {
+        ...event,
+        gatewayName: (this.registry.get(event.gateway) || {}).name || null,
+        since: new Date(event.since).toISOString(),
+        timestamp: new Date(event.timestamp).toISOString()
+      };
+      const topic = this.topicTemplate
+        .replace('{gateway}', event.gateway.replace(/:/g, ''))
+        .replace('{tag}', event.tag.replace(/:/g, ''))
+        .replace('{rule}', event.rule);
+
+      this.client.publish(topic, JSON.stringify(message));
+      this.counts[event.event]++;
+      if (this.onRecord) {
+        this.onRecord(message);
+      }
+      if (this.webhookUrl) {
+        this.delivery = this.delivery.then(() => this.post(message));
+      }
+
+      const duration = event.event === 'enter' ? '' : ` after ${event.duration}s`;
+      console.log(`${EVENT_ICONS[event.event]} ${event.tag} ${event.event} "${event.rule}" at ` +
+        `${this.registry.label(event.gateway)} (${event.proximity}, ${event.rssi} dBm)${duration}`);
+    });
+  }
+
+  async post(message) {
+    try {
+      await postJson(this.webhookUrl, message);
+    } catch (error) {
+      this.counts.webhookFailures++;
+      console.log(`⚠ Webhook ${this.webhookUrl}: ${error.message}`);
+    }
+  }
+
+  waitForShutdown() {
+    return new Promise(resolve => {
+      const stop = () => {
+        clearTimeout(timer);
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        resolve();
+      };
+      const timer = this.durationMs ? setTimeout(stop, this.durationMs) : null;
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+  }
+
+  async run() {
+    try {
+      console.log('=== Presence Tool ===\n');
+
+      this.configure();
+      if (this.webhookUrl && !/^https?:\/\//i.test(this.webhookUrl)) {
+        throw new Error(`Unsupported webhook URL ${this.webhookUrl} (expected http or https)`);
+      }
+      console.log(`Tags: ${this.tagFilter.describe()}`);
+      console.log(`Publishing events to: ${this.topicTemplate}`);
+      if (this.webhookUrl) {
+        console.log(`POSTing events to: ${this.webhookUrl}`);
+      }
+      console.log();
+
+      await this.connect();
+      await this.subscribe();
+
+      if (this.client.play) {
+        await this.client.play();
+      } else {
+        // Live streams may go quiet; timeouts must still fire
+        this.ticker = setInterval(() => this.tick(), this.intervalMs);
+        console.log(this.durationMs ? `Running for ${this.durationMs / 1000}s (Ctrl+C to stop early)\n` : 'Press Ctrl+C to stop.\n');
+        await this.waitForShutdown();
+      }
+
+      await this.delivery;
+      const { enter, exit, dwell, webhookFailures } = this.counts;
+      console.log(`\n✓ Presence stopped (${enter} enter, ${exit} exit, ${dwell} dwell events published)`);
+      if (webhookFailures > 0) {
+        console.log(`⚠ ${webhookFailures} webhook POST(s) failed`);
+      }
+    } finally {
+      if (this.ticker) {
+        clearInterval(this.ticker);
+      }
+      if (this.client) {
+        this.client.end();
+      }
+      this.parser.printReport();
+    }
+  }
+}
+
+// Run if executed directly; same as "calib presence"
+if (require.main === module) {
+  require('../lib/cli').main(['presence', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = PresenceTool;
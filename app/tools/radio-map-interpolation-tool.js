@@ -0,0 +1,206 @@
+/**
+ * Radio Map Interpolation Tool
+ * Densifies a sparse fingerprint survey: estimates the RSSI of every gateway
+ * on a regular grid over the surveyed area (see lib/interpolation.js) and
+ * writes the cells to an "Interpolated Data" sheet, with the uncertainty of
+ * every value in "Interpolated Stats". The measured rows are left as they
+ * are. Positioning reads the cells along with them (--measured-only skips
+ * them); evaluation and survey coverage never do.
+ *
+ * Methods: idw (default), gp (Gaussian process / kriging) and model
+ * (path-loss fill from the fit tool's JSON and the gateway positions of the
+ * registry). Values are interpolated at the current RSSI offsets, which are
+ * listed under the "interpolated" session of the RSSI Offsets sheet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GatewayRegistry = require('../lib/gateway-registry');
+const { macFromLabel } = require('../lib/gateway-registry');
+const { loadRadioMap } = require('../lib/radio-map');
+const { RssiOffsets } = require('../lib/rssi-offsets');
+const { loadPathLossModels, DEFAULT_MODEL_FILE } = require('../lib/path-loss');
+const { normalizeMac } = require('../lib/mac');
+const { METHODS, DEFAULTS, denseGrid, RadioMapInterpolator } = require('../lib/interpolation');
+const {
+  NOT_DETECTED, FINGERPRINT_HEADERS, INTERPOLATED_SHEET, INTERPOLATED_HEADERS, INTERPOLATED_STATS_SHEET,
+  INTERPOLATED_STATS_HEADERS, INTERPOLATED_SESSION,
+  openSurveyWorkbook, backupWorkbook, writeWorkbook, setSheet, upsertOffsets, removeOffsets
+} = require('../lib/workbook');
+
+const DEFAULT_WORKBOOK = path.join(__dirname, '..', 'fingerprint-collection-data.xlsx');
+const DEFAULT_REGISTRY = path.join(__dirname, '..', 'gateways.json');
+const DEFAULT_OFFSETS = path.join(__dirname, '..', 'rssi-offsets.json');
+
+const blankIfMissing = value => (value === null || value === undefined ? '' : value);
+
+class RadioMapInterpolationTool {
+  constructor(options = {}) {
+    this.workbookFile = options.workbookFile || DEFAULT_WORKBOOK;
+    this.outputFile = options.outputFile || null; // null = the input workbook
+    this.method = options.method || DEFAULTS.method;
+    this.settings = {
+      spacing: options.spacing,
+      maxDistance: options.maxDistance,
+      power: options.power,
+      neighbours: options.neighbours,
+      lengthScale: options.lengthScale,
+      noise: options.noise,
+      missingRssi: options.missingRssi
+    };
+    this.modelFile = options.modelFile || DEFAULT_MODEL_FILE;
+    this.registryFile = options.registryFile || DEFAULT_REGISTRY;
+    this.offsetsFile = options.offsetsFile || DEFAULT_OFFSETS;
+
+    if (!METHODS.includes(this.method)) {
+      throw new Error(`Unknown method "${this.method}" (expected ${METHODS.join(', ')})`);
+    }
+  }
+
+  outputPath() {
+    return this.outputFile || this.workbookFile;
+  }
+
+  describeSettings(interpolator) {
+    const { spacing, maxDistance, power, neighbours, lengthScale, noise } = interpolator.settings;
+    const details = {
+      idw: `power ${power}, ${neighbours} neighbours`,
+      gp: `length scale ${lengthScale} m, noise ${noise} dB`,
+      model: 'path-loss model'
+    };
+    return `${this.method} (${details[this.method]}), ${spacing} m grid, up to ${maxDistance} m from a measured point`;
+  }
+
+  /**
+   * Write the cells and their uncertainties, replacing earlier ones.
+   * @param {string[]} gateways MACs of the gateway columns
+   */
+  writeSheets(workbook, fingerprintHeaders, registry, gateways, cells, offsets) {
+    // Gateway columns keep the labels of the fingerprint sheet
+    const labels = new Map();
+    fingerprintHeaders.slice(FINGERPRINT_HEADERS.length).forEach(header => {
+      labels.set(normalizeMac(macFromLabel(String(header).trim())), header);
+    });
+    const headers = [...INTERPOLATED_HEADERS, ...gateways.map(mac => labels.get(mac) || registry.label(mac))];
+
+    const dataRows = [headers];
+    const statsRows = [INTERPOLATED_STATS_HEADERS.slice()];
+    cells.forEach(cell => {
+      dataRows.push([
+        cell.id,
+        cell.x,
+        cell.y,
+        cell.z,
+        blankIfMissing(cell.floor),
+        blankIfMissing(cell.zone),
+        this.method,
+        blankIfMissing(cell.overallUncertainty),
+        Math.round(cell.nearest * 100) / 100,
+        ...gateways.map(mac => (cell.rssi[mac] === undefined ? '' : cell.rssi[mac] === null ? NOT_DETECTED : cell.rssi[mac]))
+      ]);
+      Object.keys(cell.rssi).forEach(mac => {
+        statsRows.push([cell.id, mac, cell.rssi[mac] === null ? NOT_DETECTED : cell.rssi[mac], blankIfMissing(cell.uncertainty[mac])]);
+      });
+    });
+
+    setSheet(workbook, INTERPOLATED_SHEET, dataRows, [
+      { wch: 15 }, // Cell ID
+      ...Array(5).fill({ wch: 10 }), // X, Y, Z, Floor, Zone
+      { wch: 8 }, // Method
+      { wch: 16 }, // Uncertainty
+      { wch: 18 }, // Nearest Point
+      ...headers.slice(INTERPOLATED_HEADERS.length).map(header => ({ wch: Math.max(18, String(header).length + 2) }))
+    ]);
+    setSheet(workbook, INTERPOLATED_STATS_SHEET, statsRows, [{ wch: 15 }, { wch: 20 }, { wch: 12 }, { wch: 16 }]);
+
+    // The cells are at the current offsets; a later change of offsets is applied on load
+    removeOffsets(workbook, INTERPOLATED_SESSION);
+    const applied = {};
+    gateways.filter(mac => offsets.has(mac)).forEach(mac => {
+      applied[mac] = offsets.offset(mac);
+    });
+    if (Object.keys(applied).length > 0) {
+      upsertOffsets(workbook, INTERPOLATED_SESSION, applied, offsets.reference);
+    }
+  }
+
+  async run() {
+    console.log('=== Radio Map Interpolation Tool ===\n');
+
+    const offsets = RssiOffsets.loadIfExists(this.offsetsFile);
+    const map = loadRadioMap(this.workbookFile, { offsets });
+    if (map.points.length < 2) {
+      throw new Error(`At least two measured points are needed (found ${map.points.length} in ${this.workbookFile})`);
+    }
+    console.log(`✓ Loaded ${map.points.length} measured points and ${map.gateways.length} gateways from ${this.workbookFile}`);
+    if (offsets.size > 0) {
+      console.log(`✓ RSSI offsets: ${this.offsetsFile} (${offsets.size} gateways, ${offsets.replacements.size} replaced)`);
+    }
+
+    const models = fs.existsSync(this.modelFile) ? loadPathLossModels(this.modelFile) : {};
+    const registry = GatewayRegistry.loadIfExists(this.registryFile);
+    const interpolator = new RadioMapInterpolator(map, {
+      method: this.method,
+      ...this.settings,
+      models,
+      positions: registry.positions()
+    });
+    console.log(`Method: ${this.describeSettings(interpolator)}`);
+
+    const gateways = interpolator.usableGateways();
+    if (this.method !== 'idw') {
+      const modelled = map.gateways.filter(mac => interpolator.modelled(mac));
+      console.log(`Path-loss models with gateway positions: ${modelled.length}/${map.gateways.length} gateways ` +
+        `(${this.modelFile}, ${this.registryFile})`);
+      if (this.method === 'model') {
+        map.gateways.filter(mac => !gateways.includes(mac)).forEach(mac => {
+          console.log(`⚠ ${registry.label(mac)}: no path-loss model or position; not interpolated`);
+        });
+        if (gateways.length === 0) {
+          throw new Error('No gateway has both a path-loss model and a position; run the fit tool and fill in the gateway registry');
+        }
+      }
+    }
+
+    const cells = interpolator.interpolate(denseGrid(map.points, this.settings));
+    if (cells.length === 0) {
+      throw new Error('No grid cells between the measured points; use a smaller spacing or a larger max distance');
+    }
+
+    const outputFile = this.outputPath();
+    const { workbook, rows, migratedFrom } = openSurveyWorkbook(this.workbookFile, 'fingerprint');
+    if (migratedFrom && outputFile === this.workbookFile) {
+      const backup = backupWorkbook(this.workbookFile, migratedFrom);
+      console.log(`↻ Migrated ${this.workbookFile} to the current workbook layout (original kept as ${backup})`);
+    }
+    this.writeSheets(workbook, rows[0], registry, gateways, cells, offsets);
+    writeWorkbook(workbook, outputFile);
+
+    const uncertainties = cells.map(cell => cell.overallUncertainty).filter(value => value !== null);
+    const uncertainty = uncertainties.length > 0
+      ? {
+        mean: Math.round(uncertainties.reduce((a, b) => a + b, 0) / uncertainties.length * 100) / 100,
+        max: Math.max(...uncertainties)
+      }
+      : null;
+    const floors = Array.from(new Set(cells.map(cell => cell.floor).filter(Boolean)));
+
+    console.log(`\n✓ ${cells.length} cells interpolated for ${gateways.length} gateways` +
+      (floors.length > 0 ? ` on floors ${floors.join(', ')}` : ''));
+    if (uncertainty) {
+      console.log(`   Uncertainty: mean ${uncertainty.mean} dB, max ${uncertainty.max} dB`);
+    }
+    console.log(`✓ Interpolated map written to: ${outputFile} (sheets "${INTERPOLATED_SHEET}", "${INTERPOLATED_STATS_SHEET}")\n`);
+
+    return { outputFile, method: this.method, cells: cells.length, gateways, uncertainty };
+  }
+}
+
+// Run if executed directly; same as "calib interpolate"
+if (require.main === module) {
+  require('../lib/cli').main(['interpolate', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = RadioMapInterpolationTool;
@@ -0,0 +1,147 @@
+/**
+ * RSSI Offset Tool
+ * Computes a per-gateway RSSI offset (dB) from the gateway calibration
+ * workbook, so that units reporting systematically stronger or weaker RSSI
+ * are brought to the level of a reference gateway (see lib/rssi-offsets.js).
+ *
+ * Procedure: with GatewayCalibrationTool, record every gateway with the tag
+ * at the same distance (1 m is enough; more distances are averaged), or
+ * record a new unit and the reference unit at the same distance. Then run
+ * this tool with --reference <mac> (default: the median of all gateways).
+ *
+ * The offsets file is read by fingerprint collection, positioning and
+ * evaluation. Entries of gateways not in the workbook are kept, so a retired
+ * unit's offset stays available for the maps it recorded; --replace OLD=NEW
+ * records that NEW took the place of OLD, and old maps are then read with
+ * OLD's column as NEW's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GatewayRegistry = require('../lib/gateway-registry');
+const { computeOffsets, RssiOffsets } = require('../lib/rssi-offsets');
+const { normalizeMac } = require('../lib/mac');
+const { openSurveyWorkbook, calibrationPoints } = require('../lib/workbook');
+
+const DEFAULT_INPUT = path.join(__dirname, '..', 'gateway-calibration-data.xlsx');
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'rssi-offsets.json');
+const DEFAULT_REGISTRY = path.join(__dirname, '..', 'gateways.json');
+
+/**
+ * Parse "--replace OLD=NEW" values into [old, new] MAC pairs.
+ */
+function parseReplacements(values = []) {
+  return values.map(value => {
+    const [oldMac, newMac] = String(value).split('=').map(part => normalizeMac(part));
+    if (!oldMac || !newMac) {
+      throw new Error(`Invalid --replace "${value}" (expected OLD_MAC=NEW_MAC)`);
+    }
+    return [oldMac, newMac];
+  });
+}
+
+class RssiOffsetTool {
+  constructor(options = {}) {
+    this.inputFile = options.inputFile || DEFAULT_INPUT;
+    this.outputFile = options.outputFile || DEFAULT_OUTPUT;
+    this.reference = options.reference ? normalizeMac(options.reference) : null;
+    this.distance = options.distance === undefined || options.distance === null ? null : options.distance;
+    this.replacements = options.replacements || []; // "OLD=NEW" values
+    this.registry = GatewayRegistry.loadIfExists(options.registryFile || DEFAULT_REGISTRY);
+  }
+
+  /**
+   * New offsets on top of the existing file: entries measured against the
+   * same reference are kept for gateways not calibrated this time.
+   */
+  merge(existing, offsets) {
+    const gateways = {};
+    if (existing.reference === this.reference) {
+      existing.gateways.forEach((entry, gatewayMac) => {
+        gateways[gatewayMac] = entry;
+      });
+    } else if (existing.size > 0) {
+      console.log(`⚠ Dropping ${existing.size} earlier offset(s) measured against ${existing.reference || 'the median'}`);
+    }
+    Object.assign(gateways, offsets);
+
+    const replacements = existing.toJSON().replacements;
+    parseReplacements(this.replacements).forEach(([oldMac, newMac]) => {
+      replacements[oldMac] = newMac;
+    });
+
+    return new RssiOffsets({ reference: this.reference, gateways, replacements });
+  }
+
+  writeOffsets(offsets) {
+    const document = {
+      ...offsets.toJSON(),
+      distance: this.distance,
+      source: path.resolve(this.inputFile),
+      generatedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(this.outputFile, JSON.stringify(document, null, 2) + '\n');
+  }
+
+  async run() {
+    console.log('=== RSSI Offset Tool ===\n');
+
+    if (this.distance !== null && !(this.distance > 0)) {
+      throw new Error('--distance must be a positive number of meters');
+    }
+    parseReplacements(this.replacements);
+
+    if (!fs.existsSync(this.inputFile)) {
+      throw new Error(`Calibration file not found: ${this.inputFile}`);
+    }
+
+    // Rejects workbooks that do not have the calibration layout
+    const { rows } = openSurveyWorkbook(this.inputFile, 'calibration');
+    const byGateway = calibrationPoints(rows);
+    if (byGateway.size === 0) {
+      throw new Error(`No calibration rows found in ${this.inputFile}`);
+    }
+
+    const at = this.distance === null ? 'every shared distance' : `${this.distance} m`;
+    console.log(`Reference: ${this.reference ? this.registry.label(this.reference) : 'median of all gateways'}, at ${at}\n`);
+
+    const { offsets, rejected } = computeOffsets(byGateway, { reference: this.reference, distance: this.distance });
+    Object.entries(offsets).forEach(([gatewayMac, entry]) => {
+      const sign = entry.offset >= 0 ? '+' : '';
+      console.log(`✓ ${this.registry.label(gatewayMac)}: ${sign}${entry.offset.toFixed(2)} dB ` +
+        `(${entry.distances.map(d => `${d} m`).join(', ')}; ${entry.rows} row(s))`);
+    });
+    Object.entries(rejected).forEach(([gatewayMac, reason]) => {
+      console.log(`⚠ ${this.registry.label(gatewayMac)}: no offset. ${reason}`);
+    });
+
+    if (Object.keys(offsets).length === 0) {
+      throw new Error('No gateway could be compared with the reference');
+    }
+
+    const merged = this.merge(RssiOffsets.loadIfExists(this.outputFile), offsets);
+    merged.replacements.forEach((newMac, oldMac) => {
+      console.log(`↻ ${this.registry.label(oldMac)} replaced by ${this.registry.label(newMac)}`);
+      if (!merged.has(newMac)) {
+        console.log(`   ⚠ ${newMac} has no offset yet; calibrate it at the reference distance`);
+      }
+      if (!merged.has(oldMac)) {
+        console.log(`   ⚠ ${oldMac} has no offset; its old map columns are used as reported`);
+      }
+    });
+
+    this.writeOffsets(merged);
+    console.log(`\n✓ Offsets of ${merged.size} gateways written to: ${this.outputFile}\n`);
+
+    return { offsets, rejected };
+  }
+}
+
+// Run if executed directly; same as "calib offsets"
+if (require.main === module) {
+  require('../lib/cli').main(['offsets', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = RssiOffsetTool;
@@ -0,0 +1,201 @@
+/**
+ * Simulator Tool
+ * Publishes synthetic gateway traffic for a virtual floor (gateway
+ * positions, static or walking tags, path loss with shadowing, noise and
+ * packet loss; see lib/simulator.js) to the MQTT broker, so calibration,
+ * fingerprint collection and positioning can be checked without hardware.
+ * Broker settings are shared with the other tools (see lib/mqtt-connection.js).
+ *
+ * With --capture <file> nothing is published: the traffic is written to a
+ * capture file on a simulated clock, ready for --replay. Labelled waypoint
+ * holds become recording windows of the capture.
+ * With --truth <file> the true tag positions are written as JSON Lines:
+ *   {"ts": 1712345678901, "tag": "AC233FA00001", "x": 2, "y": 3, "z": 1.2}
+ */
+
+const fs = require('fs');
+const mqtt = require('mqtt');
+const { loadScenario, RadioSimulator } = require('../lib/simulator');
+const { CaptureRecorder } = require('../lib/capture');
+const { resolveMqttOptions, connectOptions, watchConnection, describeConnection } = require('../lib/mqtt-connection');
+
+const PROGRESS_INTERVAL = 10000; // milliseconds between console updates
+
+class SimulatorTool {
+  constructor(options = {}) {
+    this.scenarioFile = options.scenarioFile;
+    this.mqttOptions = options.mqtt || resolveMqttOptions();
+    this.durationMs = options.durationMs || null; // null = until Ctrl+C
+    this.rateHz = options.rateHz || null;
+    this.seed = options.seed;
+    this.captureFile = options.captureFile || null;
+    this.truthFile = options.truthFile || null;
+    this.client = null;
+    this.truth = null;
+    this.published = 0;
+    this.lost = 0;
+  }
+
+  writeTruth(timestamp, truth) {
+    if (!this.truth) return;
+    truth.forEach(({ tag, x, y, z, label }) => {
+      const entry = { ts: timestamp, tag, x: round(x), y: round(y), z: round(z) };
+      if (label) entry.label = label;
+      this.truth.write(JSON.stringify(entry) + '\n');
+    });
+  }
+
+  count(messages) {
+    this.published += messages.length;
+    messages.forEach(message => {
+      this.lost += this.simulator.scenario.tags.length - message.payload.data.length;
+    });
+  }
+
+  /**
+   * Write the whole run to a capture file, as fast as it can be computed.
+   */
+  async runCapture(intervalMs) {
+    const recorder = new CaptureRecorder(this.captureFile);
+    const start = Date.now();
+    const labels = new Map(); // tag -> label of the hold it is in
+
+    for (let elapsed = 0; elapsed <= this.durationMs; elapsed += intervalMs) {
+      const timestamp = start + elapsed;
+      const { messages, truth } = this.simulator.tick(elapsed / 1000);
+
+      // Holds at labelled waypoints are marked as recording windows
+      truth.forEach(({ tag, label }) => {
+        const previous = labels.get(tag) || null;
+        if (label === previous) return;
+        if (previous) recorder.mark('window-end', previous, timestamp);
+        if (label) recorder.mark('window-start', label, timestamp);
+        labels.set(tag, label);
+      });
+
+      messages.forEach(message => recorder.write(message.topic, JSON.stringify(message.payload), timestamp));
+      this.writeTruth(timestamp, truth);
+      this.count(messages);
+    }
+
+    labels.forEach((label, tag) => {
+      if (label) recorder.mark('window-end', label, start + this.durationMs);
+    });
+    await recorder.close();
+    console.log(`✓ Wrote ${recorder.count} messages (${this.durationMs / 1000}s simulated) to: ${this.captureFile}`);
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.client = mqtt.connect(this.mqttOptions.brokerUrl, connectOptions(this.mqttOptions, `simulator-${Date.now()}`));
+      watchConnection(this.client);
+      this.client.once('connect', () => {
+        console.log(`✓ Connected to MQTT broker: ${describeConnection(this.mqttOptions)}`);
+        resolve();
+      });
+      this.client.once('error', reject);
+    });
+  }
+
+  /**
+   * Publish in real time until the duration is over or the process is stopped.
+   */
+  async runLive(intervalMs) {
+    await this.connect();
+    console.log(this.durationMs ? `Publishing for ${this.durationMs / 1000}s...\n` : 'Publishing; press Ctrl+C to stop.\n');
+
+    const start = Date.now();
+    let lastProgress = start;
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        const now = Date.now();
+        const elapsed = now - start;
+        if (this.durationMs && elapsed > this.durationMs) {
+          stop();
+          return;
+        }
+
+        const { messages, truth } = this.simulator.tick(elapsed / 1000);
+        messages.forEach(message => {
+          this.client.publish(message.topic, JSON.stringify(message.payload), { qos: this.mqttOptions.qos });
+        });
+        this.writeTruth(now, truth);
+        this.count(messages);
+
+        if (now - lastProgress >= PROGRESS_INTERVAL) {
+          lastProgress = now;
+          const where = truth.map(({ tag, x, y }) => `${tag} (${x.toFixed(1)}, ${y.toFixed(1)})`).join(', ');
+          console.log(`● ${Math.round(elapsed / 1000)}s: ${this.published} messages; ${where}`);
+        }
+      }, intervalMs);
+
+      function stop() {
+        clearInterval(timer);
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        resolve();
+      }
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+
+    await new Promise(resolve => this.client.end(false, {}, resolve));
+  }
+
+  async run() {
+    if (!this.scenarioFile) {
+      throw new Error('No scenario file given (calib simulate <scenario>)');
+    }
+    if (this.captureFile && !this.durationMs) {
+      throw new Error('--capture needs a --duration');
+    }
+
+    const scenario = loadScenario(this.scenarioFile);
+    if (this.rateHz) {
+      scenario.rateHz = this.rateHz;
+    }
+    this.simulator = new RadioSimulator(scenario, { seed: this.seed });
+    const intervalMs = 1000 / scenario.rateHz;
+
+    console.log('=== Simulator Tool ===\n');
+    console.log(`Scenario: ${this.scenarioFile} (${scenario.gateways.length} gateways, ${scenario.tags.length} tags, seed ${this.simulator.seed})`);
+    const { pathLoss } = scenario;
+    console.log(`Path loss: ${pathLoss.txPower} dBm @1m, n = ${pathLoss.exponent}, noise ${pathLoss.noise} dB, ` +
+      `shadowing ${pathLoss.shadowing} dB, packet loss ${Math.round(pathLoss.packetLoss * 100)}%`);
+    console.log(`Rate: ${scenario.rateHz} message(s) per gateway per second, topic ${scenario.topic}\n`);
+
+    if (this.truthFile) {
+      this.truth = fs.createWriteStream(this.truthFile);
+      console.log(`● Writing ground truth to: ${this.truthFile}`);
+    }
+
+    try {
+      if (this.captureFile) {
+        await this.runCapture(intervalMs);
+      } else {
+        await this.runLive(intervalMs);
+      }
+    } finally {
+      if (this.truth) {
+        await new Promise(resolve => this.truth.end(resolve));
+      }
+    }
+
+    const readings = this.published * scenario.tags.length;
+    const percent = readings > 0 ? Math.round(this.lost / readings * 100) : 0;
+    console.log(`\n✓ Simulation finished: ${this.published} messages, ${this.lost} of ${readings} tag readings lost or below sensitivity (${percent}%)\n`);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Run if executed directly; same as "calib simulate"
+if (require.main === module) {
+  require('../lib/cli').main(['simulate', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = SimulatorTool;
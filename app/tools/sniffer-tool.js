@@ -0,0 +1,157 @@
+/**
+ * Sniffer Tool
+ * Prints every tag reading of the MQTT stream as it arrives: gateway, tag,
+ * RSSI and the payload format that parsed it. The quickest check that
+ * gateways publish and tags are heard before a survey.
+ * Broker topics, QoS, credentials and TLS are configurable (see lib/mqtt-connection.js).
+ *
+ * With an output file every reading is also appended to it as JSON Lines:
+ *   {"ts": "2024-01-15T09:00:00.000Z", "gateway": "AC:23:3F:A1:23:45", "tag": "AC:23:3F:00:00:01", "rssi": -61, "format": "mosquitto-client"}
+ */
+
+const fs = require('fs');
+const TagFilter = require('../lib/tag-filter');
+const { normalizeMac } = require('../lib/mac');
+const { createParser } = require('../lib/parsers');
+const { createClient, describeSource } = require('../lib/mqtt-source');
+const { resolveMqttOptions, subscribeTopics, watchConnection } = require('../lib/mqtt-connection');
+
+class SnifferTool {
+  constructor(options = {}) {
+    this.client = null;
+    this.createClient = options.createClient || createClient;
+    this.tagFilter = new TagFilter(options.tagMacs);
+    this.durationMs = options.durationMs || null; // null = until Ctrl+C
+    this.outputFile = options.outputFile || null;
+    this.output = null;
+    this.onRecord = options.onRecord || null;
+    this.replayFile = options.replayFile || null;
+    this.replaySpeed = options.replaySpeed;
+    this.parser = options.parser || createParser(options.parserFile);
+    this.mqttOptions = options.mqtt || resolveMqttOptions();
+    this.readings = 0;
+    this.gateways = new Set();
+    this.tags = new Set();
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      const source = {
+        mqtt: this.mqttOptions,
+        clientId: `sniffer-${Date.now()}`,
+        replayFile: this.replayFile,
+        replaySpeed: this.replaySpeed
+      };
+      this.client = this.createClient(source);
+      if (!this.replayFile) {
+        watchConnection(this.client);
+      }
+
+      this.client.once('connect', () => {
+        console.log(`✅ Connected to ${describeSource(source)}`);
+        resolve();
+      });
+
+      this.client.on('error', (error) => {
+        console.error('❌ MQTT Error:', error.message || error);
+        reject(error);
+      });
+
+      this.client.on('message', (topic, message) => {
+        this.handleMessage(topic, message);
+      });
+    });
+  }
+
+  subscribe() {
+    // Configured topic filters (default: all topics)
+    return subscribeTopics(this.client, this.mqttOptions);
+  }
+
+  now() {
+    return this.client && this.client.now ? this.client.now() : Date.now();
+  }
+
+  handleMessage(topic, message) {
+    const parsed = this.parser.parse(topic, message, this.now());
+    if (!parsed) return;
+
+    const timestamp = new Date(this.now()).toISOString();
+    parsed.readings.forEach(item => {
+      if (!this.tagFilter.accept(item.mac)) return;
+
+      const record = {
+        ts: timestamp,
+        gateway: normalizeMac(parsed.gatewayMac),
+        tag: normalizeMac(item.mac),
+        rssi: item.rssi,
+        format: parsed.format
+      };
+      this.readings++;
+      this.gateways.add(record.gateway);
+      this.tags.add(record.tag);
+
+      console.log(`DEVICE MAC: ${parsed.gatewayMac}|📍 MAC: ${item.mac} | RSSI: ${item.rssi} (${parsed.format})`);
+      if (this.output) {
+        this.output.write(JSON.stringify(record) + '\n');
+      }
+      if (this.onRecord) {
+        this.onRecord(record);
+      }
+    });
+  }
+
+  waitForShutdown() {
+    return new Promise(resolve => {
+      const stop = () => {
+        clearTimeout(timer);
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        resolve();
+      };
+      const timer = this.durationMs ? setTimeout(stop, this.durationMs) : null;
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+  }
+
+  async run() {
+    try {
+      if (this.outputFile) {
+        this.output = fs.createWriteStream(this.outputFile, { flags: 'a' });
+        console.log(`● Appending readings to: ${this.outputFile}`);
+      }
+
+      await this.connect();
+      await this.subscribe();
+
+      if (this.client.play) {
+        await this.client.play();
+      } else {
+        console.log(this.durationMs ? `Sniffing for ${this.durationMs / 1000}s (Ctrl+C to stop early)` : 'Press Ctrl+C to stop.');
+        await this.waitForShutdown();
+      }
+
+      console.log(`\n✓ ${this.readings} readings from ${this.tags.size} tags via ${this.gateways.size} gateways`);
+      return { readings: this.readings, gateways: Array.from(this.gateways).sort(), tags: Array.from(this.tags).sort() };
+    } finally {
+      if (this.client) {
+        this.client.end();
+      }
+      if (this.output) {
+        await new Promise(resolve => this.output.end(resolve));
+      }
+      // Report unparseable messages on exit
+      this.parser.printReport();
+    }
+  }
+}
+
+// Run if executed directly; same as "calib sniff"
+if (require.main === module) {
+  require('../lib/cli').main(['sniff', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = SnifferTool;
@@ -0,0 +1,476 @@
+/**
+ * Survey Export Tool
+ * Generates calibration or fingerprint workbooks (or CSV files) from the
+ * SQLite survey store written by the collection tools. Sessions can be
+ * selected by ID or date range across any number of survey days, and the
+ * stored raw samples can be re-aggregated with a different statistic or
+ * outlier method without walking the site again.
+ *
+ * The output uses the same workbook layout as the collection tools
+ * (lib/workbook.js), so the fit, positioning and evaluation tools read
+ * exports unchanged. Fingerprint sessions recorded with RSSI offsets get
+ * them added to their gateway columns and stats, and listed in the
+ * "RSSI Offsets" sheet.
+ *
+ * With --append the selected sessions are added after the rows of an
+ * existing workbook (created when missing, older layouts migrated); this is
+ * how the collection tools write their workbook at the end of every session.
+ */
+
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const SurveyStore = require('../lib/survey-store');
+const { RssiOffsets } = require('../lib/rssi-offsets');
+const { summarize, resolveStatsOptions } = require('../lib/rssi-stats');
+const { isAdaptive } = require('../lib/recording-window');
+const {
+  CALIBRATION_SHEET,
+  CALIBRATION_HEADERS,
+  FINGERPRINT_SHEET,
+  FINGERPRINT_HEADERS,
+  STATS_SHEET,
+  STATS_HEADERS,
+  SESSIONS_SHEET,
+  SESSIONS_HEADERS,
+  SAMPLES_SHEET,
+  SAMPLES_HEADERS,
+  OFFSETS_SHEET,
+  OFFSETS_HEADERS,
+  openSurveyWorkbook,
+  backupWorkbook,
+  readRows,
+  setSheet,
+  writeSchema,
+  calibrationRow,
+  calibrationColumnWidths,
+  gatewayColumn,
+  fingerprintRow,
+  fingerprintColumnWidths,
+  statsRow,
+  statsColumnWidths,
+  sessionRow,
+  sessionsColumnWidths,
+  samplesColumnWidths,
+  appendRows,
+  writeWorkbook
+} = require('../lib/workbook');
+
+const DEFAULT_DB = path.join(__dirname, '..', 'survey.db');
+const TOOLS = ['gateway', 'fingerprint'];
+
+class SurveyExportTool {
+  constructor(options = {}) {
+    this.dbFile = options.dbFile || DEFAULT_DB;
+    this.tool = options.tool || null;
+    this.sessionIds = options.sessionIds || [];
+    this.since = options.since || null;
+    this.until = options.until || null;
+    this.outputFile = options.outputFile || null;
+    // Given statistics options re-aggregate every window from its raw samples
+    this.reaggregate = Boolean(options.stats && Object.values(options.stats).some(value => value !== undefined));
+    this.statsOptions = resolveStatsOptions(options.stats);
+    this.includeInvalid = Boolean(options.includeInvalid);
+    this.includeSamples = Boolean(options.samples);
+    this.append = Boolean(options.append);
+    this.store = null;
+    this.sessions = new Map(); // session ID -> stored session of the selected tool
+  }
+
+  validate() {
+    if (!TOOLS.includes(this.tool)) {
+      throw new Error(`--tool must be one of: ${TOOLS.join(', ')}`);
+    }
+    [['since', this.since], ['until', this.until]].forEach(([name, value]) => {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw new Error(`--${name} is not a valid date: ${value}`);
+      }
+    });
+    if (this.sessionIds.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw new Error('--session expects comma separated session IDs');
+    }
+    if (this.append && this.isCsv()) {
+      throw new Error('--append adds to a workbook; CSV files are always written anew');
+    }
+  }
+
+  outputPath() {
+    return this.outputFile || path.join(__dirname, '..', `survey-${this.tool}-export.xlsx`);
+  }
+
+  isCsv() {
+    return path.extname(this.outputPath()).toLowerCase() === '.csv';
+  }
+
+  layout() {
+    return this.tool === 'gateway' ? 'calibration' : 'fingerprint';
+  }
+
+  sessionOptions(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session && session.options ? JSON.parse(session.options) : {};
+  }
+
+  /**
+   * RSSI offsets a fingerprint session added when it was recorded.
+   */
+  sessionOffsets(sessionId) {
+    return new RssiOffsets(this.sessionOptions(sessionId).offsets || {});
+  }
+
+  /**
+   * Per-gateway statistics of a window: the stored aggregates, or fresh ones
+   * computed from the raw samples when re-aggregating (or none were stored).
+   * @returns {Object<string, object>} gateway MAC -> summarize() result
+   */
+  windowStats(measurement) {
+    const stored = this.store.aggregates(measurement.id);
+    if (stored.length > 0 && !this.reaggregate) {
+      return Object.fromEntries(stored.map(row => [row.gateway_mac, row]));
+    }
+
+    const byGateway = new Map();
+    this.store.samples(measurement.id).forEach(sample => {
+      if (measurement.kind === 'distance' && sample.gateway_mac !== measurement.gateway_mac) return;
+      if (!byGateway.has(sample.gateway_mac)) {
+        byGateway.set(sample.gateway_mac, []);
+      }
+      byGateway.get(sample.gateway_mac).push(sample.rssi);
+    });
+
+    const stats = {};
+    byGateway.forEach((values, gatewayMac) => {
+      stats[gatewayMac] = summarize(values, this.statsOptions, measurement.duration_ms);
+    });
+    return stats;
+  }
+
+  note(measurement) {
+    const parts = [];
+    if (!measurement.valid) {
+      parts.push(`INVALID: ${measurement.reason || measurement.note || 'unknown'}`);
+    } else if (measurement.note) {
+      parts.push(measurement.note);
+    }
+    parts.push(`session ${measurement.session_id}`);
+    return parts.join('; ');
+  }
+
+  gatewayName(mac) {
+    const gateway = this.store.gateway(mac);
+    return gateway && gateway.name ? gateway.name : '';
+  }
+
+  gatewayLabel(mac) {
+    const name = this.gatewayName(mac);
+    return name ? `${name} (${mac})` : mac;
+  }
+
+  buildCalibrationSheets(measurements) {
+    const data = [CALIBRATION_HEADERS.slice()];
+    let skipped = 0;
+
+    measurements.forEach(measurement => {
+      const stats = this.windowStats(measurement)[measurement.gateway_mac];
+      if (!stats) {
+        skipped++;
+        return;
+      }
+      data.push(calibrationRow({
+        gatewayMac: measurement.gateway_mac,
+        distance: measurement.distance,
+        rssi: stats.mean,
+        note: this.note(measurement),
+        timestamp: measurement.ended_at,
+        stats,
+        name: this.gatewayName(measurement.gateway_mac),
+        sessionId: measurement.session_id
+      }));
+    });
+
+    return {
+      sheets: [{ name: CALIBRATION_SHEET, rows: data, widths: calibrationColumnWidths() }],
+      rows: data.length - 1,
+      skipped
+    };
+  }
+
+  /**
+   * @param {string[]} [headers] Header row to add the gateway columns to:
+   *   that of the workbook an appending export adds to
+   */
+  buildFingerprintSheets(measurements, headers = FINGERPRINT_HEADERS.slice()) {
+    const windows = measurements
+      .map(measurement => {
+        const offsets = this.sessionOffsets(measurement.session_id);
+        const stats = Object.fromEntries(Object.entries(this.windowStats(measurement))
+          .map(([mac, stat]) => [mac, offsets.applyToStats(mac, stat)]));
+        return { measurement, stats, offsets };
+      })
+      .filter(window => Object.keys(window.stats).length > 0);
+
+    // Gateway columns are headed by their registry label, e.g. "Lobby North (AC:23:3F:A1:23:45)";
+    // a gateway the workbook already has a column for keeps it, whatever MAC notation heads it
+    const gatewayMacs = Array.from(new Set(windows.flatMap(window => Object.keys(window.stats)))).sort();
+    gatewayMacs.forEach(mac => {
+      const index = gatewayColumn(headers, mac);
+      if (index === -1) {
+        headers.push(this.gatewayLabel(mac));
+      } else if (this.gatewayName(mac)) {
+        headers[index] = this.gatewayLabel(mac);
+      }
+    });
+    const data = [headers];
+    const statsData = [STATS_HEADERS.slice()];
+    const offsetsData = [OFFSETS_HEADERS.slice()];
+    const applied = new Set();
+
+    windows.forEach(({ measurement, stats, offsets }) => {
+      // Every exported gateway was listening; the ones not heard here are marked not detected.
+      // Values are the re-aggregated statistic, as calibration fits on; the plain mean stays in the stats sheet.
+      const rssiReadings = Object.fromEntries(Object.entries(stats).map(([mac, stat]) => [mac, Math.round(stat.value * 100) / 100]));
+      data.push(fingerprintRow(headers, {
+        locationId: measurement.location_id,
+        coordinates: { x: measurement.x, y: measurement.y, z: measurement.z, floor: measurement.floor, zone: measurement.zone },
+        sessionId: measurement.session_id,
+        heading: measurement.heading
+      }, rssiReadings));
+
+      Object.keys(stats).sort().forEach(mac => {
+        statsData.push(statsRow(measurement.location_id, mac, stats[mac], measurement.ended_at, measurement.session_id, measurement.heading));
+
+        const key = `${measurement.session_id} ${mac}`;
+        if (offsets.has(mac) && !applied.has(key)) {
+          applied.add(key);
+          offsetsData.push([measurement.session_id, mac, Math.round(offsets.offset(mac) * 100) / 100, offsets.reference || 'median']);
+        }
+      });
+    });
+
+    const sheets = [
+      { name: FINGERPRINT_SHEET, rows: data, widths: fingerprintColumnWidths(headers) },
+      { name: STATS_SHEET, rows: statsData, widths: statsColumnWidths() }
+    ];
+    if (offsetsData.length > 1) {
+      sheets.push({ name: OFFSETS_SHEET, rows: offsetsData, widths: [{ wch: 10 }, { wch: 20 }, { wch: 12 }, { wch: 20 }] });
+    }
+
+    return { sheets, rows: data.length - 1, skipped: measurements.length - windows.length };
+  }
+
+  describeWindow(window) {
+    if (!window) return '';
+    if (!isAdaptive(window)) {
+      return `${window.duration / 1000}s`;
+    }
+    return `${window.minDuration / 1000}-${window.maxDuration / 1000}s (nominal ${window.duration / 1000}s)`;
+  }
+
+  buildSessionsSheet(measurements) {
+    const windows = new Map();
+    measurements.forEach(m => windows.set(m.session_id, (windows.get(m.session_id) || 0) + 1));
+
+    const data = [SESSIONS_HEADERS.slice()];
+    Array.from(this.sessions.values())
+      .filter(session => windows.has(session.id))
+      .forEach(session => {
+        const options = this.sessionOptions(session.id);
+        data.push(sessionRow({
+          id: session.id,
+          tool: session.tool,
+          operator: session.operator,
+          startedAt: session.started_at,
+          endedAt: session.ended_at,
+          tagMacs: session.tag_filter,
+          window: this.describeWindow(options.window),
+          statistic: options.stats ? `${options.stats.statistic} (outliers: ${options.stats.outliers})` : '',
+          broker: session.source,
+          plan: session.plan_file,
+          windows: windows.get(session.id)
+        }));
+      });
+    return { name: SESSIONS_SHEET, rows: data, widths: sessionsColumnWidths() };
+  }
+
+  buildSamplesSheet(measurements) {
+    const data = [SAMPLES_HEADERS.slice()];
+    measurements.forEach(measurement => {
+      // Merged multi-heading measurements list their samples under each heading
+      this.store.samples(measurement.id).filter(sample => sample.measurement_id === measurement.id).forEach(sample => {
+        data.push([
+          measurement.id,
+          measurement.session_id,
+          measurement.location_id || '',
+          measurement.distance === null ? '' : measurement.distance,
+          sample.gateway_mac,
+          sample.tag_mac,
+          sample.rssi,
+          sample.ts,
+          measurement.heading || ''
+        ]);
+      });
+    });
+    return { name: SAMPLES_SHEET, rows: data, widths: samplesColumnWidths() };
+  }
+
+  /**
+   * One workbook, or one CSV file per sheet: the first sheet gets the output
+   * name, the others a "-stats"/"-sessions"/"-samples" suffix.
+   */
+  write(sheets) {
+    const filePath = this.outputPath();
+    if (!this.isCsv()) {
+      const workbook = XLSX.utils.book_new();
+      sheets.forEach(sheet => setSheet(workbook, sheet.name, sheet.rows, sheet.widths));
+      writeSchema(workbook, this.layout());
+      writeWorkbook(workbook, filePath);
+      return [filePath];
+    }
+
+    const base = filePath.slice(0, -path.extname(filePath).length);
+    return sheets.map((sheet, index) => {
+      const suffix = index === 0 ? '' : `-${sheet.name.toLowerCase().split(' ').pop()}`;
+      const csvFile = `${base}${suffix}.csv`;
+      const workbook = XLSX.utils.book_new();
+      setSheet(workbook, sheet.name, sheet.rows);
+      writeWorkbook(workbook, csvFile, 'csv');
+      return csvFile;
+    });
+  }
+
+  /**
+   * The workbook an appending export adds to, created when missing; older
+   * layouts are migrated (the original is kept), others rejected.
+   */
+  openTarget() {
+    const filePath = this.outputPath();
+    const { workbook, migratedFrom } = openSurveyWorkbook(filePath, this.layout(), { create: true });
+    if (migratedFrom) {
+      const backup = backupWorkbook(filePath, migratedFrom);
+      console.log(`↻ Migrated ${filePath} to the current workbook layout (original kept as ${backup})`);
+    }
+    return workbook;
+  }
+
+  /**
+   * Add the sheets' rows to the target workbook.
+   * @returns {number} Rows of the main sheet, header excluded
+   */
+  appendTo(workbook, sheets) {
+    const totals = sheets.map(sheet => appendRows(workbook, sheet.name, sheet.rows, sheet.widths));
+    writeSchema(workbook, this.layout());
+    writeWorkbook(workbook, this.outputPath());
+    return totals[0];
+  }
+
+  listSessions() {
+    const sessions = this.store.listSessions({ tool: this.tool });
+    if (sessions.length === 0) {
+      console.log('No sessions stored.');
+      return sessions;
+    }
+
+    console.log('ID    Tool         Started                   Ended                     Windows  Invalid  Output');
+    sessions.forEach(session => {
+      console.log([
+        String(session.id).padEnd(5),
+        session.tool.padEnd(12),
+        session.started_at.padEnd(25),
+        (session.ended_at || '(open)').padEnd(25),
+        String(session.measurements).padEnd(8),
+        String(session.invalid).padEnd(8),
+        session.output_file || ''
+      ].join(' '));
+    });
+    return sessions;
+  }
+
+  async run(list = false) {
+    console.log('=== Survey Export Tool ===\n');
+    if (list) {
+      this.openStore();
+      try {
+        this.listSessions();
+      } finally {
+        this.store.close();
+      }
+      return null;
+    }
+    return this.export();
+  }
+
+  openStore() {
+    if (!fs.existsSync(this.dbFile)) {
+      throw new Error(`Survey store not found: ${this.dbFile}`);
+    }
+    this.store = new SurveyStore(this.dbFile);
+  }
+
+  /**
+   * Export the selected windows (what run() does without --list).
+   * @returns {Promise<{files: string[], rows: number}>}
+   */
+  async export() {
+    this.validate();
+    this.openStore();
+
+    try {
+      const measurements = this.store.measurements({
+        tool: this.tool,
+        sessionIds: this.sessionIds,
+        since: this.since,
+        until: this.until,
+        includeInvalid: this.includeInvalid
+      });
+      const sessionCount = new Set(measurements.map(m => m.session_id)).size;
+      console.log(`Survey store: ${this.dbFile}`);
+      console.log(`Selected ${measurements.length} ${this.tool} windows from ${sessionCount} session(s)` +
+        (this.includeInvalid ? ' (including invalid windows)' : ''));
+      console.log(this.reaggregate
+        ? `Re-aggregating raw samples (${this.statsOptions.statistic}, outliers: ${this.statsOptions.outliers})`
+        : 'Using the aggregates stored at recording time');
+
+      if (measurements.length === 0) {
+        throw new Error('No measurements match the selection');
+      }
+
+      this.store.listSessions({ tool: this.tool }).forEach(session => this.sessions.set(session.id, session));
+      // Opened first: appended fingerprint rows follow the gateway columns the workbook already has
+      const target = this.append ? this.openTarget() : null;
+      const result = this.tool === 'gateway'
+        ? this.buildCalibrationSheets(measurements)
+        : this.buildFingerprintSheets(measurements, target ? readRows(target, FINGERPRINT_SHEET)[0] : undefined);
+      result.sheets.push(this.buildSessionsSheet(measurements));
+      if (this.includeSamples) {
+        result.sheets.push(this.buildSamplesSheet(measurements));
+      }
+
+      if (result.skipped > 0) {
+        console.log(`⚠ ${result.skipped} window(s) without readings were left out`);
+      }
+      let files;
+      if (target) {
+        const total = this.appendTo(target, result.sheets);
+        files = [this.outputPath()];
+        console.log(`✓ Added ${result.rows} rows to: ${files[0]} (${total} total)`);
+      } else {
+        files = this.write(result.sheets);
+        files.forEach(file => console.log(`✓ Exported ${result.rows} rows to: ${file}`));
+      }
+      console.log();
+
+      return { files, rows: result.rows };
+    } finally {
+      this.store.close();
+    }
+  }
+}
+
+// Run if executed directly; same as "calib export"
+if (require.main === module) {
+  require('../lib/cli').main(['export', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = SurveyExportTool;
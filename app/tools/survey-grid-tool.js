@@ -0,0 +1,64 @@
+/**
+ * Survey Grid Tool
+ * Previews the survey grid of a fingerprint plan (see lib/survey-grid.js)
+ * and reports how much of it a fingerprint workbook already covers, with
+ * an ASCII map of done, missing and to-redo points. Record the grid with
+ * the fingerprint collection tool: npm run cf -- --plan <plan>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadPlan } = require('../lib/plan');
+const { loadRadioMap } = require('../lib/radio-map');
+const { coverage, coverageReport } = require('../lib/survey-grid');
+
+const DEFAULT_WORKBOOK = path.join(__dirname, '..', 'fingerprint-collection-data.xlsx');
+
+class SurveyGridTool {
+  constructor(options = {}) {
+    this.planFile = options.planFile;
+    this.workbookFile = options.workbookFile || null;
+    this.list = Boolean(options.list);
+  }
+
+  async run() {
+    if (!this.planFile) {
+      throw new Error('No plan file given (calib grid <plan>)');
+    }
+
+    const plan = loadPlan(this.planFile, 'fingerprint');
+    if (!plan.grid) {
+      throw new Error(`Plan ${this.planFile} has no "grid" section`);
+    }
+    const { grid } = plan;
+    const workbookFile = this.workbookFile || plan.output || DEFAULT_WORKBOOK;
+
+    console.log('=== Survey Grid Tool ===\n');
+    console.log(`Plan: ${this.planFile}`);
+    console.log(`Grid: ${grid.points.length} points in ${grid.rows} rows x ${grid.columns} columns`);
+
+    if (this.list) {
+      console.log('\nWalking order:');
+      grid.points.forEach((point, index) => {
+        console.log(`   ${String(index + 1).padStart(3)}. ${point.location} (${point.x}, ${point.y}, ${point.z})`);
+      });
+    }
+
+    const recorded = fs.existsSync(workbookFile) ? loadRadioMap(workbookFile).points : [];
+    console.log(`\nWorkbook: ${workbookFile}${recorded.length === 0 ? ' (no points recorded yet)' : ''}\n`);
+
+    const status = coverage(grid.points, recorded);
+    console.log(`${coverageReport(grid, status)}\n`);
+
+    return status;
+  }
+}
+
+// Run if executed directly; same as "calib grid"
+if (require.main === module) {
+  require('../lib/cli').main(['grid', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = SurveyGridTool;
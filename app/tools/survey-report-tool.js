@@ -0,0 +1,283 @@
+/**
+ * Survey Report Tool
+ * Turns the fingerprint and calibration workbooks into one self-contained
+ * HTML report (inline SVG, no scripts or network resources) to check a
+ * survey before it is used:
+ *   - per-gateway RSSI heatmaps over the surveyed area, interpolated between
+ *     the measured points (see lib/interpolation.js), with the points on top
+ *   - how many gateways every point hears
+ *   - weak and ambiguous fingerprints (see lib/survey-quality.js)
+ *   - the path-loss fit of every calibrated gateway, with its residuals
+ * Either workbook may be missing; the report covers what is there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GatewayRegistry = require('../lib/gateway-registry');
+const { normalizeMac } = require('../lib/mac');
+const { loadRadioMap } = require('../lib/radio-map');
+const { fitPathLoss } = require('../lib/path-loss');
+const { openSurveyWorkbook, calibrationPoints } = require('../lib/workbook');
+const { RadioMapInterpolator, DEFAULTS: INTERPOLATION } = require('../lib/interpolation');
+const { DEFAULTS: QUALITY, assessFingerprints, gatewayCoverage } = require('../lib/survey-quality');
+const { escapeXml, colourLegend, heatmap, barChart, fitPlot } = require('../lib/svg-charts');
+
+const DEFAULT_WORKBOOK = path.join(__dirname, '..', 'fingerprint-collection-data.xlsx');
+const DEFAULT_CALIBRATION = path.join(__dirname, '..', 'gateway-calibration-data.xlsx');
+const DEFAULT_REGISTRY = path.join(__dirname, '..', 'gateways.json');
+const REPORT_FILE = 'survey-report.html';
+const RASTER_CELLS = 40; // heatmap cells along the longer side of a floor
+
+const STYLE = `
+    body { font-family: system-ui, sans-serif; margin: 1rem 1.5rem; color: #222; }
+    h1 { font-size: 1.3rem; margin: 0 0 0.5rem; }
+    h2 { font-size: 1.05rem; margin: 1.5rem 0 0.5rem; }
+    h3 { font-size: 0.95rem; margin: 1rem 0 0.5rem; }
+    .meta { font-size: 0.85rem; color: #666; }
+    table { border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #ddd; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f4f4f4; }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    .mac { font-family: monospace; }
+    .charts { display: flex; flex-wrap: wrap; gap: 1rem; }
+    figure { margin: 0; }
+    figcaption { font-size: 0.85rem; margin-bottom: 0.25rem; }
+    .warn { color: #b00020; }
+    .ok { color: #137333; }`;
+
+const round = value => Math.round(value * 100) / 100;
+const cell = value => (value === null || value === undefined ? '' : escapeXml(value));
+
+class SurveyReportTool {
+  constructor(options = {}) {
+    this.workbookFile = options.workbookFile || null;
+    this.calibrationFile = options.calibrationFile || null;
+    this.registry = GatewayRegistry.loadIfExists(options.registryFile || DEFAULT_REGISTRY);
+    this.outputFile = options.outputFile || null;
+    this.quality = {
+      weakRssi: options.weakRssi,
+      minGateways: options.minGateways,
+      ambiguousDb: options.ambiguousDb,
+      ambiguousDistance: options.ambiguousDistance
+    };
+  }
+
+  /**
+   * The workbook to read: the one given (which must exist), or the default if it exists.
+   */
+  source(given, fallback) {
+    if (given) {
+      if (!fs.existsSync(given)) {
+        throw new Error(`Workbook not found: ${given}`);
+      }
+      return given;
+    }
+    return fs.existsSync(fallback) ? fallback : null;
+  }
+
+  outputPath(workbookFile, calibrationFile) {
+    return this.outputFile || path.join(path.dirname(workbookFile || calibrationFile), REPORT_FILE);
+  }
+
+  /**
+   * Heatmaps of every gateway, one group per floor.
+   */
+  heatmapSection(map) {
+    const interpolator = new RadioMapInterpolator(map, { method: 'idw' });
+    const positions = new Map();
+    this.registry.list()
+      .filter(entry => entry.x !== null && entry.y !== null)
+      .forEach(entry => positions.set(normalizeMac(entry.mac), entry));
+
+    const floors = Array.from(new Set(map.points.map(point => point.floor)));
+    const groups = floors.map(floor => {
+      const points = map.points.filter(point => point.floor === floor);
+      const placed = map.gateways
+        .filter(mac => positions.has(mac) && (positions.get(mac).floor === null || floor === null || positions.get(mac).floor === floor))
+        .map(mac => positions.get(mac));
+      const xs = [...points, ...placed].map(p => p.x);
+      const ys = [...points, ...placed].map(p => p.y);
+      const bounds = { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+      const size = Math.max(Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / RASTER_CELLS, 0.25);
+
+      // Raster over the floor, where a measured point is close enough to say something
+      const raster = [];
+      for (let x = bounds.minX + size / 2; x < bounds.maxX + size / 2; x += size) {
+        for (let y = bounds.minY + size / 2; y < bounds.maxY + size / 2; y += size) {
+          const near = points.some(point => Math.hypot(point.x - x, point.y - y) <= INTERPOLATION.maxDistance);
+          if (near) raster.push({ id: '', x, y, z: 0, floor });
+        }
+      }
+      const estimates = interpolator.interpolate(raster);
+
+      const charts = map.gateways.map(mac => {
+        const gateway = positions.has(mac) && placed.includes(positions.get(mac))
+          ? { x: positions.get(mac).x, y: positions.get(mac).y, label: this.registry.label(mac) }
+          : null;
+        const svg = heatmap({
+          bounds,
+          cells: estimates.map(estimate => ({ x: estimate.x, y: estimate.y, size, rssi: estimate.rssi[mac] })),
+          points: points.map(point => ({ id: point.id, x: point.x, y: point.y, rssi: point.rssi[mac] === undefined ? null : point.rssi[mac] })),
+          gateway
+        });
+        return `<figure><figcaption>${escapeXml(this.registry.label(mac))}</figcaption>${svg}</figure>`;
+      }).join('\n');
+
+      const title = floors.length > 1 || floor !== null ? `<h3>Floor ${escapeXml(floor === null ? 'unlabelled' : floor)}</h3>` : '';
+      return `${title}<div class="charts">${charts}</div>`;
+    });
+
+    return `<p class="meta">Circles are measured points (hollow: gateway not heard), squares gateway positions; ` +
+      `the background is interpolated between the points (grey: below anything the gateway was heard at).</p>` +
+      `${colourLegend()}\n${groups.join('\n')}`;
+  }
+
+  coverageTable(map) {
+    const rows = gatewayCoverage(map).map(entry => {
+      const share = entry.heard / map.points.length;
+      return `<tr><td>${escapeXml(this.registry.label(entry.gateway))}</td>` +
+        `<td class="num">${entry.heard}/${map.points.length} (${Math.round(share * 100)}%)</td>` +
+        `<td class="num">${cell(entry.strongest)}</td><td class="num">${cell(entry.median === null ? null : round(entry.median))}</td></tr>`;
+    }).join('\n');
+    return '<table><thead><tr><th>Gateway</th><th>Points heard</th><th>Strongest (dBm)</th><th>Median (dBm)</th></tr></thead>' +
+      `<tbody>${rows}</tbody></table>`;
+  }
+
+  problemTable(assessments) {
+    const flagged = assessments.filter(a => a.problems.length > 0);
+    if (flagged.length === 0) {
+      return '<p class="ok">No weak or ambiguous fingerprints.</p>';
+    }
+    const rows = flagged.map(a => `<tr><td>${escapeXml(a.point.id)}</td><td class="num">${a.point.x}, ${a.point.y}, ${a.point.z}</td>` +
+      `<td class="num">${a.heard}</td><td class="num">${cell(a.strongest)}</td><td class="warn">${a.problems.map(escapeXml).join('<br>')}</td></tr>`).join('\n');
+    return '<table><thead><tr><th>Location</th><th>X, Y, Z (m)</th><th>Gateways</th><th>Strongest (dBm)</th><th>Problem</th></tr></thead>' +
+      `<tbody>${rows}</tbody></table>`;
+  }
+
+  fitSection(byGateway) {
+    const figures = [];
+    const rejected = [];
+    Array.from(byGateway.keys()).sort().forEach(mac => {
+      let model;
+      try {
+        model = fitPathLoss(byGateway.get(mac));
+      } catch (error) {
+        rejected.push(`<li>${escapeXml(this.registry.label(mac))}: ${escapeXml(error.message)}</li>`);
+        return;
+      }
+      const r2 = model.r2 === null ? 'n/a' : model.r2.toFixed(3);
+      figures.push(`<figure><figcaption>${escapeXml(this.registry.label(mac))}: TX power ${model.txPower.toFixed(1)} dBm, ` +
+        `n = ${model.pathLossExponent.toFixed(2)}, RMSE ${model.rmse.toFixed(2)} dB, R² ${r2} (${model.samples} rows)</figcaption>` +
+        `${fitPlot({ points: byGateway.get(mac), model })}</figure>`);
+    });
+
+    const notFitted = rejected.length > 0 ? `<p class="warn">Not fitted:</p><ul>${rejected.join('')}</ul>` : '';
+    return { html: `<div class="charts">${figures.join('\n')}</div>${notFitted}`, fitted: figures.length };
+  }
+
+  render({ workbookFile, calibrationFile, map, assessments, byGateway }) {
+    const sections = [];
+    const summary = [];
+
+    if (map) {
+      const weak = assessments.filter(a => a.weak).length;
+      const ambiguous = assessments.filter(a => a.twin).length;
+      summary.push(`${map.points.length} points, ${map.gateways.length} gateways`);
+      summary.push(`<span class="${weak > 0 ? 'warn' : 'ok'}">${weak} weak</span> and ` +
+        `<span class="${ambiguous > 0 ? 'warn' : 'ok'}">${ambiguous} ambiguous</span> fingerprints`);
+
+      sections.push(`<h2>Gateway coverage</h2>\n${this.coverageTable(map)}\n${this.heatmapSection(map)}`);
+      sections.push('<h2>Gateways heard per point</h2>\n' + barChart({
+        labels: map.points.map(point => point.id),
+        values: assessments.map(a => a.heard),
+        threshold: this.quality.minGateways || QUALITY.minGateways,
+        unit: 'Gateways'
+      }));
+      sections.push(`<h2>Weak and ambiguous fingerprints</h2>\n${this.problemTable(assessments)}`);
+    }
+
+    if (byGateway) {
+      const fits = this.fitSection(byGateway);
+      summary.push(`${fits.fitted}/${byGateway.size} gateways with a path-loss fit`);
+      sections.push(`<h2>Path-loss fits</h2>\n<p class="meta">Calibration readings against the fitted model; ` +
+        `residuals are reading minus model.</p>\n${fits.html}`);
+    }
+
+    const sources = [
+      workbookFile ? `Fingerprints: ${escapeXml(path.resolve(workbookFile))}` : null,
+      calibrationFile ? `Calibration: ${escapeXml(path.resolve(calibrationFile))}` : null,
+      `Generated ${new Date().toISOString()}`
+    ].filter(Boolean).join(' &middot; ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Survey Quality Report</title>
+  <style>${STYLE}
+  </style>
+</head>
+<body>
+  <h1>Survey Quality Report</h1>
+  <p class="meta">${sources}</p>
+  <ul>${summary.map(line => `<li>${line}</li>`).join('')}</ul>
+${sections.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  async run() {
+    console.log('=== Survey Report Tool ===\n');
+
+    const workbookFile = this.source(this.workbookFile, DEFAULT_WORKBOOK);
+    const calibrationFile = this.source(this.calibrationFile, DEFAULT_CALIBRATION);
+    if (!workbookFile && !calibrationFile) {
+      throw new Error(`No fingerprint or calibration workbook found (looked for ${DEFAULT_WORKBOOK} and ${DEFAULT_CALIBRATION})`);
+    }
+
+    let map = null;
+    let assessments = [];
+    if (workbookFile) {
+      map = loadRadioMap(workbookFile);
+      if (map.points.length === 0) {
+        throw new Error(`No fingerprints found in ${workbookFile}`);
+      }
+      assessments = assessFingerprints(map.points, this.quality);
+      console.log(`✓ ${map.points.length} points and ${map.gateways.length} gateways from ${workbookFile}`);
+      assessments.filter(a => a.problems.length > 0).forEach(a => {
+        console.log(`⚠ ${a.point.id}: ${a.problems.join('; ')}`);
+      });
+    }
+
+    let byGateway = null;
+    if (calibrationFile) {
+      // Rejects workbooks that do not have the calibration layout
+      const { rows } = openSurveyWorkbook(calibrationFile, 'calibration');
+      byGateway = calibrationPoints(rows);
+      console.log(`✓ Calibration rows of ${byGateway.size} gateways from ${calibrationFile}`);
+    }
+
+    const outputFile = this.outputPath(workbookFile, calibrationFile);
+    fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+    fs.writeFileSync(outputFile, this.render({ workbookFile, calibrationFile, map, assessments, byGateway }));
+    console.log(`\n✓ Report written to: ${outputFile}\n`);
+
+    return {
+      outputFile,
+      points: map ? map.points.length : 0,
+      weak: assessments.filter(a => a.weak).map(a => a.point.id),
+      ambiguous: assessments.filter(a => a.twin).map(a => a.point.id),
+      calibratedGateways: byGateway ? byGateway.size : 0
+    };
+  }
+}
+
+// Run if executed directly; same as "calib report"
+if (require.main === module) {
+  require('../lib/cli').main(['report', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = SurveyReportTool;
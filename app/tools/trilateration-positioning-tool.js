@@ -0,0 +1,233 @@
+/**
+ * Trilateration Positioning Tool
+ * Converts live MQTT RSSI to distances with the per-gateway path-loss models
+ * fitted from the calibration workbook, then solves each tag's position by
+ * weighted least squares over the gateway coordinates.
+ * Broker topics, QoS, credentials and TLS are configurable (see lib/mqtt-connection.js).
+ * Every estimate is published back to MQTT with its residual error.
+ */
+
+const path = require('path');
+const TagFilter = require('../lib/tag-filter');
+const RssiTracker = require('../lib/rssi-tracker');
+const { normalizeMac } = require('../lib/mac');
+const { createParser } = require('../lib/parsers');
+const GatewayRegistry = require('../lib/gateway-registry');
+const { loadPathLossModels, distanceFromRssi, DEFAULT_MODEL_FILE } = require('../lib/path-loss');
+const { trilaterate } = require('../lib/trilateration');
+const { createClient, describeSource } = require('../lib/mqtt-source');
+const { resolveMqttOptions, subscribeTopics, watchConnection } = require('../lib/mqtt-connection');
+
+const DEFAULT_GATEWAYS = path.join(__dirname, '..', 'gateways.json');
+const DEFAULT_TOPIC = 'positioning/trilateration/{tag}';
+const MAX_DISTANCE = 100; // meters; clamps readings far below the calibrated range
+
+class TrilaterationPositioningTool {
+  constructor(options = {}) {
+    this.client = null;
+    this.modelFile = options.modelFile || DEFAULT_MODEL_FILE;
+    this.gatewaysFile = options.gatewaysFile || DEFAULT_GATEWAYS;
+    this.tagHeight = options.tagHeight || 0;
+    this.topicTemplate = options.topic || DEFAULT_TOPIC;
+    this.intervalMs = options.intervalMs || 1000;
+    this.tracker = new RssiTracker({ windowMs: options.windowMs });
+    this.tagFilter = new TagFilter(options.tagMacs);
+    this.durationMs = options.durationMs || null; // null = until Ctrl+C
+    this.onRecord = options.onRecord || null;
+    this.replayFile = options.replayFile || null;
+    this.replaySpeed = options.replaySpeed;
+    this.parser = createParser(options.parserFile);
+    this.mqttOptions = options.mqtt || resolveMqttOptions();
+    this.models = {};
+    this.registry = new GatewayRegistry();
+    this.unusable = new Set();
+    this.lastEstimateTime = 0;
+    this.published = 0;
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      const source = {
+        mqtt: this.mqttOptions,
+        clientId: `trilateration-positioning-${Date.now()}`,
+        replayFile: this.replayFile,
+        replaySpeed: this.replaySpeed
+      };
+      this.client = createClient(source);
+      if (!this.replayFile) {
+        watchConnection(this.client);
+      }
+
+      this.client.once('connect', () => {
+        console.log(`✓ Connected to ${describeSource(source)}\n`);
+        resolve();
+      });
+
+      this.client.on('error', (error) => {
+        console.error('MQTT error:', error.message || error);
+        reject(error);
+      });
+
+      this.client.on('message', (topic, message) => {
+        this.handleMessage(topic, message);
+      });
+    });
+  }
+
+  subscribe() {
+    // Configured topic filters (default: all topics)
+    return subscribeTopics(this.client, this.mqttOptions);
+  }
+
+  now() {
+    return this.client && this.client.now ? this.client.now() : Date.now();
+  }
+
+  handleMessage(topic, message) {
+    const parsed = this.parser.parse(topic, message, this.now());
+    if (!parsed) return;
+
+    // Without a model and coordinates a gateway cannot contribute a distance
+    if (!this.model(parsed.gatewayMac) || !this.position(parsed.gatewayMac)) {
+      if (!this.unusable.has(parsed.gatewayMac)) {
+        this.unusable.add(parsed.gatewayMac);
+        console.log(`⚠ Ignoring gateway ${this.registry.label(parsed.gatewayMac)}: no path-loss model or coordinates`);
+      }
+      return;
+    }
+
+    const now = this.now();
+    parsed.readings.forEach(item => {
+      if (this.tagFilter.accept(item.mac)) {
+        this.tracker.add(normalizeMac(item.mac), parsed.gatewayMac, item.rssi, now);
+      }
+    });
+
+    // Estimates are paced by message time so replays behave like live data
+    if (now - this.lastEstimateTime >= this.intervalMs) {
+      this.lastEstimateTime = now;
+      this.estimateAll(now);
+    }
+  }
+
+  model(gatewayMac) {
+    return this.models[normalizeMac(gatewayMac)] || null;
+  }
+
+  /**
+   * Registered coordinates of a gateway, or null if it has none.
+   */
+  position(gatewayMac) {
+    const entry = this.registry.get(gatewayMac);
+    if (!entry || entry.x === null || entry.y === null) return null;
+    return { x: entry.x, y: entry.y, z: entry.z };
+  }
+
+  estimateAll(now) {
+    this.tracker.prune(now);
+
+    this.tracker.tags().forEach(tagMac => {
+      const vector = this.tracker.vector(tagMac);
+      const anchors = Object.entries(vector).map(([gatewayMac, rssi]) => {
+        const model = this.model(gatewayMac);
+        return {
+          mac: gatewayMac,
+          ...this.position(gatewayMac),
+          rssi,
+          distance: Math.min(distanceFromRssi(model, rssi), MAX_DISTANCE),
+          model
+        };
+      });
+
+      const estimate = trilaterate(anchors, { tagHeight: this.tagHeight });
+      if (estimate) {
+        this.publish(tagMac, estimate, anchors, now);
+      }
+    });
+  }
+
+  publish(tagMac, estimate, anchors, now) {
+    const round = value => Math.round(value * 100) / 100;
+    const topic = this.topicTemplate.replace('{tag}', tagMac.replace(/:/g, ''));
+    const message = {
+      tag: tagMac,
+      x: round(estimate.x),
+      y: round(estimate.y),
+      z: round(estimate.z),
+      method: 'trilateration',
+      mode: estimate.mode,
+      residual: round(estimate.residual),
+      gateways: anchors.map(a => ({ mac: a.mac, rssi: round(a.rssi), distance: round(a.distance) })),
+      timestamp: new Date(now).toISOString()
+    };
+
+    this.client.publish(topic, JSON.stringify(message));
+    this.published++;
+    if (this.onRecord) {
+      this.onRecord(message);
+    }
+
+    const note = estimate.mode === 'wls' ? '' : ` ⚠ only ${estimate.gateways} gateway(s), ${estimate.mode}`;
+    console.log(`📍 ${tagMac} → (${message.x}, ${message.y}, ${message.z}) residual ${message.residual} m${note}`);
+  }
+
+  waitForShutdown() {
+    return new Promise(resolve => {
+      const stop = () => {
+        clearTimeout(timer);
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+        resolve();
+      };
+      const timer = this.durationMs ? setTimeout(stop, this.durationMs) : null;
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+  }
+
+  async run() {
+    try {
+      console.log('=== Trilateration Positioning Tool ===\n');
+
+      this.models = loadPathLossModels(this.modelFile);
+      this.registry = GatewayRegistry.load(this.gatewaysFile);
+
+      const positions = this.registry.positions();
+      const usable = Array.from(positions.keys()).filter(mac => this.model(mac));
+      console.log(`✓ Loaded ${Object.keys(this.models).length} path-loss models from ${this.modelFile}`);
+      console.log(`✓ Loaded ${positions.size} gateway positions from ${this.gatewaysFile}`);
+      console.log(`   ${usable.length} gateways have both`);
+      if (usable.length < 3) {
+        console.log('⚠ Fewer than three usable gateways; positions will be approximate');
+      }
+      console.log(`Tags: ${this.tagFilter.describe()}, tag height ${this.tagHeight} m`);
+      console.log(`Publishing estimates to: ${this.topicTemplate}\n`);
+
+      await this.connect();
+      await this.subscribe();
+
+      if (this.client.play) {
+        await this.client.play();
+      } else {
+        console.log(this.durationMs ? `Running for ${this.durationMs / 1000}s (Ctrl+C to stop early)\n` : 'Press Ctrl+C to stop.\n');
+        await this.waitForShutdown();
+      }
+
+      console.log(`\n✓ Positioning stopped (${this.published} estimates published)`);
+    } finally {
+      if (this.client) {
+        this.client.end();
+      }
+      this.parser.printReport();
+    }
+  }
+}
+
+// Run if executed directly; same as "calib trilaterate"
+if (require.main === module) {
+  require('../lib/cli').main(['trilaterate', ...process.argv.slice(2)]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = TrilaterationPositioningTool;
@@ -0,0 +1,47 @@
+#!/bin/sh
+# Test CA, server and client certificates plus the password file for the
+# authenticated listeners in config/mosquitto.conf. For local testing only.
+#
+#   ./generate-certs.sh [username] [password]
+#
+# Connect with, for example:
+#   MQTT_BROKER_URL=mqtts://localhost:8883 MQTT_CA=../mosquitto/certs/ca.crt \
+#   MQTT_USERNAME=calibration MQTT_PASSWORD=calibration MQTT_TOPICS='gw/#' npm start
+set -e
+
+cd "$(dirname "$0")"
+USERNAME=${1:-calibration}
+PASSWORD=${2:-calibration}
+DAYS=825
+
+mkdir -p certs
+cd certs
+
+openssl req -x509 -new -nodes -newkey rsa:2048 -days "$DAYS" \
+  -keyout ca.key -out ca.crt -subj "/CN=calibration-test-ca"
+
+openssl req -new -nodes -newkey rsa:2048 \
+  -keyout server.key -out server.csr -subj "/CN=localhost"
+printf 'subjectAltName=DNS:localhost,DNS:mosquitto,IP:127.0.0.1\n' > server.ext
+openssl x509 -req -in server.csr -CA ca.crt -CAkey ca.key -CAcreateserial \
+  -days "$DAYS" -extfile server.ext -out server.crt
+
+openssl req -new -nodes -newkey rsa:2048 \
+  -keyout client.key -out client.csr -subj "/CN=calibration-client"
+openssl x509 -req -in client.csr -CA ca.crt -CAkey ca.key -CAcreateserial \
+  -days "$DAYS" -out client.crt
+
+rm -f server.csr server.ext client.csr ca.srl
+# The broker runs as the mosquitto user inside the container
+chmod 644 server.key
+cd ..
+
+# Password file, hashed by mosquitto_passwd (local install or the broker image)
+if command -v mosquitto_passwd >/dev/null 2>&1; then
+  mosquitto_passwd -b -c config/passwd "$USERNAME" "$PASSWORD"
+else
+  docker run --rm -v "$(pwd)/config:/mosquitto/config" eclipse-mosquitto:latest \
+    mosquitto_passwd -b -c /mosquitto/config/passwd "$USERNAME" "$PASSWORD"
+fi
+
+echo "Certificates written to $(pwd)/certs, password file to $(pwd)/config/passwd"